@@ -27,6 +27,7 @@ import {
 } from './js/micropython.js'
 import { runPythonCode } from './js/execution.js'
 import { runTests } from './js/test-runner.js'
+import { applyDefaultSeed } from './js/test-seed.js'
 import { setupInputHandling } from './js/input-handling.js'
 
 import { debug as logDebug, info as logInfo, warn as logWarn, error as logError, setDebug as setLogDebug } from './js/logger.js'
@@ -38,8 +39,9 @@ import { transformAndWrap, highlightMappedTracebackInEditor, highlightFeedbackLi
 import { setupSnapshotSystem } from './js/snapshots.js'
 import { setupDownloadSystem } from './js/download.js'
 import { showStorageInfo } from './js/storage-manager.js'
-import { resetFeedback, evaluateFeedbackOnEdit, evaluateFeedbackOnRun, evaluateFeedbackOnFileEvent, on as feedbackOn, off as feedbackOff } from './js/feedback.js'
+import { resetFeedback, evaluateFeedbackOnEdit, evaluateFeedbackOnRun, evaluateFeedbackOnFileEvent, recordTestRun, on as feedbackOn, off as feedbackOff } from './js/feedback.js'
 import { initializeFeedbackUI, setFeedbackMatches, setFeedbackConfig } from './js/feedback-ui.js'
+import { buildHiddenTestIndex } from './js/hidden-tests.js'
 
 // Record/Replay debugging system
 import { initializeExecutionRecorder } from './js/execution-recorder.js'
@@ -592,7 +594,7 @@ async function main() {
         try { window.runtimeAdapter = runtimeAdapter } catch (e) { }
 
         // Expose minimal Feedback API for tests and wire UI
-        try { window.Feedback = { resetFeedback, evaluateFeedbackOnEdit, evaluateFeedbackOnRun, evaluateFeedbackOnFileEvent, on: feedbackOn, off: feedbackOff } } catch (_e) { }
+        try { window.Feedback = { resetFeedback, evaluateFeedbackOnEdit, evaluateFeedbackOnRun, evaluateFeedbackOnFileEvent, recordTestRun, on: feedbackOn, off: feedbackOff } } catch (_e) { }
         try {
             initializeFeedbackUI();
             feedbackOn('matches', (m) => { try { setFeedbackMatches(m) } catch (_e) { } })
@@ -708,8 +710,9 @@ async function main() {
 
         // Listen for Run tests button and execute author-defined tests if present
         try {
-            window.addEventListener('ssg:run-tests-click', async () => {
+            window.addEventListener('ssg:run-tests-click', async (ev) => {
                 try { logDebug('[app] received ssg:run-tests-click') } catch (_e) { }
+                const coverageMode = !!(ev && ev.detail && ev.detail.coverage)
                 try {
                     const cfg = window.Config && window.Config.current ? window.Config.current : null
                     try { logDebug('[app] config available:', !!cfg, 'tests:', cfg && cfg.tests) } catch (_e) { }
@@ -725,9 +728,10 @@ async function main() {
                             testsConfig = cfg.tests
                             testCount = testsConfig.length
                         } else if (cfg.tests.groups || cfg.tests.ungrouped) {
-                            // Grouped format: object with groups and ungrouped arrays
+                            // Grouped format: object with groups and ungrouped arrays.
+                            // Tests without their own seed get the config default.
                             isGroupedFormat = true
-                            testsConfig = cfg.tests
+                            testsConfig = applyDefaultSeed(cfg.tests)
                             const groupCount = (testsConfig.groups || []).reduce((sum, g) => sum + (g.tests || []).length, 0)
                             const ungroupedCount = (testsConfig.ungrouped || []).length
                             testCount = groupCount + ungroupedCount
@@ -750,6 +754,8 @@ async function main() {
                         const MAIN_FILE = vfs.MAIN_FILE
 
                         let runFn = null
+                        // Workspace files the sandboxed runs start from (measured in coverage mode)
+                        let workspaceSnapshot = null
                         if (window.__ssg_use_sandboxed_tests) {
                             // Use sandboxed iframe runner (Phase 1)
                             try {
@@ -786,6 +792,7 @@ async function main() {
 
                                 logDebug('[app] creating sandboxed runFn with snapshot keys:', Object.keys(snapshot))
                                 runFn = sandbox.createSandboxedRunFn({ runtimeUrl: testsRelativeRuntimeUrl, filesSnapshot: snapshot })
+                                workspaceSnapshot = snapshot
                             } catch (e) {
                                 appendTerminal('Failed to initialize sandboxed runner: ' + e, 'runtime')
                                 logWarn('[app] sandboxed runFn init failed, falling back to adapter', e)
@@ -829,10 +836,23 @@ async function main() {
                             } catch (_e) { }
                         }
 
+                        // Coverage instruments the sandbox's copy of the workspace; the
+                        // adapter runs the live runtime, which is left untouched
+                        let coverage = null
+                        if (coverageMode) {
+                            if (workspaceSnapshot) {
+                                const { createCoverageCollector } = await import('./js/test-coverage.js')
+                                coverage = createCoverageCollector()
+                            } else {
+                                try { appendTerminal('Coverage is only available with the sandboxed test runner', 'runtime') } catch (_e) { }
+                            }
+                        }
+
                         // Run tests using the appropriate runner function
+                        const runStartedAt = Date.now()
                         let runnerResult
                         try {
-                            runnerResult = await runnerFunction(testData, { runFn })
+                            runnerResult = await runnerFunction(testData, { runFn, coverage })
                         } catch (error) {
                             console.error('[app] Error during test execution:', error)
                             try { appendTerminal('Test execution failed: ' + error.message, 'runtime') } catch (_e) { }
@@ -851,6 +871,15 @@ async function main() {
 
                         try { appendTerminal('Test run complete. ' + results.length + ' tests executed.', 'runtime') } catch (_e) { }
 
+                        if (coverage) {
+                            try {
+                                const { formatCoverageSummary } = await import('./js/test-coverage.js')
+                                const report = await coverage.report(workspaceSnapshot)
+                                if (typeof window.setEditorCoverage === 'function') window.setEditorCoverage(report)
+                                appendTerminal('Coverage: ' + formatCoverageSummary(report), 'runtime')
+                            } catch (e) { logWarn('[app] building coverage report failed', e) }
+                        }
+
                         // Update UI with results and feed failures into Feedback
                         try {
                             if (typeof window.__ssg_set_test_results === 'function') {
@@ -888,19 +917,28 @@ async function main() {
                                 }
                             } catch (_e) { }
                         } catch (_e) { }
+                        const evaluations = []
                         if (window.Feedback && typeof window.Feedback.evaluateFeedbackOnRun === 'function') {
+                            // Hidden tests' output must not surface through feedback either
+                            const hiddenIndex = buildHiddenTestIndex(testData)
                             for (const r of results) {
                                 // Evaluate feedback for runs that either failed or
                                 // produced stderr even when they passed (so authors
                                 // can write rules that target stderr output).
                                 try {
+                                    if (r && hiddenIndex.has(String(r.id))) continue
                                     const hadStderr = !!(r.stderr && String(r.stderr).trim().length > 0)
                                     if (!r.passed || hadStderr) {
-                                        try { window.Feedback.evaluateFeedbackOnRun({ stdout: r.stdout || '', stderr: r.stderr || '', stdin: r.stdin || '', filename: r.filename || '' }) } catch (_e) { }
+                                        try { evaluations.push(window.Feedback.evaluateFeedbackOnRun({ stdout: r.stdout || '', stderr: r.stderr || '', stdin: r.stdin || '', filename: r.filename || '' })) } catch (_e) { }
                                     }
                                 } catch (_e) { }
                             }
                         }
+                        // Count the run towards hint ladders once its feedback is known
+                        try {
+                            await Promise.allSettled(evaluations)
+                            if (window.Feedback && typeof window.Feedback.recordTestRun === 'function') window.Feedback.recordTestRun(results, { startedAt: runStartedAt })
+                        } catch (_e) { }
                         return
                     } catch (_e) {
                         try { appendTerminal('Test run failed to start: ' + _e, 'runtime') } catch (_err) { }
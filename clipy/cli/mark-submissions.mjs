@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+// Mark a folder of student submissions against a config's test suite.
+//
+//   node cli/mark-submissions.mjs <config.json> <submissions-dir> [--out results] [--timeout 20000]
+//
+// Each submission is either a .py file (run as /main.py) or a workspace zip
+// downloaded from the app. Submission files are laid over the config's
+// workspace files, then every test (including AST tests) runs with the
+// MicroPython wasm runtime, following the same group and run conditions as
+// the browser. Writes <out>.csv with one row per submission and <out>.json
+// with one report per submission (see js/test-results-export.js for the
+// schema); JUnit XML (<out>.xml) and TAP (<out>.tap) are also available.
+
+import fs from 'node:fs'
+import path from 'node:path'
+import zlib from 'node:zlib'
+import { runTests, runGroupedTests } from '../js/test-runner.js'
+import { buildResultsReport, exportResults, RESULTS_EXPORT_FORMATS } from '../js/test-results-export.js'
+import { buildSolutionSnapshot, flattenTests } from '../js/reference-solution.js'
+import { applyDefaultSeed } from '../js/test-seed.js'
+import { createNodeRunFn } from './node-runner.mjs'
+
+const USAGE = `Usage: node cli/mark-submissions.mjs <config.json> <submissions-dir> [options]
+
+Options:
+  --out <path>      Output path without extension (default: ./results)
+  --timeout <ms>    Timeout for tests without their own timeoutMs (default: 20000)
+  --format <list>   Comma separated outputs: csv, json, junit, tap (default: csv,json)
+  --help            Show this message`
+
+function parseArgs(argv) {
+    const opts = { positional: [], out: 'results', timeout: 20000, formats: ['csv', 'json'], help: false }
+    for (let i = 0; i < argv.length; i++) {
+        const a = argv[i]
+        if (a === '--help' || a === '-h') opts.help = true
+        else if (a === '--out') opts.out = argv[++i]
+        else if (a === '--timeout') opts.timeout = Number(argv[++i])
+        else if (a === '--format') opts.formats = String(argv[++i] || '').split(',').map(f => f.trim()).filter(Boolean)
+        else if (a.startsWith('--')) throw new Error(`Unknown option ${a}`)
+        else opts.positional.push(a)
+    }
+    if (!opts.out) throw new Error('--out needs a path')
+    if (!Number.isFinite(opts.timeout) || opts.timeout <= 0) throw new Error('--timeout needs a number of milliseconds')
+    const unknown = opts.formats.find(f => f !== 'csv' && !RESULTS_EXPORT_FORMATS.includes(f))
+    if (unknown || !opts.formats.length) throw new Error(`--format must list csv, json, junit or tap${unknown ? ` (got ${unknown})` : ''}`)
+    return opts
+}
+
+function loadConfig(file) {
+    const cfg = JSON.parse(fs.readFileSync(file, 'utf8'))
+    // Authored configs may carry tests as a JSON string
+    if (typeof cfg.tests === 'string') cfg.tests = cfg.tests.trim() ? JSON.parse(cfg.tests) : []
+    if (!cfg.tests || !flattenTests(cfg.tests).length) throw new Error(`${file} has no tests`)
+    return cfg
+}
+
+// Read the text entries of a zip archive. Handles stored and deflated
+// entries, which covers the app's workspace download and common zip tools.
+function readZip(buffer) {
+    let eocd = -1
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) { eocd = i; break }
+    }
+    if (eocd === -1) throw new Error('not a zip archive')
+    const count = buffer.readUInt16LE(eocd + 10)
+    let p = buffer.readUInt32LE(eocd + 16)
+    const files = {}
+    for (let n = 0; n < count; n++) {
+        if (buffer.readUInt32LE(p) !== 0x02014b50) throw new Error('corrupt zip central directory')
+        const method = buffer.readUInt16LE(p + 10)
+        const compressedSize = buffer.readUInt32LE(p + 20)
+        const nameLen = buffer.readUInt16LE(p + 28)
+        const extraLen = buffer.readUInt16LE(p + 30)
+        const commentLen = buffer.readUInt16LE(p + 32)
+        const localOffset = buffer.readUInt32LE(p + 42)
+        const name = buffer.toString('utf8', p + 46, p + 46 + nameLen)
+        p += 46 + nameLen + extraLen + commentLen
+
+        if (name.endsWith('/') || name.startsWith('__MACOSX/')) continue
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28)
+        const raw = buffer.subarray(dataStart, dataStart + compressedSize)
+        if (method === 0) files[name] = raw.toString('utf8')
+        else if (method === 8) files[name] = zlib.inflateRawSync(raw).toString('utf8')
+        else throw new Error(`${name} uses an unsupported compression method`)
+    }
+    return files
+}
+
+// Map zip entries to workspace paths. A zip made by compressing a folder
+// has everything under one top-level directory, which is dropped.
+function zipToWorkspace(entries) {
+    const names = Object.keys(entries)
+    const tops = new Set(names.map(n => n.includes('/') ? n.split('/')[0] : ''))
+    const strip = tops.size === 1 && !tops.has('') ? [...tops][0].length + 1 : 0
+    const files = {}
+    for (const n of names) files['/' + n.slice(strip)] = entries[n]
+    return files
+}
+
+function collectSubmissions(dir) {
+    const out = []
+    for (const name of fs.readdirSync(dir).sort()) {
+        const full = path.join(dir, name)
+        if (!fs.statSync(full).isFile()) continue
+        const ext = path.extname(name).toLowerCase()
+        if (ext === '.py') {
+            out.push({ name: path.basename(name, ext), file: name, files: { '/main.py': fs.readFileSync(full, 'utf8') } })
+        } else if (ext === '.zip') {
+            try {
+                out.push({ name: path.basename(name, ext), file: name, files: zipToWorkspace(readZip(fs.readFileSync(full))) })
+            } catch (e) {
+                out.push({ name: path.basename(name, ext), file: name, error: `Could not read ${name}: ${e.message}` })
+            }
+        }
+    }
+    return out
+}
+
+function isGrouped(tests) {
+    return !!tests && !Array.isArray(tests) && !!((tests.groups && tests.groups.length) || (tests.ungrouped && tests.ungrouped.length))
+}
+
+// Copy the tests with a timeoutMs on every test so runTests reports slow
+// or endless programs as timeouts (and the config's default seed applied)
+function withDefaults(tests, timeoutMs) {
+    const copy = JSON.parse(JSON.stringify(applyDefaultSeed(tests)))
+    for (const t of flattenTests(copy)) {
+        if (t && typeof t.timeoutMs !== 'number') t.timeoutMs = timeoutMs
+    }
+    return copy
+}
+
+async function markSubmission(cfg, submission, timeoutMsDefault) {
+    if (submission.error) return { results: [], error: submission.error }
+    if (typeof submission.files['/main.py'] !== 'string') return { results: [], error: 'The submission has no main.py' }
+    const runFn = createNodeRunFn({
+        filesSnapshot: buildSolutionSnapshot(cfg.files, { files: submission.files }),
+        timeoutMsDefault
+    })
+    const tests = withDefaults(cfg.tests, timeoutMsDefault)
+    if (isGrouped(tests)) {
+        const run = await runGroupedTests(tests, { runFn })
+        return { results: run.flatResults, error: run.error || null }
+    }
+    return { results: await runTests(tests, { runFn }), error: null }
+}
+
+function csvCell(v) {
+    const s = v == null ? '' : String(v)
+    return /[",\n\r]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s
+}
+
+const CSV_STATUS = { passed: 'PASS', failed: 'FAIL', skipped: 'SKIP' }
+
+function toCsv(cfg, reports) {
+    const ids = flattenTests(cfg.tests).map(t => String(t.id))
+    const hasThreshold = reports.some(r => r.summary.threshold !== null)
+    const header = ['submission', 'passed', 'total', 'earned', 'possible', 'percentage']
+    if (hasThreshold) header.push('meets_threshold')
+    header.push('error', ...ids)
+    const lines = [header]
+    for (const r of reports) {
+        const byId = new Map(r.tests.map(t => [String(t.id), t]))
+        const s = r.summary
+        const line = [r.submission, s.passed, ids.length, s.earned, s.possible, s.percentage]
+        if (hasThreshold) line.push(s.meetsThreshold ? 'yes' : 'no')
+        line.push(r.error || '')
+        for (const id of ids) {
+            const t = byId.get(id)
+            line.push(t ? CSV_STATUS[t.status] : '')
+        }
+        lines.push(line)
+    }
+    return lines.map(l => l.map(csvCell).join(',')).join('\n') + '\n'
+}
+
+async function main() {
+    const opts = parseArgs(process.argv.slice(2))
+    if (opts.help || opts.positional.length !== 2) {
+        console.log(USAGE)
+        process.exitCode = opts.help ? 0 : 1
+        return
+    }
+    const [configPath, submissionsDir] = opts.positional
+    const cfg = loadConfig(configPath)
+    const submissions = collectSubmissions(submissionsDir)
+    if (!submissions.length) throw new Error(`No .py or .zip submissions found in ${submissionsDir}`)
+
+    const reports = []
+    for (const s of submissions) {
+        process.stderr.write(`Marking ${s.file}... `)
+        const run = await markSubmission(cfg, s, opts.timeout)
+        const report = buildResultsReport(cfg, run.results, { submission: s.name, error: run.error })
+        process.stderr.write(report.error ? `${report.error}\n` : `${report.summary.passed}/${report.summary.total} passed (${report.summary.percentage}%)\n`)
+        reports.push(report)
+    }
+
+    fs.mkdirSync(path.dirname(path.resolve(opts.out)), { recursive: true })
+    const written = []
+    for (const format of opts.formats) {
+        const out = format === 'csv' ? { text: toCsv(cfg, reports), extension: 'csv' } : exportResults(format, reports)
+        fs.writeFileSync(`${opts.out}.${out.extension}`, out.text)
+        written.push(`${opts.out}.${out.extension}`)
+    }
+    process.stderr.write(`Wrote ${written.join(', ')}\n`)
+}
+
+main().catch((e) => {
+    console.error(e && e.message ? e.message : e)
+    process.exitCode = 1
+})
@@ -0,0 +1,89 @@
+// Node-side runFn for runTests / runGroupedTests.
+// Node counterpart of js/test-runner-sandbox.js: AST tests are evaluated in
+// this process, every other test runs in its own child process with a fresh
+// MicroPython instance (see test-worker.mjs) which is killed on timeout.
+
+import { fork } from 'node:child_process'
+import { fileURLToPath } from 'node:url'
+import { analyzeCode } from '../js/ast-analyzer.js'
+
+const WORKER_PATH = fileURLToPath(new URL('./test-worker.mjs', import.meta.url))
+const VENDOR_DIR = fileURLToPath(new URL('../vendor/', import.meta.url))
+
+// Same shapes createSandboxedRunFn accepts for AST rules
+function getAstRule(test) {
+    if (!test) return null
+    if (test.astRule) return test.astRule
+    if (test.pattern && test.pattern.astRule) return test.pattern.astRule
+    if (test.pattern && (test.pattern.expression || test.pattern.matcher)) return test.pattern
+    if (test.type === 'ast') {
+        const expression = test.expression || test.ast_expression || ''
+        const matcher = test.matcher || test.ast_matcher || ''
+        return (expression || matcher) ? { expression, matcher } : {}
+    }
+    return null
+}
+
+async function runAstTest(test, rule, mainCode) {
+    try {
+        const code = typeof test.main === 'string' && test.main.trim() ? test.main : mainCode
+        const result = rule.expression ? await analyzeCode(code, rule.expression) : null
+        let passed = !!result
+        if (typeof rule.matcher === 'string' && rule.matcher.trim()) {
+            try {
+                const evaluateMatch = new Function('result', `try { return ${rule.matcher.trim()} } catch (e) { return false }`)
+                passed = !!evaluateMatch(result)
+            } catch (_e) { passed = false }
+        }
+        return { stdout: JSON.stringify(result || null), stderr: '', durationMs: 0, astPassed: passed, astResult: result }
+    } catch (e) {
+        return { stdout: '', stderr: String(e || ''), durationMs: 0, astPassed: false }
+    }
+}
+
+function runInWorker(test, files, timeoutMs) {
+    return new Promise((resolve) => {
+        const start = Date.now()
+        const child = fork(WORKER_PATH, [], { stdio: ['ignore', 'inherit', 'inherit', 'ipc'] })
+        let settled = false
+        const finish = (result) => {
+            if (settled) return
+            settled = true
+            clearTimeout(timer)
+            if (child.exitCode === null) child.kill()
+            resolve(result)
+        }
+        const timer = setTimeout(() => {
+            finish({ stdout: '', stderr: 'timeout', durationMs: Date.now() - start, reason: 'timeout' })
+        }, timeoutMs)
+        child.on('message', (m) => { if (m && m.type === 'result') finish(m.result) })
+        child.on('error', (e) => finish({ stdout: '', stderr: String(e && e.message ? e.message : e), durationMs: Date.now() - start }))
+        child.on('exit', () => finish({ stdout: '', stderr: 'The test runner stopped unexpectedly', durationMs: Date.now() - start }))
+        child.send({
+            test,
+            files,
+            wasmPath: VENDOR_DIR + 'micropython.wasm',
+            mjsPath: VENDOR_DIR + 'micropython.mjs'
+        })
+    })
+}
+
+/**
+ * Create a runFn that runs tests against a files snapshot in Node.
+ * @param {Object} options
+ * @param {Object<string, string>} options.filesSnapshot - path -> text, including /main.py
+ * @param {number} [options.timeoutMsDefault=20000] - used when a test has no timeoutMs
+ * @returns {function(Object): Promise<Object>}
+ */
+export function createNodeRunFn({ filesSnapshot = {}, timeoutMsDefault = 20000 } = {}) {
+    const mainCode = filesSnapshot['/main.py'] || ''
+    return async function runFn(test) {
+        const rule = getAstRule(test)
+        if (rule) return runAstTest(test, rule, mainCode)
+        // Allow the same grace as the sandbox so runTests reports the timeout
+        const timeoutMs = (typeof test.timeoutMs === 'number' ? test.timeoutMs : timeoutMsDefault) + 500
+        return runInWorker(test, filesSnapshot, timeoutMs)
+    }
+}
+
+export default { createNodeRunFn }
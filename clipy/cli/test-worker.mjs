@@ -0,0 +1,174 @@
+// Child process that runs a single test against a fresh MicroPython instance.
+// Forked by node-runner.mjs, which kills it when the test times out. A child
+// process rather than a worker thread because the runtime polls stdin for
+// Ctrl-C between bytecodes, which needs a real stdin file descriptor.
+//
+// This mirrors tests/runner.js (the browser iframe runner): the files
+// snapshot plus test.setup/test.files and fixtures are applied to the runtime FS, then
+// __pre.py, main.py (or a function-test harness) and __post.py are imported.
+// In coverage mode the student's files are instrumented first (test-coverage.js).
+// Prompts are added to stdout and each input is echoed on its own line.
+
+import { pathToFileURL } from 'node:url'
+import { buildFunctionHarness } from '../js/function-test.js'
+import { getTranscriptInputs } from '../js/transcript-test.js'
+import { getExpectedFilePaths } from '../js/output-files-test.js'
+import { buildSeedPrelude } from '../js/test-seed.js'
+import { getFixtures, applyFixturesToFS, withHostWrites } from '../js/test-fixtures.js'
+import { getCoverageFiles, instrumentFiles, buildCoveragePrelude, collectCoverage } from '../js/test-coverage.js'
+
+function stdinQueueFor(t) {
+    if (t && t.type === 'transcript') return getTranscriptInputs(t)
+    if (Array.isArray(t && t.stdin)) return t.stdin.map(String)
+    if (t && typeof t.stdin === 'string') return t.stdin.split('\n')
+    return []
+}
+
+// Join streamed chunks the same way tests/runner.js does: add a newline
+// between chunks unless one side already has whitespace at the boundary.
+function assemble(buf) {
+    let out = ''
+    for (let i = 0; i < buf.length; i++) {
+        const cur = String(buf[i] || '')
+        if (i > 0) {
+            const prev = out.length ? out[out.length - 1] : ''
+            const nextFirst = cur.length ? cur[0] : ''
+            if (prev && nextFirst && !/\s/.test(prev) && !/\s/.test(nextFirst)) out += '\n'
+        }
+        out += cur
+    }
+    return out
+}
+
+function writeFiles(mp, map) {
+    for (const [p, content] of Object.entries(map || {})) {
+        if (typeof content !== 'string') continue
+        const path = p.startsWith('/') ? p : '/' + p
+        const dir = path.split('/').slice(0, -1).join('/') || '/'
+        try { mp.FS.mkdirTree(dir) } catch (_e) { }
+        try { withHostWrites(mp.FS, () => mp.FS.writeFile(path, content)) } catch (_e) { }
+    }
+}
+
+function hasFile(t, name) {
+    return [t.setup, t.files].some(m => m && typeof m === 'object' && (m['/' + name] || m[name]))
+}
+
+async function run({ test, files, wasmPath, mjsPath }) {
+    const start = Date.now()
+    let stdoutBuf = []
+    let stderrBuf = []
+    const marks = []
+    const queue = stdinQueueFor(test)
+
+    const { loadMicroPython } = await import(pathToFileURL(mjsPath).href)
+    const mp = await loadMicroPython({
+        url: wasmPath,
+        linebuffer: true,
+        stdout: (t) => stdoutBuf.push(String(t)),
+        stderr: (t) => stderrBuf.push(String(t)),
+        inputHandler: async (prompt) => {
+            if (prompt) stdoutBuf.push(String(prompt))
+            const v = queue.length ? String(queue.shift()) : ''
+            marks.push({ at: stdoutBuf.length, input: v, echoed: v !== '' })
+            if (v !== '') stdoutBuf.push(v + '\n')
+            return v
+        }
+    })
+
+    writeFiles(mp, files)
+    // Coverage mode replaces the student's files with instrumented copies
+    const coverageFiles = test.coverage ? await instrumentFiles(getCoverageFiles(files, test)) : null
+    if (coverageFiles) writeFiles(mp, coverageFiles)
+    writeFiles(mp, test.setup)
+    writeFiles(mp, test.files)
+    applyFixturesToFS(mp.FS, getFixtures(test))
+    if (typeof test.main === 'string' && test.main) writeFiles(mp, { '/main.py': test.main })
+
+    const runImport = async (code) => {
+        try {
+            await mp.runPythonAsync(code)
+            return null
+        } catch (e) {
+            const filtered = String(e || '').split('\n').filter(l => !l.includes('File "<stdin>"')).join('\n')
+            if (filtered) stderrBuf.push(filtered)
+            return e
+        }
+    }
+
+    let mainError = null
+    let postError = null
+    if (coverageFiles) await runImport(buildCoveragePrelude(Object.keys(coverageFiles)))
+    const seedPrelude = buildSeedPrelude(test.seed)
+    if (seedPrelude) await runImport(seedPrelude)
+    if (hasFile(test, '__pre.py')) {
+        const preError = await runImport('import __pre')
+        if (preError) {
+            return { stdout: assemble(stdoutBuf), stderr: '❌ Test setup failed (__pre.py)\n\n' + assemble(stderrBuf), durationMs: Date.now() - start, reason: 'preConfigError' }
+        }
+    }
+    if (test.type === 'function') {
+        try {
+            mainError = await runImport(buildFunctionHarness(test))
+        } catch (e) {
+            mainError = e
+            stderrBuf.push(String(e && e.message ? e.message : e))
+        }
+    } else if (typeof test.entry === 'string' && test.entry && !test.main) {
+        mainError = await runImport('import ' + test.entry.replace(/\.[^/.]+$/, ''))
+    } else {
+        mainError = await runImport('import main')
+    }
+    if (hasFile(test, '__post.py')) postError = await runImport('import __post')
+
+    const out = { durationMs: Date.now() - start }
+    if (coverageFiles) {
+        const coverage = await collectCoverage(runImport, mp)
+        if (coverage) out.coverage = coverage
+    }
+    const rawStdoutChunks = stdoutBuf
+
+    const paths = getExpectedFilePaths(test)
+    if (paths.length) {
+        out.files = {}
+        for (const p of paths) {
+            try { out.files[p] = mp.FS.readFile(p, { encoding: 'utf8' }) } catch (_e) { out.files[p] = null }
+        }
+    }
+
+    // Some tracebacks arrive through stdout; move them to stderr
+    if (!stderrBuf.length && stdoutBuf.length) {
+        const joined = stdoutBuf.join('')
+        const tbIdx = joined.indexOf('Traceback')
+        if (tbIdx !== -1) {
+            stdoutBuf = tbIdx ? [joined.slice(0, tbIdx)] : []
+            stderrBuf = [joined.slice(tbIdx)]
+        }
+    }
+
+    if (test.type === 'transcript') {
+        out.transcript = []
+        let from = 0
+        for (const m of marks) {
+            out.transcript.push({ output: assemble(rawStdoutChunks.slice(from, m.at)), input: m.input })
+            from = m.at + (m.echoed ? 1 : 0)
+        }
+        out.transcript.push({ output: assemble(rawStdoutChunks.slice(from)), input: null })
+    }
+
+    out.stdout = assemble(stdoutBuf)
+    out.stderr = assemble(stderrBuf)
+    if (postError) {
+        out.stderr = '❌ Test verification failed (__post.py)\n\n' + out.stderr
+        out.reason = 'postConfigError'
+    } else if (mainError) {
+        out.reason = String(mainError)
+    }
+    return out
+}
+
+process.once('message', (job) => {
+    run(job)
+        .catch(e => ({ stdout: '', stderr: String(e && e.message ? e.message : e), durationMs: 0 }))
+        .then(result => process.send({ type: 'result', result }, () => process.exit(0)))
+})
@@ -1,4 +1,26 @@
 // AST analyzer: robust variable analysis and normalized ctx access
+import { findPatternMatches } from './ast-pattern.js';
+
+// Checks run by the `style` analysis, in the order they are documented
+const STYLE_CHECKS = ['function_names', 'variable_names', 'class_names', 'constant_names', 'line_length', 'singleton_comparison', 'bare_except', 'star_import'];
+
+// Names Python (and MicroPython) provide without an import
+const PYTHON_BUILTINS = new Set([
+    'abs', 'all', 'any', 'ascii', 'bin', 'bool', 'breakpoint', 'bytearray', 'bytes', 'callable', 'chr', 'classmethod',
+    'compile', 'complex', 'delattr', 'dict', 'dir', 'divmod', 'enumerate', 'eval', 'exec', 'exit', 'filter', 'float',
+    'format', 'frozenset', 'getattr', 'globals', 'hasattr', 'hash', 'help', 'hex', 'id', 'input', 'int', 'isinstance',
+    'issubclass', 'iter', 'len', 'list', 'locals', 'map', 'max', 'memoryview', 'min', 'next', 'object', 'oct', 'open',
+    'ord', 'pow', 'print', 'property', 'quit', 'range', 'repr', 'reversed', 'round', 'set', 'setattr', 'slice',
+    'sorted', 'staticmethod', 'str', 'sum', 'super', 'tuple', 'type', 'vars', 'zip', '__import__', '__name__',
+    '__file__', '__doc__', '__build_class__', 'NotImplemented', 'Ellipsis', 'const',
+    'BaseException', 'Exception', 'ArithmeticError', 'AssertionError', 'AttributeError', 'EOFError', 'GeneratorExit',
+    'ImportError', 'ModuleNotFoundError', 'IndexError', 'KeyError', 'KeyboardInterrupt', 'LookupError', 'MemoryError',
+    'NameError', 'NotImplementedError', 'OSError', 'IOError', 'EnvironmentError', 'OverflowError', 'RecursionError',
+    'RuntimeError', 'StopIteration', 'StopAsyncIteration', 'SyntaxError', 'IndentationError', 'TabError', 'SystemExit',
+    'TypeError', 'UnboundLocalError', 'ValueError', 'ZeroDivisionError', 'FileNotFoundError', 'FileExistsError',
+    'PermissionError', 'IsADirectoryError', 'NotADirectoryError', 'TimeoutError', 'UnicodeError', 'UnicodeDecodeError',
+    'UnicodeEncodeError', 'Warning', 'UserWarning', 'DeprecationWarning', 'RuntimeWarning'
+]);
 
 let pyAst = null;
 
@@ -10,6 +32,10 @@ async function initializePyAst() {
 export class ASTAnalyzer {
     constructor() {
         this.cache = new Map();
+        // Parser errors for code that failed to parse, keyed like the cache
+        this.errors = new Map();
+        // Source of each parsed tree, for checks that need the text
+        this.sources = new WeakMap();
         this.initialized = false;
     }
 
@@ -36,19 +62,44 @@ export class ASTAnalyzer {
         if (!this.initialized) await this.initialize();
         const k = this.hashCode(code);
         if (this.cache.has(k)) return this.cache.get(k);
+        if (this.cache.size > 100) {
+            const oldest = this.cache.keys().next().value;
+            this.cache.delete(oldest);
+            this.errors.delete(oldest);
+        }
         try {
             const ast = pyAst.parse(code);
-            if (this.cache.size > 100) this.cache.delete(this.cache.keys().next().value);
             this.cache.set(k, ast);
+            this.sources.set(ast, code);
             return ast;
         } catch (e) {
             this.cache.set(k, null);
+            this.errors.set(k, {
+                message: String((e && e.message) || e),
+                lineno: e && typeof e.lineno === 'number' ? e.lineno : null,
+                col_offset: e && typeof e.col_offset === 'number' ? e.col_offset : null,
+                end_lineno: e && typeof e.end_lineno === 'number' ? e.end_lineno : null,
+                end_col_offset: e && typeof e.end_col_offset === 'number' ? e.end_col_offset : null
+            });
             return null;
         }
     }
 
+    /**
+     * The parser error for code that does not parse, or null when it parses.
+     * @param {string} code - Python source code
+     * @returns {Promise<{message: string, lineno: ?number, col_offset: ?number, end_lineno: ?number, end_col_offset: ?number}|null>}
+     */
+    async getParseError(code) {
+        const ast = await this.parse(code);
+        if (ast) return null;
+        return this.errors.get(this.hashCode(code)) || null;
+    }
+
     analyze(ast, expression) {
         if (!ast || !expression) return null;
+        // The snippet of a code pattern may itself contain colons
+        if (expression.startsWith('pattern:')) return this.analyzePattern(ast, expression.slice('pattern:'.length));
         const [type, target] = expression.split(':');
         switch (type) {
             case 'variable_usage': return this.analyzeVariables(ast, target);
@@ -68,6 +119,12 @@ export class ASTAnalyzer {
             case 'magic_numbers': return this.analyzeMagicNumbers(ast, target);
             case 'exception_handling': return this.analyzeExceptionHandling(ast, target);
             case 'comprehensions': return this.analyzeComprehensions(ast, target);
+            case 'recursion': return this.analyzeRecursion(ast, target);
+            case 'return_paths': return this.analyzeReturnPaths(ast, target);
+            case 'function_signature': return this.analyzeFunctionSignature(ast, target);
+            case 'function_metrics': return this.analyzeFunctionMetrics(ast, target);
+            case 'dataflow': return this.analyzeDataflow(ast, target);
+            case 'style': return this.analyzeStyle(ast, target);
             default: return this.genericQuery(ast, expression);
         }
     }
@@ -727,7 +784,7 @@ export class ASTAnalyzer {
             case 'no_hardcoded_values':
                 return this.checkHardcodedValues(ast);
             case 'proper_naming':
-                return this.checkNamingConventions ? this.checkNamingConventions(ast) : null;
+                return this.analyzeStyle(ast, 'naming');
             case 'complexity':
                 return this.calculateComplexity(ast);
             default:
@@ -783,6 +840,1222 @@ export class ASTAnalyzer {
         return details;
     }
 
+    /**
+     * Every function definition with the class it is defined in, if any.
+     */
+    collectFunctionDefs(ast) {
+        const defs = [];
+        const walk = (node, className) => {
+            if (!node || typeof node !== 'object') return;
+            if (Array.isArray(node)) return node.forEach(n => walk(n, className));
+            if (node.nodeType === 'FunctionDef' || node.nodeType === 'AsyncFunctionDef') {
+                defs.push({ node, name: node.name, className, qualname: className ? `${className}.${node.name}` : node.name });
+                // Functions nested in a function are not methods
+                walk(node.body, null);
+                return;
+            }
+            if (node.nodeType === 'ClassDef') {
+                walk(node.body, node.name);
+                return;
+            }
+            for (const k of Object.keys(node)) {
+                const c = node[k];
+                if (c && typeof c === 'object') walk(c, className);
+            }
+        };
+        walk(ast && ast.body, null);
+        return defs;
+    }
+
+    // Name of a called function: f(...) or self.f(...) / cls.f(...)
+    calledFunctionName(call) {
+        const func = call && call.func;
+        if (!func) return null;
+        if (func.nodeType === 'Name') return func.id;
+        if (func.nodeType === 'Attribute' && func.value && func.value.nodeType === 'Name' && ['self', 'cls'].includes(func.value.id)) return func.attr;
+        return null;
+    }
+
+    // Calls in a function body, leaving out functions and classes nested in it
+    collectCallsInFunction(fn) {
+        const calls = [];
+        const walk = (node) => {
+            if (!node || typeof node !== 'object') return;
+            if (Array.isArray(node)) return node.forEach(walk);
+            if (['FunctionDef', 'AsyncFunctionDef', 'ClassDef', 'Lambda'].includes(node.nodeType)) return;
+            if (node.nodeType === 'Call') {
+                const name = this.calledFunctionName(node);
+                if (name) calls.push({ name, lineno: node.lineno || null });
+            }
+            for (const k of Object.keys(node)) {
+                const c = node[k];
+                if (c && typeof c === 'object') walk(c);
+            }
+        };
+        walk(fn.body);
+        return calls;
+    }
+
+    /**
+     * Whether an expression always calls one of `names` when evaluated. Calls
+     * in a branch of `x if c else y`, after the first operand of `and`/`or`,
+     * inside a lambda or per item of a comprehension may not happen.
+     */
+    alwaysCalls(expr, names) {
+        if (!expr || typeof expr !== 'object') return false;
+        if (Array.isArray(expr)) return expr.some(e => this.alwaysCalls(e, names));
+        switch (expr.nodeType) {
+            case 'Lambda':
+            case 'FunctionDef':
+            case 'AsyncFunctionDef':
+            case 'ClassDef':
+                return false;
+            case 'IfExp':
+                return this.alwaysCalls(expr.test, names) || (this.alwaysCalls(expr.body, names) && this.alwaysCalls(expr.orelse, names));
+            case 'BoolOp':
+                return this.alwaysCalls((expr.values || [])[0], names);
+            case 'ListComp':
+            case 'SetComp':
+            case 'GeneratorExp':
+            case 'DictComp':
+                return this.alwaysCalls(((expr.generators || [])[0] || {}).iter, names);
+            case 'Call': {
+                const name = this.calledFunctionName(expr);
+                if (name && names.has(name)) return true;
+                break;
+            }
+        }
+        for (const k of Object.keys(expr)) {
+            const c = expr[k];
+            if (c && typeof c === 'object' && this.alwaysCalls(c, names)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Whether some path through a block finishes (falls through, returns or
+     * raises) without calling one of `names`: the base case of a recursion.
+     * Returns the set of ways out of the block: 'next' and/or 'exit'.
+     */
+    escapesWithoutCalling(stmts, names) {
+        let states = new Set(['next']);
+        for (const s of stmts || []) {
+            if (!states.has('next')) break;
+            states.delete('next');
+            for (const out of this.escapeStatement(s, names)) states.add(out);
+        }
+        return states;
+    }
+
+    escapeStatement(s, names) {
+        const block = (list) => this.escapesWithoutCalling(list, names);
+        const union = (...sets) => new Set(sets.flatMap(x => Array.from(x)));
+        switch (s.nodeType) {
+            case 'Return':
+            case 'Raise':
+                return this.alwaysCalls(s.value || s.exc, names) ? new Set() : new Set(['exit']);
+            case 'If':
+                if (this.alwaysCalls(s.test, names)) return new Set();
+                return union(block(s.body), s.orelse && s.orelse.length ? block(s.orelse) : new Set(['next']));
+            case 'For':
+            case 'AsyncFor':
+            case 'While':
+                // The loop may run no times
+                if (this.alwaysCalls(s.iter || s.test, names)) return new Set();
+                return union(new Set(['next']), block(s.body));
+            case 'Try':
+                return union(block(s.body), ...(s.handlers || []).map(h => block(h.body)));
+            case 'With':
+            case 'AsyncWith':
+                if (this.alwaysCalls(s.items, names)) return new Set();
+                return block(s.body);
+            case 'FunctionDef':
+            case 'AsyncFunctionDef':
+            case 'ClassDef':
+                return new Set(['next']);
+            default:
+                return this.alwaysCalls(s, names) ? new Set() : new Set(['next']);
+        }
+    }
+
+    /**
+     * Direct and mutual recursion. With a function name, the report for that
+     * function (null when it is not defined); otherwise the recursive
+     * functions (null when there are none).
+     */
+    analyzeRecursion(ast, target) {
+        const defs = this.collectFunctionDefs(ast);
+        if (!defs.length) return null;
+        const byName = new Map();
+        for (const d of defs) if (!byName.has(d.name)) byName.set(d.name, d);
+
+        // Call graph between defined functions
+        const edges = new Map();
+        const callLines = new Map();
+        for (const d of byName.values()) {
+            const calls = this.collectCallsInFunction(d.node).filter(c => byName.has(c.name));
+            edges.set(d.name, new Set(calls.map(c => c.name)));
+            callLines.set(d.name, calls);
+        }
+
+        // Strongly connected components (Tarjan)
+        const index = new Map();
+        const low = new Map();
+        const onStack = new Set();
+        const stack = [];
+        const componentOf = new Map();
+        let counter = 0;
+        const connect = (v) => {
+            index.set(v, counter);
+            low.set(v, counter);
+            counter++;
+            stack.push(v);
+            onStack.add(v);
+            for (const w of edges.get(v)) {
+                if (!index.has(w)) {
+                    connect(w);
+                    low.set(v, Math.min(low.get(v), low.get(w)));
+                } else if (onStack.has(w)) {
+                    low.set(v, Math.min(low.get(v), index.get(w)));
+                }
+            }
+            if (low.get(v) === index.get(v)) {
+                const component = [];
+                let w;
+                do {
+                    w = stack.pop();
+                    onStack.delete(w);
+                    component.push(w);
+                } while (w !== v);
+                component.forEach(n => componentOf.set(n, component));
+            }
+        };
+        for (const name of byName.keys()) if (!index.has(name)) connect(name);
+
+        const reports = Array.from(byName.values()).map(d => {
+            const cycle = componentOf.get(d.name) || [d.name];
+            const direct = edges.get(d.name).has(d.name);
+            const mutual = cycle.length > 1;
+            const recursive = direct || mutual;
+            const inCycle = new Set(cycle);
+            const recursiveCalls = recursive
+                ? Array.from(new Set(callLines.get(d.name).filter(c => inCycle.has(c.name)).map(c => c.lineno).filter(Boolean))).sort((a, b) => a - b)
+                : [];
+            return {
+                name: d.name,
+                lineno: d.node.lineno,
+                recursive,
+                direct,
+                mutual,
+                cycle: mutual ? cycle.slice().sort() : (direct ? [d.name] : []),
+                recursiveCalls,
+                hasBaseCase: recursive ? this.escapesWithoutCalling(d.node.body, inCycle).size > 0 : null
+            };
+        });
+
+        if (target && target !== '*') return reports.find(r => r.name === target) || null;
+        const recursive = reports.filter(r => r.recursive);
+        return recursive.length > 0 ? {
+            functions: recursive,
+            count: recursive.length,
+            direct: recursive.filter(r => r.direct).map(r => r.name),
+            mutual: recursive.filter(r => r.mutual).map(r => r.name),
+            missingBaseCase: recursive.filter(r => !r.hasBaseCase).map(r => r.name)
+        } : null;
+    }
+
+    /**
+     * Ways out of a block for return-path analysis: 'next' (falls through),
+     * 'value' (returns a value), 'none' (bare return), 'raise', 'break' and
+     * 'continue'. Bare returns are collected in `bare`.
+     */
+    blockExits(stmts, bare) {
+        let states = new Set(['next']);
+        for (const s of stmts || []) {
+            if (!states.has('next')) break;
+            states.delete('next');
+            for (const out of this.statementExits(s, bare)) states.add(out);
+        }
+        return states;
+    }
+
+    statementExits(s, bare) {
+        const union = (...sets) => new Set(sets.flatMap(x => Array.from(x)));
+        const loopExits = (body, orelse, endless) => {
+            const inner = this.blockExits(body, bare);
+            const out = new Set();
+            for (const e of inner) {
+                if (e === 'break') out.add('next');
+                else if (e !== 'continue' && e !== 'next') out.add(e);
+            }
+            // Finishing normally runs the else block
+            if (!endless) for (const e of (orelse && orelse.length ? this.blockExits(orelse, bare) : new Set(['next']))) out.add(e);
+            return out;
+        };
+        switch (s.nodeType) {
+            case 'Return':
+                if (s.value) return new Set(['value']);
+                bare.push(s.lineno);
+                return new Set(['none']);
+            case 'Raise':
+                return new Set(['raise']);
+            case 'Break':
+                return new Set(['break']);
+            case 'Continue':
+                return new Set(['continue']);
+            case 'If':
+                return union(this.blockExits(s.body, bare), s.orelse && s.orelse.length ? this.blockExits(s.orelse, bare) : new Set(['next']));
+            case 'While': {
+                const endless = s.test && s.test.nodeType === 'Constant' && !!s.test.value;
+                return loopExits(s.body, s.orelse, endless);
+            }
+            case 'For':
+            case 'AsyncFor':
+                return loopExits(s.body, s.orelse, false);
+            case 'Try': {
+                const finalExits = s.finalbody && s.finalbody.length ? this.blockExits(s.finalbody, bare) : null;
+                // A finally block that always leaves decides the outcome
+                if (finalExits && !finalExits.has('next')) return finalExits;
+                let body = this.blockExits(s.body, bare);
+                if (body.has('next') && s.orelse && s.orelse.length) {
+                    body.delete('next');
+                    body = union(body, this.blockExits(s.orelse, bare));
+                }
+                return union(body, ...(s.handlers || []).map(h => this.blockExits(h.body, bare)));
+            }
+            case 'With':
+            case 'AsyncWith':
+                return this.blockExits(s.body, bare);
+            case 'Match':
+                return union(new Set(['next']), ...(s.cases || []).map(c => this.blockExits(c.body, bare)));
+            default:
+                return new Set(['next']);
+        }
+    }
+
+    /**
+     * Whether every path through a function returns a value. A path that
+     * raises counts as handled; one that ends with a bare `return` or falls
+     * off the end returns None.
+     */
+    analyzeReturnPaths(ast, target) {
+        const defs = this.collectFunctionDefs(ast);
+        if (!defs.length) return null;
+        const reports = defs.map(d => {
+            const bare = [];
+            const exits = this.blockExits(d.node.body, bare);
+            const returnLines = [];
+            const findReturns = (node) => {
+                if (!node || typeof node !== 'object') return;
+                if (Array.isArray(node)) return node.forEach(findReturns);
+                if (['FunctionDef', 'AsyncFunctionDef', 'ClassDef', 'Lambda'].includes(node.nodeType)) return;
+                if (node.nodeType === 'Return' && node.value) returnLines.push(node.lineno);
+                for (const k of Object.keys(node)) {
+                    const c = node[k];
+                    if (c && typeof c === 'object') findReturns(c);
+                }
+            };
+            findReturns(d.node.body);
+            const returnsValue = exits.has('value');
+            const fallsOffEnd = exits.has('next');
+            return {
+                name: d.name,
+                lineno: d.node.lineno,
+                returnsValue,
+                allPathsReturn: returnsValue && !fallsOffEnd && !exits.has('none'),
+                fallsOffEnd,
+                bareReturns: Array.from(new Set(bare)).sort((a, b) => a - b),
+                returnLines: Array.from(new Set(returnLines)).sort((a, b) => a - b)
+            };
+        });
+        if (target && target !== '*') return reports.find(r => r.name === target) || null;
+        return {
+            functions: reports,
+            count: reports.length,
+            // Functions that return a value on some paths but not others
+            missingReturns: reports.filter(r => r.returnsValue && !r.allPathsReturn).map(r => r.name)
+        };
+    }
+
+    /**
+     * Parameters of a function: names, kinds, defaults and annotations (as
+     * source text), and the return annotation. `parameters` counts named
+     * parameters, leaving out `self`/`cls` of methods.
+     */
+    analyzeFunctionSignature(ast, target) {
+        const defs = this.collectFunctionDefs(ast);
+        if (!defs.length) return null;
+        const text = (node) => {
+            if (!node) return null;
+            try { return pyAst.unparse(node); } catch (_e) { return node.id || null; }
+        };
+        const reports = defs.map(d => {
+            const a = d.node.args || {};
+            const params = [];
+            const positional = [...(a.posonlyargs || []), ...(a.args || [])];
+            const defaults = a.defaults || [];
+            const firstDefault = positional.length - defaults.length;
+            positional.forEach((p, i) => {
+                const def = i >= firstDefault ? defaults[i - firstDefault] : null;
+                params.push({ name: p.arg, kind: i < (a.posonlyargs || []).length ? 'positional_only' : 'positional', default: text(def), hasDefault: !!def, annotation: text(p.annotation) });
+            });
+            if (a.vararg) params.push({ name: a.vararg.arg, kind: 'var_positional', default: null, hasDefault: false, annotation: text(a.vararg.annotation) });
+            (a.kwonlyargs || []).forEach((p, i) => {
+                const def = (a.kw_defaults || [])[i] || null;
+                params.push({ name: p.arg, kind: 'keyword_only', default: text(def), hasDefault: !!def, annotation: text(p.annotation) });
+            });
+            if (a.kwarg) params.push({ name: a.kwarg.arg, kind: 'var_keyword', default: null, hasDefault: false, annotation: text(a.kwarg.annotation) });
+
+            const isMethod = !!d.className;
+            const named = params.filter((p, i) => !['var_positional', 'var_keyword'].includes(p.kind) && !(isMethod && i === 0 && ['self', 'cls'].includes(p.name)));
+            return {
+                name: d.name,
+                qualname: d.qualname,
+                lineno: d.node.lineno,
+                isMethod,
+                parameters: named.length,
+                parameterNames: named.map(p => p.name),
+                params,
+                defaults: params.filter(p => p.hasDefault).length,
+                varargs: !!a.vararg,
+                kwargs: !!a.kwarg,
+                returns: text(d.node.returns),
+                fullyAnnotated: named.every(p => !!p.annotation) && !!d.node.returns
+            };
+        });
+        if (target && target !== '*') return reports.find(r => r.name === target || r.qualname === target) || null;
+        return { functions: reports, count: reports.length };
+    }
+
+    /**
+     * Size and shape of one function: cyclomatic complexity (1 plus one per
+     * decision: if/elif, loop, except, conditional expression, extra
+     * and/or operand, comprehension loop or filter, assert, match case),
+     * deepest nesting of compound statements, number of statements and
+     * number of parameters (as in function_signature). Functions and classes
+     * nested in it are measured on their own.
+     */
+    measureFunction(def) {
+        let complexity = 1;
+        let statements = 0;
+        let nesting = 0;
+        const nested = ['FunctionDef', 'AsyncFunctionDef', 'ClassDef'];
+        const compound = ['If', 'For', 'AsyncFor', 'While', 'Try', 'TryStar', 'With', 'AsyncWith', 'Match'];
+        const decisions = ['If', 'IfExp', 'For', 'AsyncFor', 'While', 'ExceptHandler', 'Assert', 'MatchCase'];
+        // Decisions in expressions and statement headers
+        const count = (node) => {
+            if (!node || typeof node !== 'object') return;
+            if (Array.isArray(node)) return node.forEach(count);
+            if (nested.includes(node.nodeType)) return;
+            if (decisions.includes(node.nodeType)) complexity++;
+            if (node.nodeType === 'BoolOp') complexity += Math.max(0, (node.values || []).length - 1);
+            if (node.nodeType === 'Comprehension') complexity += 1 + (node.ifs || []).length;
+            for (const k of Object.keys(node)) {
+                const c = node[k];
+                if (c && typeof c === 'object') count(c);
+            }
+        };
+        const block = (stmts, depth) => {
+            for (const s of stmts || []) {
+                statements++;
+                if (nested.includes(s.nodeType)) continue;
+                const inner = compound.includes(s.nodeType) ? depth + 1 : depth;
+                if (inner > nesting) nesting = inner;
+                for (const k of Object.keys(s)) {
+                    const c = s[k];
+                    if (!c || typeof c !== 'object') continue;
+                    if (['body', 'orelse', 'finalbody'].includes(k)) {
+                        // `elif` continues the `if` rather than nesting in it
+                        const elif = k === 'orelse' && s.nodeType === 'If' && c.length === 1 && c[0].nodeType === 'If';
+                        if (elif) {
+                            statements--;
+                            block(c, depth);
+                        } else {
+                            block(c, inner);
+                        }
+                    } else if (k === 'handlers' || k === 'cases') {
+                        for (const h of c) {
+                            count({ ...h, body: null });
+                            block(h.body, inner);
+                        }
+                    } else {
+                        count(c);
+                    }
+                }
+                if (decisions.includes(s.nodeType)) complexity++;
+            }
+        };
+        block(def.node.body, 0);
+
+        const a = def.node.args || {};
+        const positional = [...(a.posonlyargs || []), ...(a.args || [])];
+        const skipFirst = def.className && positional.length && ['self', 'cls'].includes(positional[0].arg) ? 1 : 0;
+        return {
+            name: def.name,
+            qualname: def.qualname,
+            lineno: def.node.lineno,
+            complexity,
+            nesting,
+            statements,
+            parameters: positional.length - skipFirst + (a.kwonlyargs || []).length
+        };
+    }
+
+    /**
+     * Complexity, nesting, statement and parameter counts for every function
+     * and method, with the largest of each. The target is a function name
+     * (or Class.method) to report on one function, or a threshold such as
+     * `complexity>8` to report only the functions over it (null when none
+     * are). Thresholds compare complexity, nesting, statements or
+     * parameters with >, >=, <, <= or ==.
+     */
+    analyzeFunctionMetrics(ast, target) {
+        const defs = this.collectFunctionDefs(ast);
+        if (!defs.length) return null;
+        const all = defs.map(d => this.measureFunction(d));
+        const summarize = (functions) => {
+            const max = (key) => functions.reduce((m, f) => Math.max(m, f[key]), 0);
+            const worst = functions.reduce((w, f) => (!w || f.complexity > w.complexity ? f : w), null);
+            return {
+                functions,
+                count: functions.length,
+                maxComplexity: max('complexity'),
+                maxNesting: max('nesting'),
+                maxStatements: max('statements'),
+                maxParameters: max('parameters'),
+                averageComplexity: Math.round(functions.reduce((s, f) => s + f.complexity, 0) / functions.length * 100) / 100,
+                name: worst.name,
+                line: worst.lineno
+            };
+        };
+        if (!target || target === '*') return summarize(all);
+
+        const threshold = /^\s*(complexity|nesting|statements|parameters)\s*(>=|<=|==|>|<)\s*(\d+)\s*$/.exec(target);
+        if (!threshold) return all.find(f => f.name === target || f.qualname === target) || null;
+        const [, metric, op, raw] = threshold;
+        const value = Number(raw);
+        const compare = { '>': (x) => x > value, '>=': (x) => x >= value, '<': (x) => x < value, '<=': (x) => x <= value, '==': (x) => x === value }[op];
+        const over = all.filter(f => compare(f[metric]));
+        if (!over.length) return null;
+        // Report the offenders in source order, and name the first one
+        const result = summarize(over);
+        result.name = over[0].name;
+        result.line = over[0].lineno;
+        result.threshold = { metric, op, value };
+        result.bindings = { name: over[0].qualname, value: String(over[0][metric]) };
+        return result;
+    }
+
+    /**
+     * PEP 8 naming and style checks. The target lists checks to run (or
+     * `naming`), `-name` to skip one and `line_length=100` to set the limit;
+     * with none listed all run. Returns null when nothing is found or the
+     * target names an unknown check.
+     */
+    analyzeStyle(ast, target) {
+        if (!ast || !Array.isArray(ast.body)) return null;
+        const naming = ['function_names', 'variable_names', 'class_names', 'constant_names'];
+        const { checks, maxLineLength, unknown } = this.parseStyleTarget(target);
+        if (unknown.length) {
+            import('./logger.js').then(m => m.warn('Unknown style check:', unknown.join(', '))).catch(() => console.warn('Unknown style check:', unknown.join(', ')));
+            return null;
+        }
+        const issues = [];
+        const report = (check, node, message, name = null) => {
+            issues.push({ check, name, line: (node && node.lineno) || 1, col_offset: (node && node.col_offset) || 0, message });
+        };
+        const isSnake = (n) => /^_{0,2}[a-z][a-z0-9_]*$/.test(n) || /^_+$/.test(n);
+        const isCapWords = (n) => /^_?[A-Z][a-zA-Z0-9]*$/.test(n);
+        const isUpper = (n) => /^_{0,2}[A-Z][A-Z0-9_]*$/.test(n);
+        const toSnake = (n) => n.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+        const toCapWords = (n) => n.replace(/(^|_+)([a-zA-Z0-9])/g, (_m, _u, c) => c.toUpperCase());
+
+        // Names unittest and similar frameworks require in camelCase
+        const frameworkNames = new Set(['setUp', 'tearDown', 'setUpClass', 'tearDownClass', 'setUpModule', 'tearDownModule', 'asyncSetUp', 'asyncTearDown']);
+        const walk = (node, visit) => {
+            if (!node || typeof node !== 'object') return;
+            if (Array.isArray(node)) return node.forEach(n => walk(n, visit));
+            if (node.nodeType) visit(node);
+            for (const k of Object.keys(node)) {
+                const c = node[k];
+                if (c && typeof c === 'object') walk(c, visit);
+            }
+        };
+
+        if (checks.has('function_names') || checks.has('class_names') || checks.has('singleton_comparison') || checks.has('bare_except') || checks.has('star_import')) {
+            walk(ast.body, (node) => {
+                const t = node.nodeType;
+                if ((t === 'FunctionDef' || t === 'AsyncFunctionDef') && checks.has('function_names') && !isSnake(node.name) && !frameworkNames.has(node.name)) {
+                    report('function_names', node, `function \`${node.name}\` should be in snake_case: \`${toSnake(node.name)}\``, node.name);
+                } else if (t === 'ClassDef' && checks.has('class_names') && !isCapWords(node.name)) {
+                    report('class_names', node, `class \`${node.name}\` should be in CapWords: \`${toCapWords(node.name)}\``, node.name);
+                } else if (t === 'Compare' && checks.has('singleton_comparison')) {
+                    let left = node.left;
+                    (node.ops || []).forEach((op, i) => {
+                        const right = (node.comparators || [])[i];
+                        const eq = op.nodeType === 'Eq';
+                        if (eq || op.nodeType === 'NotEq') {
+                            const singleton = [left, right].find(s => s && s.nodeType === 'Constant' && (s.value === null || s.value === true || s.value === false));
+                            if (singleton) {
+                                const value = singleton.value === null ? 'None' : (singleton.value ? 'True' : 'False');
+                                const written = `${eq ? '==' : '!='} ${value}`;
+                                let advice;
+                                if (value === 'None') advice = `use \`${eq ? 'is' : 'is not'} None\``;
+                                else advice = (singleton.value === eq) ? 'test the value itself (`if x:`)' : 'use `not` (`if not x:`)';
+                                report('singleton_comparison', node, `comparison \`${written}\`: ${advice}`, written);
+                            }
+                        }
+                        left = right;
+                    });
+                } else if (t === 'ExceptHandler' && checks.has('bare_except') && !node.type) {
+                    report('bare_except', node, 'bare `except:` also catches KeyboardInterrupt and SystemExit: name the exception, e.g. `except ValueError:`');
+                } else if (t === 'ImportFrom' && checks.has('star_import') && (node.names || []).some(a => a.name === '*')) {
+                    report('star_import', node, `\`from ${node.module || '.'} import *\` hides where names come from: import the names you need`, node.module || null);
+                }
+            });
+        }
+
+        if (checks.has('variable_names') || checks.has('constant_names')) {
+            const module = this.buildScopes(ast);
+            const scopes = [];
+            const collect = (s) => { scopes.push(s); s.children.forEach(collect); };
+            collect(module);
+            const variableKinds = new Set(['assign', 'unpack', 'loop', 'aug', 'comp', 'param', 'except', 'match']);
+            if (checks.has('variable_names')) {
+                for (const scope of scopes) {
+                    for (const [name, binds] of scope.bindings) {
+                        const first = binds.find(b => variableKinds.has(b.how));
+                        if (!first || isSnake(name)) continue;
+                        // Constants are UPPER_CASE at module and class level
+                        if ((scope.kind === 'module' || scope.kind === 'class') && isUpper(name)) continue;
+                        report('variable_names', first.node, `variable \`${name}\` should be in snake_case: \`${toSnake(name)}\``, name);
+                    }
+                }
+            }
+            if (checks.has('constant_names')) {
+                // Module names read inside functions or classes
+                const readInside = new Set();
+                for (const scope of scopes) {
+                    if (scope === module) continue;
+                    for (const r of scope.reads) if (this.resolveName(scope, r.name) === module) readInside.add(r.name);
+                }
+                const values = new Map();
+                for (const s of ast.body) {
+                    if (s.nodeType === 'Assign' && (s.targets || []).length === 1 && s.targets[0].nodeType === 'Name') values.set(s.targets[0], s.value);
+                }
+                const literal = (v) => !!v && ((v.nodeType === 'Constant' && v.value !== null) ||
+                    (v.nodeType === 'UnaryOp' && literal(v.operand)) ||
+                    (v.nodeType === 'Tuple' && (v.elts || []).every(literal)));
+                for (const [name, binds] of module.bindings) {
+                    if (binds.some(b => ['def', 'class', 'import'].includes(b.how))) continue;
+                    if (isUpper(name) && binds.length > 1) {
+                        const changed = binds[1].node;
+                        report('constant_names', changed, `\`${name}\` is named like a constant but is changed on line ${changed.lineno || '?'}: use a lowercase name for values that change`, name);
+                    } else if (!isUpper(name) && !name.startsWith('_') && binds.length === 1 && binds[0].how === 'assign' && readInside.has(name) && literal(values.get(binds[0].node))) {
+                        report('constant_names', binds[0].node, `\`${name}\` is a module constant (set once and used in functions): name it in UPPER_CASE, \`${toSnake(name).toUpperCase()}\``, name);
+                    }
+                }
+            }
+        }
+
+        if (checks.has('line_length')) {
+            const source = this.sources.get(ast);
+            if (typeof source === 'string') {
+                source.split(/\r?\n/).forEach((text, i) => {
+                    if (text.length > maxLineLength) report('line_length', { lineno: i + 1, col_offset: maxLineLength }, `line is ${text.length} characters long (limit ${maxLineLength}): break it up`);
+                });
+            }
+        }
+
+        if (!issues.length) return null;
+        issues.sort((a, b) => a.line - b.line || a.col_offset - b.col_offset);
+        const first = issues[0];
+        const result = {
+            issues,
+            count: issues.length,
+            line: first.line,
+            lines: Array.from(new Set(issues.map(i => i.line))),
+            name: first.name,
+            message: first.message,
+            bindings: { name: first.name || '', check: first.check, message: first.message },
+            checks: Array.from(checks)
+        };
+        for (const check of STYLE_CHECKS) result[check] = issues.filter(i => i.check === check);
+        result.naming = issues.filter(i => naming.includes(i.check));
+        return result;
+    }
+
+    // Checks, line limit and unrecognized names of a style target, e.g.
+    // `naming,line_length=100`
+    parseStyleTarget(target) {
+        const tokens = String(target || '').split(',').map(t => t.trim()).filter(t => t && t !== '*');
+        const unknown = [];
+        const expand = (name) => {
+            if (name === 'naming') return ['function_names', 'variable_names', 'class_names', 'constant_names'];
+            if (STYLE_CHECKS.includes(name)) return [name];
+            unknown.push(name);
+            return [];
+        };
+        let maxLineLength = 79;
+        // `line_length=100` on its own only sets the limit
+        const listed = tokens.filter(t => !t.startsWith('-') && !t.includes('='));
+        const checks = new Set(listed.length ? [] : STYLE_CHECKS);
+        for (const token of tokens) {
+            const [name, value] = token.replace(/^-/, '').split('=').map(s => s.trim());
+            if (token.startsWith('-')) {
+                expand(name).forEach(c => checks.delete(c));
+                continue;
+            }
+            expand(name).forEach(c => checks.add(c));
+            if (name === 'line_length' && value && Number(value) > 0) maxLineLength = Number(value);
+        }
+        return { checks, maxLineLength, unknown };
+    }
+
+    /**
+     * Scopes of a module for dataflow analysis: module, functions, lambdas,
+     * classes and comprehensions, each with the names it binds (and how) and
+     * the names read in it. Bindings under `global`/`nonlocal` are moved to
+     * the scope they belong to.
+     */
+    buildScopes(ast) {
+        const newScope = (kind, name, node, parent) => {
+            const scope = { kind, name, node, parent, bindings: new Map(), reads: [], globals: new Set(), nonlocals: new Set(), children: [], used: new Set(), starImport: false };
+            if (parent) parent.children.push(scope);
+            return scope;
+        };
+        const bind = (scope, name, node, how) => {
+            if (!scope.bindings.has(name)) scope.bindings.set(name, []);
+            scope.bindings.get(name).push({ node, how });
+        };
+        const params = (args) => args ? [...(args.posonlyargs || []), ...(args.args || []), ...(args.vararg ? [args.vararg] : []), ...(args.kwonlyargs || []), ...(args.kwarg ? [args.kwarg] : [])] : [];
+        const visitArgs = (args, scope) => {
+            if (!args) return;
+            visit(args.defaults, scope);
+            visit((args.kw_defaults || []).filter(Boolean), scope);
+            params(args).forEach(a => visit(a.annotation, scope));
+        };
+        const bindTarget = (t, scope, how) => {
+            if (!t) return;
+            if (t.nodeType === 'Name') bind(scope, t.id, t, how);
+            else if (t.nodeType === 'Tuple' || t.nodeType === 'List') (t.elts || []).forEach(e => bindTarget(e, scope, how === 'assign' ? 'unpack' : how));
+            else if (t.nodeType === 'Starred') bindTarget(t.value, scope, how);
+            else visit(t, scope);
+        };
+        const visit = (node, scope) => {
+            if (!node || typeof node !== 'object') return;
+            if (Array.isArray(node)) return node.forEach(n => visit(n, scope));
+            switch (node.nodeType) {
+                case 'FunctionDef':
+                case 'AsyncFunctionDef': {
+                    bind(scope, node.name, node, 'def');
+                    visit(node.decorator_list, scope);
+                    visitArgs(node.args, scope);
+                    visit(node.returns, scope);
+                    const fs = newScope('function', node.name, node, scope);
+                    params(node.args).forEach(a => bind(fs, a.arg, a, 'param'));
+                    visit(node.body, fs);
+                    return;
+                }
+                case 'Lambda': {
+                    visitArgs(node.args, scope);
+                    const ls = newScope('lambda', '<lambda>', node, scope);
+                    params(node.args).forEach(a => bind(ls, a.arg, a, 'param'));
+                    visit(node.body, ls);
+                    return;
+                }
+                case 'ClassDef': {
+                    bind(scope, node.name, node, 'class');
+                    visit(node.bases, scope);
+                    visit(node.keywords, scope);
+                    visit(node.decorator_list, scope);
+                    visit(node.body, newScope('class', node.name, node, scope));
+                    return;
+                }
+                case 'ListComp':
+                case 'SetComp':
+                case 'GeneratorExp':
+                case 'DictComp': {
+                    const gens = node.generators || [];
+                    if (gens[0]) visit(gens[0].iter, scope);
+                    const cs = newScope('comprehension', '<comprehension>', node, scope);
+                    gens.forEach((g, i) => {
+                        if (i) visit(g.iter, cs);
+                        bindTarget(g.target, cs, 'comp');
+                        visit(g.ifs, cs);
+                    });
+                    visit([node.elt, node.key, node.value], cs);
+                    return;
+                }
+                case 'Assign':
+                    visit(node.value, scope);
+                    (node.targets || []).forEach(t => bindTarget(t, scope, 'assign'));
+                    return;
+                case 'AugAssign':
+                    if (node.target && node.target.nodeType === 'Name') {
+                        scope.reads.push({ name: node.target.id, node: node.target });
+                        bind(scope, node.target.id, node.target, 'aug');
+                    } else {
+                        visit(node.target, scope);
+                    }
+                    visit(node.value, scope);
+                    return;
+                case 'AnnAssign':
+                    visit(node.annotation, scope);
+                    if (node.value) {
+                        visit(node.value, scope);
+                        bindTarget(node.target, scope, 'assign');
+                    } else if (node.target && node.target.nodeType !== 'Name') {
+                        visit(node.target, scope);
+                    }
+                    return;
+                case 'For':
+                case 'AsyncFor':
+                    visit(node.iter, scope);
+                    bindTarget(node.target, scope, 'loop');
+                    visit(node.body, scope);
+                    visit(node.orelse, scope);
+                    return;
+                case 'With':
+                case 'AsyncWith':
+                    (node.items || []).forEach(it => {
+                        visit(it.context_expr, scope);
+                        bindTarget(it.optional_vars, scope, 'assign');
+                    });
+                    visit(node.body, scope);
+                    return;
+                case 'ExceptHandler':
+                    visit(node.type, scope);
+                    if (node.name) bind(scope, node.name, node, 'except');
+                    visit(node.body, scope);
+                    return;
+                case 'Import':
+                    (node.names || []).forEach(a => bind(scope, a.asname || String(a.name).split('.')[0], node, 'import'));
+                    return;
+                case 'ImportFrom':
+                    (node.names || []).forEach(a => {
+                        if (a.name === '*') scope.starImport = true;
+                        else bind(scope, a.asname || a.name, node, 'import');
+                    });
+                    return;
+                case 'Global':
+                    (node.names || []).forEach(n => scope.globals.add(n));
+                    return;
+                case 'Nonlocal':
+                    (node.names || []).forEach(n => scope.nonlocals.add(n));
+                    return;
+                case 'NamedExpr': {
+                    visit(node.value, scope);
+                    // The walrus binds in the scope around any comprehension
+                    let target = scope;
+                    while (target.kind === 'comprehension' && target.parent) target = target.parent;
+                    bindTarget(node.target, target, 'assign');
+                    return;
+                }
+                case 'Name':
+                    scope.reads.push({ name: node.id, node });
+                    return;
+                case 'MatchAs':
+                case 'MatchStar':
+                    if (node.name) bind(scope, node.name, node, 'match');
+                    visit(node.pattern, scope);
+                    return;
+            }
+            for (const k of Object.keys(node)) {
+                const c = node[k];
+                if (c && typeof c === 'object') visit(c, scope);
+            }
+        };
+
+        const module = newScope('module', '<module>', ast, null);
+        visit(ast.body, module);
+
+        // Move bindings made under `global` / `nonlocal` to their scope
+        const enclosingFunction = (scope, name) => {
+            for (let p = scope.parent; p && p.kind !== 'module'; p = p.parent) {
+                if (p.kind !== 'class' && p.bindings.has(name) && !p.nonlocals.has(name)) return p;
+            }
+            return null;
+        };
+        const relocate = (scope) => {
+            for (const [name, binds] of Array.from(scope.bindings.entries())) {
+                const owner = scope.kind !== 'module' && scope.globals.has(name) ? module : (scope.nonlocals.has(name) ? enclosingFunction(scope, name) : null);
+                if (!owner) continue;
+                for (const b of binds) bind(owner, name, b.node, b.how === 'param' ? 'param' : 'global');
+                if (!binds.some(b => b.how === 'param')) scope.bindings.delete(name);
+            }
+            scope.children.forEach(relocate);
+        };
+        relocate(module);
+        return module;
+    }
+
+    /**
+     * The scope a name read in `scope` refers to, or null for builtins and
+     * names that are never assigned.
+     */
+    resolveName(scope, name) {
+        const module = (() => { let s = scope; while (s.parent) s = s.parent; return s; })();
+        if (scope.kind !== 'module' && scope.globals.has(name)) return module.bindings.has(name) ? module : null;
+        if (!scope.nonlocals.has(name) && scope.bindings.has(name)) return scope;
+        for (let p = scope.parent; p; p = p.parent) {
+            // Names bound in a class body are not visible inside its methods
+            if (p.kind === 'class') continue;
+            if (p.bindings.has(name) && (p.kind === 'module' || !p.globals.has(name))) return p;
+        }
+        return null;
+    }
+
+    /**
+     * Dataflow problems common in beginner code:
+     *  - unused_variable: assigned but never read
+     *  - use_before_assignment: read where it has no value on some path,
+     *    or never assigned at all
+     *  - unreachable_code: statements after return, raise, break, continue
+     *    or a loop that never ends
+     *  - shadowed_parameter: a parameter named like a global, or hidden by
+     *    `global` in its function
+     * The target picks one kind. `line`, `name` and `message` describe the
+     * first issue. Returns null when nothing is found.
+     */
+    analyzeDataflow(ast, target) {
+        if (!ast || !Array.isArray(ast.body)) return null;
+        const module = this.buildScopes(ast);
+        const issues = [];
+        const reported = new Set();
+        const report = (kind, name, node, scope, message) => {
+            const key = `${kind}:${scope.name}:${scope.node && scope.node.lineno}:${name}:${kind === 'unreachable_code' ? node.lineno : ''}`;
+            if (reported.has(key)) return;
+            reported.add(key);
+            issues.push({ kind, name, line: node.lineno || 1, col_offset: node.col_offset || 0, scope: scope.name, message });
+        };
+        const allScopes = [];
+        const collect = (s) => { allScopes.push(s); s.children.forEach(collect); };
+        collect(module);
+        const starImport = module.starImport;
+
+        // Mark the bindings every read refers to
+        for (const scope of allScopes) {
+            for (const r of scope.reads) {
+                const owner = this.resolveName(scope, r.name);
+                if (owner) owner.used.add(r.name);
+            }
+        }
+
+        // Assigned but never read
+        const reportable = new Set(['assign', 'except', 'global']);
+        for (const scope of allScopes) {
+            if (scope.kind !== 'module' && scope.kind !== 'function') continue;
+            for (const [name, binds] of scope.bindings) {
+                if (scope.used.has(name) || name.startsWith('_')) continue;
+                if (scope.kind === 'module' && (/^[A-Z][A-Z0-9_]*$/.test(name) || binds.some(b => b.how === 'import'))) continue;
+                const first = binds.find(b => reportable.has(b.how));
+                if (!first) continue;
+                const message = first.how === 'except'
+                    ? `the error saved as \`${name}\` is never used`
+                    : `\`${name}\` is assigned but never used`;
+                report('unused_variable', name, first.node, scope, message);
+            }
+        }
+
+        // Parameters named like globals, or hidden by `global`
+        for (const scope of allScopes) {
+            if (scope.kind !== 'function') continue;
+            for (const [name, binds] of scope.bindings) {
+                const param = binds.find(b => b.how === 'param');
+                if (!param) continue;
+                if (scope.globals.has(name)) {
+                    report('shadowed_parameter', name, param.node, scope, `\`global ${name}\` in \`${scope.name}\` hides its parameter \`${name}\`: the function uses the global instead of the value passed in`);
+                } else if (module.bindings.has(name)) {
+                    const g = module.bindings.get(name)[0];
+                    const what = g.how === 'def' ? 'function' : (g.how === 'class' ? 'class' : (g.how === 'import' ? 'imported name' : 'global variable'));
+                    const line = g.node && g.node.lineno ? ` (line ${g.node.lineno})` : '';
+                    report('shadowed_parameter', name, param.node, scope, `parameter \`${name}\` of \`${scope.name}\` has the same name as a ${what}${line}: inside \`${scope.name}\` it always means the parameter`);
+                }
+            }
+        }
+
+        // Flow through each scope: which names definitely have a value
+        const builtins = PYTHON_BUILTINS;
+        const meet = (a, b) => a === null ? b : (b === null ? a : new Set(Array.from(a).filter(x => b.has(x))));
+        const firstBindingLine = (scope, name) => {
+            const binds = scope.bindings.get(name) || [];
+            const lines = binds.map(b => b.node && b.node.lineno).filter(Boolean);
+            return lines.length ? Math.min(...lines) : null;
+        };
+        const scopeFor = (node) => allScopes.find(s => s.node === node);
+
+        const analyzeScope = (scope, body, initial) => {
+            // Names checked by flow in this scope; others only need to exist
+            const locals = new Set();
+            for (const [name, binds] of scope.bindings) {
+                if (binds.some(b => b.how !== 'global')) locals.add(name);
+            }
+            const loops = [];
+
+            const checkRead = (name, node, state, excluded) => {
+                if (excluded && excluded.has(name)) return;
+                if (locals.has(name)) {
+                    if (state.has(name)) return;
+                    const first = firstBindingLine(scope, name);
+                    let message;
+                    if (scope.kind === 'function' && module.bindings.has(name) && (!first || first >= node.lineno)) {
+                        message = `\`${name}\` is assigned in \`${scope.name}\`, so it is a local variable there and has no value yet at this point (use \`global ${name}\` to change the global)`;
+                    } else if (first && first < node.lineno) {
+                        message = `\`${name}\` might not have a value here: it is only assigned on some paths before this line`;
+                    } else {
+                        message = `\`${name}\` is used before it is assigned`;
+                    }
+                    report('use_before_assignment', name, node, scope, message);
+                    return;
+                }
+                if (this.resolveName(scope, name) || builtins.has(name) || starImport) return;
+                report('use_before_assignment', name, node, scope, `\`${name}\` is used but never assigned: check the spelling`);
+            };
+
+            // Reads in an expression, in evaluation order; the walrus binds
+            const reads = (expr, state, excluded) => {
+                if (!expr || typeof expr !== 'object') return;
+                if (Array.isArray(expr)) return expr.forEach(e => reads(e, state, excluded));
+                switch (expr.nodeType) {
+                    case 'Name':
+                        checkRead(expr.id, expr, state, excluded);
+                        return;
+                    case 'Lambda':
+                        // The body runs later
+                        reads(expr.args && expr.args.defaults, state, excluded);
+                        return;
+                    case 'NamedExpr':
+                        reads(expr.value, state, excluded);
+                        if (expr.target && expr.target.nodeType === 'Name') state.add(expr.target.id);
+                        return;
+                    case 'ListComp':
+                    case 'SetComp':
+                    case 'GeneratorExp':
+                    case 'DictComp': {
+                        const gens = expr.generators || [];
+                        if (gens[0]) reads(gens[0].iter, state, excluded);
+                        const inner = new Set(excluded || []);
+                        const names = (t) => {
+                            if (!t) return;
+                            if (t.nodeType === 'Name') inner.add(t.id);
+                            else if (t.elts) t.elts.forEach(names);
+                            else if (t.nodeType === 'Starred') names(t.value);
+                        };
+                        gens.forEach((g, i) => {
+                            if (i) reads(g.iter, state, inner);
+                            names(g.target);
+                            reads(g.ifs, state, inner);
+                        });
+                        reads([expr.elt, expr.key, expr.value], state, inner);
+                        return;
+                    }
+                }
+                for (const k of Object.keys(expr)) {
+                    const c = expr[k];
+                    if (c && typeof c === 'object') reads(c, state, excluded);
+                }
+            };
+
+            const assign = (t, state) => {
+                if (!t) return;
+                if (t.nodeType === 'Name') state.add(t.id);
+                else if (t.nodeType === 'Tuple' || t.nodeType === 'List') (t.elts || []).forEach(e => assign(e, state));
+                else if (t.nodeType === 'Starred') assign(t.value, state);
+                else reads(t, state);
+            };
+
+            const block = (stmts, state) => {
+                let current = state;
+                for (let i = 0; i < (stmts || []).length; i++) {
+                    const s = stmts[i];
+                    if (current === null) {
+                        const prev = stmts[i - 1];
+                        const cause = { Return: 'return', Raise: 'raise', Break: 'break', Continue: 'continue' }[prev && prev.nodeType];
+                        let message = 'this code never runs: every path before it returns, raises or leaves the loop';
+                        if (cause) message = `this code never runs: it comes after \`${cause}\``;
+                        else if (prev && prev.nodeType === 'While') message = 'this code never runs: the loop above never ends';
+                        report('unreachable_code', null, s, scope, message);
+                        return null;
+                    }
+                    current = statement(s, current);
+                }
+                return current;
+            };
+
+            const loop = (s, state, bodyState) => {
+                loops.push([]);
+                block(s.body, bodyState);
+                const breaks = loops.pop();
+                const endless = s.nodeType === 'While' && s.test && s.test.nodeType === 'Constant' && !!s.test.value;
+                let out = endless ? null : (s.orelse && s.orelse.length ? block(s.orelse, new Set(state)) : state);
+                for (const b of breaks) out = meet(out, b);
+                return out;
+            };
+
+            const statement = (s, incoming) => {
+                const state = new Set(incoming);
+                switch (s.nodeType) {
+                    case 'Expr':
+                    case 'Assert':
+                        reads(s.value || [s.test, s.msg], state);
+                        return state;
+                    case 'Assign':
+                        reads(s.value, state);
+                        (s.targets || []).forEach(t => assign(t, state));
+                        return state;
+                    case 'AugAssign':
+                        reads(s.target, state);
+                        reads(s.value, state);
+                        assign(s.target, state);
+                        return state;
+                    case 'AnnAssign':
+                        if (s.value) {
+                            reads(s.value, state);
+                            assign(s.target, state);
+                        }
+                        return state;
+                    case 'Return':
+                        reads(s.value, state);
+                        return null;
+                    case 'Raise':
+                        reads([s.exc, s.cause], state);
+                        return null;
+                    case 'Break':
+                        if (loops.length) loops[loops.length - 1].push(state);
+                        return null;
+                    case 'Continue':
+                        return null;
+                    case 'If': {
+                        reads(s.test, state);
+                        const a = block(s.body, new Set(state));
+                        const b = s.orelse && s.orelse.length ? block(s.orelse, new Set(state)) : state;
+                        return meet(a, b);
+                    }
+                    case 'While':
+                        reads(s.test, state);
+                        return loop(s, state, new Set(state));
+                    case 'For':
+                    case 'AsyncFor': {
+                        reads(s.iter, state);
+                        const bodyState = new Set(state);
+                        assign(s.target, bodyState);
+                        return loop(s, state, bodyState);
+                    }
+                    case 'Try': {
+                        const body = block(s.body, new Set(state));
+                        let out = body !== null && s.orelse && s.orelse.length ? block(s.orelse, body) : body;
+                        for (const h of s.handlers || []) {
+                            reads(h.type, state);
+                            const hs = new Set(state);
+                            if (h.name) hs.add(h.name);
+                            out = meet(out, block(h.body, hs));
+                        }
+                        if (s.finalbody && s.finalbody.length) {
+                            const fin = block(s.finalbody, out === null ? new Set(state) : out);
+                            return out === null ? null : fin;
+                        }
+                        return out;
+                    }
+                    case 'With':
+                    case 'AsyncWith':
+                        for (const it of s.items || []) {
+                            reads(it.context_expr, state);
+                            assign(it.optional_vars, state);
+                        }
+                        return block(s.body, state);
+                    case 'FunctionDef':
+                    case 'AsyncFunctionDef':
+                        reads([s.decorator_list, s.args && s.args.defaults, s.args && (s.args.kw_defaults || []).filter(Boolean)], state);
+                        state.add(s.name);
+                        return state;
+                    case 'ClassDef': {
+                        reads([s.bases, s.keywords, s.decorator_list], state);
+                        const cs = scopeFor(s);
+                        if (cs) analyzeScope(cs, s.body, new Set());
+                        state.add(s.name);
+                        return state;
+                    }
+                    case 'Import':
+                    case 'ImportFrom':
+                        for (const a of s.names || []) {
+                            if (a.name !== '*') state.add(a.asname || (s.nodeType === 'Import' ? String(a.name).split('.')[0] : a.name));
+                        }
+                        return state;
+                    case 'Delete':
+                        for (const t of s.targets || []) {
+                            reads(t, state);
+                            if (t.nodeType === 'Name') state.delete(t.id);
+                        }
+                        return state;
+                    case 'Match': {
+                        reads(s.subject, state);
+                        let out = state;
+                        for (const c of s.cases || []) {
+                            const cs = new Set(state);
+                            const captures = (p) => {
+                                if (!p || typeof p !== 'object') return;
+                                if (Array.isArray(p)) return p.forEach(captures);
+                                if ((p.nodeType === 'MatchAs' || p.nodeType === 'MatchStar') && p.name) cs.add(p.name);
+                                if (p.nodeType === 'MatchMapping' && p.rest) cs.add(p.rest);
+                                for (const k of Object.keys(p)) if (p[k] && typeof p[k] === 'object') captures(p[k]);
+                            };
+                            captures(c.pattern);
+                            reads(c.guard, cs);
+                            out = meet(out, block(c.body, cs));
+                        }
+                        return out;
+                    }
+                    default:
+                        return state;
+                }
+            };
+
+            block(body, initial);
+        };
+
+        analyzeScope(module, ast.body, new Set());
+        for (const scope of allScopes) {
+            if (scope.kind !== 'function') continue;
+            const initial = new Set();
+            for (const [name, binds] of scope.bindings) if (binds.some(b => b.how === 'param')) initial.add(name);
+            analyzeScope(scope, scope.node.body, initial);
+        }
+
+        const kinds = ['unused_variable', 'use_before_assignment', 'unreachable_code', 'shadowed_parameter'];
+        let found = issues.sort((a, b) => a.line - b.line || a.col_offset - b.col_offset);
+        if (target && target !== '*') found = found.filter(i => i.kind === target);
+        if (!found.length) return null;
+        const first = found[0];
+        // bindings let feedback messages say `$name` and `$message`
+        const result = { issues: found, count: found.length, line: first.line, name: first.name, message: first.message, bindings: { name: first.name || '', kind: first.kind, message: first.message } };
+        for (const kind of kinds) result[kind] = found.filter(i => i.kind === kind);
+        return result;
+    }
+
+    /**
+     * Find code with the shape of a Python snippet (see ast-pattern.js).
+     * Captured `$name` wildcards are returned as `bindings` (first match)
+     * and per match, as source text.
+     */
+    analyzePattern(ast, snippet) {
+        let matches;
+        try {
+            matches = findPatternMatches(ast, snippet, pyAst);
+        } catch (e) {
+            import('./logger.js').then(m => m.warn('Invalid code pattern:', e && e.message ? e.message : e)).catch(() => console.warn('Invalid code pattern:', e));
+            return null;
+        }
+        if (!matches.length) return null;
+        return {
+            pattern: snippet,
+            count: matches.length,
+            line: matches[0].line,
+            bindings: matches[0].bindings,
+            matches
+        };
+    }
+
     /**
      * Custom advanced query (placeholder for future expansion)
      */
@@ -862,7 +2135,9 @@ export class ASTAnalyzer {
             ast.body.forEach(traverse);
         }
 
-        return { complexity };
+        // Per-function figures, as reported by function_metrics
+        const functions = this.collectFunctionDefs(ast).map(d => this.measureFunction(d));
+        return { complexity, functions, maxComplexity: functions.reduce((m, f) => Math.max(m, f.complexity), 0) };
     }
 
     /**
@@ -0,0 +1,256 @@
+/**
+ * Structural code patterns for the AST analyzer
+ *
+ * A pattern is a Python snippet with wildcards, matched against the syntax
+ * tree of the student's code rather than its text:
+ *
+ *   _        matches any expression (or any statement on a line of its own)
+ *   $name    matches any expression and captures it; a name used twice
+ *            must match the same code both times
+ *   ...      in an argument or element list, matches any number of items
+ *
+ * `$name` also captures identifiers: `def $f($arg):` or `$obj.$method()`.
+ *
+ * Statements inside a block of the pattern match, in order, statements
+ * anywhere inside the matching block of the code, so
+ *
+ *   for $i in range(len($xs)):
+ *       if _:
+ *           $out.append(_)
+ *
+ * matches a `for` over `range(len(...))` that somewhere contains an `if`
+ * appending to a list, whatever else the loop does. Names ignore load/store
+ * context, and a pattern without annotations, decorators or a return type
+ * matches code that has them.
+ */
+
+const CAPTURE_PREFIX = '__pat_'
+const POSITION_KEYS = new Set(['lineno', 'col_offset', 'end_lineno', 'end_col_offset', 'ctx', 'type_comment', 'kind'])
+// Left out of the pattern, these match anything
+const OPTIONAL_KEYS = new Set(['annotation', 'returns', 'decorator_list', 'type_params'])
+const IDENTIFIER_KEYS = new Set(['id', 'attr', 'name', 'arg', 'asname'])
+const BLOCK_KEYS = new Set(['body', 'orelse', 'finalbody', 'handlers'])
+
+const compiled = new Map()
+
+function dedent(text) {
+    const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n')
+    while (lines.length && !lines[0].trim()) lines.shift()
+    while (lines.length && !lines[lines.length - 1].trim()) lines.pop()
+    const indents = lines.filter(l => l.trim()).map(l => /^[ \t]*/.exec(l)[0].length)
+    const cut = indents.length ? Math.min(...indents) : 0
+    return lines.map(l => l.slice(cut)).join('\n')
+}
+
+/**
+ * Parse a pattern snippet. Throws when the snippet is not valid Python once
+ * `$name` wildcards are replaced.
+ * @param {string} snippet
+ * @param {{parse: function(string): Object}} parser - py-ast
+ * @returns {{kind: 'expression'|'statements', node: ?Object, statements: ?Array<Object>}}
+ */
+export function compilePattern(snippet, parser) {
+    const source = dedent(snippet)
+    if (compiled.has(source)) return compiled.get(source)
+    if (!source.trim()) throw new Error('Empty code pattern')
+    const module = parser.parse(source.replace(/\$([A-Za-z_]\w*)/g, CAPTURE_PREFIX + '$1'))
+    const body = (module && module.body) || []
+    if (!body.length) throw new Error('Empty code pattern')
+    const pattern = body.length === 1 && body[0].nodeType === 'Expr'
+        ? { kind: 'expression', node: body[0].value, statements: null }
+        : { kind: 'statements', node: null, statements: body }
+    if (compiled.size > 50) compiled.delete(compiled.keys().next().value)
+    compiled.set(source, pattern)
+    return pattern
+}
+
+function isNode(v) {
+    return !!v && typeof v === 'object' && typeof v.nodeType === 'string'
+}
+
+function isWildcard(p) {
+    return isNode(p) && p.nodeType === 'Name' && p.id === '_'
+}
+
+function isEllipsis(p) {
+    return isNode(p) && p.nodeType === 'Constant' && p.value === '...'
+}
+
+function captureName(p) {
+    return isNode(p) && p.nodeType === 'Name' && p.id.startsWith(CAPTURE_PREFIX) ? p.id.slice(CAPTURE_PREFIX.length) : null
+}
+
+function nodeText(node, parser) {
+    if (typeof node === 'string') return node
+    try { return parser.unparse(node) } catch (_e) { }
+    return node && (node.id || node.name || node.arg) ? String(node.id || node.name || node.arg) : ''
+}
+
+function bind(bindings, name, value, parser) {
+    const text = nodeText(value, parser)
+    if (Object.prototype.hasOwnProperty.call(bindings, name)) return bindings[name] === text ? bindings : null
+    return { ...bindings, [name]: text }
+}
+
+// Statements of a block and, depth first, of every block nested in them
+function flattenStatements(statements) {
+    const out = []
+    const visit = (list) => {
+        for (const s of list || []) {
+            if (!isNode(s)) continue
+            if (s.nodeType !== 'ExceptHandler') out.push(s)
+            for (const key of BLOCK_KEYS) {
+                if (Array.isArray(s[key])) visit(s[key])
+            }
+        }
+    }
+    visit(statements)
+    return out
+}
+
+function matchList(ps, ts, bindings, parser, i = 0, j = 0) {
+    if (i === ps.length) return j === ts.length ? bindings : null
+    if (isEllipsis(ps[i])) {
+        for (let k = j; k <= ts.length; k++) {
+            const r = matchList(ps, ts, bindings, parser, i + 1, k)
+            if (r) return r
+        }
+        return null
+    }
+    if (j >= ts.length) return null
+    const b = matchNode(ps[i], ts[j], bindings, parser)
+    return b ? matchList(ps, ts, b, parser, i + 1, j + 1) : null
+}
+
+// Pattern statements in order, each anywhere after the previous one. When
+// given, `end.index` is set to the position in `flat` of the last one matched.
+function matchSequence(ps, flat, bindings, parser, i = 0, j = 0, end = null) {
+    if (i === ps.length) {
+        if (end) end.index = j - 1
+        return bindings
+    }
+    for (let k = j; k < flat.length; k++) {
+        const b = matchNode(ps[i], flat[k], bindings, parser)
+        if (!b) continue
+        const r = matchSequence(ps, flat, b, parser, i + 1, k + 1, end)
+        if (r) return r
+    }
+    return null
+}
+
+// Last line a node or anything nested in it is on. py-ast gives statements
+// no end_lineno, so look at every child.
+function lastLine(node) {
+    let last = 0
+    const visit = (v) => {
+        if (Array.isArray(v)) {
+            v.forEach(visit)
+            return
+        }
+        if (!v || typeof v !== 'object') return
+        if (isNode(v)) last = Math.max(last, v.end_lineno || 0, v.lineno || 0)
+        for (const [key, child] of Object.entries(v)) {
+            if (child && typeof child === 'object' && !POSITION_KEYS.has(key)) visit(child)
+        }
+    }
+    visit(node)
+    return last
+}
+
+function matchNode(p, t, bindings, parser) {
+    if (!isNode(p)) return p === t || (p == null && t == null) ? bindings : null
+    if (isWildcard(p)) return isNode(t) ? bindings : null
+    const name = captureName(p)
+    if (name) return isNode(t) ? bind(bindings, name, t, parser) : null
+    // `_` on a line of its own stands for any statement
+    if (p.nodeType === 'Expr' && isWildcard(p.value)) return isNode(t) ? bindings : null
+    if (!isNode(t) || t.nodeType !== p.nodeType) return null
+
+    let b = bindings
+    for (const key of Object.keys(p)) {
+        if (POSITION_KEYS.has(key)) continue
+        const pv = p[key]
+        const tv = t[key]
+        if (OPTIONAL_KEYS.has(key) && (pv == null || (Array.isArray(pv) && !pv.length))) continue
+        if (IDENTIFIER_KEYS.has(key) && typeof pv === 'string') {
+            if (pv === '_') continue
+            if (pv.startsWith(CAPTURE_PREFIX)) {
+                if (typeof tv !== 'string') return null
+                b = bind(b, pv.slice(CAPTURE_PREFIX.length), tv, parser)
+                if (!b) return null
+                continue
+            }
+        }
+        if (Array.isArray(pv)) {
+            const list = Array.isArray(tv) ? tv : []
+            if (key === 'handlers') b = matchSequence(pv, list, b, parser)
+            else if (BLOCK_KEYS.has(key)) b = matchSequence(pv, flattenStatements(list), b, parser)
+            else b = matchList(pv, list, b, parser)
+        } else if (pv && typeof pv === 'object') {
+            b = matchNode(pv, tv, b, parser)
+        } else if (pv !== tv && !(pv == null && tv == null)) {
+            return null
+        }
+        if (!b) return null
+    }
+    return b
+}
+
+/**
+ * Find every place in a module that matches a pattern.
+ * @param {Object} ast - parsed module
+ * @param {string} snippet - the pattern
+ * @param {{parse: function, unparse: function}} parser - py-ast
+ * @returns {Array<{line: number, endLine: number, col_offset: number, text: string, bindings: Object<string, string>}>}
+ */
+export function findPatternMatches(ast, snippet, parser) {
+    const pattern = compilePattern(snippet, parser)
+    const found = []
+    const record = (node, bindings, lastMatched = node) => {
+        found.push({
+            line: node.lineno || 0,
+            endLine: Math.max(lastLine(node), lastLine(lastMatched), node.lineno || 0),
+            col_offset: node.col_offset || 0,
+            text: nodeText(node, parser),
+            bindings
+        })
+    }
+
+    if (pattern.kind === 'expression') {
+        const visit = (v) => {
+            if (Array.isArray(v)) {
+                v.forEach(visit)
+                return
+            }
+            if (!v || typeof v !== 'object') return
+            if (isNode(v)) {
+                const b = matchNode(pattern.node, v, {}, parser)
+                if (b) record(v, b)
+            }
+            for (const [key, child] of Object.entries(v)) {
+                if (child && typeof child === 'object' && !POSITION_KEYS.has(key)) visit(child)
+            }
+        }
+        visit(ast && ast.body)
+    } else {
+        // Try every statement as the first one, with the rest of its block
+        // (and blocks nested in it) for the following pattern statements
+        const visitBlock = (list) => {
+            for (let s = 0; s < list.length; s++) {
+                const flat = flattenStatements(list.slice(s))
+                const first = matchNode(pattern.statements[0], flat[0], {}, parser)
+                const end = { index: 0 }
+                const b = first && matchSequence(pattern.statements, flat, first, parser, 1, 1, end)
+                if (b) record(list[s], b, flat[end.index])
+                for (const key of BLOCK_KEYS) {
+                    if (Array.isArray(list[s][key])) visitBlock(list[s][key])
+                }
+            }
+        }
+        visitBlock((ast && ast.body) || [])
+    }
+    found.sort((a, b) => a.line - b.line || a.col_offset - b.col_offset)
+    return found
+}
+
+export default { compilePattern, findPatternMatches }
@@ -7,6 +7,19 @@
  */
 import { sanitizeHtml, setInnerHTML } from './utils.js'
 
+// Checks of the 'style' analysis, in the order ast-analyzer.js runs them
+const STYLE_CHECKS = [
+    { value: 'function_names', label: 'Function names in snake_case' },
+    { value: 'variable_names', label: 'Variable names in snake_case' },
+    { value: 'class_names', label: 'Class names in CapWords' },
+    { value: 'constant_names', label: 'Module constants in UPPER_CASE' },
+    { value: 'line_length', label: 'Line length' },
+    { value: 'singleton_comparison', label: '== None / == True comparisons' },
+    { value: 'bare_except', label: 'Bare except:' },
+    { value: 'star_import', label: 'import *' }
+]
+const DEFAULT_LINE_LENGTH = 79
+
 /**
  * Create AST rule builder UI
  * @param {Object} existing - Existing rule configuration
@@ -100,7 +113,14 @@ export function createASTRuleBuilder(existing = {}, ruleType = 'feedback') {
         { value: 'import_statements', label: 'Import statements', help: 'Check for specific imports or import patterns' },
         { value: 'magic_numbers', label: 'Magic numbers', help: 'Detect hardcoded numbers that should be constants' },
         { value: 'exception_handling', label: 'Exception handling', help: 'Analyze try/except blocks and error handling' },
-        { value: 'comprehensions', label: 'Comprehensions', help: 'Inspect list/dict/set/generator comprehensions and their targets/ifs' }
+        { value: 'comprehensions', label: 'Comprehensions', help: 'Inspect list/dict/set/generator comprehensions and their targets/ifs' },
+        { value: 'recursion', label: 'Recursion', help: 'Find direct and mutual recursion (functions calling each other in a cycle) and check for a base case: a path through the function that does not recurse. Give a function name as the target to check one function.' },
+        { value: 'return_paths', label: 'Return paths', help: 'Check whether every path through a function returns a value, or whether some paths fall off the end or use a bare return (returning None). Paths that raise count as handled.' },
+        { value: 'function_signature', label: 'Function signature', help: 'Inspect parameters: count (without self/cls for methods), names, kinds, defaults and type annotations, and the return annotation. Target: function name or Class.method.' },
+        { value: 'function_metrics', label: 'Function metrics', help: 'Cyclomatic complexity, deepest nesting, statement count and parameter count of every function and method. Target: a function name (or Class.method), or a threshold like complexity>8, nesting>=4, statements>30 or parameters>5 to find only the functions over it. Use Function Metrics in the test area to tune thresholds.' },
+        { value: 'style', label: 'PEP 8 style', help: 'Naming (snake_case functions and variables, CapWords classes, UPPER_CASE module constants), line length, == None / == True comparisons, bare except: and import *. Choose the checks below; result.issues lists every problem with its line, and result.line is the first.' },
+        { value: 'dataflow', label: 'Dataflow', help: 'Find variables assigned but never used, names used before they are assigned (or never assigned), code that can never run, and parameters named like a global. Target: unused_variable, use_before_assignment, unreachable_code or shadowed_parameter to check one kind; leave empty for all.' },
+        { value: 'pattern', label: 'Code pattern', help: 'Find code shaped like a Python snippet. _ matches anything, $name matches anything and captures it (use $name in the feedback message), ... matches any number of arguments. Statements in a block match in order anywhere inside the matching block.' }
     ]
 
     astTypes.forEach(type => {
@@ -121,9 +141,78 @@ export function createASTRuleBuilder(existing = {}, ruleType = 'feedback') {
     astTarget.style.boxSizing = 'border-box'
     astTarget.placeholder = 'function or variable name, feature, etc'
 
-    // AST expression (generated automatically)
-    const astExpression = document.createElement('input')
-    astExpression.type = 'text'
+    // Code pattern snippet, used instead of the target for 'pattern'
+    const astPattern = document.createElement('textarea')
+    astPattern.rows = 4
+    astPattern.style.width = '100%'
+    astPattern.style.boxSizing = 'border-box'
+    astPattern.style.fontFamily = 'monospace'
+    astPattern.style.fontSize = '13px'
+    astPattern.style.resize = 'vertical'
+    astPattern.placeholder = 'for $i in range(len($xs)):\n    if _:\n        $out.append(_)'
+
+    // Style checks to run, used instead of the target for 'style'
+    const styleOptions = document.createElement('div')
+    styleOptions.style.display = 'grid'
+    styleOptions.style.gridTemplateColumns = 'repeat(auto-fill, minmax(220px, 1fr))'
+    styleOptions.style.gap = '4px 12px'
+    styleOptions.style.fontSize = '0.9em'
+    const styleBoxes = {}
+    STYLE_CHECKS.forEach(check => {
+        const label = document.createElement('label')
+        label.style.display = 'flex'
+        label.style.alignItems = 'center'
+        label.style.gap = '6px'
+        const cb = document.createElement('input')
+        cb.type = 'checkbox'
+        cb.checked = true
+        label.appendChild(cb)
+        label.appendChild(document.createTextNode(check.label))
+        styleBoxes[check.value] = cb
+        styleOptions.appendChild(label)
+    })
+    const lineLength = document.createElement('input')
+    lineLength.type = 'number'
+    lineLength.min = '40'
+    lineLength.max = '200'
+    lineLength.value = String(DEFAULT_LINE_LENGTH)
+    lineLength.style.width = '60px'
+    lineLength.title = 'Longest allowed line'
+    styleBoxes.line_length.parentNode.appendChild(lineLength)
+
+    // Target for the selected checks: empty when all run with the default limit
+    function styleTarget() {
+        const limit = Number(lineLength.value) > 0 ? Number(lineLength.value) : DEFAULT_LINE_LENGTH
+        const enabled = STYLE_CHECKS.filter(c => styleBoxes[c.value].checked).map(c => c.value)
+        if (!enabled.length) return STYLE_CHECKS.map(c => `-${c.value}`).join(',')
+        const parts = enabled.length === STYLE_CHECKS.length ? [] : enabled
+        if (styleBoxes.line_length.checked && limit !== DEFAULT_LINE_LENGTH) {
+            const i = parts.indexOf('line_length')
+            if (i >= 0) parts[i] = `line_length=${limit}`
+            else parts.push(`line_length=${limit}`)
+        }
+        return parts.join(',')
+    }
+
+    // Tick the checks a saved style target selects (see analyzeStyle)
+    function applyStyleTarget(target) {
+        const tokens = String(target || '').split(',').map(t => t.trim()).filter(Boolean)
+        const expand = (name) => name === 'naming' ? ['function_names', 'variable_names', 'class_names', 'constant_names'] : [name]
+        const listed = tokens.some(t => !t.startsWith('-') && !t.includes('='))
+        STYLE_CHECKS.forEach(c => { styleBoxes[c.value].checked = !listed })
+        for (const token of tokens) {
+            const [name, value] = token.replace(/^-/, '').split('=')
+            expand(name).forEach(n => { if (styleBoxes[n]) styleBoxes[n].checked = !token.startsWith('-') })
+            if (name === 'line_length' && value) lineLength.value = value
+        }
+    }
+
+    // AST expression (generated automatically). A textarea so multi-line
+    // code patterns keep their line breaks.
+    const astExpression = document.createElement('textarea')
+    astExpression.rows = 1
+    astExpression.style.resize = 'none'
+    astExpression.style.fontFamily = 'inherit'
     astExpression.style.width = '100%'
     astExpression.style.boxSizing = 'border-box'
     astExpression.readOnly = true
@@ -179,6 +268,23 @@ export function createASTRuleBuilder(existing = {}, ruleType = 'feedback') {
         • <code>result && result.annotation === 'int'</code> (variable_usage: annotated variable)<br>
         • <code>result && result.annotations && result.annotations.some(a => a.name === 'x' && a.annotation === 'int')</code> (variable_usage: annotations list)<br>
         • <code>result && result.comprehensions && result.comprehensions.some(c => c.type === 'ListComp' && c.generators === 1)</code> (comprehensions)
+        <br>• <code>result && result.recursive && result.hasBaseCase</code> (recursion with target)
+        <br>• <code>result && result.mutual.length &gt; 0</code> (recursion: any mutual recursion)
+        <br>• <code>result && !result.allPathsReturn</code> (return_paths with target)
+        <br>• <code>result && result.missingReturns.length &gt; 0</code> (return_paths: some function misses a return)
+        <br>• <code>result && result.parameters === 2 && result.parameterNames[0] === 'numbers'</code> (function_signature)
+        <br>• <code>result && result.params.some(p =&gt; p.name === 'sep' && p.default === "' '")</code> (function_signature: default value)
+        <br>• <code>result && result.fullyAnnotated</code> (function_signature: type hints everywhere)
+        <br>• <code>result && result.maxComplexity &lt;= 8</code> (function_metrics: no function above complexity 8)
+        <br>• <code>result && result.functions.every(f =&gt; f.nesting &lt;= 3 && f.parameters &lt;= 4)</code> (function_metrics)
+        <br>• <code>result && result.count &gt; 0</code> (function_metrics:complexity&gt;8: some function is over)
+        <br>• <code>result && result.naming.length &gt; 0</code> (style: some name breaks PEP 8)
+        <br>• <code>result && result.line_length.length &gt; 2</code> (style: more than two long lines)
+        <br>• <code>result && result.issues.some(i =&gt; i.check === 'bare_except')</code> (style)
+        <br>• <code>result && result.unused_variable.length &gt; 0</code> (dataflow: some variable is never used)
+        <br>• <code>result && result.issues.some(i =&gt; i.name === 'total')</code> (dataflow: a problem with <code>total</code>)
+        <br>• <code>result && result.count &gt;= 2</code> (pattern: found at least twice)
+        <br>• <code>result && result.bindings.xs !== 'items'</code> (pattern: check a captured <code>$xs</code>)
         <br>• <code>result && result.functions && result.functions.some(f => f.name === 'print' && f.count &gt; 0)</code> (function_calls: all functions)
         <br>• <code>result && result.name === 'calculate' && result.count &gt;= 1</code> (function_calls: target-specific)
     `)
@@ -237,6 +343,43 @@ export function createASTRuleBuilder(existing = {}, ruleType = 'feedback') {
                     return [{ tryCount: 1, tryBlocks: [{ calls: [{ name: 'do_work' }] }] }, { tryCount: 0 }]
                 case 'comprehensions':
                     return [{ comprehensions: [{ type: 'ListComp', generators: 1 }] }, { comprehensions: [] }]
+                // With a target these report on one function, otherwise on all
+                case 'recursion': {
+                    const fn = { name: target || 'fact', recursive: true, direct: true, mutual: false, cycle: [target || 'fact'], recursiveCalls: [4], hasBaseCase: true }
+                    if (target) return [fn, { ...fn, direct: false, mutual: true, cycle: [target, 'helper'], hasBaseCase: false }]
+                    return [{ functions: [fn], count: 1, direct: ['fact'], mutual: [], missingBaseCase: [] }, { functions: [fn], count: 1, direct: [], mutual: ['fact'], missingBaseCase: ['fact'] }]
+                }
+                case 'return_paths': {
+                    const fn = { name: target || 'grade', returnsValue: true, allPathsReturn: false, fallsOffEnd: true, bareReturns: [], returnLines: [3] }
+                    if (target) return [fn, { ...fn, allPathsReturn: true, fallsOffEnd: false }]
+                    return [{ functions: [fn], count: 1, missingReturns: ['grade'] }, { functions: [fn], count: 1, missingReturns: [] }]
+                }
+                case 'function_signature': {
+                    const fn = { name: target || 'average', qualname: target || 'average', isMethod: false, parameters: 1, parameterNames: ['numbers'], params: [{ name: 'numbers', kind: 'positional', default: null, hasDefault: false, annotation: 'list' }], defaults: 0, varargs: false, kwargs: false, returns: 'float', fullyAnnotated: true }
+                    if (target) return [fn, { ...fn, parameters: 2, parameterNames: ['numbers', 'sep'], params: [...fn.params, { name: 'sep', kind: 'positional', default: "' '", hasDefault: true, annotation: null }], defaults: 1, fullyAnnotated: false }]
+                    return [{ functions: [fn], count: 1 }, { functions: [], count: 0 }]
+                }
+                case 'function_metrics': {
+                    const fn = { name: 'grade', qualname: 'grade', lineno: 1, complexity: 9, nesting: 3, statements: 14, parameters: 2 }
+                    const summary = { functions: [fn], count: 1, maxComplexity: 9, maxNesting: 3, maxStatements: 14, maxParameters: 2, averageComplexity: 9, name: 'grade', line: 1 }
+                    if (target && /[<>=]/.test(target)) return [{ ...summary, threshold: { metric: 'complexity', op: '>', value: 8 }, bindings: { name: 'grade', value: '9' } }, { ...summary, functions: [], count: 0 }]
+                    if (target) return [{ ...fn, name: target, qualname: target }, { ...fn, name: target, qualname: target, complexity: 2, nesting: 1 }]
+                    return [summary, { ...summary, functions: [{ ...fn, complexity: 3 }], maxComplexity: 3, averageComplexity: 3 }]
+                }
+                case 'style': {
+                    const issue = { check: 'function_names', name: 'getTotal', line: 4, col_offset: 0, message: 'function `getTotal` should be in snake_case: `get_total`' }
+                    const result = { issues: [issue], count: 1, line: 4, lines: [4], name: issue.name, message: issue.message, bindings: { name: issue.name, check: issue.check, message: issue.message }, checks: STYLE_CHECKS.map(c => c.value), naming: [issue] }
+                    STYLE_CHECKS.forEach(c => { result[c.value] = c.value === issue.check ? [issue] : [] })
+                    return [result, { ...result, issues: [], count: 0, lines: [], naming: [], function_names: [] }]
+                }
+                case 'dataflow': {
+                    const issue = { kind: target || 'unused_variable', name: 'total', line: 2, col_offset: 4, scope: '<module>', message: '`total` is assigned but never used' }
+                    const result = { issues: [issue], count: 1, line: 2, name: 'total', message: issue.message, bindings: { name: 'total', kind: issue.kind, message: issue.message }, unused_variable: [], use_before_assignment: [], unreachable_code: [], shadowed_parameter: [] }
+                    result[issue.kind] = [issue]
+                    return [result, { ...result, issues: [], count: 0, [issue.kind]: [] }]
+                }
+                case 'pattern':
+                    return [{ count: 1, line: 3, bindings: { xs: 'values' }, matches: [{ line: 3, bindings: { xs: 'values' } }] }, { count: 2, line: 1, bindings: {}, matches: [{ line: 1, bindings: {} }, { line: 4, bindings: {} }] }]
                 default:
                     // Generic samples
                     return [{}, {}]
@@ -292,26 +435,57 @@ export function createASTRuleBuilder(existing = {}, ruleType = 'feedback') {
     // Function to update AST expression based on UI selections
     function updateASTExpression() {
         const analysisType = astTypeSelect.value
+        const isPattern = analysisType === 'pattern'
+        const isStyle = analysisType === 'style'
         const target = astTarget.value.trim()
 
-        if (target) {
+        if (isPattern) {
+            astExpression.value = `pattern:${astPattern.value.replace(/\s+$/, '')}`
+        } else if (isStyle) {
+            const checks = styleTarget()
+            astExpression.value = checks ? `style:${checks}` : 'style'
+        } else if (target) {
             astExpression.value = `${analysisType}:${target}`
         } else {
             astExpression.value = analysisType
         }
+        astExpression.rows = Math.min(8, astExpression.value.split('\n').length)
+        targetField.style.display = isPattern || isStyle ? 'none' : ''
+        patternField.style.display = isPattern ? '' : 'none'
+        styleField.style.display = isStyle ? '' : 'none'
 
-        // Update preview
+        // Update preview (built from text nodes: patterns can contain < and >)
         const selectedOption = astTypeSelect.querySelector(`option[value="${analysisType}"]`)
         const help = selectedOption ? selectedOption.getAttribute('data-help') : ''
-        try { setInnerHTML(astPreview, `<strong>Expression:</strong> ${astExpression.value}<br><strong>Description:</strong> ${help}`) } catch (_e) { astPreview.textContent = `${astExpression.value} — ${help}` }
+        astPreview.textContent = ''
+        const expressionLabel = document.createElement('strong')
+        expressionLabel.textContent = 'Expression: '
+        const descriptionLabel = document.createElement('strong')
+        descriptionLabel.textContent = 'Description: '
+        astPreview.appendChild(expressionLabel)
+        astPreview.appendChild(document.createTextNode(astExpression.value))
+        astPreview.appendChild(document.createElement('br'))
+        astPreview.appendChild(descriptionLabel)
+        astPreview.appendChild(document.createTextNode(help))
     }
 
+    const targetField = labeled('Target [optional]', astTarget, 'Specific target to look for (function name, variable name, etc.). Leave empty for general analysis.')
+    const patternField = labeled('Code pattern', astPattern, 'Python code to look for. _ matches any expression, $name matches one and captures it as result.bindings.name (and $name in the feedback message); using $name twice requires the same code. ... matches any number of arguments.')
+
+    const styleField = labeled('Style checks', styleOptions, 'PEP 8 checks to run. Each issue reports its line, and the first one is highlighted in the editor when the feedback shows.')
+
     // Event listeners
     astTypeSelect.addEventListener('change', updateASTExpression)
     astTarget.addEventListener('input', updateASTExpression)
+    astPattern.addEventListener('input', updateASTExpression)
+    Object.values(styleBoxes).forEach(cb => cb.addEventListener('change', updateASTExpression))
+    lineLength.addEventListener('input', updateASTExpression)
 
     // Set initial values if editing existing rule
-    if (existing.expression) {
+    if (existing.expression && existing.expression.startsWith('pattern:')) {
+        astTypeSelect.value = 'pattern'
+        astPattern.value = existing.expression.slice('pattern:'.length)
+    } else if (existing.expression) {
         const parts = existing.expression.split(':')
         if (parts.length >= 1) {
             astTypeSelect.value = parts[0]
@@ -319,11 +493,14 @@ export function createASTRuleBuilder(existing = {}, ruleType = 'feedback') {
         if (parts.length >= 2) {
             astTarget.value = parts.slice(1).join(':')
         }
+        if (parts[0] === 'style') applyStyleTarget(parts.slice(1).join(':'))
     }
 
     // Build UI with consistent spacing
     root.appendChild(labeled('Analysis Type', astTypeSelect, 'Choose the type of code analysis to perform.'))
-    root.appendChild(labeled('Target [optional]', astTarget, 'Specific target to look for (function name, variable name, etc.). Leave empty for general analysis.'))
+    root.appendChild(targetField)
+    root.appendChild(patternField)
+    root.appendChild(styleField)
     root.appendChild(labeled('Expression', astExpression, 'Generated AST analysis expression. This is automatically created based on your selections above.'))
     root.appendChild(astPreview)
     root.appendChild(labeled('Result Matcher', astMatcher, 'JavaScript expression that evaluates the AST analysis result. Must return true/false to determine if the rule matches. The variable "result" contains the AST analysis data.'))
@@ -366,6 +543,118 @@ export function createASTRuleBuilder(existing = {}, ruleType = 'feedback') {
     }
 }
 
+/**
+ * Find analyzeCode: import it dynamically, trying multiple paths so the
+ * builder works when the app is served from different roots or when
+ * bundling changes relative paths, then the analyzer registry and window.
+ */
+async function loadAnalyzeCode() {
+    const debugErrors = []
+    let analyzeCode = null
+    try {
+        const mod = await import('./ast-analyzer.js')
+        if (mod && mod.analyzeCode) analyzeCode = mod.analyzeCode
+    } catch (e) { debugErrors.push({ path: './ast-analyzer.js', error: String(e) }) }
+
+    if (!analyzeCode) {
+        try {
+            const mod2 = await import('/src/js/ast-analyzer.js')
+            if (mod2 && mod2.analyzeCode) analyzeCode = mod2.analyzeCode
+        } catch (e) { debugErrors.push({ path: '/src/js/ast-analyzer.js', error: String(e) }) }
+    }
+
+    if (!analyzeCode) {
+        try {
+            const mod3 = await import('../js/ast-analyzer.js')
+            if (mod3 && mod3.analyzeCode) analyzeCode = mod3.analyzeCode
+        } catch (e) { debugErrors.push({ path: '../js/ast-analyzer.js', error: String(e) }) }
+    }
+
+    if (!analyzeCode) {
+        try {
+            const { getRegisteredAnalyzer } = await import('./analyzer-registry.js')
+            const reg = getRegisteredAnalyzer && getRegisteredAnalyzer()
+            if (typeof reg === 'function') analyzeCode = reg
+        } catch (_e) {
+            // ignore registry import failures and fallback to window
+        }
+    }
+
+    if (!analyzeCode && typeof window !== 'undefined' && typeof window.analyzeCode === 'function') {
+        analyzeCode = window.analyzeCode
+    }
+
+    if (!analyzeCode) {
+        const errMsg = 'analyzeCode not available; tried: ' + debugErrors.map(d => d.path + ' -> ' + d.error).join(' ; ')
+        throw new Error(errMsg)
+    }
+
+    return analyzeCode
+}
+
+const METRIC_COLUMNS = [
+    { key: 'complexity', label: 'Complexity' },
+    { key: 'nesting', label: 'Nesting' },
+    { key: 'statements', label: 'Statements' },
+    { key: 'parameters', label: 'Parameters' }
+]
+
+// Table of function_metrics results; cells over the threshold of `over`
+// (a function_metrics result for a threshold) are highlighted
+function renderMetricsTable(container, metrics, over) {
+    container.textContent = ''
+    if (!metrics || !metrics.functions || !metrics.functions.length) {
+        container.textContent = 'No functions found in the test code.'
+        return
+    }
+    const flagged = new Set(over ? over.functions.map(f => f.qualname) : [])
+
+    const table = document.createElement('table')
+    table.style.borderCollapse = 'collapse'
+    table.style.width = '100%'
+    const cell = (tag, text, align) => {
+        const el = document.createElement(tag)
+        el.textContent = text
+        el.style.padding = '3px 8px'
+        el.style.borderBottom = '1px solid #e0e0e0'
+        el.style.textAlign = align || 'left'
+        return el
+    }
+
+    const head = document.createElement('tr')
+    head.appendChild(cell('th', 'Function'))
+    head.appendChild(cell('th', 'Line', 'right'))
+    METRIC_COLUMNS.forEach(c => head.appendChild(cell('th', c.label, 'right')))
+    table.appendChild(head)
+
+    for (const f of metrics.functions) {
+        const row = document.createElement('tr')
+        const name = cell('td', f.qualname)
+        name.style.fontFamily = 'monospace'
+        row.appendChild(name)
+        row.appendChild(cell('td', String(f.lineno || ''), 'right'))
+        for (const c of METRIC_COLUMNS) {
+            const td = cell('td', String(f[c.key]), 'right')
+            if (over && c.key === over.threshold.metric && flagged.has(f.qualname)) {
+                td.style.background = '#fdecea'
+                td.style.color = '#b3261e'
+                td.style.fontWeight = '600'
+                td.title = `${c.key} ${over.threshold.op} ${over.threshold.value}`
+            }
+            row.appendChild(td)
+        }
+        table.appendChild(row)
+    }
+    container.appendChild(table)
+
+    const summary = document.createElement('div')
+    summary.style.marginTop = '4px'
+    summary.style.color = '#666'
+    summary.textContent = `Largest: complexity ${metrics.maxComplexity}, nesting ${metrics.maxNesting}, statements ${metrics.maxStatements}, parameters ${metrics.maxParameters}. Average complexity ${metrics.averageComplexity}.`
+    if (over) summary.textContent += ` ${over.count} function${over.count === 1 ? '' : 's'} with ${over.threshold.metric} ${over.threshold.op} ${over.threshold.value}.`
+    container.appendChild(summary)
+}
+
 /**
  * Create AST test area
  */
@@ -436,6 +725,42 @@ class Calculator:
     testResult.style.display = 'none'
     testResult.style.boxSizing = 'border-box'
 
+    // Metrics of every function in the sample code, for tuning
+    // function_metrics thresholds
+    const metricsButton = document.createElement('button')
+    metricsButton.type = 'button'
+    metricsButton.className = 'btn'
+    metricsButton.textContent = 'Function Metrics'
+    metricsButton.title = 'Complexity, nesting, statements and parameters of each function in the test code'
+    metricsButton.style.marginBottom = '8px'
+    metricsButton.style.marginLeft = '6px'
+
+    const metricsArea = document.createElement('div')
+    metricsArea.className = 'ast-metrics'
+    metricsArea.style.display = 'none'
+    metricsArea.style.marginBottom = '8px'
+    metricsArea.style.fontSize = '0.9em'
+
+    metricsButton.addEventListener('click', async () => {
+        const code = (codeMirrorEditor && typeof codeMirrorEditor.getValue === 'function') ? codeMirrorEditor.getValue().trim() : testCode.value.trim()
+        metricsArea.textContent = ''
+        metricsArea.style.display = ''
+        if (!code) {
+            metricsArea.textContent = 'Enter some Python code to measure.'
+            return
+        }
+        try {
+            const analyzeCode = await loadAnalyzeCode()
+            const metrics = await analyzeCode(code, 'function_metrics')
+            // With a threshold expression, mark the functions over it
+            const expression = expressionField.value.trim()
+            const over = /^function_metrics:/.test(expression) ? await analyzeCode(code, expression) : null
+            renderMetricsTable(metricsArea, metrics, over && over.threshold ? over : null)
+        } catch (error) {
+            metricsArea.textContent = `Could not measure the code: ${error.message}`
+        }
+    })
+
     // Test button functionality
     testButton.addEventListener('click', async () => {
         const code = (codeMirrorEditor && typeof codeMirrorEditor.getValue === 'function') ? codeMirrorEditor.getValue().trim() : testCode.value.trim()
@@ -455,49 +780,7 @@ class Calculator:
         testButton.disabled = true
 
         try {
-            // Import the analyzeCode function dynamically. Try multiple
-            // paths so the builder works when the app is served from
-            // different roots or when bundling changes relative paths.
-            const debugErrors = []
-            let analyzeCode = null
-            try {
-                const mod = await import('./ast-analyzer.js')
-                if (mod && mod.analyzeCode) analyzeCode = mod.analyzeCode
-            } catch (e) { debugErrors.push({ path: './ast-analyzer.js', error: String(e) }) }
-
-            if (!analyzeCode) {
-                try {
-                    const mod2 = await import('/src/js/ast-analyzer.js')
-                    if (mod2 && mod2.analyzeCode) analyzeCode = mod2.analyzeCode
-                } catch (e) { debugErrors.push({ path: '/src/js/ast-analyzer.js', error: String(e) }) }
-            }
-
-            if (!analyzeCode) {
-                try {
-                    const mod3 = await import('../js/ast-analyzer.js')
-                    if (mod3 && mod3.analyzeCode) analyzeCode = mod3.analyzeCode
-                } catch (e) { debugErrors.push({ path: '../js/ast-analyzer.js', error: String(e) }) }
-            }
-
-            if (!analyzeCode) {
-                try {
-                    const { getRegisteredAnalyzer } = await import('./analyzer-registry.js')
-                    const reg = getRegisteredAnalyzer && getRegisteredAnalyzer()
-                    if (typeof reg === 'function') analyzeCode = reg
-                } catch (_e) {
-                    // ignore registry import failures and fallback to window
-                }
-            }
-
-            if (!analyzeCode && typeof window !== 'undefined' && typeof window.analyzeCode === 'function') {
-                analyzeCode = window.analyzeCode
-            }
-
-            if (!analyzeCode) {
-                const errMsg = 'analyzeCode not available; tried: ' + debugErrors.map(d => d.path + ' -> ' + d.error).join(' ; ')
-                throw new Error(errMsg)
-            }
-
+            const analyzeCode = await loadAnalyzeCode()
             const result = await analyzeCode(code, expression)
 
             if (result) {
@@ -584,6 +867,8 @@ class Calculator:
     testArea.appendChild(testHeader)
     testArea.appendChild(testCode)
     testArea.appendChild(testButton)
+    testArea.appendChild(metricsButton)
+    testArea.appendChild(metricsArea)
     testArea.appendChild(testResult)
 
     // Try to initialize CodeMirror (fromTextArea) for nicer editing if CodeMirror is available.
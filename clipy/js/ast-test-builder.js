@@ -6,6 +6,7 @@
  */
 
 import { createASTRuleBuilder } from './ast-rule-builder.js'
+import { createHiddenTestControls } from './hidden-tests.js'
 
 /**
  * Create AST test form builder
@@ -74,6 +75,15 @@ export function buildASTTestForm(existing = {}) {
     failureMessage.value = existing.failureMessage || ''
     failureMessage.placeholder = 'Message shown when test fails (optional)'
 
+    // Points (optional weight of this test in the score)
+    const points = document.createElement('input')
+    points.type = 'number'
+    points.min = '0'
+    points.step = 'any'
+    points.style.width = '120px'
+    points.value = (existing.points !== undefined && existing.points !== null) ? String(existing.points) : ''
+    points.placeholder = '1'
+
     // Timeout (optional)
     const timeout = document.createElement('input')
     timeout.type = 'number'
@@ -121,6 +131,9 @@ export function buildASTTestForm(existing = {}) {
 
     root.appendChild(labeled('Failure Message [optional]', failureMessage, 'Message displayed when the AST rule does not match (test fails)'))
     root.appendChild(labeled('Timeout (ms) [optional]', timeout, 'Maximum time for AST analysis (default: 5000ms)'))
+    root.appendChild(labeled('Points [optional]', points, 'Weight of this test in the score (default: 1)'))
+    const hiddenControls = createHiddenTestControls(existing)
+    root.appendChild(labeled('Visibility', hiddenControls.root, 'Hidden tests still run and count toward the score and verification'))
     // Note: AST builder intentionally does not provide a success message or
     // a "hide AST details" option because AST analysis results are handled
     // differently by the runtime/UI and those controls are not applicable.
@@ -177,6 +190,8 @@ export function buildASTTestForm(existing = {}) {
             test.description = desc.value.trim() || 'AST Analysis Test'
             if (failureMessage.value.trim()) test.failureMessage = failureMessage.value.trim()
             if (timeout.value) test.timeoutMs = Number(timeout.value)
+            if (points.value !== '') test.points = Number(points.value)
+            hiddenControls.apply(test)
             // hide_actual_expected intentionally not set by AST builder
             // Conditional execution settings
             test.conditional = {
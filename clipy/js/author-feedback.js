@@ -9,6 +9,7 @@ import { validateRegexPattern } from './config.js'
 import { createASTRuleBuilder, createDefaultASTFeedback } from './ast-rule-builder.js'
 import { analyzeCode } from './ast-analyzer.js'
 import { registerAnalyzer } from './analyzer-registry.js'
+import { createConditionBuilder, isCombinedPattern, describePattern } from './feedback-condition-builder.js'
 
 const VALID_PATTERN_TYPES = ['string', 'regex', 'ast']
 const VALID_TARGETS = ['code', 'filename', 'stdout', 'stderr', 'stdin']
@@ -103,7 +104,7 @@ function createCard(item, idx, onEdit, onMoveUp, onMoveDown, onDelete) {
     meta.style.marginLeft = 'auto'
     meta.style.fontSize = '0.85em'
     meta.style.color = '#666'
-    meta.textContent = (item.when || []).join(', ') + ' • ' + (item.pattern ? (item.pattern.type + ':' + (item.pattern.target || '')) : '')
+    meta.textContent = (item.when || []).join(', ') + ' • ' + describePattern(item.pattern)
     title.appendChild(h)
     title.appendChild(meta)
 
@@ -468,6 +469,46 @@ function buildEditorForm(existing, allItems = []) {
     // Add event listener to pattern type dropdown
     patternType.addEventListener('change', updatePatternFields)
 
+    // Combined conditions (all of / any of / not), built lazily from the
+    // single pattern the first time the author switches to them
+    const conditionMode = document.createElement('select')
+    for (const [value, text] of [['single', 'One pattern'], ['combined', 'Combine conditions']]) {
+        const o = document.createElement('option')
+        o.value = value
+        o.textContent = text
+        conditionMode.appendChild(o)
+    }
+    conditionMode.value = isCombinedPattern(existing.pattern) ? 'combined' : 'single'
+    const conditionWrap = document.createElement('div')
+    conditionWrap.style.marginBottom = '8px'
+    let conditionBuilder = null
+
+    function updateConditionMode() {
+        const combined = conditionMode.value === 'combined'
+        if (combined && !conditionBuilder) {
+            conditionBuilder = createConditionBuilder(isCombinedPattern(existing.pattern) ? existing.pattern : getSinglePattern())
+            conditionWrap.appendChild(conditionBuilder.root)
+        }
+        singleWrap.style.display = combined ? 'none' : ''
+        conditionWrap.style.display = combined ? '' : 'none'
+    }
+    conditionMode.addEventListener('change', updateConditionMode)
+
+    function getSinglePattern() {
+        if (patternType.value === 'ast') {
+            // Use AST rule builder
+            return astRuleBuilder.get()
+        }
+        // Regular string/regex patterns
+        return {
+            type: patternType.value || 'string',
+            target: targetSel.value || 'stdout',
+            fileTarget: fileTargetIn.value || 'main.py',
+            expression: expr.value || '',
+            flags: flags.value || ''
+        }
+    }
+
     const message = document.createElement('textarea')
     message.style.width = '100%'
     message.rows = 3
@@ -481,6 +522,37 @@ function buildEditorForm(existing, allItems = []) {
     visible.type = 'checkbox'
     visible.checked = typeof existing.visibleByDefault === 'boolean' ? existing.visibleByDefault : true
 
+    // Hint ladder: one hint per line, revealed one at a time
+    const existingHints = existing.hints && typeof existing.hints === 'object' ? existing.hints : {}
+    const hintSteps = document.createElement('textarea')
+    hintSteps.style.width = '100%'
+    hintSteps.rows = 3
+    hintSteps.placeholder = 'One hint per line, from a gentle nudge to the full answer'
+    hintSteps.value = Array.isArray(existingHints.steps) ? existingHints.steps.join('\n') : ''
+
+    const hintRuns = document.createElement('input')
+    hintRuns.type = 'number'
+    hintRuns.min = '1'
+    hintRuns.style.width = '70px'
+    hintRuns.value = existingHints.afterFailedRuns != null ? String(existingHints.afterFailedRuns) : '2'
+
+    const hintMinutes = document.createElement('input')
+    hintMinutes.type = 'number'
+    hintMinutes.min = '1'
+    hintMinutes.style.width = '70px'
+    hintMinutes.value = existingHints.afterMinutes != null ? String(existingHints.afterMinutes) : ''
+
+    const hintTiming = document.createElement('div')
+    hintTiming.style.display = 'inline-flex'
+    hintTiming.style.alignItems = 'center'
+    hintTiming.style.gap = '6px'
+    hintTiming.style.fontSize = '0.95em'
+    hintTiming.appendChild(document.createTextNode('Next hint after'))
+    hintTiming.appendChild(hintRuns)
+    hintTiming.appendChild(document.createTextNode('failed test runs or'))
+    hintTiming.appendChild(hintMinutes)
+    hintTiming.appendChild(document.createTextNode('minutes without progress'))
+
     root.appendChild(labeled('Title', title, 'Short title shown in the feedback list.'))
     root.appendChild(labeled('ID [optional]', idIn, 'Optional stable id. Generated automatically if left empty.'))
     root.appendChild(labeled('Depends on', depsWrap, 'Optional: other feedback items (by ID) that must match before this one can trigger.'))
@@ -500,17 +572,25 @@ function buildEditorForm(existing, allItems = []) {
     visibleLabel.appendChild(document.createTextNode('Visible by default'))
     whenRow.appendChild(visibleLabel)
     root.appendChild(labeled('When', whenRow, 'Choose when this feedback applies: edit (while editing code) or run (when program executes).', true))
-    root.appendChild(labeled('Pattern type', patternType, 'Type of pattern matcher. "string" for simple text matching (recommended), "regex" for pattern matching, "ast" for code structure (advanced).'))
-    root.appendChild(labeled('Pattern target', targetSel, 'Which program area to match. Options shown depend on when the feedback runs: edit-time (code, filename) or run-time (stdin, stdout, stderr, filename).'))
-    root.appendChild(labeled('File target', fileTargetIn, 'Which file to check (for code target). Usually "main.py".', true))
-    root.appendChild(astBuilder)
-    root.appendChild(exprRow)
-    root.appendChild(flagsRow)
+    root.appendChild(labeled('Conditions', conditionMode, 'Use one pattern, or combine several conditions with all of / any of / not (e.g. uses a for loop and does not call sum).'))
+    // Rows for a single pattern; hidden while conditions are combined
+    const singleWrap = document.createElement('div')
+    singleWrap.appendChild(labeled('Pattern type', patternType, 'Type of pattern matcher. "string" for simple text matching (recommended), "regex" for pattern matching, "ast" for code structure (advanced).'))
+    singleWrap.appendChild(labeled('Pattern target', targetSel, 'Which program area to match. Options shown depend on when the feedback runs: edit-time (code, filename) or run-time (stdin, stdout, stderr, filename).'))
+    singleWrap.appendChild(labeled('File target', fileTargetIn, 'Which file to check (for code target). Usually "main.py".', true))
+    singleWrap.appendChild(astBuilder)
+    singleWrap.appendChild(exprRow)
+    singleWrap.appendChild(flagsRow)
+    root.appendChild(singleWrap)
+    root.appendChild(conditionWrap)
     root.appendChild(labeled('Message', message, 'Message shown to the author when the feedback triggers. Use plain text or simple markdown.'))
     root.appendChild(labeled('Style', severity, 'The visual style for the feedback: success, hint, info, warning, or error.'))
+    root.appendChild(labeled('Hints [optional]', hintSteps, 'Extra hints shown below the message one at a time while the feedback stays matched. Use plain text or simple markdown.'))
+    root.appendChild(labeled('Hint timing', hintTiming, 'When to reveal the next hint. Leave a field empty to not use it.', true))
 
     // Initialize field visibility based on current pattern type
     updatePatternFields()
+    updateConditionMode()
 
     return {
         root,
@@ -518,19 +598,17 @@ function buildEditorForm(existing, allItems = []) {
             const when = []
             Array.from(whenWrap.querySelectorAll('input[type=radio]')).forEach(radio => { if (radio.checked) when.push(radio.value) })
 
-            let pattern
-            if (patternType.value === 'ast') {
-                // Use AST rule builder
-                pattern = astRuleBuilder.get()
-            } else {
-                // Regular string/regex patterns
-                pattern = {
-                    type: patternType.value || 'string',
-                    target: targetSel.value || 'stdout',
-                    fileTarget: fileTargetIn.value || 'main.py',
-                    expression: expr.value || '',
-                    flags: flags.value || ''
-                }
+            const pattern = conditionMode.value === 'combined' && conditionBuilder ? conditionBuilder.get() : getSinglePattern()
+
+            let hints
+            const steps = hintSteps.value.split(/\r?\n/).map(s => s.trim()).filter(Boolean)
+            if (steps.length) {
+                hints = { steps }
+                const runs = parseInt(hintRuns.value, 10)
+                const minutes = parseFloat(hintMinutes.value)
+                if (runs > 0) hints.afterFailedRuns = runs
+                if (minutes > 0) hints.afterMinutes = minutes
+                if (!hints.afterFailedRuns && !hints.afterMinutes) hints.afterFailedRuns = 2
             }
 
             return {
@@ -541,8 +619,18 @@ function buildEditorForm(existing, allItems = []) {
                 dependencies: existing.dependencies ? (Array.isArray(existing.dependencies) ? existing.dependencies.slice() : []) : undefined,
                 message: message.value || '',
                 severity: severity.value || 'info',
-                visibleByDefault: !!visible.checked
+                visibleByDefault: !!visible.checked,
+                hints
             }
+        },
+        // Error message for combined conditions that cannot be saved, or null
+        validate() {
+            if (conditionMode.value !== 'combined' || !conditionBuilder) return null
+            const err = conditionBuilder.validate()
+            if (err) return err
+            const isEdit = whenCheckboxes.some(r => r.checked && r.value === 'edit')
+            if (isEdit && conditionBuilder.hasOutputTarget()) return 'Conditions on stdout, stderr or stdin only work for feedback shown when the program runs.'
+            return null
         }
     }
 }
@@ -733,6 +821,12 @@ export function initAuthorFeedback() {
         function validateAndSave() {
             const val = editor.get()
 
+            const conditionError = typeof editor.validate === 'function' ? editor.validate() : null
+            if (conditionError) {
+                if (errEdit) errEdit.textContent = conditionError
+                return
+            }
+
             // If this is an AST pattern, prevent saving when the AST tester
             // shows a non-boolean matcher result. This keeps authors from
             // persisting rules that won't behave as expected at runtime.
@@ -920,6 +1014,12 @@ export function initAuthorFeedback() {
         function validateAndSave() {
             const val = editor.get()
 
+            const conditionError = typeof editor.validate === 'function' ? editor.validate() : null
+            if (conditionError) {
+                if (errNew) errNew.textContent = conditionError
+                return
+            }
+
             // Block save for AST patterns that were tested and found to
             // return non-boolean values.
             try {
@@ -1072,7 +1172,7 @@ export function initAuthorFeedback() {
                     const meta = document.createElement('div')
                     meta.style.fontSize = '0.85em'
                     meta.style.color = '#666'
-                    meta.textContent = (d.when || []).join(', ') + ' • ' + (d.pattern ? (d.pattern.type + ':' + (d.pattern.target || '')) : '')
+                    meta.textContent = (d.when || []).join(', ') + ' • ' + describePattern(d.pattern)
                     row.appendChild(meta)
                     listEl.appendChild(row)
                 })
@@ -2,6 +2,7 @@ import { validateAndNormalizeConfig } from './config.js'
 import { saveAuthorConfigToLocalStorage, getAuthorConfigFromLocalStorage, clearAuthorConfigInLocalStorage, saveDraft, listDrafts, loadDraft, deleteDraft, findDraftByConfigIdAndVersion } from './author-storage.js'
 import { initAuthorFeedback } from './author-feedback.js'
 import { initAuthorTests } from './author-tests.js'
+import { initAuthorSolution } from './author-solution.js'
 import { showConfirmModal, openModal, closeModal, showInputModal } from './modals.js'
 import { debug as logDebug, warn as logWarn, error as logError } from './logger.js'
 import { renderMarkdown, sanitizeHtml, setInnerHTML } from './utils.js'
@@ -352,6 +353,15 @@ function buildCurrentConfig() {
     const testsRaw = $('tests-editor') ? $('tests-editor').value || '' : ''
     const starter = files['/main.py'] || ''
     const cfg = { id, title, version, description, instructions, feedback: feedbackRaw, tests: testsRaw, starter, files, fileReadOnlyStatus }
+    // Reference solution (author-only): kept out of the workspace files
+    try {
+        const solutionRaw = $('solution-editor') ? $('solution-editor').value || '' : ''
+        if (solutionRaw.trim()) cfg.solution = JSON.parse(solutionRaw)
+    } catch (_e) { }
+    try {
+        const explanationsRaw = $('error-explanations-editor') ? $('error-explanations-editor').value || '' : ''
+        if (explanationsRaw.trim()) cfg.errorExplanations = JSON.parse(explanationsRaw)
+    } catch (_e) { }
     return cfg
 }
 
@@ -400,6 +410,12 @@ async function restoreFromLocalStorage() {
                 }
             } catch (_e) { $('tests-editor').value = raw.tests || '' }
         }
+        if ($('solution-editor')) {
+            try { $('solution-editor').value = raw.solution ? JSON.stringify(raw.solution, null, 2) : '' } catch (_e) { $('solution-editor').value = '' }
+        }
+        if ($('error-explanations-editor')) {
+            try { $('error-explanations-editor').value = raw.errorExplanations ? JSON.stringify(raw.errorExplanations, null, 2) : '' } catch (_e) { $('error-explanations-editor').value = '' }
+        }
     } catch (e) { files = { '/main.py': '# starter code\n' }; fileReadOnlyStatus = {} }
     // Prevent any file-creation flows triggered during render from stealing focus
     suppressOpenFileFocus = true
@@ -555,6 +571,8 @@ function setupHandlers() {
         debounceSave();
         updateVerificationCodesDebounced();
     })
+    if ($('solution-editor')) $('solution-editor').addEventListener('input', debounceSave)
+    if ($('error-explanations-editor')) $('error-explanations-editor').addEventListener('input', debounceSave)
     $('add-file').addEventListener('click', async () => {
         try {
             const name = await showInputModal('New file', 'File path (e.g. /lib/util.py)', '')
@@ -638,10 +656,12 @@ function setupHandlers() {
         if ($('instructions-editor')) $('instructions-editor').value = ''
         if ($('feedback-editor')) { $('feedback-editor').value = ''; $('feedback-editor').dispatchEvent(new Event('input', { bubbles: true })) }
         if ($('tests-editor')) { $('tests-editor').value = ''; $('tests-editor').dispatchEvent(new Event('input', { bubbles: true })) }
+        if ($('solution-editor')) { $('solution-editor').value = ''; $('solution-editor').dispatchEvent(new Event('input', { bubbles: true })) }
+        if ($('error-explanations-editor')) { $('error-explanations-editor').value = ''; $('error-explanations-editor').dispatchEvent(new Event('input', { bubbles: true })) }
         debounceSave()
     })
     // Export: download current config as JSON
-    $('export-btn').addEventListener('click', () => {
+    $('export-btn').addEventListener('click', async () => {
         try {
             const cfg = buildCurrentConfig()
             // Validate version before exporting
@@ -670,6 +690,15 @@ function setupHandlers() {
                     }
                 }
             } catch (_e) { }
+            // Anyone who can read the exported file can read the solution, so
+            // only include it when the author asks for it
+            if (cfg.solution) {
+                let include = false
+                try {
+                    include = await showConfirmModal('Reference solution', 'This config has a reference solution. Include it in the exported file? Anyone who can open the file will be able to read it.')
+                } catch (_e) { include = false }
+                if (!include) delete cfg.solution
+            }
             const blob = new Blob([JSON.stringify(cfg, null, 2)], { type: 'application/json' })
             const url = URL.createObjectURL(blob)
             const a = document.createElement('a')
@@ -1349,6 +1378,7 @@ window.addEventListener('DOMContentLoaded', async () => {
     try { setupHandlers() } catch (_e) { }
     try { initAuthorFeedback() } catch (_e) { }
     try { initAuthorTests() } catch (_e) { }
+    try { initAuthorSolution({ getWorkspaceFiles: () => files }) } catch (_e) { }
     try { initVerificationTab(updateVerificationCodes) } catch (_e) { }
     // Show metadata tab by default so inputs are visible for tests
     try { document.querySelector('.tab-btn[data-tab="metadata"]').click() } catch (_e) { }
@@ -1392,6 +1422,14 @@ async function applyImportedConfig(obj) {
         } catch (_e) { $('tests-editor').value = obj.tests || '' }
         $('tests-editor').dispatchEvent(new Event('input', { bubbles: true }))
     }
+    if ($('solution-editor')) {
+        try { $('solution-editor').value = obj.solution ? JSON.stringify(obj.solution, null, 2) : '' } catch (_e) { $('solution-editor').value = '' }
+        $('solution-editor').dispatchEvent(new Event('input', { bubbles: true }))
+    }
+    if ($('error-explanations-editor')) {
+        try { $('error-explanations-editor').value = obj.errorExplanations ? JSON.stringify(obj.errorExplanations, null, 2) : '' } catch (_e) { $('error-explanations-editor').value = '' }
+        $('error-explanations-editor').dispatchEvent(new Event('input', { bubbles: true }))
+    }
 
     // Prevent any file-creation flows triggered during render from stealing focus
     suppressOpenFileFocus = true
@@ -0,0 +1,340 @@
+// Author UI for the reference solution
+// - Renders solution files above the hidden #solution-editor textarea and keeps
+//   its JSON in sync (so autosave in author-page.js picks it up)
+// - "Generate expectations" runs the solution and fills expected values into
+//   the tests editor; "Validate suite" checks the solution passes every test;
+//   "Check coverage" lists solution lines and branches no test exercises;
+//   "Mutation test" plants small bugs in the solution and reports the ones
+//   no test catches (see mutation-testing.js)
+
+import { debug as logDebug, warn as logWarn } from './logger.js'
+import { createSandboxedRunFn } from './test-runner-sandbox.js'
+import { getSolutionFiles, hasSolution, buildSolutionSnapshot, runSuiteAgainstSolution, generateExpectations, summarizeValidation, flattenTests } from './reference-solution.js'
+import { createCoverageCollector, formatCoverageSummary, listCoverageGaps } from './test-coverage.js'
+import { runMutationTesting } from './mutation-testing.js'
+
+// The author page lives in /author/, the iframe runner in /tests/
+const AUTHOR_RUNNER_SRC = '../tests/runner.html'
+const AUTHOR_RUNTIME_URL = '../vendor/micropython.mjs'
+
+function parseSolutionFromTextarea(ta) {
+    try {
+        const raw = (ta && ta.value) || ''
+        return raw.trim() ? JSON.parse(raw) : null
+    } catch (_e) { return null }
+}
+
+function parseTestsFromEditor() {
+    const el = document.getElementById('tests-editor')
+    try {
+        const raw = (el && el.value) || ''
+        return raw.trim() ? JSON.parse(raw) : null
+    } catch (_e) { return null }
+}
+
+/**
+ * @param {Object} options
+ * @param {function(): Object} options.getWorkspaceFiles - current config files
+ */
+export function initAuthorSolution({ getWorkspaceFiles } = {}) {
+    const ta = document.getElementById('solution-editor')
+    if (!ta) return
+
+    const container = document.createElement('div')
+    container.id = 'author-solution-ui'
+
+    const fileList = document.createElement('div')
+    fileList.style.display = 'flex'
+    fileList.style.flexDirection = 'column'
+    fileList.style.gap = '8px'
+    fileList.style.marginBottom = '8px'
+
+    const actions = document.createElement('div')
+    actions.style.display = 'flex'
+    actions.style.gap = '8px'
+    actions.style.margin = '8px 0'
+
+    const addFileBtn = document.createElement('button')
+    addFileBtn.className = 'btn'
+    addFileBtn.textContent = 'Add solution file'
+
+    const generateBtn = document.createElement('button')
+    generateBtn.className = 'btn btn-primary'
+    generateBtn.id = 'solution-generate-btn'
+    generateBtn.textContent = 'Generate expectations'
+    generateBtn.title = 'Run the solution against each test and fill in the expected values'
+
+    const validateBtn = document.createElement('button')
+    validateBtn.className = 'btn'
+    validateBtn.id = 'solution-validate-btn'
+    validateBtn.textContent = 'Validate suite'
+    validateBtn.title = 'Check that the solution passes every test'
+
+    const coverageBtn = document.createElement('button')
+    coverageBtn.className = 'btn'
+    coverageBtn.id = 'solution-coverage-btn'
+    coverageBtn.textContent = 'Check coverage'
+    coverageBtn.title = 'Find lines and branches of the solution that no test runs'
+
+    actions.appendChild(addFileBtn)
+    actions.appendChild(generateBtn)
+    actions.appendChild(validateBtn)
+    const mutationBtn = document.createElement('button')
+    mutationBtn.className = 'btn'
+    mutationBtn.id = 'solution-mutation-btn'
+    mutationBtn.textContent = 'Mutation test'
+    mutationBtn.title = 'Make small bugs in the solution and check that the tests catch them'
+
+    actions.appendChild(coverageBtn)
+    actions.appendChild(mutationBtn)
+
+    const report = document.createElement('div')
+    report.id = 'solution-report'
+    report.style.fontFamily = 'monospace'
+    report.style.fontSize = '0.9em'
+    report.style.whiteSpace = 'pre-wrap'
+
+    container.appendChild(fileList)
+    container.appendChild(actions)
+    container.appendChild(report)
+    ta.parentNode.insertBefore(container, ta)
+    ta.style.display = 'none'
+
+    // rows: [{ path: HTMLInputElement, content: HTMLTextAreaElement }]
+    let rows = []
+    let mutationRunning = false
+    let mutationStopRequested = false
+    // Set while this module writes the textarea so its own input event does
+    // not re-render the rows being edited
+    let writing = false
+
+    function writeTextarea() {
+        const files = {}
+        for (const r of rows) {
+            const p = r.path.value.trim()
+            if (p) files[p.startsWith('/') ? p : '/' + p] = r.content.value
+        }
+        const hasContent = Object.values(files).some(c => c.trim() !== '')
+        ta.value = hasContent ? JSON.stringify({ files }, null, 2) : ''
+        writing = true
+        try { ta.dispatchEvent(new Event('input', { bubbles: true })) } finally { writing = false }
+    }
+
+    function addRow(path, content) {
+        const row = document.createElement('div')
+        row.style.border = '1px solid #eee'
+        row.style.borderRadius = '6px'
+        row.style.padding = '8px'
+        row.style.background = '#fbfdff'
+
+        const top = document.createElement('div')
+        top.style.display = 'flex'
+        top.style.gap = '8px'
+        top.style.marginBottom = '4px'
+
+        const pathIn = document.createElement('input')
+        pathIn.type = 'text'
+        pathIn.style.flex = '1'
+        pathIn.style.fontFamily = 'monospace'
+        pathIn.value = path
+        pathIn.placeholder = '/main.py'
+
+        const removeBtn = document.createElement('button')
+        removeBtn.className = 'btn btn-danger'
+        removeBtn.textContent = 'Remove'
+
+        top.appendChild(pathIn)
+        top.appendChild(removeBtn)
+
+        const contentIn = document.createElement('textarea')
+        contentIn.style.width = '100%'
+        contentIn.style.fontFamily = 'monospace'
+        contentIn.rows = 12
+        contentIn.value = content
+        contentIn.placeholder = '# reference solution'
+
+        row.appendChild(top)
+        row.appendChild(contentIn)
+        fileList.appendChild(row)
+
+        const entry = { path: pathIn, content: contentIn }
+        rows.push(entry)
+        pathIn.addEventListener('input', writeTextarea)
+        contentIn.addEventListener('input', writeTextarea)
+        removeBtn.addEventListener('click', () => {
+            rows = rows.filter(r => r !== entry)
+            row.remove()
+            writeTextarea()
+        })
+    }
+
+    function render() {
+        while (fileList.firstChild) fileList.removeChild(fileList.firstChild)
+        rows = []
+        const files = getSolutionFiles(parseSolutionFromTextarea(ta))
+        if (!Object.keys(files).length) files['/main.py'] = ''
+        for (const [p, c] of Object.entries(files)) addRow(p, c)
+    }
+
+    function setBusy(busy, message) {
+        generateBtn.disabled = busy
+        validateBtn.disabled = busy
+        coverageBtn.disabled = busy
+        // While mutation testing runs its button stops it
+        mutationBtn.disabled = busy && !mutationRunning
+        report.style.color = ''
+        if (message !== undefined) report.textContent = message
+    }
+
+    // Run every test against the solution; returns { testsConfig, solution, results } or null
+    async function runAgainstSolution(coverage = null) {
+        const solution = parseSolutionFromTextarea(ta)
+        if (!hasSolution(solution)) {
+            report.textContent = 'Add a reference solution with a /main.py first.'
+            return null
+        }
+        const testsConfig = parseTestsFromEditor()
+        const count = flattenTests(testsConfig).length
+        if (!count) {
+            report.textContent = 'There are no tests to run.'
+            return null
+        }
+        setBusy(true, `Running ${count} test${count === 1 ? '' : 's'} against the reference solution...`)
+        try {
+            const workspace = typeof getWorkspaceFiles === 'function' ? (getWorkspaceFiles() || {}) : {}
+            const runFn = createSandboxedRunFn({
+                runtimeUrl: AUTHOR_RUNTIME_URL,
+                iframeSrc: AUTHOR_RUNNER_SRC,
+                filesSnapshot: buildSolutionSnapshot(workspace, solution)
+            })
+            const results = await runSuiteAgainstSolution({ testsConfig, solution, runFn, coverage })
+            logDebug('[author-solution] results', results)
+            return { testsConfig, solution, results }
+        } catch (e) {
+            logWarn('[author-solution] run failed', e)
+            report.textContent = 'Running the reference solution failed: ' + (e && e.message ? e.message : e)
+            return null
+        } finally {
+            setBusy(false)
+        }
+    }
+
+    generateBtn.addEventListener('click', async () => {
+        const run = await runAgainstSolution()
+        if (!run) return
+        const { tests, updated, skipped } = generateExpectations(run.testsConfig, run.results)
+        const testsEditor = document.getElementById('tests-editor')
+        if (testsEditor && updated.length) {
+            testsEditor.value = JSON.stringify(tests, null, 2)
+            // author-tests.js re-renders and author-page.js autosaves on input
+            testsEditor.dispatchEvent(new Event('input', { bubbles: true }))
+        }
+        const lines = [`Updated expectations for ${updated.length} test${updated.length === 1 ? '' : 's'}.`]
+        for (const s of skipped) lines.push(`Skipped ${s.id}: ${s.reason}`)
+        report.textContent = lines.join('\n')
+    })
+
+    validateBtn.addEventListener('click', async () => {
+        const run = await runAgainstSolution()
+        if (!run) return
+        const summary = summarizeValidation(run.results)
+        const lines = [summary.ok
+            ? `✓ The reference solution passes all ${summary.total} tests.`
+            : `✗ The reference solution passes ${summary.passed} of ${summary.total} tests.`]
+        for (const f of summary.failures) lines.push(`✗ ${f.id}${f.description ? ` (${f.description})` : ''}: ${f.reason}`)
+        report.textContent = lines.join('\n')
+        report.style.color = summary.ok ? '#0a6' : '#d33'
+    })
+
+    coverageBtn.addEventListener('click', async () => {
+        const coverage = createCoverageCollector()
+        const run = await runAgainstSolution(coverage)
+        if (!run) return
+        const result = await coverage.report(getSolutionFiles(run.solution))
+        const gaps = listCoverageGaps(result)
+        const lines = [`Solution coverage: ${formatCoverageSummary(result)}`]
+        for (const g of gaps) lines.push(`${g.status === 'missed' ? '✗' : '◐'} ${g.path} line ${g.line}: ${g.note}`)
+        if (!gaps.length) lines.push('✓ Every line and branch of the solution runs in at least one test.')
+        report.textContent = lines.join('\n')
+        report.style.color = gaps.length ? '#b45309' : '#0a6'
+    })
+
+    mutationBtn.addEventListener('click', async () => {
+        if (mutationRunning) {
+            mutationStopRequested = true
+            mutationBtn.textContent = 'Stopping...'
+            mutationBtn.disabled = true
+            return
+        }
+        const solution = parseSolutionFromTextarea(ta)
+        if (!hasSolution(solution)) {
+            report.textContent = 'Add a reference solution with a /main.py first.'
+            return
+        }
+        const testsConfig = parseTestsFromEditor()
+        if (!flattenTests(testsConfig).length) {
+            report.textContent = 'There are no tests to run.'
+            return
+        }
+        mutationRunning = true
+        mutationStopRequested = false
+        mutationBtn.textContent = 'Stop'
+        setBusy(true, 'Checking that the reference solution passes every test...')
+        let result = null
+        try {
+            const workspace = typeof getWorkspaceFiles === 'function' ? (getWorkspaceFiles() || {}) : {}
+            result = await runMutationTesting({
+                testsConfig,
+                solution,
+                workspace,
+                createRunFn: (filesSnapshot) => createSandboxedRunFn({ runtimeUrl: AUTHOR_RUNTIME_URL, iframeSrc: AUTHOR_RUNNER_SRC, filesSnapshot }),
+                onProgress: ({ index, total, mutant }) => {
+                    report.textContent = `Mutant ${index + 1} of ${total}: ${mutant.path} line ${mutant.line}, ${mutant.description}`
+                },
+                shouldStop: () => mutationStopRequested
+            })
+            logDebug('[author-solution] mutation results', result)
+        } catch (e) {
+            logWarn('[author-solution] mutation testing failed', e)
+            report.textContent = 'Mutation testing failed: ' + (e && e.message ? e.message : e)
+        } finally {
+            mutationRunning = false
+            mutationBtn.textContent = 'Mutation test'
+            setBusy(false)
+        }
+        if (!result) return
+
+        const lines = []
+        if (!result.ok) {
+            const n = result.baselineFailures.length
+            lines.push(`✗ The reference solution fails ${n} test${n === 1 ? '' : 's'}; fix ${n === 1 ? 'it' : 'them'} before mutation testing.`)
+            for (const f of summarizeValidation(result.baselineFailures).failures) lines.push(`✗ ${f.id}${f.description ? ` (${f.description})` : ''}: ${f.reason}`)
+            report.textContent = lines.join('\n')
+            report.style.color = '#d33'
+            return
+        }
+        const tested = result.results.length
+        let summary = `Mutation score: ${result.killed} of ${tested} mutants caught (${tested ? Math.round(result.killed * 100 / tested) : 100}%)`
+        if (result.generated > tested) summary += `, ${result.generated} possible`
+        if (result.stopped) summary += ' (stopped early)'
+        lines.push(summary)
+        if (result.survived.length) {
+            lines.push('No test failed for these changes to the solution:')
+            for (const m of result.survived) lines.push(`◐ ${m.path} line ${m.line}: ${m.description}`)
+            lines.push('Some of these may behave exactly like the solution and need no new test.')
+        } else if (tested) {
+            lines.push('✓ Every mutant was caught by at least one test.')
+        }
+        report.textContent = lines.join('\n')
+        report.style.color = result.survived.length ? '#b45309' : '#0a6'
+    })
+
+    addFileBtn.addEventListener('click', () => addRow('', ''))
+
+    // Re-render when author-page.js loads a config into the textarea
+    ta.addEventListener('input', () => { if (!writing) render() })
+
+    render()
+}
+
+export default { initAuthorSolution }
@@ -6,7 +6,20 @@ import { debug as logDebug, warn as logWarn, error as logError } from './logger.
 
 import { openModal as openModalHelper, closeModal as closeModalHelper } from './modals.js'
 import { buildASTTestForm, createDefaultASTTest } from './ast-test-builder.js'
+import { buildFunctionTestForm, createDefaultFunctionTest } from './function-test-builder.js'
+import { getFunctionSpec, validateFunctionSpec, formatFunctionCall } from './function-test.js'
+import { buildTranscriptTestForm, createDefaultTranscriptTest } from './transcript-test-builder.js'
+import { getTranscriptSteps, validateTranscript, describeTranscriptStep } from './transcript-test.js'
+import { buildPropertyTestForm, createDefaultPropertyTest } from './property-test-builder.js'
+import { getPropertySpec, validatePropertySpec } from './property-test.js'
+import { buildBudgetTestForm, createDefaultBudgetTest } from './budget-test-builder.js'
+import { getBudgetSpec, validateBudgetSpec, GROWTH_CLASSES } from './budget-test.js'
+import { getExpectedFiles, validateExpectedFiles, describeFileAssertion } from './output-files-test.js'
 import { validateRegexPattern } from './config.js'
+import { createHiddenTestControls } from './hidden-tests.js'
+import { createFixtureControls, getFixtures, validateFixtures } from './test-fixtures.js'
+import { describeExpectation, FLOAT_TOLERANCE_DEFAULTS } from './test-runner.js'
+import { normalizeSeed } from './test-seed.js'
 
 function $(sel, root = document) { return root.querySelector(sel) }
 
@@ -106,11 +119,14 @@ function parseTestsFromTextarea(ta) {
 
         // Handle new grouped format
         if (parsed && (parsed.groups || parsed.ungrouped)) {
-            return {
+            const out = {
                 groups: parsed.groups || [],
                 ungrouped: parsed.ungrouped || [],
                 showGroupsToUsers: parsed.showGroupsToUsers !== false // default true
             }
+            if (typeof parsed.passThreshold === 'number') out.passThreshold = parsed.passThreshold
+            if (normalizeSeed(parsed.seed) !== null) out.seed = normalizeSeed(parsed.seed)
+            return out
         }
 
         return { groups: [], ungrouped: [], showGroupsToUsers: true }
@@ -176,6 +192,7 @@ function createGroupHeader(group, groupIndex, onToggleCollapse, onEditGroup, onD
     // Test count indicator
     const countSpan = document.createElement('span')
     countSpan.textContent = `(${group.tests.length} test${group.tests.length !== 1 ? 's' : ''})`
+    if (group.hidden) countSpan.textContent += ' 🔒 hidden'
     countSpan.style.cssText = 'color: #666; font-size: 0.9em; margin-left: 8px; margin-right: 12px;'
 
     // Move up button
@@ -271,6 +288,9 @@ function createCard(item, idx, onEdit, onMoveUp, onMoveDown, onDelete, testNumbe
     meta.style.fontSize = '0.85em'
     meta.style.color = '#666'
     meta.textContent = item.id || ''
+    if (item.points !== undefined && item.points !== null) meta.textContent += `  •  ${item.points} pt${Number(item.points) === 1 ? '' : 's'}`
+    if (normalizeSeed(item.seed) !== null) meta.textContent += `  •  seed ${item.seed}`
+    if (item.hidden) meta.textContent += '  •  🔒 hidden'
 
     titleRow.appendChild(numberSpan)
     titleRow.appendChild(h)
@@ -287,19 +307,41 @@ function createCard(item, idx, onEdit, onMoveUp, onMoveDown, onDelete, testNumbe
         if (item.hide_actual_expected) {
             body.textContent += '  •  [hide AST details]'
         }
+    } else if (item.type === 'function') {
+        const spec = getFunctionSpec(item)
+        body.textContent = 'Function Test: ' + (spec.name ? formatFunctionCall(spec) + ' → ' + spec.expected : 'No function')
+        if (item.hide_actual_expected) {
+            body.textContent += '  •  [hide actual/expected]'
+        }
+    } else if (item.type === 'transcript') {
+        const steps = getTranscriptSteps(item)
+        body.textContent = 'Transcript Test: ' + (steps.length ? steps.map(describeTranscriptStep).join(' → ') : 'No steps')
+        if (item.hide_actual_expected) {
+            body.textContent += '  •  [hide expected]'
+        }
+    } else if (item.type === 'property') {
+        const spec = getPropertySpec(item)
+        const target = spec.mode === 'function' ? spec.function.name + '()' : 'program'
+        body.textContent = 'Property Test: ' + target + ' vs reference  •  ' + spec.cases + ' random cases  •  inputs: ' + (spec.inputs.map(i => i.name + ': ' + i.type).join(', ') || 'none')
+        if (item.hide_actual_expected) {
+            body.textContent += '  •  [hide reference result]'
+        }
+    } else if (item.type === 'budget') {
+        const spec = getBudgetSpec(item)
+        const target = spec.mode === 'function' ? spec.function.name + '()' : 'program'
+        const sizes = spec.cases.map(c => c.size).filter(s => s !== null)
+        body.textContent = 'Budget Test: ' + target + '  •  ' + spec.cases.length + ' case' + (spec.cases.length === 1 ? '' : 's') +
+            (sizes.length ? ' (sizes ' + sizes.join(', ') + ')' : '') +
+            (spec.growth ? '  •  at most ' + GROWTH_CLASSES[spec.growth].label : '')
+        if (item.hide_actual_expected) {
+            body.textContent += '  •  [hide step counts]'
+        }
     } else {
         // Regular test display (existing logic)
-        // Render expected_stdout/stderr safely: if it's an object (regex/exact), show appropriate format
-        function renderExpected(v) {
-            if (v == null) return ''
-            if (typeof v === 'string') return v
-            try {
-                if (typeof v === 'object' && v.type === 'regex') return `/${v.expression}/${v.flags || ''}`
-                if (typeof v === 'object' && v.type === 'exact') return `[exact: ${v.expression}]`
-            } catch (_e) { }
-            try { return JSON.stringify(v) } catch (_e) { return String(v) }
-        }
-        body.textContent = 'stdin: ' + (item.stdin || '') + '  •  expected_stdout: ' + renderExpected(item.expected_stdout)
+        // Render expected_stdout/stderr safely: objects (regex/exact/matchers) get a short label
+        body.textContent = 'stdin: ' + (item.stdin || '') + '  •  expected_stdout: ' + describeExpectation(item.expected_stdout)
+        const fileAssertions = getExpectedFiles(item)
+        if (fileAssertions.length) body.textContent += '  •  files: ' + fileAssertions.map(describeFileAssertion).join('; ')
         if (item.hide_actual_expected) {
             body.textContent += '  •  [hide actual/expected]'
         }
@@ -340,11 +382,282 @@ function createCard(item, idx, onEdit, onMoveUp, onMoveDown, onDelete, testNumbe
     return div
 }
 
+// Matcher modes offered for expected stdout/stderr. 'string' stores a plain
+// string (substring match); every other mode stores { type, expression, ... }.
+const EXPECTATION_MODES = [
+    { value: 'string', text: 'String (contains)' },
+    { value: 'exact', text: 'Exact match' },
+    { value: 'regex', text: 'Regex' },
+    { value: 'ignore_whitespace', text: 'Exact, ignoring whitespace' },
+    { value: 'ignore_case', text: 'Exact, ignoring case' },
+    { value: 'unordered_lines', text: 'Same lines, any order' },
+    { value: 'float_tolerance', text: 'Numbers within tolerance' }
+]
+
+// Checks offered for expected output files (see output-files-test.js)
+const FILE_CHECK_MODES = [
+    { value: 'exists', text: 'Exists' },
+    { value: 'equals', text: 'Content equals' },
+    { value: 'contains', text: 'Content contains' },
+    { value: 'regex', text: 'Content matches regex' },
+    { value: 'csv', text: 'Same CSV data' },
+    { value: 'json', text: 'Same JSON data' }
+]
+
+function buildExpectedFilesEditor(existingTest) {
+    const root = document.createElement('div')
+    const list = document.createElement('div')
+    const rows = []
+
+    function addRow(a = { path: '', check: 'exists' }) {
+        const row = document.createElement('div')
+        row.style.border = '1px solid #eee'
+        row.style.borderRadius = '4px'
+        row.style.padding = '6px'
+        row.style.marginBottom = '6px'
+
+        const top = document.createElement('div')
+        top.style.display = 'flex'
+        top.style.gap = '6px'
+        top.style.alignItems = 'center'
+
+        const path = document.createElement('input')
+        path.type = 'text'
+        path.style.flex = '1'
+        path.style.fontFamily = 'monospace'
+        path.placeholder = '/output.txt'
+        path.value = a.path || ''
+
+        const check = document.createElement('select')
+        FILE_CHECK_MODES.forEach(m => {
+            const opt = document.createElement('option')
+            opt.value = m.value
+            opt.textContent = m.text
+            check.appendChild(opt)
+        })
+        check.value = a.check || 'exists'
+
+        const flags = document.createElement('input')
+        flags.type = 'text'
+        flags.style.width = '60px'
+        flags.placeholder = 'flags'
+        flags.value = a.flags || ''
+
+        const removeBtn = document.createElement('button')
+        removeBtn.type = 'button'
+        removeBtn.className = 'btn'
+        removeBtn.textContent = '✕'
+        removeBtn.title = 'Remove file check'
+
+        top.appendChild(path)
+        top.appendChild(check)
+        top.appendChild(flags)
+        top.appendChild(removeBtn)
+
+        const value = document.createElement('textarea')
+        value.style.width = '100%'
+        value.style.marginTop = '4px'
+        value.style.fontFamily = 'monospace'
+        value.rows = 3
+        value.value = a.value || ''
+
+        const rowOrderWrap = document.createElement('label')
+        rowOrderWrap.style.display = 'flex'
+        rowOrderWrap.style.alignItems = 'center'
+        rowOrderWrap.style.gap = '6px'
+        rowOrderWrap.style.fontSize = '0.9em'
+        const rowOrder = document.createElement('input')
+        rowOrder.type = 'checkbox'
+        rowOrder.checked = !!a.ignoreRowOrder
+        const rowOrderText = document.createElement('span')
+        rowOrderText.textContent = 'Data rows may be in any order (header row stays first)'
+        rowOrderWrap.appendChild(rowOrder)
+        rowOrderWrap.appendChild(rowOrderText)
+
+        function updateRow() {
+            value.style.display = check.value === 'exists' ? 'none' : ''
+            flags.style.display = check.value === 'regex' ? '' : 'none'
+            rowOrderWrap.style.display = check.value === 'csv' ? 'flex' : 'none'
+            value.placeholder = check.value === 'regex' ? 'regex expression (no slashes)'
+                : check.value === 'json' ? '{"total": 3}'
+                    : check.value === 'csv' ? 'name,score\nBob,3' : 'Expected file content'
+        }
+        updateRow()
+        check.addEventListener('change', updateRow)
+
+        row.appendChild(top)
+        row.appendChild(value)
+        row.appendChild(rowOrderWrap)
+        list.appendChild(row)
+
+        const entry = {
+            get() {
+                const out = { path: path.value.trim(), check: check.value }
+                if (check.value !== 'exists') out.value = value.value
+                if (check.value === 'regex' && flags.value.trim()) out.flags = flags.value.trim()
+                if (check.value === 'csv' && rowOrder.checked) out.ignoreRowOrder = true
+                return out
+            }
+        }
+        removeBtn.addEventListener('click', () => {
+            const i = rows.indexOf(entry)
+            if (i !== -1) rows.splice(i, 1)
+            row.remove()
+        })
+        rows.push(entry)
+    }
+
+    getExpectedFiles(existingTest).forEach(a => addRow(a))
+
+    const addBtn = document.createElement('button')
+    addBtn.type = 'button'
+    addBtn.className = 'btn'
+    addBtn.textContent = 'Add file check'
+    addBtn.addEventListener('click', () => addRow())
+
+    root.appendChild(list)
+    root.appendChild(addBtn)
+
+    return {
+        root,
+        // Rows with an empty path are ignored
+        get() {
+            const v = rows.map(r => r.get()).filter(a => a.path !== '')
+            return v.length ? v : undefined
+        }
+    }
+}
+
+function buildExpectationEditor(existingValue) {
+    const root = document.createElement('div')
+
+    const mode = document.createElement('select')
+    EXPECTATION_MODES.forEach(m => {
+        const opt = document.createElement('option')
+        opt.value = m.value
+        opt.textContent = m.text
+        mode.appendChild(opt)
+    })
+
+    const text = document.createElement('textarea')
+    text.style.width = '100%'
+    text.rows = 3
+
+    const expr = document.createElement('input')
+    expr.type = 'text'
+    expr.style.width = '100%'
+    expr.placeholder = 'regex expression (no slashes)'
+
+    const flags = document.createElement('input')
+    flags.type = 'text'
+    flags.style.width = '100%'
+    flags.placeholder = 'flags (e.g. i)'
+
+    // Tolerances for float_tolerance: a number passes when
+    // |actual - expected| <= max(absTol, relTol * |expected|)
+    const tolWrap = document.createElement('div')
+    tolWrap.style.display = 'flex'
+    tolWrap.style.gap = '8px'
+    tolWrap.style.alignItems = 'center'
+    tolWrap.style.fontSize = '0.9em'
+    const absTol = document.createElement('input')
+    absTol.type = 'number'
+    absTol.step = 'any'
+    absTol.min = '0'
+    absTol.style.width = '120px'
+    absTol.placeholder = String(FLOAT_TOLERANCE_DEFAULTS.absTol)
+    const relTol = document.createElement('input')
+    relTol.type = 'number'
+    relTol.step = 'any'
+    relTol.min = '0'
+    relTol.style.width = '120px'
+    relTol.placeholder = String(FLOAT_TOLERANCE_DEFAULTS.relTol)
+    const absLabel = document.createElement('span')
+    absLabel.textContent = 'Absolute tolerance'
+    const relLabel = document.createElement('span')
+    relLabel.textContent = 'Relative tolerance'
+    tolWrap.appendChild(absLabel)
+    tolWrap.appendChild(absTol)
+    tolWrap.appendChild(relLabel)
+    tolWrap.appendChild(relTol)
+
+    root.appendChild(mode)
+    root.appendChild(text)
+    root.appendChild(expr)
+    root.appendChild(flags)
+    root.appendChild(tolWrap)
+
+    function updateVisibility() {
+        const isRegex = mode.value === 'regex'
+        text.style.display = isRegex ? 'none' : ''
+        expr.style.display = isRegex ? '' : 'none'
+        flags.style.display = isRegex ? '' : 'none'
+        tolWrap.style.display = mode.value === 'float_tolerance' ? 'flex' : 'none'
+    }
+
+    // initialize mode/values based on existing data shape
+    try {
+        const v = existingValue
+        if (v && typeof v === 'object' && EXPECTATION_MODES.some(m => m.value === v.type && m.value !== 'string')) {
+            mode.value = v.type
+            if (v.type === 'regex') {
+                expr.value = v.expression || ''
+                flags.value = v.flags || ''
+            } else {
+                text.value = v.expression || ''
+            }
+            if (v.type === 'float_tolerance') {
+                if (v.absTol != null) absTol.value = String(v.absTol)
+                if (v.relTol != null) relTol.value = String(v.relTol)
+            }
+        } else {
+            mode.value = 'string'
+            text.value = typeof v === 'string' ? v : ''
+        }
+    } catch (_e) {
+        mode.value = 'string'
+        text.value = typeof existingValue === 'string' ? existingValue : ''
+    }
+    updateVisibility()
+    mode.addEventListener('change', updateVisibility)
+
+    return {
+        root,
+        get() {
+            if (mode.value === 'regex') {
+                const e = (expr.value || '').trim()
+                return e === '' ? undefined : { type: 'regex', expression: e, flags: (flags.value || '').trim() }
+            }
+            const v = (text.value || '').trim()
+            if (v === '') return undefined
+            if (mode.value === 'string') return v
+            const out = { type: mode.value, expression: v }
+            if (mode.value === 'float_tolerance') {
+                if (absTol.value.trim() !== '') out.absTol = Number(absTol.value)
+                if (relTol.value.trim() !== '') out.relTol = Number(relTol.value)
+            }
+            return out
+        }
+    }
+}
+
 function buildEditorForm(existing) {
     // Check if this is an AST test
     if (existing.type === 'ast' || existing.astRule) {
         return buildASTTestForm(existing)
     }
+    if (existing.type === 'function') {
+        return buildFunctionTestForm(existing)
+    }
+    if (existing.type === 'transcript') {
+        return buildTranscriptTestForm(existing)
+    }
+    if (existing.type === 'property') {
+        return buildPropertyTestForm(existing)
+    }
+    if (existing.type === 'budget') {
+        return buildBudgetTestForm(existing)
+    }
 
     // Regular test form (existing logic)
     const root = document.createElement('div')
@@ -378,47 +691,31 @@ function buildEditorForm(existing) {
     stdin.rows = 3
     stdin.value = existing.stdin || ''
 
-    // Expected stdout editor: allow String, Exact, or Regex modes
-    const expectedOutMode = document.createElement('select')
-    const optS = document.createElement('option'); optS.value = 'string'; optS.textContent = 'String (contains)'
-    const optE = document.createElement('option'); optE.value = 'exact'; optE.textContent = 'Exact match'
-    const optR = document.createElement('option'); optR.value = 'regex'; optR.textContent = 'Regex'
-    expectedOutMode.appendChild(optS); expectedOutMode.appendChild(optE); expectedOutMode.appendChild(optR)
-
-    const expectedOutText = document.createElement('textarea')
-    expectedOutText.style.width = '100%'
-    expectedOutText.rows = 3
-
-    const expectedOutExpr = document.createElement('input')
-    expectedOutExpr.type = 'text'
-    expectedOutExpr.style.width = '100%'
-    expectedOutExpr.placeholder = 'regex expression (no slashes)'
-
-    const expectedOutFlags = document.createElement('input')
-    expectedOutFlags.type = 'text'
-    expectedOutFlags.style.width = '100%'
-    expectedOutFlags.placeholder = 'flags (e.g. i)'
-
-    // Expected stderr editor: allow String, Exact, or Regex modes
-    const expectedErrMode = document.createElement('select')
-    const eOptS = document.createElement('option'); eOptS.value = 'string'; eOptS.textContent = 'String (contains)'
-    const eOptE = document.createElement('option'); eOptE.value = 'exact'; eOptE.textContent = 'Exact match'
-    const eOptR = document.createElement('option'); eOptR.value = 'regex'; eOptR.textContent = 'Regex'
-    expectedErrMode.appendChild(eOptS); expectedErrMode.appendChild(eOptE); expectedErrMode.appendChild(eOptR)
-
-    const expectedErrText = document.createElement('textarea')
-    expectedErrText.style.width = '100%'
-    expectedErrText.rows = 3
-
-    const expectedErrExpr = document.createElement('input')
-    expectedErrExpr.type = 'text'
-    expectedErrExpr.style.width = '100%'
-    expectedErrExpr.placeholder = 'regex expression (no slashes)'
-
-    const expectedErrFlags = document.createElement('input')
-    expectedErrFlags.type = 'text'
-    expectedErrFlags.style.width = '100%'
-    expectedErrFlags.placeholder = 'flags (e.g. i)'
+    // Expected stdout/stderr editors: string, exact, regex or a normalizing matcher
+    const expectedOut = buildExpectationEditor(existing.expected_stdout)
+    const expectedErr = buildExpectationEditor(existing.expected_stderr)
+
+    // Files the program should leave in the workspace after the run
+    const expectedFiles = buildExpectedFilesEditor(existing)
+
+    // Points (optional weight of this test in the score)
+    const points = document.createElement('input')
+    points.type = 'number'
+    points.min = '0'
+    points.step = 'any'
+    points.style.width = '120px'
+    points.value = (existing.points !== undefined && existing.points !== null) ? String(existing.points) : ''
+    points.placeholder = '1'
+
+    // Random seed (optional): makes programs using random repeatable
+    const seed = document.createElement('input')
+    seed.type = 'number'
+    seed.min = '0'
+    seed.step = '1'
+    seed.style.width = '120px'
+    seed.value = normalizeSeed(existing.seed) !== null ? String(existing.seed) : ''
+    seed.placeholder = 'default'
+
     // timeout input
     const timeout = document.createElement('input')
     timeout.type = 'number'
@@ -959,98 +1256,21 @@ function buildEditorForm(existing) {
     root.appendChild(labeled('ID [optional]', idIn))
     root.appendChild(labeled('Description', desc))
     root.appendChild(labeled('Stdin', stdin))
-    // Expected stdout inputs
-    const outWrap = document.createElement('div')
-    outWrap.appendChild(expectedOutMode)
-    outWrap.appendChild(expectedOutText)
-    outWrap.appendChild(expectedOutExpr)
-    outWrap.appendChild(expectedOutFlags)
-    root.appendChild(labeled('Expected stdout', outWrap))
-    // Expected stderr inputs
-    const errWrap = document.createElement('div')
-    errWrap.appendChild(expectedErrMode)
-    errWrap.appendChild(expectedErrText)
-    errWrap.appendChild(expectedErrExpr)
-    errWrap.appendChild(expectedErrFlags)
-    root.appendChild(labeled('Expected stderr', errWrap))
-    // initialize modes/values based on existing data shape
-    try {
-        if (existing.expected_stdout && typeof existing.expected_stdout === 'object' && existing.expected_stdout.type === 'regex') {
-            expectedOutMode.value = 'regex'
-            expectedOutExpr.value = existing.expected_stdout.expression || ''
-            expectedOutFlags.value = existing.expected_stdout.flags || ''
-            expectedOutText.style.display = 'none'
-        } else if (existing.expected_stdout && typeof existing.expected_stdout === 'object' && existing.expected_stdout.type === 'exact') {
-            expectedOutMode.value = 'exact'
-            expectedOutText.value = existing.expected_stdout.expression || ''
-            expectedOutExpr.style.display = 'none'
-            expectedOutFlags.style.display = 'none'
-        } else {
-            expectedOutMode.value = 'string'
-            expectedOutText.value = existing.expected_stdout || ''
-            expectedOutExpr.style.display = 'none'
-            expectedOutFlags.style.display = 'none'
-        }
-    } catch (_e) {
-        expectedOutMode.value = 'string'
-        expectedOutText.value = existing.expected_stdout || ''
-        expectedOutExpr.style.display = 'none'
-        expectedOutFlags.style.display = 'none'
-    }
-
-    try {
-        if (existing.expected_stderr && typeof existing.expected_stderr === 'object' && existing.expected_stderr.type === 'regex') {
-            expectedErrMode.value = 'regex'
-            expectedErrExpr.value = existing.expected_stderr.expression || ''
-            expectedErrFlags.value = existing.expected_stderr.flags || ''
-            expectedErrText.style.display = 'none'
-        } else if (existing.expected_stderr && typeof existing.expected_stderr === 'object' && existing.expected_stderr.type === 'exact') {
-            expectedErrMode.value = 'exact'
-            expectedErrText.value = existing.expected_stderr.expression || ''
-            expectedErrExpr.style.display = 'none'
-            expectedErrFlags.style.display = 'none'
-        } else {
-            expectedErrMode.value = 'string'
-            expectedErrText.value = existing.expected_stderr || ''
-            expectedErrExpr.style.display = 'none'
-            expectedErrFlags.style.display = 'none'
-        }
-    } catch (_e) {
-        expectedErrMode.value = 'string'
-        expectedErrText.value = existing.expected_stderr || ''
-        expectedErrExpr.style.display = 'none'
-        expectedErrFlags.style.display = 'none'
-    }
-
-    // Toggle visibility when mode changes
-    expectedOutMode.addEventListener('change', () => {
-        if (expectedOutMode.value === 'regex') {
-            expectedOutText.style.display = 'none'
-            expectedOutExpr.style.display = ''
-            expectedOutFlags.style.display = ''
-        } else {
-            expectedOutText.style.display = ''
-            expectedOutExpr.style.display = 'none'
-            expectedOutFlags.style.display = 'none'
-        }
-    })
-    expectedErrMode.addEventListener('change', () => {
-        if (expectedErrMode.value === 'regex') {
-            expectedErrText.style.display = 'none'
-            expectedErrExpr.style.display = ''
-            expectedErrFlags.style.display = ''
-        } else {
-            expectedErrText.style.display = ''
-            expectedErrExpr.style.display = 'none'
-            expectedErrFlags.style.display = 'none'
-        }
-    })
+    root.appendChild(labeled('Expected stdout', expectedOut.root))
+    root.appendChild(labeled('Expected stderr', expectedErr.root))
+    root.appendChild(labeled('Expected files [optional]', expectedFiles.root))
 
     root.appendChild(labeled('Timeout (ms) [optional]', timeout))
+    root.appendChild(labeled('Points [optional]', points))
+    root.appendChild(labeled('Random seed [optional]', seed))
     root.appendChild(labeled('Setup (JSON) [optional]', setup))
     root.appendChild(labeled('Test Files [optional]', filesContainer))
     root.appendChild(labeled('Failure Message [optional]', failureMessage))
     root.appendChild(labeled('Display options', hideActualExpectedWrap))
+    const fixtureControls = createFixtureControls(existing)
+    root.appendChild(labeled('Workspace fixtures [optional]', fixtureControls.root))
+    const hiddenControls = createHiddenTestControls(existing)
+    root.appendChild(labeled('Visibility', hiddenControls.root))
 
     // Conditional execution controls
     const conditionalWrap = document.createElement('div')
@@ -1112,33 +1332,8 @@ function buildEditorForm(existing) {
                 filesVal = files.value || null
             }
 
-            // expected stdout: respect selected mode (string, exact, or regex)
-            let expectedOutVal = undefined
-            if (typeof expectedOutMode !== 'undefined' && expectedOutMode.value === 'regex') {
-                const expr = (expectedOutExpr.value || '').trim()
-                const flagsV = (expectedOutFlags.value || '').trim()
-                if (expr !== '') expectedOutVal = { type: 'regex', expression: expr, flags: flagsV || '' }
-            } else if (typeof expectedOutMode !== 'undefined' && expectedOutMode.value === 'exact') {
-                const v = (expectedOutText.value || '').trim()
-                expectedOutVal = v === '' ? undefined : { type: 'exact', expression: v }
-            } else {
-                const v = (expectedOutText.value || '').trim()
-                expectedOutVal = v === '' ? undefined : v
-            }
-
-            // expected stderr: respect selected mode (string, exact, or regex)
-            let expectedErrVal = undefined
-            if (typeof expectedErrMode !== 'undefined' && expectedErrMode.value === 'regex') {
-                const expr = (expectedErrExpr.value || '').trim()
-                const flagsV = (expectedErrFlags.value || '').trim()
-                if (expr !== '') expectedErrVal = { type: 'regex', expression: expr, flags: flagsV || '' }
-            } else if (typeof expectedErrMode !== 'undefined' && expectedErrMode.value === 'exact') {
-                const v = (expectedErrText.value || '').trim()
-                expectedErrVal = v === '' ? undefined : { type: 'exact', expression: v }
-            } else {
-                const v = (expectedErrText.value || '').trim()
-                expectedErrVal = v === '' ? undefined : v
-            }
+            const expectedOutVal = expectedOut.get()
+            const expectedErrVal = expectedErr.get()
 
             const out = {
                 // only include fields that have meaningful values so the saved
@@ -1149,10 +1344,16 @@ function buildEditorForm(existing) {
             if (stdin.value && stdin.value.trim() !== '') out.stdin = stdin.value
             if (expectedOutVal !== undefined) out.expected_stdout = expectedOutVal
             if (expectedErrVal !== undefined) out.expected_stderr = expectedErrVal
+            const expectedFilesVal = expectedFiles.get()
+            if (expectedFilesVal) out.expected_files = expectedFilesVal
             if (timeout.value) out.timeoutMs = Number(timeout.value)
+            if (points.value !== '') out.points = Number(points.value)
+            if (normalizeSeed(seed.value) !== null) out.seed = normalizeSeed(seed.value)
             if (setupVal !== null && setupVal !== undefined && setupVal !== '') out.setup = setupVal
             if (filesVal !== null && filesVal !== undefined && filesVal !== '') out.files = filesVal
             if (hideActualExpected.checked) out.hide_actual_expected = true
+            fixtureControls.apply(out)
+            hiddenControls.apply(out)
 
             // Optional author-provided failure message
             if (failureMessage.value && failureMessage.value.trim() !== '') out.failureMessage = failureMessage.value.trim()
@@ -1221,13 +1422,30 @@ function buildGroupEditorForm(existing) {
         runIfSelect.value = 'previous_group_passed'
     }
 
+    // Optional fixed points total for the group, shared between its tests
+    // in proportion to their own points
+    const pointsInput = document.createElement('input')
+    pointsInput.type = 'number'
+    pointsInput.className = 'form-input'
+    pointsInput.min = '0'
+    pointsInput.step = 'any'
+    pointsInput.value = (existing?.points !== undefined && existing?.points !== null) ? String(existing.points) : ''
+    pointsInput.placeholder = 'Sum of test points'
+
     root.appendChild(labeled('Group Name', nameInput))
     root.appendChild(labeled('Run Conditions', conditionalWrap))
+    root.appendChild(labeled('Points [optional]', pointsInput))
+
+    const fixtureControls = createFixtureControls(existing || {}, 'group')
+    root.appendChild(labeled('Workspace fixtures [optional]', fixtureControls.root))
+
+    const hiddenControls = createHiddenTestControls(existing || {}, 'group')
+    root.appendChild(labeled('Visibility', hiddenControls.root))
 
     return {
         root,
         get() {
-            return {
+            const group = {
                 id: existing?.id || genGroupId(),
                 name: nameInput.value || 'New Group',
                 collapsed: existing?.collapsed || false,
@@ -1237,6 +1455,10 @@ function buildGroupEditorForm(existing) {
                 },
                 tests: existing?.tests || []
             }
+            if (pointsInput.value !== '') group.points = Number(pointsInput.value)
+            fixtureControls.apply(group)
+            hiddenControls.apply(group)
+            return group
         }
     }
 }
@@ -1262,6 +1484,34 @@ export function initAuthorTests() {
     addASTBtn.style.marginRight = '8px'
     addASTBtn.title = 'Add test that analyzes code structure using AST patterns'
 
+    const addFunctionBtn = document.createElement('button')
+    addFunctionBtn.className = 'btn'
+    addFunctionBtn.textContent = 'Add function test'
+    addFunctionBtn.style.marginBottom = '8px'
+    addFunctionBtn.style.marginRight = '8px'
+    addFunctionBtn.title = 'Add test that calls a function and checks its return value'
+
+    const addTranscriptBtn = document.createElement('button')
+    addTranscriptBtn.className = 'btn'
+    addTranscriptBtn.textContent = 'Add transcript test'
+    addTranscriptBtn.style.marginBottom = '8px'
+    addTranscriptBtn.style.marginRight = '8px'
+    addTranscriptBtn.title = 'Add test that checks prompts and inputs step by step'
+
+    const addPropertyBtn = document.createElement('button')
+    addPropertyBtn.className = 'btn'
+    addPropertyBtn.textContent = 'Add property test'
+    addPropertyBtn.style.marginBottom = '8px'
+    addPropertyBtn.style.marginRight = '8px'
+    addPropertyBtn.title = 'Add test that compares with a reference solution on random inputs'
+
+    const addBudgetBtn = document.createElement('button')
+    addBudgetBtn.className = 'btn'
+    addBudgetBtn.textContent = 'Add budget test'
+    addBudgetBtn.style.marginBottom = '8px'
+    addBudgetBtn.style.marginRight = '8px'
+    addBudgetBtn.title = 'Add test that limits executed steps, time and growth as inputs get bigger'
+
     const addGroupBtn = document.createElement('button')
     addGroupBtn.className = 'btn'
     addGroupBtn.textContent = 'Create Group'
@@ -1296,6 +1546,56 @@ export function initAuthorTests() {
     groupVisibilityLabel.appendChild(groupVisibilityText)
     groupVisibilityWrap.appendChild(groupVisibilityLabel)
 
+    // Optional pass threshold: the verification code is issued once the
+    // weighted score reaches this percentage instead of requiring all tests
+    const passThresholdLabel = document.createElement('label')
+    passThresholdLabel.style.display = 'flex'
+    passThresholdLabel.style.alignItems = 'center'
+    passThresholdLabel.style.fontSize = '14px'
+    passThresholdLabel.title = 'Percentage of points needed for a verification code. Leave empty to require all tests to pass'
+
+    const passThresholdText = document.createElement('span')
+    passThresholdText.textContent = 'Pass threshold (%)'
+    passThresholdText.style.marginRight = '6px'
+
+    const passThresholdInput = document.createElement('input')
+    passThresholdInput.type = 'number'
+    passThresholdInput.id = 'tests-pass-threshold'
+    passThresholdInput.min = '0'
+    passThresholdInput.max = '100'
+    passThresholdInput.step = 'any'
+    passThresholdInput.style.width = '80px'
+    passThresholdInput.placeholder = 'all'
+    // Will be set after testConfig is parsed
+
+    passThresholdLabel.appendChild(passThresholdText)
+    passThresholdLabel.appendChild(passThresholdInput)
+    groupVisibilityWrap.appendChild(passThresholdLabel)
+
+    // Default random seed for tests that do not set their own
+    const defaultSeedLabel = document.createElement('label')
+    defaultSeedLabel.style.display = 'flex'
+    defaultSeedLabel.style.alignItems = 'center'
+    defaultSeedLabel.style.fontSize = '14px'
+    defaultSeedLabel.style.marginLeft = '16px'
+    defaultSeedLabel.title = 'Seed for the random module in every test without its own seed. Leave empty for unseeded runs'
+
+    const defaultSeedText = document.createElement('span')
+    defaultSeedText.textContent = 'Default seed'
+    defaultSeedText.style.marginRight = '6px'
+
+    const defaultSeedInput = document.createElement('input')
+    defaultSeedInput.type = 'number'
+    defaultSeedInput.id = 'tests-default-seed'
+    defaultSeedInput.min = '0'
+    defaultSeedInput.step = '1'
+    defaultSeedInput.style.width = '80px'
+    defaultSeedInput.placeholder = 'none'
+
+    defaultSeedLabel.appendChild(defaultSeedText)
+    defaultSeedLabel.appendChild(defaultSeedInput)
+    groupVisibilityWrap.appendChild(defaultSeedLabel)
+
     const list = document.createElement('div')
     list.id = 'author-tests-list'
     list.style.display = 'flex'
@@ -1304,6 +1604,10 @@ export function initAuthorTests() {
 
     container.appendChild(addBtn)
     container.appendChild(addASTBtn)
+    container.appendChild(addFunctionBtn)
+    container.appendChild(addTranscriptBtn)
+    container.appendChild(addPropertyBtn)
+    container.appendChild(addBudgetBtn)
     container.appendChild(addGroupBtn)
     container.appendChild(groupVisibilityWrap)
     container.appendChild(list)
@@ -1327,6 +1631,8 @@ export function initAuthorTests() {
 
     // Set checkbox state after testConfig is available
     groupVisibilityCheck.checked = testConfig.showGroupsToUsers !== false
+    passThresholdInput.value = typeof testConfig.passThreshold === 'number' ? String(testConfig.passThreshold) : ''
+    defaultSeedInput.value = typeof testConfig.seed === 'number' ? String(testConfig.seed) : ''
 
     // Initial sync with global config
     try {
@@ -1626,6 +1932,52 @@ export function initAuthorTests() {
                     }
                 }
             } catch (_e) { /* ignore DOM-check failures */ }
+            // Function tests need a callable name and single-line Python values
+            if (val.type === 'function') {
+                const fv = validateFunctionSpec(getFunctionSpec(val))
+                if (!fv.ok) {
+                    if (headerMessage) headerMessage.textContent = 'Cannot save: ' + fv.reason
+                    return
+                }
+            }
+            // Transcript tests need at least one step and valid regexes
+            if (val.type === 'transcript') {
+                const tv = validateTranscript(getTranscriptSteps(val))
+                if (!tv.ok) {
+                    if (headerMessage) headerMessage.textContent = 'Cannot save: ' + tv.reason
+                    return
+                }
+            }
+            // Property tests need a reference solution and valid generators
+            if (val.type === 'property') {
+                const pv = validatePropertySpec(getPropertySpec(val))
+                if (!pv.ok) {
+                    if (headerMessage) headerMessage.textContent = 'Cannot save: ' + pv.reason
+                    return
+                }
+            }
+            // Fixture paths must name files and not delete main.py
+            const fxv = validateFixtures(getFixtures(val))
+            if (!fxv.ok) {
+                if (headerMessage) headerMessage.textContent = 'Cannot save: ' + fxv.reason
+                return
+            }
+            // Budget tests need cases with sizes and at least one limit
+            if (val.type === 'budget') {
+                const bv = validateBudgetSpec(getBudgetSpec(val))
+                if (!bv.ok) {
+                    if (headerMessage) headerMessage.textContent = 'Cannot save: ' + bv.reason
+                    return
+                }
+            }
+            // Expected files need a path, valid regexes and valid JSON
+            if (Array.isArray(val.expected_files)) {
+                const ev = validateExpectedFiles(getExpectedFiles(val))
+                if (!ev.ok) {
+                    if (headerMessage) headerMessage.textContent = 'Cannot save: ' + ev.reason
+                    return
+                }
+            }
             // Validate any expected regex patterns authored in the test
             try {
                 const expectedOut = val.expected_stdout
@@ -1728,9 +2080,19 @@ export function initAuthorTests() {
 
         function validateAndSave() {
             const val = editor.get()
+            const fv = validateFixtures(getFixtures(val))
+            if (!fv.ok) {
+                err.textContent = 'Cannot save: ' + fv.reason
+                return
+            }
             const groupIdx = testConfig.groups.findIndex(g => g.id === group.id)
             if (groupIdx >= 0) {
                 testConfig.groups[groupIdx] = { ...testConfig.groups[groupIdx], ...val }
+                // Clearing the points field removes the group's fixed total
+                if (val.points === undefined) delete testConfig.groups[groupIdx].points
+                if (!val.hidden) delete testConfig.groups[groupIdx].hidden
+                if (val.hiddenHint === undefined) delete testConfig.groups[groupIdx].hiddenHint
+                if (val.fixtures === undefined) delete testConfig.groups[groupIdx].fixtures
                 persist()
             }
             try { closeModalHelper(m) } catch (_e) { m.setAttribute('aria-hidden', 'true'); m.style.display = 'none' }
@@ -1809,6 +2171,53 @@ export function initAuthorTests() {
             } catch (_e) { /* ignore DOM-check failures */ }
             if (!val.id) val.id = genId()
 
+            // Function tests need a callable name and single-line Python values
+            if (val.type === 'function') {
+                const fv = validateFunctionSpec(getFunctionSpec(val))
+                if (!fv.ok) {
+                    if (headerMessage) headerMessage.textContent = 'Cannot save: ' + fv.reason
+                    return
+                }
+            }
+            // Transcript tests need at least one step and valid regexes
+            if (val.type === 'transcript') {
+                const tv = validateTranscript(getTranscriptSteps(val))
+                if (!tv.ok) {
+                    if (headerMessage) headerMessage.textContent = 'Cannot save: ' + tv.reason
+                    return
+                }
+            }
+            // Property tests need a reference solution and valid generators
+            if (val.type === 'property') {
+                const pv = validatePropertySpec(getPropertySpec(val))
+                if (!pv.ok) {
+                    if (headerMessage) headerMessage.textContent = 'Cannot save: ' + pv.reason
+                    return
+                }
+            }
+            // Fixture paths must name files and not delete main.py
+            const fxv = validateFixtures(getFixtures(val))
+            if (!fxv.ok) {
+                if (headerMessage) headerMessage.textContent = 'Cannot save: ' + fxv.reason
+                return
+            }
+            // Budget tests need cases with sizes and at least one limit
+            if (val.type === 'budget') {
+                const bv = validateBudgetSpec(getBudgetSpec(val))
+                if (!bv.ok) {
+                    if (headerMessage) headerMessage.textContent = 'Cannot save: ' + bv.reason
+                    return
+                }
+            }
+            // Expected files need a path, valid regexes and valid JSON
+            if (Array.isArray(val.expected_files)) {
+                const ev = validateExpectedFiles(getExpectedFiles(val))
+                if (!ev.ok) {
+                    if (headerMessage) headerMessage.textContent = 'Cannot save: ' + ev.reason
+                    return
+                }
+            }
+
             // Validate any expected regex patterns authored in the test (new)
             try {
                 const expectedOut = val.expected_stdout
@@ -1867,6 +2276,10 @@ export function initAuthorTests() {
         const contentWrapper = document.createElement('div')
         contentWrapper.style.padding = '0 12px 12px 12px'
         contentWrapper.appendChild(editor.root)
+        const err = document.createElement('div')
+        err.style.color = '#b00020'
+        err.style.marginTop = '6px'
+        contentWrapper.appendChild(err)
 
         const actions = document.createElement('div')
         actions.style.marginTop = '8px'
@@ -1891,6 +2304,11 @@ export function initAuthorTests() {
 
         function validateAndSave() {
             const val = editor.get()
+            const fv = validateFixtures(getFixtures(val))
+            if (!fv.ok) {
+                err.textContent = 'Cannot save: ' + fv.reason
+                return
+            }
             testConfig.groups = testConfig.groups || []
             testConfig.groups.push(val)
             persist()
@@ -1921,10 +2339,54 @@ export function initAuthorTests() {
         openNewTestModal(newItem)
     })
 
+    addFunctionBtn.addEventListener('click', () => {
+        const newItem = createDefaultFunctionTest()
+        newItem.conditional = { runIf: 'previous_passed', alwaysRun: false }
+        openNewTestModal(newItem)
+    })
+
+    addTranscriptBtn.addEventListener('click', () => {
+        const newItem = createDefaultTranscriptTest()
+        newItem.conditional = { runIf: 'previous_passed', alwaysRun: false }
+        openNewTestModal(newItem)
+    })
+
+    addPropertyBtn.addEventListener('click', () => {
+        const newItem = createDefaultPropertyTest()
+        newItem.conditional = { runIf: 'previous_passed', alwaysRun: false }
+        openNewTestModal(newItem)
+    })
+
+    addBudgetBtn.addEventListener('click', () => {
+        const newItem = createDefaultBudgetTest()
+        newItem.conditional = { runIf: 'previous_passed', alwaysRun: false }
+        openNewTestModal(newItem)
+    })
+
     addGroupBtn.addEventListener('click', () => {
         openNewGroupModal()
     })
 
+    passThresholdInput.addEventListener('change', () => {
+        const v = passThresholdInput.value.trim()
+        if (v === '' || !Number.isFinite(Number(v))) {
+            delete testConfig.passThreshold
+            passThresholdInput.value = ''
+        } else {
+            testConfig.passThreshold = Math.min(100, Math.max(0, Number(v)))
+            passThresholdInput.value = String(testConfig.passThreshold)
+        }
+        persist()
+    })
+
+    defaultSeedInput.addEventListener('change', () => {
+        const seed = normalizeSeed(defaultSeedInput.value.trim())
+        if (seed === null) delete testConfig.seed
+        else testConfig.seed = seed
+        defaultSeedInput.value = seed === null ? '' : String(seed)
+        persist()
+    })
+
     groupVisibilityCheck.addEventListener('change', () => {
         testConfig.showGroupsToUsers = groupVisibilityCheck.checked
         persist()
@@ -1933,6 +2395,8 @@ export function initAuthorTests() {
     ta.addEventListener('input', () => {
         testConfig = parseTestsFromTextarea(ta)
         groupVisibilityCheck.checked = testConfig.showGroupsToUsers !== false
+    passThresholdInput.value = typeof testConfig.passThreshold === 'number' ? String(testConfig.passThreshold) : ''
+        defaultSeedInput.value = typeof testConfig.seed === 'number' ? String(testConfig.seed) : ''
         try { jsonView.textContent = JSON.stringify(testConfig, null, 2) } catch (_e) { jsonView.textContent = '' }
         render()
 
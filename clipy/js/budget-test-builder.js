@@ -0,0 +1,448 @@
+/**
+ * Budget Test Builder Module
+ *
+ * Builder for execution budget tests: inputs of known size with step/time
+ * limits and a maximum growth rate.
+ */
+
+import { getBudgetSpec, validateBudgetSpec, GROWTH_CLASSES } from './budget-test.js'
+import { createHiddenTestControls } from './hidden-tests.js'
+import { createFixtureControls } from './test-fixtures.js'
+
+/**
+ * Editor for one case: size, arguments or stdin, and optional limits.
+ * @param {Object} existing - case spec
+ * @param {Object} options
+ * @param {function} [options.onChange]
+ * @returns {{root: HTMLElement, setMode: function(string), get: function(): Object}}
+ */
+function buildCaseEditor(existing = {}, { onChange = () => { } } = {}) {
+    const root = document.createElement('div')
+    root.style.display = 'flex'
+    root.style.flexWrap = 'wrap'
+    root.style.gap = '6px'
+    root.style.alignItems = 'center'
+
+    function field(label, width, value, placeholder, monospace) {
+        const lab = document.createElement('span')
+        lab.style.fontSize = '0.85em'
+        lab.style.color = '#666'
+        lab.textContent = label
+        const inp = document.createElement('input')
+        inp.type = 'text'
+        inp.style.width = width
+        if (monospace) inp.style.fontFamily = 'monospace'
+        inp.placeholder = placeholder
+        if (value !== undefined && value !== null) inp.value = String(value)
+        inp.addEventListener('input', onChange)
+        root.appendChild(lab)
+        root.appendChild(inp)
+        return { lab, inp }
+    }
+
+    const size = field('size', '70px', existing.size, '1000')
+    const args = field('args', '220px', existing.args, 'list(range(1000))', true)
+    const stdinLab = document.createElement('span')
+    stdinLab.style.fontSize = '0.85em'
+    stdinLab.style.color = '#666'
+    stdinLab.textContent = 'stdin'
+    const stdin = document.createElement('textarea')
+    stdin.rows = 1
+    stdin.style.width = '220px'
+    stdin.style.fontFamily = 'monospace'
+    stdin.placeholder = '1000'
+    stdin.value = typeof existing.stdin === 'string' ? existing.stdin : ''
+    stdin.addEventListener('input', onChange)
+    root.appendChild(stdinLab)
+    root.appendChild(stdin)
+    const maxSteps = field('max steps', '80px', existing.maxSteps, 'none')
+    const maxMs = field('max ms', '70px', existing.maxMs, 'none')
+
+    let mode = 'program'
+    return {
+        root,
+        setMode(m) {
+            mode = m
+            args.lab.style.display = args.inp.style.display = m === 'function' ? '' : 'none'
+            stdinLab.style.display = stdin.style.display = m === 'function' ? 'none' : ''
+        },
+        get() {
+            const out = {}
+            const num = (inp) => inp.value.trim() === '' ? null : Number(inp.value)
+            if (num(size.inp) !== null) out.size = num(size.inp)
+            if (mode === 'function') out.args = args.inp.value.trim()
+            else if (stdin.value !== '') out.stdin = stdin.value
+            if (num(maxSteps.inp) !== null) out.maxSteps = num(maxSteps.inp)
+            if (num(maxMs.inp) !== null) out.maxMs = num(maxMs.inp)
+            return out
+        }
+    }
+}
+
+/**
+ * Create budget test form builder
+ * @param {Object} existing - Existing test configuration
+ * @returns {Object} Form builder with root element and get() function
+ */
+export function buildBudgetTestForm(existing = {}) {
+    const root = document.createElement('div')
+    root.style.border = '1px solid #e0e0e0'
+    root.style.padding = '8px'
+    root.style.borderRadius = '6px'
+    root.style.background = '#fff8f0'  // Light orange background to distinguish from other tests
+
+    // Helper function for labeled form elements
+    function labeled(labelText, el, helpText) {
+        const wr = document.createElement('div')
+        wr.style.marginBottom = '8px'
+        const l = document.createElement('div')
+        l.style.fontSize = '0.9em'
+        l.style.marginBottom = '4px'
+        l.style.display = 'flex'
+        l.style.alignItems = 'center'
+        l.style.gap = '8px'
+        const txt = document.createElement('span')
+        txt.textContent = labelText
+        l.appendChild(txt)
+        if (helpText) {
+            const info = document.createElement('span')
+            info.className = 'info-icon'
+            info.setAttribute('tabindex', '0')
+            info.setAttribute('role', 'img')
+            info.setAttribute('aria-label', labelText + ' help')
+            const infoSymbol = document.createElement('span')
+            infoSymbol.className = 'info-symbol'
+            infoSymbol.textContent = 'ℹ'
+            info.appendChild(infoSymbol)
+            const tip = document.createElement('span')
+            tip.className = 'info-tooltip'
+            tip.textContent = helpText
+            info.appendChild(tip)
+            l.appendChild(info)
+        }
+        wr.appendChild(l)
+        wr.appendChild(el)
+        return wr
+    }
+
+    const budget = (existing.budget && typeof existing.budget === 'object') ? existing.budget : {}
+    const fn = (existing.function && typeof existing.function === 'object') ? existing.function : {}
+
+    // Test ID
+    const idIn = document.createElement('input')
+    idIn.style.width = '100%'
+    idIn.value = existing.id || ''
+
+    // Test description
+    const desc = document.createElement('input')
+    desc.style.width = '100%'
+    desc.value = existing.description || existing.name || ''
+    desc.placeholder = 'What is being tested, descriptive language'
+
+    // What is measured: the whole program or one function
+    const modeSel = document.createElement('select')
+    modeSel.className = 'form-input'
+    for (const [value, text] of [['program', 'Whole program (case input sent to stdin)'], ['function', 'Function (case arguments passed to it)']]) {
+        const o = document.createElement('option')
+        o.value = value
+        o.textContent = text
+        modeSel.appendChild(o)
+    }
+    modeSel.value = fn.name ? 'function' : 'program'
+
+    // Function name and module
+    const nameIn = document.createElement('input')
+    nameIn.style.width = '100%'
+    nameIn.style.fontFamily = 'monospace'
+    nameIn.value = fn.name || ''
+    nameIn.placeholder = 'find'
+
+    const moduleIn = document.createElement('input')
+    moduleIn.style.width = '100%'
+    moduleIn.style.fontFamily = 'monospace'
+    moduleIn.value = fn.module || 'main'
+    moduleIn.placeholder = 'main'
+
+    // Stdin for any input() calls made while importing the module
+    const stdin = document.createElement('textarea')
+    stdin.style.width = '100%'
+    stdin.rows = 2
+    stdin.value = existing.stdin || ''
+
+    // Cases: one row per input size
+    const casesWrap = document.createElement('div')
+    const casesList = document.createElement('div')
+    casesWrap.appendChild(casesList)
+    const rows = []
+
+    function addCaseRow(c = {}) {
+        const row = document.createElement('div')
+        row.style.display = 'flex'
+        row.style.gap = '6px'
+        row.style.alignItems = 'flex-start'
+        row.style.marginBottom = '6px'
+        const editor = buildCaseEditor(c, { onChange: updateStatus })
+        editor.setMode(modeSel.value)
+        editor.root.style.flex = '1'
+        const removeBtn = document.createElement('button')
+        removeBtn.type = 'button'
+        removeBtn.className = 'btn'
+        removeBtn.textContent = '✕'
+        removeBtn.title = 'Remove case'
+        removeBtn.addEventListener('click', () => {
+            const i = rows.indexOf(editor)
+            if (i !== -1) rows.splice(i, 1)
+            row.remove()
+            updateStatus()
+        })
+        row.appendChild(editor.root)
+        row.appendChild(removeBtn)
+        casesList.appendChild(row)
+        rows.push(editor)
+    }
+
+    const addCaseBtn = document.createElement('button')
+    addCaseBtn.type = 'button'
+    addCaseBtn.className = 'btn'
+    addCaseBtn.textContent = 'Add case'
+    addCaseBtn.addEventListener('click', () => { addCaseRow(); updateStatus() })
+    casesWrap.appendChild(addCaseBtn)
+
+    // Allowed growth and tolerance
+    const growthSel = document.createElement('select')
+    growthSel.className = 'form-input'
+    const noGrowth = document.createElement('option')
+    noGrowth.value = ''
+    noGrowth.textContent = 'No growth check'
+    growthSel.appendChild(noGrowth)
+    for (const [value, cls] of Object.entries(GROWTH_CLASSES)) {
+        const o = document.createElement('option')
+        o.value = value
+        o.textContent = 'At most ' + cls.label
+        growthSel.appendChild(o)
+    }
+    growthSel.value = GROWTH_CLASSES[budget.growth] ? budget.growth : ''
+
+    const tolerance = document.createElement('input')
+    tolerance.type = 'number'
+    tolerance.min = '1'
+    tolerance.step = 'any'
+    tolerance.style.width = '120px'
+    tolerance.value = budget.tolerance !== undefined && budget.tolerance !== null ? String(budget.tolerance) : ''
+    tolerance.placeholder = '1.2'
+
+    // Validation message
+    const status = document.createElement('div')
+    status.style.fontSize = '0.9em'
+    status.style.color = '#b00020'
+    status.style.marginBottom = '8px'
+
+    function currentTest() {
+        const test = {
+            type: 'budget',
+            budget: { cases: rows.map(r => r.get()) }
+        }
+        if (growthSel.value) test.budget.growth = growthSel.value
+        if (growthSel.value && tolerance.value !== '') test.budget.tolerance = Number(tolerance.value)
+        if (modeSel.value === 'function') {
+            test.function = { name: nameIn.value.trim(), module: moduleIn.value.trim() || 'main' }
+        }
+        return test
+    }
+
+    function updateStatus() {
+        const v = validateBudgetSpec(getBudgetSpec(currentTest()))
+        status.textContent = v.ok ? '' : v.reason
+    }
+
+    const functionFields = document.createElement('div')
+    const toleranceRow = labeled('Tolerance [optional]', tolerance, 'How much the steps per unit of growth may rise from the smallest to the largest size (default: 1.2)')
+    function updateMode() {
+        const isFunction = modeSel.value === 'function'
+        functionFields.style.display = isFunction ? '' : 'none'
+        rows.forEach(r => r.setMode(modeSel.value))
+        toleranceRow.style.display = growthSel.value ? '' : 'none'
+        updateStatus()
+    }
+    modeSel.addEventListener('change', updateMode)
+    growthSel.addEventListener('change', updateMode)
+    for (const el of [nameIn, moduleIn, tolerance]) el.addEventListener('input', updateStatus)
+
+    const initialCases = Array.isArray(budget.cases) ? budget.cases : []
+    if (initialCases.length) initialCases.forEach(c => addCaseRow(c))
+    else {
+        addCaseRow({ size: 100 })
+        addCaseRow({ size: 1000 })
+    }
+
+    // Failure message (what should be shown when test fails)
+    const failureMessage = document.createElement('textarea')
+    failureMessage.style.width = '100%'
+    failureMessage.rows = 2
+    failureMessage.value = existing.failureMessage || ''
+    failureMessage.placeholder = 'Message shown when test fails (optional)'
+
+    // Points (optional weight of this test in the score)
+    const points = document.createElement('input')
+    points.type = 'number'
+    points.min = '0'
+    points.step = 'any'
+    points.style.width = '120px'
+    points.value = (existing.points !== undefined && existing.points !== null) ? String(existing.points) : ''
+    points.placeholder = '1'
+
+    // Timeout (optional)
+    const timeout = document.createElement('input')
+    timeout.type = 'number'
+    timeout.style.width = '120px'
+    timeout.value = typeof existing.timeoutMs === 'number' ? String(existing.timeoutMs) : ''
+    timeout.placeholder = '5000'
+
+    // Hide step counts and times in the failure reason
+    const hideActualExpected = document.createElement('input')
+    hideActualExpected.type = 'checkbox'
+    hideActualExpected.checked = !!existing.hide_actual_expected
+    const hideActualExpectedWrap = document.createElement('div')
+    hideActualExpectedWrap.style.display = 'flex'
+    hideActualExpectedWrap.style.alignItems = 'center'
+    hideActualExpectedWrap.style.gap = '8px'
+    hideActualExpectedWrap.appendChild(hideActualExpected)
+    const hideActualExpectedLabel = document.createElement('span')
+    hideActualExpectedLabel.textContent = 'Hide step counts and times (show only which size was too slow)'
+    hideActualExpectedWrap.appendChild(hideActualExpectedLabel)
+
+    // Add a header to distinguish this as a budget test
+    const header = document.createElement('div')
+    header.style.background = '#fdeedc'
+    header.style.padding = '8px'
+    header.style.borderRadius = '4px'
+    header.style.marginBottom = '12px'
+    header.style.border = '1px solid #f0d2b0'
+    const headerStrong = document.createElement('strong')
+    headerStrong.textContent = '⏱ Budget Test'
+    const headerBr = document.createElement('br')
+    const headerSpan = document.createElement('span')
+    headerSpan.style.fontSize = '0.9em'
+    headerSpan.style.color = '#666'
+    headerSpan.textContent = 'This test counts the lines the student\'s code executes for inputs of different sizes, and fails if it does too much work or the work grows too quickly.'
+    header.appendChild(headerStrong)
+    header.appendChild(headerBr)
+    header.appendChild(headerSpan)
+
+    functionFields.appendChild(labeled('Function name', nameIn, 'Name of the function to measure'))
+    functionFields.appendChild(labeled('Module', moduleIn, 'Module containing the function, without .py (default: main)'))
+    functionFields.appendChild(labeled('Stdin [optional]', stdin, 'Input for any input() calls made when the module is imported'))
+
+    // Build the form
+    root.appendChild(header)
+    root.appendChild(labeled('ID [optional]', idIn, 'Optional stable identifier for this test'))
+    root.appendChild(labeled('Description', desc, 'Short description of what this test checks'))
+    root.appendChild(labeled('Test', modeSel))
+    root.appendChild(functionFields)
+    root.appendChild(labeled('Cases', casesWrap, 'Each case is an input of a known size. Function arguments are Python, e.g. list(range(1000)), 999. Steps count executed lines; time limits are in milliseconds'))
+    root.appendChild(labeled('Allowed growth', growthSel, 'Fails when the steps grow faster than this between the smallest and largest size'))
+    root.appendChild(toleranceRow)
+    root.appendChild(status)
+    root.appendChild(labeled('Failure Message [optional]', failureMessage, 'Message displayed when the code goes over budget'))
+    root.appendChild(labeled('Timeout (ms) [optional]', timeout, 'For program tests this applies to each case'))
+    root.appendChild(labeled('Points [optional]', points, 'Weight of this test in the score (default: 1)'))
+    root.appendChild(labeled('Display options', hideActualExpectedWrap))
+    const fixtureControls = createFixtureControls(existing)
+    root.appendChild(labeled('Workspace fixtures [optional]', fixtureControls.root, 'Files to create, replace or delete, and files the program cannot change, applied to a copy of the workspace for this test'))
+    const hiddenControls = createHiddenTestControls(existing)
+    root.appendChild(labeled('Visibility', hiddenControls.root, 'Hidden tests still run and count toward the score and verification'))
+    updateMode()
+
+    // Conditional execution controls (same semantics as regular tests)
+    const conditionalWrap = document.createElement('div')
+
+    const runIfSelect = document.createElement('select')
+    runIfSelect.className = 'form-input'
+    runIfSelect.style.marginBottom = '8px'
+
+    const runIfOptions = [
+        { value: 'previous_passed', text: 'Only run if previous test passed (default)' },
+        { value: 'always', text: 'Always run this test' }
+    ]
+    runIfOptions.forEach(opt => {
+        const option = document.createElement('option')
+        option.value = opt.value
+        option.textContent = opt.text
+        runIfSelect.appendChild(option)
+    })
+
+    conditionalWrap.appendChild(runIfSelect)
+
+    if (existing?.conditional) {
+        runIfSelect.value = existing.conditional.runIf || 'previous_passed'
+    } else {
+        runIfSelect.value = 'previous_passed'
+    }
+
+    root.appendChild(labeled('Run Conditions', conditionalWrap, 'Control when this test is executed'))
+
+    // Group assignment control (populated by caller modal using #group-selector)
+    const groupSelectWrap = document.createElement('div')
+    const groupSelect = document.createElement('select')
+    groupSelect.className = 'form-input'
+    groupSelect.id = 'group-selector'
+    groupSelectWrap.appendChild(groupSelect)
+    root.appendChild(labeled('Assign to Group', groupSelectWrap, 'Assign this test to a test group or leave ungrouped'))
+
+    return {
+        root,
+        get() {
+            const test = currentTest()
+
+            if (idIn.value.trim()) test.id = idIn.value.trim()
+            test.description = desc.value.trim() || (test.function
+                ? `${test.function.name}() stays within its execution budget`
+                : 'Program stays within its execution budget')
+            if (test.function && stdin.value && stdin.value.trim() !== '') test.stdin = stdin.value
+            if (failureMessage.value.trim()) test.failureMessage = failureMessage.value.trim()
+            if (timeout.value) test.timeoutMs = Number(timeout.value)
+            if (points.value !== '') test.points = Number(points.value)
+            if (hideActualExpected.checked) test.hide_actual_expected = true
+            fixtureControls.apply(test)
+            hiddenControls.apply(test)
+
+            test.conditional = {
+                runIf: runIfSelect.value,
+                alwaysRun: false
+            }
+
+            // Group selector value will be consumed by the authoring UI
+            test._selectedGroupId = groupSelect.value
+
+            return test
+        }
+    }
+}
+
+/**
+ * Create default budget test configuration
+ */
+export function createDefaultBudgetTest() {
+    return {
+        type: 'budget',
+        id: genId(),
+        description: '',
+        budget: {
+            cases: [{ size: 100 }, { size: 1000 }],
+            growth: 'linear'
+        },
+        failureMessage: ''
+    }
+}
+
+/**
+ * Generate a unique ID for budget tests
+ */
+function genId() {
+    return 'budget-test-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 7)
+}
+
+export default {
+    buildBudgetTestForm,
+    createDefaultBudgetTest
+}
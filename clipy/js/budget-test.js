@@ -0,0 +1,359 @@
+/*
+ * Execution budget tests for Clipy
+ *
+ * A budget test checks how much work the student's code does rather than
+ * what it prints: the number of line-execution steps (sys.settrace 'line'
+ * events) and optionally the time taken, for inputs of known size. Test
+ * shape:
+ *
+ *  {
+ *    id, description, type: 'budget',
+ *    function: { name: 'find', module: 'main' },   // omit to run the whole program
+ *    budget: {
+ *      cases: [
+ *        { size: 100, args: 'list(range(100)), 99', maxSteps: 500 },
+ *        { size: 1000, args: 'list(range(1000)), 999' },
+ *        { size: 10000, args: 'list(range(10000)), 9999', maxMs: 200 }
+ *      ],
+ *      growth: 'linear',      // worst growth allowed across the cases' sizes
+ *      tolerance: 1.2
+ *    },
+ *    stdin, timeoutMs, failureMessage, conditional
+ *  }
+ *
+ * Function tests call the function once per case with `args` (a Python
+ * argument list, built before counting starts). Program tests run the
+ * program once per case with the case's `stdin`.
+ *
+ * Growth is checked by dividing each case's steps by the growth function of
+ * its size (n, n log n, ...). If that ratio rises from the smallest to the
+ * largest size by more than `tolerance`, the code grows faster than allowed.
+ * Step counts are deterministic, so the tolerance only needs to absorb
+ * data-dependent branches.
+ *
+ * Steps are counted by a small tracer in the harness rather than by
+ * ExecutionRecorder. The recorder's hooks (getExecutionHooks, and the
+ * _record_execution_step bridge behind them) live on the main page and only
+ * work while a recording is active, but tests run in the sandboxed runner's
+ * per-test iframes. The recorder also copies every frame's variables into
+ * JS on each event and stops at its maxSteps cap, which would swamp both
+ * the timing and the counts. The units differ slightly: here every 'line'
+ * event counts, while replay folds a comprehension's iterations into one
+ * step and drops the bridge's start-up events, so replay shows fewer steps
+ * for comprehension-heavy code.
+ */
+
+import { FUNCTION_RESULT_SENTINEL, extractFunctionResult, validateFunctionSpec } from './function-test.js'
+
+export const GROWTH_CLASSES = {
+    constant: { label: 'O(1)', fn: () => 1 },
+    log: { label: 'O(log n)', fn: (n) => Math.log2(Math.max(n, 2)) },
+    linear: { label: 'O(n)', fn: (n) => n },
+    nlogn: { label: 'O(n log n)', fn: (n) => n * Math.log2(Math.max(n, 2)) },
+    quadratic: { label: 'O(n²)', fn: (n) => n * n },
+    cubic: { label: 'O(n³)', fn: (n) => n * n * n }
+}
+
+const DEFAULT_TOLERANCE = 1.2
+
+function optionalNumber(v) {
+    if (v === undefined || v === null || v === '') return null
+    const n = Number(v)
+    return Number.isFinite(n) ? n : NaN
+}
+
+/**
+ * Return the normalized budget spec of a test, or null when the test is not
+ * a budget test.
+ * @param {Object} test
+ * @returns {{mode: string, function: Object|null, cases: Array, growth: string|null, tolerance: number}|null}
+ */
+export function getBudgetSpec(test) {
+    if (!test || test.type !== 'budget') return null
+    const b = (test.budget && typeof test.budget === 'object') ? test.budget : {}
+    const fn = (test.function && typeof test.function === 'object') ? test.function : null
+    const isFunction = !!(fn && String(fn.name || '').trim())
+    const tolerance = optionalNumber(b.tolerance)
+    return {
+        mode: isFunction ? 'function' : 'program',
+        function: isFunction ? {
+            name: String(fn.name).trim(),
+            module: String(fn.module || 'main').trim().replace(/\.py$/, '').replace(/^\//, '').replace(/\//g, '.')
+        } : null,
+        cases: (Array.isArray(b.cases) ? b.cases : []).filter(c => c && typeof c === 'object').map(c => ({
+            size: optionalNumber(c.size),
+            args: String(c.args == null ? '' : c.args).trim(),
+            stdin: typeof c.stdin === 'string' ? c.stdin : '',
+            maxSteps: optionalNumber(c.maxSteps),
+            maxMs: optionalNumber(c.maxMs)
+        })),
+        growth: GROWTH_CLASSES[b.growth] ? b.growth : null,
+        tolerance: tolerance === null || Number.isNaN(tolerance) ? DEFAULT_TOLERANCE : tolerance
+    }
+}
+
+/**
+ * Validate a budget spec. Returns { ok, reason }.
+ */
+export function validateBudgetSpec(spec) {
+    if (!spec) return { ok: false, reason: 'Missing budget test details' }
+    if (spec.mode === 'function') {
+        const v = validateFunctionSpec({ ...spec.function, args: '', expected: 'None' })
+        if (!v.ok) return v
+    }
+    if (!spec.cases.length) return { ok: false, reason: 'Add at least one case' }
+    for (let i = 0; i < spec.cases.length; i++) {
+        const c = spec.cases[i]
+        const where = `Case ${i + 1}`
+        if (Number.isNaN(c.size) || (c.size !== null && c.size <= 0)) return { ok: false, reason: `${where}: size must be a positive number` }
+        if (Number.isNaN(c.maxSteps) || (c.maxSteps !== null && c.maxSteps <= 0)) return { ok: false, reason: `${where}: max steps must be a positive number` }
+        if (Number.isNaN(c.maxMs) || (c.maxMs !== null && c.maxMs <= 0)) return { ok: false, reason: `${where}: max time must be a positive number` }
+        if (/[\r\n]/.test(c.args)) return { ok: false, reason: `${where}: arguments must be on a single line` }
+        if (spec.growth && c.size === null) return { ok: false, reason: `${where}: a size is needed to check growth` }
+    }
+    if (spec.growth) {
+        if (new Set(spec.cases.map(c => c.size)).size < 2) return { ok: false, reason: 'Checking growth needs cases with at least two different sizes' }
+        if (!(spec.tolerance >= 1)) return { ok: false, reason: 'Tolerance must be 1 or more' }
+    } else if (!spec.cases.some(c => c.maxSteps !== null || c.maxMs !== null)) {
+        return { ok: false, reason: 'Set a growth limit or a step/time limit on at least one case' }
+    }
+    return { ok: true, reason: null }
+}
+
+// Step counting only when something needs steps: tracing slows code down
+function countsSteps(spec) {
+    return !!spec.growth || spec.cases.some(c => c.maxSteps !== null)
+}
+
+const HARNESS_PRELUDE = [
+    'import sys as __clipy_sys',
+    'import json as __clipy_json',
+    'import time as __clipy_time',
+    '',
+    '__clipy_steps = [0]',
+    '',
+    'def __clipy_trace(frame, event, arg):',
+    "    if event == 'line':",
+    '        __clipy_steps[0] += 1',
+    '    return __clipy_trace',
+    '',
+    'def __clipy_now():',
+    '    try:',
+    '        return __clipy_time.ticks_ms()',
+    '    except AttributeError:',
+    '        return int(__clipy_time.time() * 1000)',
+    ''
+]
+
+/**
+ * Build the Python harness for a program budget case: imports the module
+ * with step counting on and prints the count (and time in ms) on a sentinel
+ * line, even when the program raises. The time includes the tracing
+ * overhead when steps are counted.
+ * @param {Object} spec - from getBudgetSpec, mode 'program'
+ * @returns {string} Python source
+ */
+export function buildProgramBudgetHarness(spec) {
+    const trace = countsSteps(spec)
+    return [
+        ...HARNESS_PRELUDE,
+        '__clipy_t0 = __clipy_now()',
+        trace ? '__clipy_sys.settrace(__clipy_trace)' : '',
+        'try:',
+        '    import main',
+        'finally:',
+        trace ? '    __clipy_sys.settrace(None)' : '    pass',
+        `    print('\\n${FUNCTION_RESULT_SENTINEL}' + __clipy_json.dumps({'cases': [{'steps': __clipy_steps[0], 'ms': __clipy_now() - __clipy_t0}]}))`,
+        ''
+    ].join('\n')
+}
+
+/**
+ * Build the Python harness for the cases of a function budget test. The
+ * module is imported once; each case builds its arguments, then calls the
+ * function with step counting on. Cases with maxMs get a second, untraced
+ * call for timing.
+ * @param {Object} spec - from getBudgetSpec, mode 'function'
+ * @returns {string} Python source
+ */
+export function buildFunctionBudgetHarness(spec) {
+    const trace = countsSteps(spec)
+    return [
+        ...HARNESS_PRELUDE,
+        'def __clipy_args(*a, **k):',
+        '    return a, k',
+        '',
+        'def __clipy_measure(fn, make, timed):',
+        '    out = {}',
+        '    try:',
+        '        a, k = make()',
+        trace ? '        __clipy_steps[0] = 0' : '',
+        trace ? '        __clipy_sys.settrace(__clipy_trace)' : '',
+        '        try:',
+        '            fn(*a, **k)',
+        '        finally:',
+        trace ? '            __clipy_sys.settrace(None)' : '            pass',
+        trace ? "        out['steps'] = __clipy_steps[0]" : '',
+        '        if timed:',
+        '            a, k = make()',
+        '            t0 = __clipy_now()',
+        '            fn(*a, **k)',
+        "            out['ms'] = __clipy_now() - t0",
+        '    except Exception as e:',
+        "        out['error'] = type(e).__name__ + ': ' + str(e)",
+        '    return out',
+        '',
+        `import ${spec.function.module} as __clipy_mod`,
+        `__clipy_fn = __clipy_mod.${spec.function.name}`,
+        '__clipy_out = []',
+        ...spec.cases.map(c => `__clipy_out.append(__clipy_measure(__clipy_fn, lambda: __clipy_args(${c.args}), ${c.maxMs !== null ? 'True' : 'False'}))`),
+        `print('\\n${FUNCTION_RESULT_SENTINEL}' + __clipy_json.dumps({'cases': __clipy_out}))`,
+        ''
+    ].join('\n')
+}
+
+/**
+ * Describe a size's growth: the exponent k where steps grow like n^k
+ * between two measurements, e.g. 1.98 for a quadratic loop.
+ */
+export function estimateGrowthExponent(a, b) {
+    if (!a || !b || a.size === b.size) return null
+    const k = Math.log(Math.max(b.steps, 1) / Math.max(a.steps, 1)) / Math.log(b.size / a.size)
+    return Number.isFinite(k) ? Math.round(k * 100) / 100 : null
+}
+
+/**
+ * Check measurements against a budget spec.
+ * @param {Object} spec - from getBudgetSpec
+ * @param {Array<{steps?: number, ms?: number, error?: string}>} measured - one per case, in spec order
+ * @param {Object} [options]
+ * @param {boolean} [options.hideNumbers] - leave step counts and times out of the reason
+ * @returns {{ok: boolean, reason: string|null, cases: Array, growth: Object|null}}
+ */
+export function checkBudget(spec, measured, { hideNumbers = false } = {}) {
+    const cases = spec.cases.map((c, i) => ({ ...c, ...(measured[i] || {}) }))
+    const at = (c, i) => c.size !== null ? `size ${c.size}` : `case ${i + 1}`
+    const fmt = (n) => Number(n).toLocaleString('en-US')
+
+    for (let i = 0; i < cases.length; i++) {
+        const c = cases[i]
+        if (c.error) return { ok: false, reason: `For ${at(c, i)} your code raised ${c.error}`, cases, growth: null }
+        if (c.maxSteps !== null && c.steps > c.maxSteps) {
+            const reason = hideNumbers
+                ? `Your code does too much work for ${at(c, i)}`
+                : `For ${at(c, i)} your code took ${fmt(c.steps)} steps (limit ${fmt(c.maxSteps)})`
+            return { ok: false, reason, cases, growth: null }
+        }
+        if (c.maxMs !== null && c.ms > c.maxMs) {
+            const reason = hideNumbers
+                ? `Your code is too slow for ${at(c, i)}`
+                : `For ${at(c, i)} your code took ${fmt(c.ms)} ms (limit ${fmt(c.maxMs)} ms)`
+            return { ok: false, reason, cases, growth: null }
+        }
+    }
+
+    if (!spec.growth) return { ok: true, reason: null, cases, growth: null }
+
+    const sorted = cases.slice().sort((a, b) => a.size - b.size)
+    const smallest = sorted[0]
+    const largest = sorted[sorted.length - 1]
+    const cls = GROWTH_CLASSES[spec.growth]
+    const ratio = (c) => Math.max(c.steps, 1) / cls.fn(c.size)
+    const rise = ratio(largest) / ratio(smallest)
+    const exponent = estimateGrowthExponent(smallest, largest)
+    const growth = { allowed: spec.growth, label: cls.label, rise: Math.round(rise * 100) / 100, tolerance: spec.tolerance, exponent }
+    if (rise > spec.tolerance) {
+        const reason = hideNumbers
+            ? `Your code's work grows faster than ${cls.label} as the input gets bigger`
+            : `Your code's work grows faster than ${cls.label}: ${fmt(smallest.steps)} steps for size ${smallest.size}, ${fmt(largest.steps)} steps for size ${largest.size}` +
+              (exponent !== null ? ` (roughly n^${exponent})` : '')
+        return { ok: false, reason, cases, growth }
+    }
+    return { ok: true, reason: null, cases, growth }
+}
+
+function baseTest(test) {
+    const base = { ...test }
+    delete base.budget
+    delete base.type
+    delete base.function
+    delete base.expected_stdout
+    delete base.expected_stderr
+    delete base.expected_files
+    return base
+}
+
+async function timedRun(runFn, test) {
+    const start = Date.now()
+    const r = (await runFn(test)) || {}
+    const duration = typeof r.durationMs === 'number' ? r.durationMs : (Date.now() - start)
+    const timedOut = r.reason === 'timeout' || (typeof test.timeoutMs === 'number' && duration > test.timeoutMs)
+    const extracted = extractFunctionResult(String(r.stdout || ''))
+    return { stdout: extracted.stdout, stderr: String(r.stderr || ''), durationMs: duration, timedOut, payload: extracted.result }
+}
+
+/**
+ * Run a budget test and check it. Returns the fields runTests copies onto
+ * the test's result.
+ * @param {Object} test - test with type 'budget'
+ * @param {function} runFn - the runner's runFn
+ * @returns {Promise<{passed: boolean, reason: string|null, stdout: string, stderr: string, durationMs: number, details: Object}>}
+ */
+export async function runBudgetTest(test, runFn) {
+    const spec = getBudgetSpec(test)
+    const v = validateBudgetSpec(spec)
+    if (!v.ok) return { passed: false, reason: v.reason, stdout: '', stderr: '', durationMs: 0, details: { budget: { error: v.reason } } }
+
+    // Runs for the same program/harness so the function and program paths
+    // can share one result shape: { run, measured[] }
+    const runs = []
+    if (spec.mode === 'function') {
+        const harness = buildFunctionBudgetHarness(spec)
+        runs.push(await timedRun(runFn, { ...baseTest(test), type: 'function', function: { ...spec.function, harness } }))
+    } else {
+        const harness = buildProgramBudgetHarness(spec)
+        for (const c of spec.cases) {
+            const r = await timedRun(runFn, { ...baseTest(test), stdin: c.stdin, type: 'function', function: { name: 'main', module: 'main', harness } })
+            runs.push(r)
+            if (r.timedOut || r.stderr.trim()) break
+        }
+    }
+
+    const durationMs = runs.reduce((t, r) => t + r.durationMs, 0)
+    const last = runs[runs.length - 1]
+    const failed = (reason) => ({ passed: false, reason, stdout: last.stdout, stderr: last.stderr, durationMs, details: { budget: { error: reason } } })
+    if (last.timedOut) return { ...failed('timeout'), reason: 'timeout' }
+    if (spec.mode === 'program' && last.stderr.trim()) return failed('Your program produced an error')
+    const measured = runs.flatMap(r => (r.payload && Array.isArray(r.payload.cases)) ? r.payload.cases : [])
+    if (measured.length !== spec.cases.length) {
+        return failed(last.stderr.trim()
+            ? (spec.mode === 'function' ? `Could not call ${spec.function.name} - check the function is defined` : 'Your program produced an error')
+            : 'Could not measure your code')
+    }
+
+    const check = checkBudget(spec, measured, { hideNumbers: !!test.hide_actual_expected })
+    return {
+        passed: check.ok,
+        reason: check.reason,
+        stdout: last.stdout,
+        stderr: last.stderr,
+        durationMs,
+        details: {
+            budget: {
+                cases: check.cases.map(c => ({ size: c.size, steps: c.steps ?? null, ms: c.ms ?? null, maxSteps: c.maxSteps, maxMs: c.maxMs, error: c.error || null })),
+                growth: check.growth
+            }
+        }
+    }
+}
+
+export default {
+    GROWTH_CLASSES,
+    getBudgetSpec,
+    validateBudgetSpec,
+    buildProgramBudgetHarness,
+    buildFunctionBudgetHarness,
+    estimateGrowthExponent,
+    checkBudget,
+    runBudgetTest
+}
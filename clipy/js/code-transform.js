@@ -1,3 +1,6 @@
+import { buildSeedPrelude } from './test-seed.js'
+import { buildErrorCatalogue, explainError, formatErrorExplanation } from './error-explainer.js'
+
 /**
  * Highlight a line in the CodeMirror editor for a given file and line number.
  * @param {string} filePath - The file path (e.g. '/main.py')
@@ -339,7 +342,8 @@ function safeReplaceInput(src) {
 
 // Helper: transform user source by replacing input(...) with await host.get_input(...)
 // and wrap in an async runner. Returns {code: wrappedCode, headerLines}
-export function transformAndWrap(userCode) {
+// options.seed seeds the random module first (deterministic test runs).
+export function transformAndWrap(userCode, { seed = null } = {}) {
     // First handle walrus patterns
     const processedCode = transformWalrusPatterns(userCode)
 
@@ -372,6 +376,8 @@ export function transformAndWrap(userCode) {
         "",
         "async def __ssg_main():"
     ]
+    const seedPrelude = buildSeedPrelude(seed)
+    if (seedPrelude) headerLinesArr.splice(1, 0, seedPrelude)
 
     const indent = (line) => '    ' + line
 
@@ -390,6 +396,32 @@ export function transformAndWrap(userCode) {
     return { code: full, headerLines: headerLinesCount }
 }
 
+/**
+ * Append a beginner-friendly explanation of a mapped traceback to the
+ * terminal, using the current config's error catalogue. Called right after
+ * mapTracebackAndShow appends the traceback, so it always follows it.
+ * Skipped during in-page test runs.
+ */
+function showErrorExplanation(tracebackText) {
+    try {
+        if (typeof window === 'undefined' || typeof window.appendTerminal !== 'function') return
+        // The in-page test runner reads stdout from the terminal, and the
+        // feedback panel explains failed tests itself
+        if (window.__ssg_suppress_notifier) return
+        const cfg = window.Config && window.Config.current ? window.Config.current : null
+        const explained = explainError(tracebackText, { catalogue: buildErrorCatalogue(cfg) })
+        if (!explained) return
+        const file = explained.file && explained.file.startsWith('/') ? explained.file : '/' + String(explained.file || 'main.py')
+        // The offending line, from the editor when the file is open in it
+        let lineText = null
+        try {
+            const active = window.TabManager && typeof window.TabManager.getActive === 'function' ? window.TabManager.getActive() : null
+            if (explained.line && window.cm && active === file && explained.line <= window.cm.lineCount()) lineText = window.cm.getLine(explained.line - 1)
+        } catch (_e) { }
+        window.appendTerminal(formatErrorExplanation(explained, lineText), 'explain')
+    } catch (_e) { }
+}
+
 // Map and display tracebacks that originate in transformed code back to user source
 export function mapTracebackAndShow(rawText, headerLines, userCode, appendTerminal) {
     // Debug: Log function call parameters
@@ -459,6 +491,7 @@ export function mapTracebackAndShow(rawText, headerLines, userCode, appendTermin
         if (typeof window !== 'undefined' && window.appendTerminal && typeof window.appendTerminal === 'function') {
             try {
                 window.appendTerminal(displayText, 'stderr')
+                showErrorExplanation(displayText)
                 return displayText
             } catch (_e) { }
         }
@@ -590,6 +623,7 @@ export function mapTracebackAndShow(rawText, headerLines, userCode, appendTermin
             if (typeof window !== 'undefined' && window.appendTerminal && typeof window.appendTerminal === 'function') {
                 // Directly append the mapped traceback to ensure it's visible
                 window.appendTerminal(mapped, 'stderr')
+                showErrorExplanation(mapped)
                 try { window.__ssg_terminal_event_log = window.__ssg_terminal_event_log || []; window.__ssg_terminal_event_log.push({ when: Date.now(), action: 'direct_append_mapped_traceback', mappedPreview: mapped.slice(0, 200) }) } catch (_e) { }
                 return mapped
             }
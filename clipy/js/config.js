@@ -576,6 +576,16 @@ function validateAndNormalizeConfigInternal(rawConfig) {
         fileReadOnlyStatus: (rawConfig && typeof rawConfig.fileReadOnlyStatus === 'object') ? rawConfig.fileReadOnlyStatus : {}
     }
 
+    // Author-only reference solution; never loaded into the workspace
+    if (rawConfig && rawConfig.solution && typeof rawConfig.solution === 'object') {
+        normalized.solution = rawConfig.solution
+    }
+
+    // Overrides and additions for the runtime error explainer (error-explainer.js)
+    if (rawConfig && Array.isArray(rawConfig.errorExplanations)) {
+        normalized.errorExplanations = rawConfig.errorExplanations
+    }
+
     // Do not require runtime.url to be provided by configs. The application
     // always uses the vendored runtime module for security and reproducibility.
 
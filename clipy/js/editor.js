@@ -2,10 +2,24 @@
 import { $ } from './utils.js'
 import { getConfig } from './config.js'
 import { info as logInfo, warn as logWarn, error as logError } from './logger.js'
+import { diagnoseSyntax } from './syntax-diagnostics.js'
+import { analyzeCode } from './ast-analyzer.js'
 
 let cm = null
 let textarea = null
 
+const LINE_NUMBER_GUTTER = 'CodeMirror-linenumbers'
+const COVERAGE_GUTTER = 'cm-coverage-gutter'
+const SYNTAX_GUTTER = 'cm-syntax-gutter'
+// Report from test-coverage.js shown in the coverage gutter, or null
+let coverageReport = null
+// Squiggle for the current syntax error, and a counter that drops results
+// of syntax checks overtaken by newer edits
+let syntaxMark = null
+let syntaxCheckId = 0
+// Underlines for dataflow warnings, shown while the code parses
+let warningMarks = []
+
 export function initializeEditor() {
     const config = getConfig()
 
@@ -28,7 +42,7 @@ export function initializeEditor() {
             // Default to no mode; we'll enable python mode only for .py files
             mode: null,
             lineNumbers: true,
-            gutters: ['CodeMirror-linenumbers'],
+            gutters: [LINE_NUMBER_GUTTER, SYNTAX_GUTTER],
             fixedGutter: true,
             lineNumberFormatter: function (line) {
                 return String(line);
@@ -56,6 +70,9 @@ export function initializeEditor() {
             window.setEditorModeForPath = setEditorModeForPath
             // Expose read-only helper for other modules (avoid import cycles)
             window.setEditorReadOnlyMode = setReadOnlyMode
+            window.setEditorCoverage = setCoverageReport
+            window.applyEditorCoverage = applyCoverageForPath
+            window.checkEditorSyntax = checkSyntaxNow
             logInfo('CodeMirror initialized:', {
                 readOnly: cm.getOption('readOnly'),
                 value: cm.getValue(),
@@ -85,10 +102,14 @@ export function initializeEditor() {
         }
 
         // Sync CodeMirror changes back to textarea for test compatibility
-        cm.on('change', () => {
+        cm.on('change', (_cm, change) => {
             textarea.value = cm.getValue()
             textarea.dispatchEvent(new Event('input', { bubbles: true }))
 
+            // Coverage describes the code the tests ran; edits make it stale
+            // (tab switches and other setValue() calls do not)
+            if (coverageReport && (!change || change.origin !== 'setValue')) clearCoverage()
+
             // NEW: Invalidate recording when code changes, BUT only if we're NOT currently replaying
             // During replay, file switches shouldn't clear the recording - only a new Run should
             const isReplaying = window.ReplayEngine?.isReplaying
@@ -99,6 +120,9 @@ export function initializeEditor() {
 
             // Debounced feedback evaluation (real-time edit feedback)
             try { scheduleFeedbackEvaluation() } catch (_e) { }
+            // Syntax diagnostics also follow tab switches, so they are not
+            // suppressed like feedback evaluation
+            try { scheduleSyntaxCheck() } catch (_e) { }
         })
 
         // Sync textarea changes to CodeMirror (for tests that fill the textarea)
@@ -144,6 +168,29 @@ export function initializeEditor() {
             } catch (_e) { }
         }
 
+        // Debounced syntax check, on the same delay as feedback evaluation
+        let _syntaxTimer = null
+        function scheduleSyntaxCheck(delay = 300) {
+            if (_syntaxTimer) clearTimeout(_syntaxTimer)
+            _syntaxTimer = setTimeout(() => {
+                _syntaxTimer = null
+                checkSyntaxNow()
+            }, delay)
+        }
+
+        const diagnosticEl = $('syntax-diagnostic')
+        if (diagnosticEl) {
+            diagnosticEl.addEventListener('click', () => {
+                try {
+                    const found = syntaxMark && syntaxMark.find()
+                    if (found) {
+                        cm.setCursor(found.from)
+                        cm.focus()
+                    }
+                } catch (_e) { }
+            })
+        }
+
         return cm
     } else {
         logWarn('CodeMirror not available, using textarea fallback')
@@ -208,6 +255,169 @@ export function setReadOnlyMode(isReadOnly) {
     }
 }
 
+/**
+ * Show a test coverage report (see js/test-coverage.js) in the gutter of the
+ * open file. Pass null to remove it. Tab switches re-apply it through
+ * window.applyEditorCoverage; editing the code clears it.
+ */
+export function setCoverageReport(report) {
+    coverageReport = report || null
+    const path = (window.TabManager && window.TabManager.getActive && window.TabManager.getActive()) || '/main.py'
+    applyCoverageForPath(path)
+}
+
+export function clearCoverage() {
+    setCoverageReport(null)
+}
+
+export function applyCoverageForPath(path) {
+    if (!cm) return
+    try {
+        cm.clearGutter(COVERAGE_GUTTER)
+        const key = String(path || '').startsWith('/') ? String(path) : '/' + String(path || '')
+        const file = coverageReport && coverageReport.files ? coverageReport.files[key] : null
+        if (!file) {
+            cm.setOption('gutters', [LINE_NUMBER_GUTTER, SYNTAX_GUTTER])
+            return
+        }
+        cm.setOption('gutters', [LINE_NUMBER_GUTTER, COVERAGE_GUTTER, SYNTAX_GUTTER])
+        for (const [line, entry] of Object.entries(file.lines || {})) {
+            const marker = document.createElement('div')
+            marker.className = `cm-coverage-marker cm-coverage-${entry.status}`
+            const times = `Ran ${entry.count} time${entry.count === 1 ? '' : 's'}`
+            marker.title = entry.status === 'missed' ? entry.note : (entry.note ? `${times}. ${entry.note}` : times)
+            cm.setGutterMarker(Number(line) - 1, COVERAGE_GUTTER, marker)
+        }
+    } catch (e) {
+        logWarn('Failed to show coverage:', e)
+    }
+}
+
+/**
+ * Check the open file for a syntax error (see js/syntax-diagnostics.js) and
+ * mark it in the editor: a squiggle at the error, a gutter marker and a
+ * plain-language message below the editor. Code that parses is checked for
+ * dataflow problems instead (unused variables, names used before they are
+ * assigned, unreachable code), shown as warnings in the same gutter. Only
+ * Python files are checked.
+ */
+export async function checkSyntaxNow() {
+    if (!cm) return
+    const content = cm.getValue()
+    const path = (window.TabManager && window.TabManager.getActive && window.TabManager.getActive()) || '/main.py'
+    const id = ++syntaxCheckId
+    let diagnostic = null
+    let warnings = null
+    if (/\.py$/i.test(String(path))) {
+        try { diagnostic = await diagnoseSyntax(content) } catch (e) { logWarn('Syntax check failed:', e) }
+        if (!diagnostic) {
+            try { warnings = await analyzeCode(content, 'dataflow') } catch (e) { logWarn('Dataflow check failed:', e) }
+        }
+    }
+    // A newer edit has its own check on the way
+    if (id !== syntaxCheckId || cm.getValue() !== content) return
+    showSyntaxDiagnostic(diagnostic)
+    showCodeWarnings(warnings ? warnings.issues : [])
+}
+
+// Plain text of a diagnostic message, for tooltips
+function plainMessage(message) {
+    return String(message || '').replace(/`/g, '')
+}
+
+function showSyntaxDiagnostic(diagnostic) {
+    try {
+        if (syntaxMark) syntaxMark.clear()
+        syntaxMark = null
+        cm.clearGutter(SYNTAX_GUTTER)
+        const el = $('syntax-diagnostic')
+        if (!diagnostic) {
+            if (el) {
+                el.textContent = ''
+                el.style.display = 'none'
+            }
+            return
+        }
+
+        const where = `Line ${diagnostic.line}, column ${diagnostic.column + 1}`
+        const from = { line: diagnostic.line - 1, ch: diagnostic.column }
+        const to = { line: diagnostic.endLine - 1, ch: diagnostic.endColumn }
+        syntaxMark = cm.markText(from, to, { className: 'cm-syntax-error', title: plainMessage(diagnostic.message), clearWhenEmpty: false })
+
+        const marker = document.createElement('div')
+        marker.className = 'cm-syntax-marker'
+        marker.textContent = '●'
+        marker.title = `${where}: ${plainMessage(diagnostic.message)}`
+        cm.setGutterMarker(diagnostic.line - 1, SYNTAX_GUTTER, marker)
+
+        if (el) {
+            el.textContent = ''
+            const label = document.createElement('strong')
+            label.textContent = `${where}: `
+            el.appendChild(label)
+            // `code` spans in the message
+            String(diagnostic.message).split('`').forEach((part, i) => {
+                if (!part) return
+                if (i % 2) {
+                    const code = document.createElement('code')
+                    code.textContent = part
+                    el.appendChild(code)
+                } else {
+                    el.appendChild(document.createTextNode(part))
+                }
+            })
+            el.title = diagnostic.detail ? `Parser: ${diagnostic.detail}` : ''
+            el.style.display = ''
+        }
+    } catch (e) {
+        logWarn('Failed to show syntax diagnostic:', e)
+    }
+}
+
+// Gutter markers and dotted underlines for dataflow issues, one marker per
+// line listing every issue on it
+function showCodeWarnings(issues) {
+    try {
+        warningMarks.forEach(m => m.clear())
+        warningMarks = []
+        const byLine = new Map()
+        for (const issue of issues || []) {
+            const line = issue.line - 1
+            if (line < 0 || line >= cm.lineCount()) continue
+            if (!byLine.has(line)) byLine.set(line, [])
+            byLine.get(line).push(plainMessage(issue.message))
+
+            const text = cm.getLine(line)
+            let from = issue.col_offset || 0
+            let to = text.length
+            if (issue.name) {
+                // Names start at col_offset, except `except ... as name`
+                // which is reported at the `except`
+                const as = text.indexOf(` as ${issue.name}`, from)
+                if (text.startsWith(issue.name, from)) {
+                    to = from + issue.name.length
+                } else if (as >= 0) {
+                    from = as + 4
+                    to = from + issue.name.length
+                }
+            }
+            if (to <= from) continue
+            warningMarks.push(cm.markText({ line, ch: from }, { line, ch: to }, { className: 'cm-code-warning', title: plainMessage(issue.message) }))
+        }
+        for (const [line, messages] of byLine) {
+            // The syntax error marker wins if both are ever present
+            if (cm.lineInfo(line).gutterMarkers && cm.lineInfo(line).gutterMarkers[SYNTAX_GUTTER]) continue
+            const marker = document.createElement('div')
+            marker.className = 'cm-warning-marker'
+            marker.textContent = '▲'
+            marker.title = messages.map(m => `Line ${line + 1}: ${m}`).join('\n')
+            cm.setGutterMarker(line, SYNTAX_GUTTER, marker)
+        }
+    } catch (e) {
+        logWarn('Failed to show code warnings:', e)
+    }
+}
+
 /**
  * Update replay UI controls visibility
  */
@@ -0,0 +1,342 @@
+/*
+ * Beginner-friendly explanations for Python errors
+ *
+ * MicroPython's messages are terse ("unsupported types for __add__: 'str',
+ * 'int'"), so each traceback is looked up in a catalogue keyed by exception
+ * type and a pattern on the message. An entry's explanation and fix can use
+ * $1..$9 for the pattern's capture groups.
+ *
+ * Configs can change the catalogue with `errorExplanations`, a list of
+ * entries that are checked before the built-in ones:
+ *
+ *  errorExplanations: [
+ *    { id: 'name-not-defined', explanation: '...', fix: '...' },     // replaces a built-in entry
+ *    { type: 'ValueError', pattern: 'invalid syntax for integer', explanation: '...', fix: '...' },
+ *    { id: 'zero-division', disabled: true }                          // turns a built-in entry off
+ *  ]
+ */
+
+const NUMBER = '(?:int|float)'
+
+export const DEFAULT_ERROR_EXPLANATIONS = [
+    {
+        id: 'str-plus-number',
+        type: 'TypeError',
+        pattern: `unsupported types for __add__: 'str', '${NUMBER}'|can't convert '?${NUMBER}'? object to str implicitly`,
+        explanation: 'You tried to join text and a number with `+`. Python will not turn the number into text for you.',
+        fix: 'Turn the number into text first with `str()`, e.g. `"Score: " + str(score)`, or use an f-string: `f"Score: {score}"`.'
+    },
+    {
+        id: 'number-plus-str',
+        type: 'TypeError',
+        pattern: `unsupported types for __add__: '${NUMBER}', 'str'`,
+        explanation: 'You tried to add a number and some text. Values from `input()` are always text, even when the user types digits.',
+        fix: 'Convert the text to a number before adding, e.g. `age = int(input("Age? "))`.'
+    },
+    {
+        id: 'none-value',
+        type: 'TypeError|AttributeError',
+        pattern: "'NoneType'",
+        explanation: 'A value here is `None`, which means "no value". This usually comes from a function without a `return`, or from saving the result of a method like `.sort()` or `.append()`, which change the list and give back `None`.',
+        fix: 'Check where the variable got its value. Make sure the function returns something, and call `.sort()` or `.append()` on their own line instead of assigning the result.'
+    },
+    {
+        id: 'compare-text-number',
+        type: 'TypeError',
+        pattern: `unsupported types for __(?:lt|gt|le|ge)__: '(?:str', '${NUMBER}|${NUMBER}', 'str)'`,
+        explanation: 'You compared text with a number using `<` or `>`. Python cannot tell which is bigger.',
+        fix: 'Convert the text to a number first, e.g. `int(answer) > 10`.'
+    },
+    {
+        id: 'unsupported-operation',
+        type: 'TypeError',
+        pattern: "unsupported types for __(\\w+)__: '(\\w+)', '(\\w+)'",
+        explanation: 'This operation cannot combine a `$2` with a `$3`. Each kind of value only works with certain others.',
+        fix: 'Check the type of each value, e.g. with `print(type(x))`, and convert them so they match.'
+    },
+    {
+        id: 'unsupported-unary',
+        type: 'TypeError',
+        pattern: "unsupported type for __(?:neg|pos|invert|abs)__: '(\\w+)'",
+        explanation: 'A `-` (or similar sign) was put in front of a `$1`, which is not a number.',
+        fix: 'Convert the value to a number first, e.g. `-int(text)`.'
+    },
+    {
+        id: 'name-not-defined',
+        type: 'NameError',
+        pattern: "name '(\\w+)' (?:isn't|is not) defined",
+        explanation: 'Python does not know anything called `$1` at this point.',
+        fix: 'Check the spelling and capital letters of `$1`, and make sure it is given a value before this line. If it is meant to be text, put it in quotes: `"$1"`.'
+    },
+    {
+        id: 'local-before-assignment',
+        type: 'NameError|UnboundLocalError',
+        pattern: 'local variable .*referenced before assignment',
+        explanation: 'A variable inside a function is used before the function gives it a value. Assigning to a name anywhere in a function makes it local to that function.',
+        fix: 'Give the variable a value at the start of the function, or pass the value in as a parameter.'
+    },
+    {
+        id: 'index-out-of-range',
+        type: 'IndexError',
+        pattern: '(list|string|str|tuple) index out of range',
+        explanation: 'You asked for a position that is not in the $1. Positions start at 0, so a $1 with 3 items has positions 0, 1 and 2.',
+        fix: 'Check the index. In loops, use `range(len(items))` or loop over the items directly: `for item in items:`.'
+    },
+    {
+        id: 'key-missing',
+        type: 'KeyError',
+        pattern: '(.+)',
+        explanation: 'The dictionary has no key `$1`.',
+        fix: 'Check the spelling and capitals of the key, check `if key in d:` first, or use `d.get(key)` which gives `None` instead of an error.'
+    },
+    {
+        id: 'int-conversion',
+        type: 'ValueError',
+        pattern: 'invalid syntax for integer',
+        explanation: '`int()` was given text that is not a whole number, such as a word, an empty string or a decimal like `3.5`.',
+        fix: 'Check what was typed. Use `float()` for decimal numbers, and `.strip()` to remove spaces.'
+    },
+    {
+        id: 'float-conversion',
+        type: 'ValueError',
+        pattern: 'invalid syntax for number',
+        explanation: '`float()` was given text that is not a number.',
+        fix: 'Check what was typed, and remove spaces or units like "cm" before converting.'
+    },
+    {
+        id: 'zero-division',
+        type: 'ZeroDivisionError',
+        explanation: 'The program divided by zero (with `/`, `//` or `%`), which has no answer.',
+        fix: 'Check that the number you divide by is not 0 before dividing, e.g. `if count != 0:`.'
+    },
+    {
+        id: 'no-len',
+        type: 'TypeError',
+        pattern: "object of type '(\\w+)' has no len\\(\\)",
+        explanation: '`len()` counts the items in text, lists and other collections, but a `$1` has no length.',
+        fix: 'For the number of digits use `len(str(n))`; otherwise check that the variable holds the value you expect.'
+    },
+    {
+        id: 'wrong-argument-count',
+        type: 'TypeError',
+        pattern: 'function takes (\\d+) positional arguments? but (\\d+) (?:were|was) given',
+        explanation: 'A function was called with $2 value(s) in the brackets, but it needs $1.',
+        fix: 'Compare the call with the `def` line and pass one value for each parameter.'
+    },
+    {
+        id: 'no-attribute',
+        type: 'AttributeError',
+        pattern: "'(\\w+)' object has no attribute '(\\w+)'",
+        explanation: 'A `$1` value does not have anything called `.$2`.',
+        fix: 'Check the spelling of `$2`, and that the variable holds the kind of value you expect (for example, text has `.upper()` but no `.append()`).'
+    },
+    {
+        id: 'no-module',
+        type: 'ImportError',
+        pattern: "no module named '([^']+)'",
+        explanation: 'Python could not find a module called `$1`.',
+        fix: 'Check the spelling. If it is your own file, make sure `$1.py` exists in the workspace.'
+    },
+    {
+        id: 'immutable-item',
+        type: 'TypeError',
+        pattern: "'(\\w+)' object doesn't support item assignment",
+        explanation: 'A `$1` cannot be changed in place, so you cannot assign to one of its positions.',
+        fix: 'Build a new value instead, e.g. `word = word[:i] + "x" + word[i + 1:]`, or use a list.'
+    },
+    {
+        id: 'not-iterable',
+        type: 'TypeError',
+        pattern: "'(\\w+)' object (?:isn't|is not) iterable",
+        explanation: 'A `for` loop (or a function like `sum()`) needs a collection to go through, but it was given a `$1`.',
+        fix: 'To repeat something a number of times, use `range()`: `for i in range(n):`.'
+    },
+    {
+        id: 'not-callable',
+        type: 'TypeError',
+        pattern: "'(\\w+)' object (?:isn't|is not) callable",
+        explanation: 'Brackets `( )` after a name call it as a function, but this name holds a `$1`. This often happens when a variable has the same name as a function, e.g. `input = 3` and then `input()`.',
+        fix: 'Rename the variable so it does not hide the function, or remove the brackets. For multiplication write `2 * (x + 1)`, not `2(x + 1)`.'
+    },
+    {
+        id: 'not-subscriptable',
+        type: 'TypeError',
+        pattern: "'(\\w+)' object (?:isn't|is not) subscriptable",
+        explanation: 'Square brackets `[ ]` pick items out of text, lists and dictionaries, but this value is a `$1`.',
+        fix: 'Check that the variable holds a list or text. To call a function, use round brackets: `len(x)`, not `len[x]`.'
+    },
+    {
+        id: 'unpack-count',
+        type: 'ValueError',
+        pattern: 'too many values to unpack|need more than \\d+ values? to unpack',
+        explanation: 'The number of names on the left of `=` does not match the number of values on the right.',
+        fix: 'Use one name per value, e.g. `a, b = 1, 2`. When splitting input, check how many parts `split()` gives.'
+    },
+    {
+        id: 'file-not-found',
+        type: 'OSError',
+        pattern: '^(?:2|44|\\[Errno 2\\].*|ENOENT)$',
+        explanation: 'The file you tried to open does not exist.',
+        fix: 'Check the file name and its spelling, and that the file is in the workspace. Open with `"w"` to create a new file.'
+    },
+    {
+        id: 'recursion',
+        type: 'RuntimeError|RecursionError',
+        pattern: 'recursion|call stack',
+        explanation: 'A function kept calling itself and never stopped.',
+        fix: 'Make sure the function has a base case that returns without calling itself, and that each call gets closer to it.'
+    },
+    {
+        id: 'index-not-integer',
+        type: 'TypeError',
+        pattern: '(\\w+) indices must be integers',
+        explanation: 'Positions in a $1 must be whole numbers, but this one is not.',
+        fix: 'Use `//` instead of `/` for whole-number division, or convert with `int()`.'
+    },
+    {
+        id: 'cannot-convert',
+        type: 'TypeError',
+        pattern: "can't convert (\\w+) to (\\w+)",
+        explanation: 'A `$2` was needed here, but the value is a `$1`.',
+        fix: 'Convert the value first, e.g. `int(text)` for text typed by the user.'
+    },
+    {
+        id: 'not-in-sequence',
+        type: 'ValueError',
+        pattern: 'object not in sequence|not in list',
+        explanation: 'You asked for an item (with `.remove()` or `.index()`) that is not in the list.',
+        fix: 'Check `if item in items:` before removing or looking it up.'
+    },
+    {
+        id: 'empty-sequence',
+        type: 'ValueError',
+        pattern: 'empty sequence',
+        explanation: '`min()` and `max()` need at least one item, but the list is empty.',
+        fix: 'Check that the list has items first, e.g. `if scores:`.'
+    },
+    {
+        id: 'math-domain',
+        type: 'ValueError',
+        pattern: 'math domain error',
+        explanation: 'A maths function was given a value it cannot work with, such as the square root of a negative number.',
+        fix: 'Check the value before calling the function, e.g. `if x >= 0:`.'
+    },
+    {
+        id: 'unhashable',
+        type: 'TypeError',
+        pattern: "unsupported type for __hash__: '(\\w+)'|unhashable",
+        explanation: 'A $1 cannot be a dictionary key or a set item, because it can change.',
+        fix: 'Use a tuple instead, e.g. `(x, y)` rather than `[x, y]`.'
+    },
+    {
+        id: 'indentation',
+        type: 'IndentationError',
+        explanation: 'The spaces at the start of a line do not line up. Python uses indentation to group lines into blocks.',
+        fix: 'Indent every line of a block by the same amount (4 spaces is usual), and line the end of a block up with the line that started it.'
+    },
+    {
+        id: 'syntax',
+        type: 'SyntaxError',
+        explanation: 'Python could not understand this line.',
+        fix: 'Look for a missing `:` after `if`, `for`, `while` or `def`, missing or extra brackets or quotes, and `=` where `==` was meant.'
+    }
+]
+
+/**
+ * The catalogue for a config: its `errorExplanations` first, then the
+ * built-in entries they do not replace or disable.
+ * @param {Object} [config]
+ * @returns {Array<Object>}
+ */
+export function buildErrorCatalogue(config) {
+    const custom = config && Array.isArray(config.errorExplanations) ? config.errorExplanations.filter(e => e && typeof e === 'object') : []
+    const byId = new Map(custom.filter(e => e.id).map(e => [String(e.id), e]))
+    const out = []
+    for (const e of custom) {
+        if (e.disabled) continue
+        // An entry that only names a built-in keeps its type and pattern
+        const base = e.id ? DEFAULT_ERROR_EXPLANATIONS.find(d => d.id === String(e.id)) : null
+        out.push(base ? { ...base, ...e } : e)
+    }
+    for (const d of DEFAULT_ERROR_EXPLANATIONS) {
+        if (!byId.has(d.id)) out.push(d)
+    }
+    return out
+}
+
+/**
+ * Pull the exception and the innermost frame out of a traceback.
+ * @param {string} text
+ * @returns {{type: string, message: string, file: ?string, line: ?number}|null}
+ */
+export function parseTraceback(text) {
+    const lines = String(text || '').split('\n').map(l => l.replace(/\r$/, ''))
+    let file = null
+    let line = null
+    let type = null
+    let message = ''
+    for (const l of lines) {
+        const frame = /File\s+["']([^"']+)["']\s*,\s*line\s+(\d+)/.exec(l)
+        if (frame) {
+            file = frame[1]
+            line = Number(frame[2])
+            continue
+        }
+        const exc = /^([A-Za-z_][\w.]*(?:Error|Exception|Exit|Interrupt|Iteration))(?::\s?(.*))?$/.exec(l.trim())
+        if (exc) {
+            type = exc[1].split('.').pop()
+            message = (exc[2] || '').trim()
+        }
+    }
+    return type ? { type, message, file, line } : null
+}
+
+function fill(template, groups) {
+    return String(template || '').replace(/\$(\d)/g, (_, n) => (groups && groups[n]) || '')
+}
+
+/**
+ * Find the explanation for a traceback.
+ * @param {string} tracebackText
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.catalogue] - from buildErrorCatalogue()
+ * @returns {{id: string, type: string, message: string, file: ?string, line: ?number, explanation: string, fix: string}|null}
+ */
+export function explainError(tracebackText, { catalogue = DEFAULT_ERROR_EXPLANATIONS } = {}) {
+    const parsed = parseTraceback(tracebackText)
+    if (!parsed) return null
+    for (const entry of catalogue) {
+        if (entry.type && !String(entry.type).split('|').includes(parsed.type)) continue
+        let groups = []
+        if (entry.pattern) {
+            let re = null
+            try { re = new RegExp(entry.pattern) } catch (_e) { continue }
+            const m = re.exec(parsed.message)
+            if (!m) continue
+            groups = m
+        }
+        const explanation = fill(entry.explanation, groups)
+        if (!explanation) continue
+        return { id: entry.id || '', ...parsed, explanation, fix: fill(entry.fix, groups) }
+    }
+    return null
+}
+
+/**
+ * Plain text for the terminal (markdown code marks are dropped).
+ * @param {Object} explained - from explainError()
+ * @param {string} [lineText] - the source of the offending line
+ */
+export function formatErrorExplanation(explained, lineText) {
+    if (!explained) return ''
+    const plain = t => String(t || '').replace(/`/g, '')
+    const out = ['What went wrong: ' + plain(explained.explanation)]
+    if (explained.line) {
+        const where = explained.file && explained.file !== '/main.py' ? `${explained.file} line ${explained.line}` : `Line ${explained.line}`
+        out.push(lineText != null && String(lineText).trim() ? `${where}: ${String(lineText).trim()}` : where)
+    }
+    if (explained.fix) out.push('How to fix it: ' + plain(explained.fix))
+    return out.join('\n')
+}
+
+export default { DEFAULT_ERROR_EXPLANATIONS, buildErrorCatalogue, parseTraceback, explainError, formatErrorExplanation }
@@ -4,6 +4,7 @@ import { getRuntimeAdapter, setExecutionRunning, getExecutionState, interruptMic
 import { getFileManager, MAIN_FILE, markExpectedWrite, setSystemWriteMode } from './vfs-client.js'
 import { transformAndWrap, mapTracebackAndShow, highlightMappedTracebackInEditor, clearAllErrorHighlights, clearAllFeedbackHighlights } from './code-transform.js'
 import { getExecutionRecorder } from './execution-recorder.js'
+import { buildSeedPrelude } from './test-seed.js'
 
 // Helper to safely stringify thrown values. Some runtimes (wasm/emscripten)
 // can throw non-Error values (eg. `throw Infinity;`). This ensures logs show
@@ -330,7 +331,8 @@ async function syncVFSAfterRun() {
     }
 }
 
-export async function runPythonCode(code, cfg) {
+// options.seed (tests) seeds the random module before the program runs
+export async function runPythonCode(code, cfg, { seed = null } = {}) {
     const runtimeAdapter = getRuntimeAdapter()
 
     if (getExecutionState().isRunning) {
@@ -626,7 +628,7 @@ except Exception:
             } else {
                 // Non-asyncify runtime: transform input() to await host.get_input()
                 appendTerminalDebug('Using transform-based approach for input() handling')
-                const transformed = transformAndWrap(code)
+                const transformed = transformAndWrap(code, { seed })
                 codeToRun = transformed.code
                 headerLines = transformed.headerLines
                 needsTransformation = true
@@ -690,6 +692,10 @@ except Exception:
                 try {
                     let out = ''
 
+                    // Seed separately so tracebacks keep the user's line numbers
+                    const seedPrelude = buildSeedPrelude(seed)
+                    if (seedPrelude) await currentRuntimeAdapter.runPythonAsync(seedPrelude)
+
                     // NEW: Hook into asyncify path for recording
                     const executionHooks = recordingEnabled ?
                         recorder.getExecutionHooks() : null
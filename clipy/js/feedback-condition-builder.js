@@ -0,0 +1,261 @@
+/**
+ * Feedback Condition Builder
+ *
+ * Builds combined feedback conditions: a group holds conditions that must
+ * all hold ("all of") or of which one must hold ("any of"), and any
+ * condition or group can be negated. The result is the `pattern` value of a
+ * feedback entry, e.g.
+ *
+ *   { all: [
+ *       { type: 'regex', target: 'code', fileTarget: 'main.py', expression: 'for \\w+ in' },
+ *       { not: { type: 'string', target: 'code', fileTarget: 'main.py', expression: 'sum(' } }
+ *   ] }
+ */
+import { validateRegexPattern } from './config.js'
+import { isCombinedPattern, OUTPUT_TARGETS } from './feedback.js'
+
+const CONDITION_TYPES = ['string', 'regex', 'ast']
+const CONDITION_TARGETS = ['code', 'filename', 'stdout', 'stderr', 'stdin']
+
+export { isCombinedPattern }
+
+/**
+ * Short text for a pattern, used in the feedback list.
+ */
+export function describePattern(p) {
+    if (!p || typeof p !== 'object') return ''
+    if (p.not) return 'not ' + describePattern(p.not)
+    if (Array.isArray(p.all)) return 'all(' + p.all.map(describePattern).join(', ') + ')'
+    if (Array.isArray(p.any)) return 'any(' + p.any.map(describePattern).join(', ') + ')'
+    return (p.type || '') + ':' + (p.target || '')
+}
+
+function makeSelect(values, value) {
+    const sel = document.createElement('select')
+    values.forEach(v => {
+        const o = document.createElement('option')
+        o.value = v
+        o.textContent = v
+        sel.appendChild(o)
+    })
+    if (values.includes(value)) sel.value = value
+    return sel
+}
+
+function makeNegate(checked) {
+    const label = document.createElement('label')
+    label.style.display = 'inline-flex'
+    label.style.alignItems = 'center'
+    label.style.gap = '4px'
+    label.style.fontSize = '0.9em'
+    const cb = document.createElement('input')
+    cb.type = 'checkbox'
+    cb.checked = !!checked
+    label.appendChild(cb)
+    label.appendChild(document.createTextNode('not'))
+    return { label, cb }
+}
+
+function makeRemove(onRemove) {
+    const btn = document.createElement('button')
+    btn.type = 'button'
+    btn.className = 'btn'
+    btn.textContent = '×'
+    btn.title = 'Remove'
+    btn.style.padding = '0 8px'
+    btn.addEventListener('click', onRemove)
+    return btn
+}
+
+// One single pattern row: [not] type target [file] expression [flags] ×
+function createLeaf(existing, negated, onRemove) {
+    const root = document.createElement('div')
+    root.className = 'feedback-condition'
+    root.style.display = 'flex'
+    root.style.flexWrap = 'wrap'
+    root.style.alignItems = 'center'
+    root.style.gap = '6px'
+
+    const negate = makeNegate(negated)
+    const type = makeSelect(CONDITION_TYPES, existing.type || 'string')
+    const target = makeSelect(CONDITION_TARGETS, existing.target || 'code')
+
+    const fileTarget = document.createElement('input')
+    fileTarget.type = 'text'
+    fileTarget.style.width = '90px'
+    fileTarget.placeholder = 'main.py'
+    fileTarget.title = 'File to check'
+    fileTarget.value = existing.fileTarget || 'main.py'
+
+    const expression = document.createElement('input')
+    expression.type = 'text'
+    expression.style.flex = '1'
+    expression.style.minWidth = '140px'
+    expression.value = existing.expression || ''
+
+    const flags = document.createElement('input')
+    flags.type = 'text'
+    flags.style.width = '40px'
+    flags.placeholder = 'flags'
+    flags.value = existing.flags || ''
+
+    function updateFields() {
+        fileTarget.style.display = target.value === 'code' ? '' : 'none'
+        flags.style.display = type.value === 'regex' ? '' : 'none'
+        if (type.value === 'ast') expression.placeholder = 'AST expression, e.g. function_count'
+        else if (target.value === 'filename') expression.placeholder = 'File name'
+        else expression.placeholder = type.value === 'regex' ? 'Regular expression' : 'Text to find'
+    }
+    type.addEventListener('change', updateFields)
+    target.addEventListener('change', updateFields)
+    updateFields()
+
+    root.appendChild(negate.label)
+    root.appendChild(type)
+    root.appendChild(target)
+    root.appendChild(fileTarget)
+    root.appendChild(expression)
+    root.appendChild(flags)
+    root.appendChild(makeRemove(onRemove))
+
+    return {
+        root,
+        get() {
+            const p = { type: type.value, target: target.value, expression: expression.value || '' }
+            if (target.value === 'code') p.fileTarget = fileTarget.value || 'main.py'
+            if (type.value === 'regex' && flags.value) p.flags = flags.value
+            if (type.value === 'ast' && existing.matcher) p.matcher = existing.matcher
+            return negate.cb.checked ? { not: p } : p
+        },
+        validate() {
+            if (!expression.value.trim()) return 'Every condition needs an expression.'
+            if (type.value !== 'regex') return null
+            try {
+                new RegExp(expression.value, flags.value || '')
+            } catch (e) {
+                return 'Invalid regular expression: ' + (e && e.message ? e.message : e)
+            }
+            const vr = validateRegexPattern(expression.value, { maxLength: 2000 })
+            return vr.ok ? null : 'Rejected pattern: ' + (vr.reason || 'unsafe pattern')
+        },
+        hasOutputTarget() {
+            return OUTPUT_TARGETS.includes(target.value)
+        }
+    }
+}
+
+// A group: [not] all/any of, its conditions, and buttons to add more
+function createGroup(existing, negated, onRemove) {
+    const root = document.createElement('div')
+    root.className = 'feedback-condition-group'
+    root.style.borderLeft = '2px solid #c9d6ef'
+    root.style.paddingLeft = '8px'
+    root.style.display = 'flex'
+    root.style.flexDirection = 'column'
+    root.style.gap = '6px'
+
+    const header = document.createElement('div')
+    header.style.display = 'flex'
+    header.style.alignItems = 'center'
+    header.style.gap = '6px'
+    const negate = makeNegate(negated)
+    const mode = document.createElement('select')
+    for (const [value, text] of [['all', 'all of'], ['any', 'any of']]) {
+        const o = document.createElement('option')
+        o.value = value
+        o.textContent = text
+        mode.appendChild(o)
+    }
+    mode.value = Array.isArray(existing.any) ? 'any' : 'all'
+    header.appendChild(negate.label)
+    header.appendChild(mode)
+    if (onRemove) header.appendChild(makeRemove(onRemove))
+
+    const list = document.createElement('div')
+    list.style.display = 'flex'
+    list.style.flexDirection = 'column'
+    list.style.gap = '6px'
+
+    const children = []
+    function add(pattern) {
+        const child = createCondition(pattern, () => {
+            const i = children.indexOf(child)
+            if (i >= 0) children.splice(i, 1)
+            list.removeChild(child.root)
+        })
+        children.push(child)
+        list.appendChild(child.root)
+    }
+    const initial = Array.isArray(existing.all) ? existing.all : (Array.isArray(existing.any) ? existing.any : [])
+    initial.forEach(add)
+
+    const actions = document.createElement('div')
+    actions.style.display = 'flex'
+    actions.style.gap = '6px'
+    const addCondition = document.createElement('button')
+    addCondition.type = 'button'
+    addCondition.className = 'btn'
+    addCondition.textContent = '+ Condition'
+    addCondition.addEventListener('click', () => add({ type: 'string', target: 'code', expression: '' }))
+    const addGroup = document.createElement('button')
+    addGroup.type = 'button'
+    addGroup.className = 'btn'
+    addGroup.textContent = '+ Group'
+    addGroup.addEventListener('click', () => add({ any: [{ type: 'string', target: 'code', expression: '' }] }))
+    actions.appendChild(addCondition)
+    actions.appendChild(addGroup)
+
+    root.appendChild(header)
+    root.appendChild(list)
+    root.appendChild(actions)
+
+    return {
+        root,
+        get() {
+            const p = { [mode.value]: children.map(c => c.get()) }
+            return negate.cb.checked ? { not: p } : p
+        },
+        validate() {
+            if (!children.length) return 'A group needs at least one condition.'
+            for (const c of children) {
+                const err = c.validate()
+                if (err) return err
+            }
+            return null
+        },
+        hasOutputTarget() {
+            return children.some(c => c.hasOutputTarget())
+        }
+    }
+}
+
+function createCondition(pattern, onRemove) {
+    const p = pattern || {}
+    const negated = !!p.not && typeof p.not === 'object'
+    const inner = negated ? p.not : p
+    if (Array.isArray(inner.all) || Array.isArray(inner.any)) return createGroup(inner, negated, onRemove)
+    // A double negation keeps its inner `not` inside a one-item group
+    if (inner.not) return createGroup({ all: [inner] }, negated, onRemove)
+    return createLeaf(inner, negated, onRemove)
+}
+
+/**
+ * Create the nested condition builder.
+ * @param {Object} existing - an existing combined pattern, or a single
+ *   pattern to start the top-level group with
+ * @returns {{root: HTMLElement, get: function(): Object, validate: function(): ?string, hasOutputTarget: function(): boolean}}
+ */
+export function createConditionBuilder(existing) {
+    let start = existing
+    if (!isCombinedPattern(start)) {
+        start = { all: [start && start.type ? start : { type: 'string', target: 'code', expression: '' }] }
+    } else if (start.not) {
+        // A negated top level becomes a group holding the negation
+        start = { all: [start] }
+    }
+    const group = createGroup(start, false, null)
+    group.root.classList.add('feedback-condition-builder')
+    return group
+}
+
+export default { createConditionBuilder, isCombinedPattern, describePattern }
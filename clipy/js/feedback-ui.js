@@ -1,6 +1,11 @@
 import { $, renderMarkdown, setInnerHTML } from './utils.js'
 import { debug as logDebug } from './logger.js'
 import { getStudentIdentifier, generateVerificationCode, shouldShowVerificationCode } from './zero-knowledge-verification.js'
+import { computeScore, isWeightedScoring } from './test-scoring.js'
+import { redactHiddenResults, hiddenTestTitle } from './hidden-tests.js'
+import { buildResultsReport, exportResults } from './test-results-export.js'
+import { getDiffExpectation, createOutputDiffView } from './output-diff.js'
+import { buildErrorCatalogue, explainError } from './error-explainer.js'
 
 
 
@@ -8,9 +13,55 @@ let _matches = []
 let _config = { feedback: [] }
 let _testResults = []
 let _streamBuffers = {}
+// "Show coverage" checkbox next to Run tests (kept across re-renders)
+let _coverageMode = false
 // Track previously-seen matched feedback IDs so we can detect newly added matches
 let _prevMatchedIds = new Set()
 
+// Friendly explanation of a Python error in a test's stderr, or null when
+// the error is not in the config's catalogue
+function createErrorExplanationElement(stderr) {
+    try {
+        const explained = explainError(String(stderr || ''), { catalogue: buildErrorCatalogue(_config) })
+        if (!explained) return null
+        const el = document.createElement('div')
+        el.className = 'test-error-explanation'
+        const parts = ['**What went wrong:** ' + explained.explanation]
+        if (explained.line) parts.push('Line ' + explained.line)
+        if (explained.fix) parts.push('**How to fix it:** ' + explained.fix)
+        try { setInnerHTML(el, renderMarkdown(parts.join('\n\n'))) } catch (_e) { el.textContent = parts.join('\n') }
+        return el
+    } catch (_e) { return null }
+}
+
+// Sidebar entry for a hidden test: only the pass/fail status and the
+// author's optional hint (shown when the test failed).
+function createHiddenTestEntry(r) {
+    const tr = document.createElement('div')
+    tr.className = 'feedback-entry test-entry test-hidden ' + (r.passed ? 'test-pass' : 'test-fail')
+    tr.setAttribute('data-test-id', String(r.id || ''))
+    const titleRow = document.createElement('div')
+    titleRow.className = 'feedback-title-row'
+    const icon = document.createElement('span')
+    icon.className = 'feedback-icon'
+    icon.textContent = r.passed ? '✅' : '❌'
+    titleRow.appendChild(icon)
+    const titleEl = document.createElement('div')
+    titleEl.className = 'feedback-title'
+    titleEl.textContent = `${hiddenTestTitle(r)} ${r.passed ? 'passed' : 'failed'}`
+    titleRow.appendChild(titleEl)
+    tr.appendChild(titleRow)
+    if (!r.passed && r.hint) {
+        const hint = document.createElement('div')
+        hint.className = 'test-failure-message'
+        hint.style.marginTop = '6px'
+        hint.style.color = '#d33'
+        try { setInnerHTML(hint, renderMarkdown(String(r.hint))) } catch (_e) { hint.textContent = String(r.hint) }
+        tr.appendChild(hint)
+    }
+    return tr
+}
+
 function renderList() {
     try {
         // Prefer new id to avoid content-blocker problems; fall back to legacy
@@ -58,9 +109,28 @@ function renderList() {
             try {
                 // Trace user interaction for debugging: ensure the custom event is dispatched
                 try { logDebug('[feedback-ui] run-tests button clicked') } catch (_e) { }
-                window.dispatchEvent(new CustomEvent('ssg:run-tests-click'))
+                window.dispatchEvent(new CustomEvent('ssg:run-tests-click', { detail: { coverage: _coverageMode } }))
             } catch (_e) { }
         })
+        if (hasTests) {
+            // Coverage mode marks the lines the tests ran in the editor gutter
+            const coverageLabel = document.createElement('label')
+            coverageLabel.className = 'run-tests-coverage'
+            coverageLabel.title = 'Mark which lines of your code the tests ran'
+            coverageLabel.style.display = 'flex'
+            coverageLabel.style.alignItems = 'center'
+            coverageLabel.style.gap = '4px'
+            coverageLabel.style.marginRight = '8px'
+            coverageLabel.style.fontSize = '0.9em'
+            const coverageBox = document.createElement('input')
+            coverageBox.type = 'checkbox'
+            coverageBox.id = 'run-tests-coverage'
+            coverageBox.checked = _coverageMode
+            coverageBox.addEventListener('change', () => { _coverageMode = coverageBox.checked })
+            coverageLabel.appendChild(coverageBox)
+            coverageLabel.appendChild(document.createTextNode('Show coverage'))
+            controlRow.appendChild(coverageLabel)
+        }
         controlRow.appendChild(runBtn)
         host.appendChild(controlRow)
 
@@ -147,6 +217,7 @@ function renderList() {
                 for (const t of (g.tests || [])) {
                     const r = visibleInGroup.find(v => String(v.id) === String(t.id))
                     if (!r) continue
+                    if (r.hidden) { testsSection.appendChild(createHiddenTestEntry(r)); continue }
 
                     const tr = document.createElement('div')
                     tr.className = 'feedback-entry test-entry ' + (r.passed ? 'test-pass' : 'test-fail')
@@ -170,34 +241,23 @@ function renderList() {
                     titleRow.appendChild(titleEl)
                     tr.appendChild(titleRow)
 
-                    // Reuse existing detail rendering logic (actual/expected, stderr)
-                    const hasExpected = authorEntry && (authorEntry.expected_stdout != null)
-                    const isRegexExpected = hasExpected && (typeof authorEntry.expected_stdout === 'object' && authorEntry.expected_stdout.type === 'regex')
-                    const isExactExpected = hasExpected && (typeof authorEntry.expected_stdout === 'object' && authorEntry.expected_stdout.type === 'exact')
+                    // Diff of expected vs actual output (regex expectations have no text to diff)
+                    const diffExpected = authorEntry ? getDiffExpectation(authorEntry.expected_stdout) : null
                     const hasStderr = r.stderr && r.stderr.trim().length > 0
                     const hideActualExpected = authorEntry && authorEntry.hide_actual_expected
-                    if (!r.passed && hasExpected && !isRegexExpected && !isExactExpected && !hasStderr && !hideActualExpected) {
+                    if (!r.passed && diffExpected && !hasStderr && !hideActualExpected) {
                         const detailsWrap = document.createElement('div')
                         detailsWrap.className = 'test-compare'
                         detailsWrap.style.marginTop = '8px'
-                        const actualLabel = document.createElement('div')
-                        actualLabel.textContent = 'Actual:'
-                        actualLabel.style.fontSize = '0.9em'
-                        actualLabel.style.marginBottom = '4px'
-                        detailsWrap.appendChild(actualLabel)
-                        const preA = document.createElement('pre')
-                        preA.style.whiteSpace = 'pre-wrap'
-                        preA.style.fontFamily = 'monospace'
-                        const codeA = document.createElement('code')
-                        codeA.className = 'test-code'
-                        codeA.setAttribute('data-nohighlight', 'true')
-                        codeA.textContent = (r.stdout != null) ? String(r.stdout) : ''
-                        preA.appendChild(codeA)
-                        detailsWrap.appendChild(preA)
-                        const expectedLabel = document.createElement('div')
+                        detailsWrap.appendChild(createOutputDiffView({
+                            expected: diffExpected.text,
+                            actual: (r.stdout != null) ? String(r.stdout) : '',
+                            mode: diffExpected.mode,
+                            tolerance: diffExpected.tolerance
+                        }).root)
                         // If the author provided a failureMessage for this test,
-                        // show it beneath the compare block so authors can add
-                        // a readable explanation for mismatches.
+                        // show it beneath the diff so authors can add a
+                        // readable explanation for mismatches.
                         try {
                             if (authorEntry && authorEntry.failureMessage) {
                                 const fm = document.createElement('div')
@@ -209,25 +269,6 @@ function renderList() {
                             }
                         } catch (_e) { }
                         tr.appendChild(detailsWrap)
-                        expectedLabel.style.fontSize = '0.9em'
-                        expectedLabel.style.margin = '8px 0 4px'
-                        detailsWrap.appendChild(expectedLabel)
-                        const preE = document.createElement('pre')
-                        preE.style.whiteSpace = 'pre-wrap'
-                        preE.style.fontFamily = 'monospace'
-                        const codeE = document.createElement('code')
-                        codeE.className = 'test-code'
-                        codeE.setAttribute('data-nohighlight', 'true')
-                        try {
-                            const exp = authorEntry.expected_stdout
-                            if (typeof exp === 'string') codeE.textContent = exp
-                            else if (typeof exp === 'object' && exp.type === 'regex') codeE.textContent = `/${exp.expression}/${exp.flags || ''}`
-                            else if (typeof exp === 'object' && exp.type === 'exact') codeE.textContent = `[exact: ${exp.expression}]`
-                            else codeE.textContent = JSON.stringify(exp)
-                        } catch (_e) { codeE.textContent = String(authorEntry.expected_stdout) }
-                        preE.appendChild(codeE)
-                        detailsWrap.appendChild(preE)
-                        tr.appendChild(detailsWrap)
                     }
 
                     const shouldShowDetails = authorEntry ? !!(authorEntry.show_stderr || authorEntry.show_traceback) : false
@@ -248,6 +289,8 @@ function renderList() {
                             stderrEl.style.fontFamily = 'monospace'
                             stderrEl.textContent = r.stderr
                             detailsWrap.appendChild(stderrEl)
+                            const explainEl = createErrorExplanationElement(r.stderr)
+                            if (explainEl) detailsWrap.appendChild(explainEl)
                         }
                         // Also include author-provided failure message where present
                         try {
@@ -268,7 +311,7 @@ function renderList() {
                     // is visible by creating a minimal test-io block.
                     try {
                         const hasDetail = tr.querySelector('.test-compare') || tr.querySelector('.feedback-msg') || tr.querySelector('.test-io')
-                        if (!r.passed && authorEntry && (authorEntry.type === 'ast' || authorEntry.astRule) && authorEntry.failureMessage && !hasDetail) {
+                        if (!r.passed && authorEntry && (authorEntry.type === 'ast' || authorEntry.astRule || authorEntry.type === 'function' || authorEntry.type === 'transcript' || authorEntry.type === 'property' || authorEntry.type === 'budget') && authorEntry.failureMessage && !hasDetail) {
                             const astWrap = document.createElement('div')
                             astWrap.className = 'test-io'
                             astWrap.style.marginTop = '8px'
@@ -309,6 +352,7 @@ function renderList() {
                 ugH.textContent = `Ungrouped (${ungroupedVisible.length})`
                 testsSection.appendChild(ugH)
                 for (const r of ungroupedVisible) {
+                    if (r.hidden) { testsSection.appendChild(createHiddenTestEntry(r)); continue }
                     const tr = document.createElement('div')
                     tr.className = 'feedback-entry test-entry ' + (r.passed ? 'test-pass' : 'test-fail')
                     tr.setAttribute('data-test-id', String(r.id || ''))
@@ -333,7 +377,7 @@ function renderList() {
                     // If AST test failed and has a failureMessage, show it even
                     // when no stderr/compare block exists.
                     try {
-                        if (!r.passed && authorEntry && (authorEntry.type === 'ast' || authorEntry.astRule) && authorEntry.failureMessage) {
+                        if (!r.passed && authorEntry && (authorEntry.type === 'ast' || authorEntry.astRule || authorEntry.type === 'function' || authorEntry.type === 'transcript' || authorEntry.type === 'property' || authorEntry.type === 'budget') && authorEntry.failureMessage) {
                             const astWrap = document.createElement('div')
                             astWrap.className = 'test-io'
                             astWrap.style.marginTop = '8px'
@@ -366,6 +410,7 @@ function renderList() {
                 // Author test metadata can be found in _config.tests (optional)
                 const cfgTests = Array.isArray((_config && _config.tests) ? _config.tests : []) ? _config.tests : []
                 for (const r of visibleResults) {
+                    if (r.hidden) { testsSection.appendChild(createHiddenTestEntry(r)); continue }
                     const tr = document.createElement('div')
                     tr.className = 'feedback-entry test-entry ' + (r.passed ? 'test-pass' : 'test-fail')
                     tr.setAttribute('data-test-id', String(r.id || ''))
@@ -500,6 +545,16 @@ function renderList() {
                 hint.textContent = ''
                 wrapper.appendChild(hint)
             }
+            // Hints from the entry's hint ladder revealed so far
+            if (matched && Array.isArray(matched.hints) && matched.hints.length) {
+                matched.hints.forEach((h, i) => {
+                    const hintEl = document.createElement('div')
+                    hintEl.className = 'feedback-msg feedback-hint matched-' + sev
+                    const text = `**Hint ${i + 1} of ${matched.hintsTotal || matched.hints.length}:** ${h}`
+                    try { setInnerHTML(hintEl, renderMarkdown(text)) } catch (_e) { hintEl.textContent = text }
+                    wrapper.appendChild(hintEl)
+                })
+            }
 
             // Clicking a title should emit the feedback-click with the canonical entry + match
             const attachClick = (el) => {
@@ -729,7 +784,8 @@ export function setFeedbackMatches(matches) {
 }
 
 export function setTestResults(results) {
-    _testResults = Array.isArray(results) ? results : []
+    // Hidden tests are redacted before anything is stored for rendering
+    _testResults = Array.isArray(results) ? redactHiddenResults(results, _config && _config.tests) : []
     try {
         // Attach metadata from current config.tests to each result for easier rendering
         // Normalize _config.tests into a flat array (works for legacy and grouped formats)
@@ -752,6 +808,7 @@ export function setTestResults(results) {
 
         _testResults.forEach(r => {
             try {
+                if (r.hidden) { r.meta = null; return }
                 let meta = null
                 try {
                     meta = cfgTests.find(t => String(t.id) === String(r.id)) || null
@@ -803,6 +860,7 @@ export function appendTestOutput({ id, type, text }) {
         const idx = _testResults.findIndex(r => String(r.id) === String(id))
         if (idx !== -1) {
             const existing = _testResults[idx]
+            if (existing.hidden) return
             existing.stdout = _streamBuffers[id].stdout
             existing.stderr = _streamBuffers[id].stderr
             renderList()
@@ -810,6 +868,52 @@ export function appendTestOutput({ id, type, text }) {
     } catch (_e) { }
 }
 
+// Modal row for a hidden test: status, points and the optional hint only.
+function fillHiddenTestResultRow(row, r, score) {
+    row.classList.add('test-result-hidden')
+
+    const header = document.createElement('div')
+    header.style.display = 'flex'
+    header.style.alignItems = 'center'
+    header.style.justifyContent = 'space-between'
+
+    const left = document.createElement('div')
+    left.style.display = 'flex'
+    left.style.alignItems = 'center'
+
+    const emoji = document.createElement('div')
+    emoji.style.fontSize = '20px'
+    emoji.style.marginRight = '10px'
+    emoji.textContent = r.passed ? '✅' : '❌'
+    left.appendChild(emoji)
+
+    const title = document.createElement('div')
+    title.textContent = `${hiddenTestTitle(r)} ${r.passed ? 'passed' : 'failed'}`
+    title.style.fontWeight = '600'
+    left.appendChild(title)
+    header.appendChild(left)
+
+    const status = document.createElement('div')
+    status.textContent = r.passed ? 'Passed' : 'Failed'
+    status.style.fontWeight = '600'
+    try {
+        const testScore = score && score.weighted ? score.tests.get(String(r.id)) : null
+        if (testScore) status.textContent += ` · ${formatPoints(testScore.earned)}/${formatPoints(testScore.possible)} pts`
+    } catch (_e) { }
+    header.appendChild(status)
+    row.appendChild(header)
+
+    if (!r.passed && r.hint) {
+        const hint = document.createElement('div')
+        hint.className = 'test-failure-message'
+        hint.style.marginTop = '8px'
+        hint.style.color = '#d33'
+        try { setInnerHTML(hint, renderMarkdown(String(r.hint))) } catch (_e) { hint.textContent = String(r.hint) }
+        row.appendChild(hint)
+    }
+    return row
+}
+
 // Modal helpers for showing test-run summaries
 function createResultsModal() {
     let modal = document.getElementById('test-results-modal')
@@ -885,6 +989,7 @@ function createResultsModal() {
     verificationDiv.style.boxShadow = '0 2px 8px rgba(0,0,0,0.15)'
 
     const verificationTitle = document.createElement('div')
+    verificationTitle.id = 'verification-code-title'
     verificationTitle.style.fontSize = '0.9em'
     verificationTitle.style.marginBottom = '4px'
     verificationTitle.textContent = '🎉 All tests passed! Your verification code:'
@@ -907,10 +1012,47 @@ function createResultsModal() {
 
     box.appendChild(verificationDiv)
 
+    // Score summary (points earned, percentage and pass threshold)
+    const scoreDiv = document.createElement('div')
+    scoreDiv.id = 'test-results-score'
+    scoreDiv.style.marginBottom = '12px'
+    box.appendChild(scoreDiv)
+
     const content = document.createElement('div')
     content.className = 'test-results-content'
     box.appendChild(content)
 
+    // Export of the latest run for gradebook and CI tools
+    const exportRow = document.createElement('div')
+    exportRow.className = 'test-results-export'
+    exportRow.style.display = 'flex'
+    exportRow.style.alignItems = 'center'
+    exportRow.style.justifyContent = 'flex-end'
+    exportRow.style.gap = '8px'
+    exportRow.style.marginTop = '12px'
+
+    const exportLabel = document.createElement('label')
+    exportLabel.textContent = 'Export results as'
+    exportLabel.htmlFor = 'test-results-export-format'
+    const exportFormat = document.createElement('select')
+    exportFormat.id = 'test-results-export-format'
+    for (const [value, label] of [['json', 'JSON'], ['junit', 'JUnit XML'], ['tap', 'TAP']]) {
+        const opt = document.createElement('option')
+        opt.value = value
+        opt.textContent = label
+        exportFormat.appendChild(opt)
+    }
+    const exportBtn = document.createElement('button')
+    exportBtn.className = 'btn'
+    exportBtn.id = 'test-results-export-btn'
+    exportBtn.textContent = 'Download'
+    exportBtn.addEventListener('click', () => downloadTestResults(exportFormat.value))
+
+    exportRow.appendChild(exportLabel)
+    exportRow.appendChild(exportFormat)
+    exportRow.appendChild(exportBtn)
+    box.appendChild(exportRow)
+
     // Note: overlay is non-interactive to avoid blocking automated UI actions.
     // Closing the modal should be done via the Close button or ESC.
 
@@ -958,6 +1100,27 @@ function createResultsModal() {
     return modal
 }
 
+// Download the latest run (hidden tests stay redacted)
+function downloadTestResults(format) {
+    try {
+        if (!Array.isArray(_testResults) || !_testResults.length) return
+        const report = buildResultsReport(_config, _testResults)
+        const { text, mimeType, extension } = exportResults(format, report)
+        const base = String((_config && _config.id) || 'clipy').replace(/[^\w.-]+/g, '_')
+        const url = URL.createObjectURL(new Blob([text], { type: mimeType }))
+        const a = document.createElement('a')
+        a.href = url
+        a.download = `${base}-test-results.${extension}`
+        a.style.display = 'none'
+        document.body.appendChild(a)
+        a.click()
+        document.body.removeChild(a)
+        URL.revokeObjectURL(url)
+    } catch (e) {
+        logDebug('[feedback-ui] test results export failed', e)
+    }
+}
+
 function closeTestResultsModal() {
     const modal = document.getElementById('test-results-modal')
     if (!modal) return
@@ -974,11 +1137,19 @@ async function handleVerificationCodeDisplay(results, config) {
     if (!verificationDiv || !verificationCodeText) return
 
     try {
-        // Check if verification code should be shown
-        const allTestsPassed = shouldShowVerificationCode(results)
+        // Check if verification code should be shown (all passed, or the
+        // weighted score reached the configured pass threshold)
+        const allTestsPassed = shouldShowVerificationCode(results, config && config.tests)
         const studentId = getStudentIdentifier()
 
         if (allTestsPassed && studentId) {
+            const verificationTitle = document.getElementById('verification-code-title')
+            if (verificationTitle) {
+                const thresholdPass = results.some(r => !r.skipped && r.passed !== true)
+                verificationTitle.textContent = thresholdPass
+                    ? '🎉 Pass mark reached! Your verification code:'
+                    : '🎉 All tests passed! Your verification code:'
+            }
             // Generate verification code
             const verificationCode = await generateVerificationCode(config, studentId, true)
 
@@ -1055,12 +1226,20 @@ function showTestResultsModal(results) {
     // Show groups toggle is now controlled by config only - no user toggle in main app
     const showGroups = isGroupedConfig && _config.tests.showGroupsToUsers !== false
 
+    // Weighted score across all tests (failed and skipped tests earn nothing)
+    let score = null
+    try {
+        score = computeScore(_config && _config.tests, results)
+        score.weighted = isWeightedScoring(_config && _config.tests)
+    } catch (_e) { score = null }
+    renderScoreSummary(score)
+
     // Render results based on config setting
     if (isGroupedConfig) {
-        renderTestResults(results, cfgMap, groupMap, showGroups)
+        renderTestResults(results, cfgMap, groupMap, showGroups, score)
     } else {
         // Legacy format - render normally
-        renderTestResults(results, cfgMap, groupMap, false)
+        renderTestResults(results, cfgMap, groupMap, false, score)
     }
 
     // Handle verification code display
@@ -1071,7 +1250,39 @@ function showTestResultsModal(results) {
     if (box) box.focus()
 }
 
-function renderTestResults(results, cfgMap, groupMap, showGroups) {
+function formatPoints(n) {
+    return String(Math.round(n * 100) / 100)
+}
+
+function renderScoreSummary(score) {
+    const scoreDiv = document.getElementById('test-results-score')
+    if (!scoreDiv) return
+    while (scoreDiv.firstChild) scoreDiv.removeChild(scoreDiv.firstChild)
+    if (!score || !(score.possible > 0)) {
+        scoreDiv.style.display = 'none'
+        return
+    }
+    scoreDiv.style.display = ''
+
+    const line = document.createElement('div')
+    line.style.fontWeight = '600'
+    line.style.fontSize = '1.05em'
+    line.textContent = `Score: ${formatPoints(score.earned)} / ${formatPoints(score.possible)} (${score.percentage}%)`
+    scoreDiv.appendChild(line)
+
+    if (score.threshold !== null) {
+        const thresholdLine = document.createElement('div')
+        thresholdLine.style.fontSize = '0.9em'
+        thresholdLine.style.marginTop = '2px'
+        thresholdLine.style.color = score.meetsThreshold ? '#2e7d32' : '#b26a00'
+        thresholdLine.textContent = score.meetsThreshold
+            ? `Pass mark of ${score.threshold}% reached`
+            : `Pass mark: ${score.threshold}% - not reached yet`
+        scoreDiv.appendChild(thresholdLine)
+    }
+}
+
+function renderTestResults(results, cfgMap, groupMap, showGroups, score = null) {
     const modal = document.getElementById('test-results-modal')
     if (!modal) return
 
@@ -1120,6 +1331,19 @@ function renderTestResults(results, cfgMap, groupMap, showGroups) {
             groupHeader.style.fontWeight = '600'
             groupHeader.style.color = '#555'
             groupHeader.style.verticalAlign = 'middle'
+            // Weighted configs show the points earned in each group
+            try {
+                const groupScore = score && score.weighted ? score.groups[groupData.info.index - 1] : null
+                if (groupScore) {
+                    const pts = document.createElement('span')
+                    pts.style.fontWeight = '400'
+                    pts.style.fontSize = '0.9em'
+                    pts.style.color = '#666'
+                    pts.style.marginLeft = '8px'
+                    pts.textContent = `${formatPoints(groupScore.earned)} / ${formatPoints(groupScore.possible)} pts`
+                    groupHeader.appendChild(pts)
+                }
+            } catch (_e) { }
             groupSection.appendChild(groupHeader)
 
             // Sort tests in group by their order in the config (use testNumber or fallback)
@@ -1133,7 +1357,7 @@ function renderTestResults(results, cfgMap, groupMap, showGroups) {
 
             // Render tests in group
             for (const result of groupData.results) {
-                const row = createTestResultRow(result, cfgMap, groupMap, true)
+                const row = createTestResultRow(result, cfgMap, groupMap, true, score)
                 groupSection.appendChild(row)
             }
 
@@ -1157,7 +1381,7 @@ function renderTestResults(results, cfgMap, groupMap, showGroups) {
             ungroupedSection.appendChild(ungroupedHeader)
 
             for (const result of ungroupedResults) {
-                const row = createTestResultRow(result, cfgMap, groupMap, false)
+                const row = createTestResultRow(result, cfgMap, groupMap, false, score)
                 ungroupedSection.appendChild(row)
             }
 
@@ -1187,18 +1411,20 @@ function renderTestResults(results, cfgMap, groupMap, showGroups) {
         })
 
         for (const result of sortedResults) {
-            const row = createTestResultRow(result, cfgMap, groupMap, false)
+            const row = createTestResultRow(result, cfgMap, groupMap, false, score)
             content.appendChild(row)
         }
     }
 }
 
-function createTestResultRow(r, cfgMap, groupMap, isGrouped) {
+function createTestResultRow(r, cfgMap, groupMap, isGrouped, score = null) {
     const row = document.createElement('div')
     row.className = 'test-result-row'
     row.style.borderTop = '1px solid #eee'
     row.style.padding = '10px 0'
 
+    if (r.hidden) return fillHiddenTestResultRow(row, r, score)
+
     const header = document.createElement('div')
     header.style.display = 'flex'
     header.style.alignItems = 'center'
@@ -1235,6 +1461,10 @@ function createTestResultRow(r, cfgMap, groupMap, isGrouped) {
     const status = document.createElement('div')
     status.textContent = r.passed ? 'Passed' : 'Failed'
     status.style.fontWeight = '600'
+    try {
+        const testScore = score && score.weighted ? score.tests.get(String(r.id)) : null
+        if (testScore) status.textContent += ` · ${formatPoints(testScore.earned)}/${formatPoints(testScore.possible)} pts`
+    } catch (_e) { }
     header.appendChild(status)
 
     row.appendChild(header)
@@ -1255,47 +1485,18 @@ function createTestResultRow(r, cfgMap, groupMap, isGrouped) {
         }
 
         const hideActualExpected = meta && meta.hide_actual_expected
-        if (!r.passed && expected != null && !(typeof expected === 'object' && (expected.type === 'regex' || expected.type === 'exact')) && !(r.stderr && r.stderr.trim().length > 0) && !hideActualExpected) {
+        const diffExpected = getDiffExpectation(expected)
+        if (!r.passed && diffExpected && !(r.stderr && r.stderr.trim().length > 0) && !hideActualExpected) {
             const compareWrap = document.createElement('div')
             compareWrap.className = 'test-compare'
             compareWrap.style.marginTop = '8px'
 
-            const actualLabel = document.createElement('div')
-            actualLabel.textContent = 'Actual:'
-            actualLabel.style.fontSize = '0.9em'
-            actualLabel.style.marginBottom = '4px'
-            compareWrap.appendChild(actualLabel)
-
-            const preA = document.createElement('pre')
-            preA.style.whiteSpace = 'pre-wrap'
-            preA.style.fontFamily = 'monospace'
-            const codeA = document.createElement('code')
-            codeA.className = 'test-code'
-            codeA.setAttribute('data-nohighlight', 'true')
-            codeA.textContent = (r.stdout != null) ? String(r.stdout) : ''
-            preA.appendChild(codeA)
-            compareWrap.appendChild(preA)
-
-            const expectedLabel = document.createElement('div')
-            expectedLabel.textContent = 'Expected:'
-            expectedLabel.style.fontSize = '0.9em'
-            expectedLabel.style.margin = '8px 0 4px'
-            compareWrap.appendChild(expectedLabel)
-
-            const preE = document.createElement('pre')
-            preE.style.whiteSpace = 'pre-wrap'
-            preE.style.fontFamily = 'monospace'
-            const codeE = document.createElement('code')
-            codeE.className = 'test-code'
-            codeE.setAttribute('data-nohighlight', 'true')
-            try {
-                if (typeof expected === 'string') codeE.textContent = expected
-                else if (typeof expected === 'object' && expected.type === 'regex') codeE.textContent = `/${expected.expression}/${expected.flags || ''}`
-                else if (typeof expected === 'object' && expected.type === 'exact') codeE.textContent = `[exact: ${expected.expression}]`
-                else codeE.textContent = JSON.stringify(expected)
-            } catch (_e) { codeE.textContent = String(expected) }
-            preE.appendChild(codeE)
-            compareWrap.appendChild(preE)
+            compareWrap.appendChild(createOutputDiffView({
+                expected: diffExpected.text,
+                actual: (r.stdout != null) ? String(r.stdout) : '',
+                mode: diffExpected.mode,
+                tolerance: diffExpected.tolerance
+            }).root)
 
             // If the runner provided match details (captured groups), show them
             try {
@@ -1325,6 +1526,24 @@ function createTestResultRow(r, cfgMap, groupMap, isGrouped) {
         }
     } catch (_e) { }
 
+    // Checklist of expected output files for failing tests
+    try {
+        const fileChecks = r.details && Array.isArray(r.details.files) ? r.details.files : null
+        if (!r.passed && fileChecks && fileChecks.length && !(meta && meta.hide_actual_expected)) {
+            const filesWrap = document.createElement('div')
+            filesWrap.className = 'test-files'
+            filesWrap.style.marginTop = '8px'
+            filesWrap.style.fontFamily = 'monospace'
+            for (const fc of fileChecks) {
+                const line = document.createElement('div')
+                line.textContent = fc.ok ? `✓ ${fc.path} (${fc.check})` : `✗ ${fc.reason}`
+                line.style.color = fc.ok ? '#0a6' : '#d33'
+                filesWrap.appendChild(line)
+            }
+            fb.appendChild(filesWrap)
+        }
+    } catch (_e) { }
+
     if (r.passed && meta && meta.pass_feedback) {
         const pf = document.createElement('div')
         pf.className = 'test-pass-feedback'
@@ -1365,6 +1584,8 @@ function createTestResultRow(r, cfgMap, groupMap, isGrouped) {
             stderrEl.style.whiteSpace = 'pre-wrap'
             stderrEl.textContent = r.stderr
             detWrap.appendChild(stderrEl)
+            const explainEl = createErrorExplanationElement(r.stderr)
+            if (explainEl) detWrap.appendChild(explainEl)
         }
 
         // Also include author-provided failure message in the test-io area
@@ -1414,7 +1635,7 @@ function showOrUpdateTestResultsModal(results) {
     // If modal already exists, just refresh content; otherwise create and show it.
     try {
         // Always update internal results state so appendTestOutput/renderList reflect latest
-        if (Array.isArray(results)) _testResults = results
+        if (Array.isArray(results)) _testResults = redactHiddenResults(results, _config && _config.tests)
         // If the modal doesn't exist yet, create it and show loading if results are empty
         const modalExists = !!document.getElementById('test-results-modal')
         if (!modalExists && (!results || !Array.isArray(results) || results.length === 0)) {
@@ -1,5 +1,18 @@
 // Minimal Feedback subsystem (core infra)
-// Exports: resetFeedback(config), evaluateFeedbackOnEdit(code, path), evaluateFeedbackOnRun(ioCapture), on/off for events
+// Exports: resetFeedback(config), evaluateFeedbackOnEdit(code, path), evaluateFeedbackOnRun(ioCapture), recordTestRun(results), on/off for events
+//
+// Hint ladders: an entry may carry
+//   hints: { steps: ['nudge', 'bigger nudge', ...], afterFailedRuns: 2, afterMinutes: 5 }
+// Its message is shown as soon as it matches; the steps are revealed one at
+// a time below it, each after `afterFailedRuns` more failed test runs or
+// `afterMinutes` minutes without progress while the entry is matched. Attempt
+// counters are kept per config in the 'feedback_progress' setting.
+//
+// Combined conditions: instead of a single pattern, `pattern` may be
+//   { all: [cond, ...] }, { any: [cond, ...] } or { not: cond }
+// where each cond is a pattern or another combination. Code leaves read
+// their file from the workspace at run time; conditions on program output
+// (stdout, stderr, stdin) are only checked when the program runs.
 
 // Import AST analyzer for AST pattern support
 import { analyzeCode, getASTAnalyzer } from './ast-analyzer.js';
@@ -27,6 +40,209 @@ function emit(evt, data) {
 let _config = null
 let _store = { matches: [], editMatches: [], runMatches: [] }
 
+const PROGRESS_SETTING = 'feedback_progress'
+const HINT_TICK_MS = 30000
+// Attempt counters for the current config:
+// { failedRuns, bestPassed, entries: { [id]: { level, runs, since, started } } }
+let _configIdentity = null
+// null while the saved progress is loading: nothing starts or saves until then
+let _progress = null
+let _progressLoad = 0
+// Ladder entries matched at the last check, to restart their clocks when
+// they stop or start matching
+let _matchingLadders = new Set()
+let _hintTimer = null
+
+function _newProgress() {
+    return { failedRuns: 0, bestPassed: 0, entries: {} }
+}
+
+function _hintSteps(entry) {
+    const h = entry && entry.hints
+    if (!h || !Array.isArray(h.steps)) return []
+    return h.steps.filter(s => typeof s === 'string' && s.trim())
+}
+
+async function _loadProgress(identity) {
+    try {
+        const { loadSetting } = await import('./unified-storage.js')
+        const all = await loadSetting(PROGRESS_SETTING)
+        const saved = all && typeof all === 'object' ? all[identity] : null
+        if (saved && typeof saved === 'object') return Object.assign(_newProgress(), saved)
+    } catch (_e) { }
+    return _newProgress()
+}
+
+async function _saveProgress() {
+    if (!_configIdentity || !_progress) return
+    const identity = _configIdentity
+    const progress = _progress
+    try {
+        const { loadSetting, saveSetting } = await import('./unified-storage.js')
+        const all = (await loadSetting(PROGRESS_SETTING)) || {}
+        all[identity] = progress
+        await saveSetting(PROGRESS_SETTING, all)
+    } catch (e) {
+        logDebug('Failed to save feedback progress:', e)
+    }
+}
+
+// Matched entry ids that have a hint ladder, starting the ladder for any
+// entry matched for the first time. An entry that stops or starts matching
+// again gets its clock restarted, so time spent elsewhere does not count.
+function _matchedLadders() {
+    const ids = new Set()
+    if (!_config || !Array.isArray(_config.feedback) || !_progress) return ids
+    const matchedIds = new Set((_store.matches || []).map(m => m && m.id))
+    const now = Date.now()
+    let changed = false
+    for (const entry of _config.feedback) {
+        if (!_hintSteps(entry).length) continue
+        const matched = matchedIds.has(entry.id)
+        const state = _progress.entries[entry.id]
+        if (state && matched !== _matchingLadders.has(entry.id)) {
+            state.since = now
+            changed = true
+        }
+        if (!matched) continue
+        ids.add(entry.id)
+        if (!state) {
+            _progress.entries[entry.id] = { level: 0, runs: 0, since: now, started: now }
+            changed = true
+        }
+    }
+    _matchingLadders = ids
+    if (changed) _saveProgress()
+    return ids
+}
+
+// Attach the revealed hints to matches of entries with a ladder
+function _withHints(matches) {
+    if (!_config || !Array.isArray(_config.feedback) || !_progress) return matches
+    const byId = new Map(_config.feedback.map(e => [e.id, e]))
+    return matches.map(m => {
+        const steps = _hintSteps(m && byId.get(m.id))
+        const state = m && _progress.entries[m.id]
+        if (!steps.length || !state) return m
+        return Object.assign({}, m, { hints: steps.slice(0, Math.min(state.level, steps.length)), hintsTotal: steps.length })
+    })
+}
+
+function _emitMatches() {
+    _store.matches = [].concat(_store.editMatches || [], _store.runMatches || [])
+    _matchedLadders()
+    const decorated = _withHints(_store.matches)
+    try { emit('matches', decorated) } catch (_e) { /* swallow listener errors */ }
+    return decorated
+}
+
+// Reveal the next hint of every matched ladder whose time has run out
+function _advanceHintsByTime() {
+    if (!_config || !Array.isArray(_config.feedback) || !_progress) return
+    const now = Date.now()
+    let changed = false
+    for (const id of _matchedLadders()) {
+        const entry = _config.feedback.find(e => e.id === id)
+        const minutes = Number(entry.hints.afterMinutes)
+        const state = _progress.entries[id]
+        if (!(minutes > 0) || state.level >= _hintSteps(entry).length) continue
+        if (now - state.since >= minutes * 60000) {
+            state.level++
+            state.runs = 0
+            state.since = now
+            changed = true
+        }
+    }
+    if (changed) {
+        _saveProgress()
+        _emitMatches()
+    }
+}
+
+function _startHintTimer() {
+    if (_hintTimer) {
+        clearInterval(_hintTimer)
+        _hintTimer = null
+    }
+    if (typeof window === 'undefined' || !_config || !Array.isArray(_config.feedback)) return
+    const timed = _config.feedback.some(e => _hintSteps(e).length && Number(e.hints.afterMinutes) > 0)
+    if (timed) _hintTimer = setInterval(_advanceHintsByTime, HINT_TICK_MS)
+}
+
+/**
+ * Count a finished test run towards the hint ladders. Call it once the run's
+ * feedback has been evaluated. A run with a failing test advances every
+ * matched ladder by one failed run, except ladders that started during the
+ * run itself; a run that passes more tests than any earlier run counts as
+ * progress and restarts their clocks.
+ * @param {Array} results - from runTests
+ * @param {Object} [opts]
+ * @param {number} [opts.startedAt] - Date.now() when the run started
+ */
+function recordTestRun(results, opts = {}) {
+    if (!_progress || !Array.isArray(results) || !results.length) return
+    const now = Date.now()
+    const passed = results.filter(r => r && r.passed).length
+    const failed = passed < results.length
+    const ladders = _matchedLadders()
+    if (passed > _progress.bestPassed) {
+        _progress.bestPassed = passed
+        for (const state of Object.values(_progress.entries)) state.since = now
+    }
+    if (failed) {
+        _progress.failedRuns++
+        for (const id of ladders) {
+            const entry = _config.feedback.find(e => e.id === id)
+            const every = Number(entry.hints.afterFailedRuns)
+            const state = _progress.entries[id]
+            if (!(every > 0) || state.level >= _hintSteps(entry).length) continue
+            if (opts.startedAt && state.started >= opts.startedAt) continue
+            state.runs++
+            if (state.runs >= every) {
+                state.level++
+                state.runs = 0
+                state.since = now
+            }
+        }
+    }
+    _saveProgress()
+    _emitMatches()
+}
+
+// Targets only known after a run, so conditions on them wait for run time
+const OUTPUT_TARGETS = ['stdout', 'stderr', 'stdin']
+
+/**
+ * Whether a pattern is a combination ({ all }, { any } or { not }) rather
+ * than a single pattern. Shared with the condition builder in the author UI.
+ */
+function isCombinedPattern(p) {
+    return !!p && typeof p === 'object' && (Array.isArray(p.all) || Array.isArray(p.any) || (!!p.not && typeof p.not === 'object'))
+}
+
+// Every single pattern inside a (possibly combined) condition
+function _conditionLeaves(p) {
+    if (!isCombinedPattern(p)) return [p]
+    if (p.not) return _conditionLeaves(p.not)
+    return (p.all || p.any).flatMap(_conditionLeaves)
+}
+
+function _validatePattern(p) {
+    if (!p || typeof p !== 'object') throw new Error('feedback.pattern required')
+    if (isCombinedPattern(p)) {
+        const keys = ['all', 'any', 'not'].filter(k => p[k] !== undefined)
+        if (keys.length !== 1) throw new Error('a condition needs exactly one of all, any or not')
+        if (p.not) return _validatePattern(p.not)
+        const list = p[keys[0]]
+        if (!list.length) throw new Error('pattern.' + keys[0] + ' must be a non-empty array')
+        list.forEach(_validatePattern)
+        return
+    }
+    if (!['string', 'regex', 'ast'].includes(p.type)) throw new Error('unsupported pattern.type')
+    if (!['code', 'filename', 'stdout', 'stderr', 'stdin'].includes(p.target)) throw new Error('unsupported pattern.target')
+    if (typeof p.expression !== 'string') throw new Error('pattern.expression must be a string')
+}
+
 function validateConfig(cfg) {
     if (!cfg || typeof cfg !== 'object') throw new Error('config must be an object')
     if (!Array.isArray(cfg.feedback)) return // allow empty
@@ -34,11 +250,16 @@ function validateConfig(cfg) {
         if (!entry.id || typeof entry.id !== 'string') throw new Error('feedback.id required')
         if (!entry.title || typeof entry.title !== 'string') throw new Error('feedback.title required')
         if (!Array.isArray(entry.when) || entry.when.length === 0) throw new Error('feedback.when must be non-empty array')
-        if (!entry.pattern || typeof entry.pattern !== 'object') throw new Error('feedback.pattern required')
-        const p = entry.pattern
-        if (!['string', 'regex', 'ast'].includes(p.type)) throw new Error('unsupported pattern.type')
-        if (!['code', 'filename', 'stdout', 'stderr', 'stdin'].includes(p.target)) throw new Error('unsupported pattern.target')
-        if (typeof p.expression !== 'string') throw new Error('pattern.expression must be a string')
+        _validatePattern(entry.pattern)
+        if (entry.hints !== undefined) {
+            const h = entry.hints
+            if (!h || typeof h !== 'object' || !Array.isArray(h.steps)) throw new Error('feedback.hints.steps must be an array')
+            if (h.steps.some(s => typeof s !== 'string')) throw new Error('feedback.hints.steps must be strings')
+            for (const k of ['afterFailedRuns', 'afterMinutes']) {
+                if (h[k] !== undefined && !(typeof h[k] === 'number' && h[k] > 0)) throw new Error('feedback.hints.' + k + ' must be a positive number')
+            }
+            if (h.afterFailedRuns === undefined && h.afterMinutes === undefined) throw new Error('feedback.hints needs afterFailedRuns or afterMinutes')
+        }
     }
 }
 
@@ -72,6 +293,28 @@ function resetFeedback(config) {
 
     _config = normalized
     _store = { matches: [], editMatches: [], runMatches: [] }
+    // Same identity as getConfigIdentity() in config.js
+    const identity = config && typeof config === 'object' ? `${config.id || 'unknown'}@${config.version || '1.0'}` : null
+    if (identity !== _configIdentity || (!_progress && !_progressLoad)) {
+        _configIdentity = identity
+        _matchingLadders = new Set()
+        if (identity && normalized.feedback.some(e => _hintSteps(e).length)) {
+            // Until the saved progress arrives nothing may start a ladder or
+            // save, or the stored progress would be overwritten
+            _progress = null
+            const load = ++_progressLoad
+            _loadProgress(identity).then(progress => {
+                if (load !== _progressLoad) return
+                _progressLoad = 0
+                _progress = progress
+                _emitMatches()
+            })
+        } else {
+            _progressLoad++
+            _progress = _newProgress()
+        }
+    }
+    _startHintTimer()
     emit('reset', { config: _config })
 
     // Do not auto-emit matches here; the UI will initialize from the 'reset' event
@@ -209,14 +452,112 @@ function _convertASTToMatch(result, expression) {
     if (result.details && Array.isArray(result.details)) {
         match.push(result.details.length.toString())
     }
+    // Code pattern captures work like named regex groups in messages
+    if (result.bindings && typeof result.bindings === 'object') match.groups = { ...result.bindings }
+    if (typeof result.line === 'number' && result.line > 0) match.line = result.line
 
     return match
 }
 
 function _formatMessage(template, groups) {
     if (!template) return ''
-    // replace $1..$9 simple placeholders
-    return template.replace(/\$(\d+)/g, (_, n) => groups && groups[n] ? groups[n] : '')
+    // replace $1..$9 simple placeholders, and $name with a named group
+    // (a regex `(?<name>...)` or a code pattern capture); unknown names are
+    // left as written
+    return template.replace(/\$(\d+|[A-Za-z_]\w*)/g, (whole, key) => {
+        if (/^\d+$/.test(key)) return groups && groups[key] ? groups[key] : ''
+        const named = groups && groups.groups
+        return named && Object.prototype.hasOwnProperty.call(named, key) && named[key] != null ? String(named[key]) : whole
+    })
+}
+
+function _toAbsolute(p) {
+    const s = String(p || '').trim()
+    return s.startsWith('/') ? s : ('/' + s)
+}
+
+async function _readWorkspaceFile(path) {
+    try {
+        if (typeof window !== 'undefined' && window.FileManager && typeof window.FileManager.read === 'function') {
+            const v = await window.FileManager.read(path)
+            if (v != null) return String(v)
+        }
+    } catch (_e) { }
+    return null
+}
+
+async function _workspaceFileExists(name) {
+    const norm = normalizeFilename(name)
+    if (await _readWorkspaceFile(norm) != null) return true
+    try {
+        if (typeof require === 'function') {
+            const fs = require('fs')
+            const pathModule = require('path')
+            const rel = norm.replace(/^\//, '')
+            if (fs.existsSync(norm) || fs.existsSync(rel) || fs.existsSync(pathModule.join(process.cwd(), rel))) return true
+        }
+    } catch (_e) { }
+    return false
+}
+
+/**
+ * Evaluate one pattern of a combined condition.
+ * ctx: { path, readFile(path), fileExists(name), io }
+ */
+async function _evaluateLeaf(p, ctx) {
+    if (p.target === 'code') {
+        const file = _toAbsolute(p.fileTarget || ctx.path || '/main.py')
+        const text = await ctx.readFile(file)
+        if (text == null) return null
+        if (p.type === 'regex') {
+            // Line by line, as for single regex patterns, so the match has a line
+            const re = _applyRegex(p.expression, p.flags)
+            if (!re) return null
+            const lines = text.split(/\r?\n/)
+            for (let i = 0; i < lines.length; i++) {
+                const m = lines[i].match(re)
+                if (m) return { groups: m, file, line: i + 1, target: 'code' }
+            }
+            return null
+        }
+        const m = await _applyPattern(p, text)
+        if (!m) return null
+        return m.line ? { groups: m, file, line: m.line, target: 'code' } : { groups: m, file, target: 'code' }
+    }
+    if (p.target === 'filename') {
+        const desired = String(p.fileTarget || p.expression || '').trim()
+        if (!desired) return null
+        return (await ctx.fileExists(desired)) ? { groups: [], file: desired, target: 'filename' } : null
+    }
+    if (!ctx.io) return null
+    const m = await _applyPattern(p, String(ctx.io[p.target] || ''))
+    return m ? { groups: m, target: p.target } : null
+}
+
+/**
+ * Evaluate a combined condition. Resolves to null when it does not hold,
+ * otherwise to the first leaf match that has capture groups or a location
+ * ({ groups, file, line, target }); a satisfied `not` contributes nothing.
+ */
+async function _evaluateCondition(cond, ctx) {
+    if (Array.isArray(cond.all)) {
+        let best = null
+        for (const c of cond.all) {
+            const r = await _evaluateCondition(c, ctx)
+            if (!r) return null
+            if (!best || (!best.target && r.target)) best = r
+        }
+        return best || { groups: [] }
+    }
+    if (Array.isArray(cond.any)) {
+        for (const c of cond.any) {
+            const r = await _evaluateCondition(c, ctx)
+            if (r) return r
+        }
+        return null
+    }
+    if (cond.not) return (await _evaluateCondition(cond.not, ctx)) ? null : { groups: [] }
+    return _evaluateLeaf(cond, ctx)
 }
 
 
@@ -268,9 +609,7 @@ async function evaluateFeedbackOnFileEvent(event) {
         // deletion already removed existing matches above.
     }
 
-    const combined = [].concat(_store.editMatches || [], _store.runMatches || [])
-    _store.matches = combined
-    emit('matches', combined)
+    _emitMatches()
     return _store.editMatches
 }
 
@@ -286,10 +625,29 @@ async function evaluateFeedbackOnEdit(code, path, opts = {}) {
     const matches = []
     if (!_config || !_config.feedback) return matches
 
+    const editContext = {
+        path,
+        readFile: async (file) => (path && file === _toAbsolute(path)) ? String(code || '') : _readWorkspaceFile(file),
+        fileExists: async (name) => (path && normalizeFilename(path) === normalizeFilename(name)) || _workspaceFileExists(name),
+        io: null
+    }
+
     for (const entry of _config.feedback) {
         if (!entry.when.includes('edit')) continue
         const p = entry.pattern
 
+        if (isCombinedPattern(p)) {
+            // Output is only known after a run
+            if (_conditionLeaves(p).some(l => l && OUTPUT_TARGETS.includes(l.target))) continue
+            const r = await _evaluateCondition(p, editContext)
+            if (r) {
+                const match = { file: r.file || _toAbsolute(path || '/main.py'), message: _formatMessage(entry.message, r.groups), id: entry.id }
+                if (r.line) match.line = r.line
+                matches.push(match)
+            }
+            continue
+        }
+
         if (p.type === 'regex' || p.type === 'string' || p.type === 'ast') {
             if (p.target === 'code') {
                 // Determine which file's content to check. If a fileTarget is
@@ -321,7 +679,10 @@ async function evaluateFeedbackOnEdit(code, path, opts = {}) {
                     // For AST matching, analyze the entire content
                     const m = await _applyPattern(p, contentToCheck)
                     if (m) {
-                        matches.push({ file: (targetFile.startsWith('/') ? targetFile : ('/' + targetFile)), message: _formatMessage(entry.message, m), id: entry.id })
+                        const match = { file: (targetFile.startsWith('/') ? targetFile : ('/' + targetFile)), message: _formatMessage(entry.message, m), id: entry.id }
+                        // Code patterns know where they matched
+                        if (m.line) match.line = m.line
+                        matches.push(match)
                     }
                 } else {
                     // For regex, continue line-by-line matching for better location reporting
@@ -401,9 +762,7 @@ async function evaluateFeedbackOnEdit(code, path, opts = {}) {
     }
 
     // Emit combined matches (edit + run) so listeners receive updates
-    const combined = [].concat(_store.editMatches || [], _store.runMatches || [])
-    _store.matches = combined
-    try { emit('matches', combined) } catch (_e) { /* swallow listener errors */ }
+    _emitMatches()
 
     // Return the effective edit matches (merged with file-event matches)
     return _store.editMatches
@@ -413,10 +772,27 @@ async function evaluateFeedbackOnRun(ioCapture) {
     const matches = []
     if (!_config || !_config.feedback) return matches
 
+    const reported = Array.isArray(ioCapture && ioCapture.filename)
+        ? ioCapture.filename
+        : String((ioCapture && ioCapture.filename) || '').split(/\r?\n/)
+    const reportedFiles = new Set(reported.map(f => String(f || '').trim()).filter(Boolean).map(normalizeFilename))
+    const runContext = {
+        path: '/main.py',
+        readFile: _readWorkspaceFile,
+        fileExists: async (name) => reportedFiles.has(normalizeFilename(name)) || _workspaceFileExists(name),
+        io: ioCapture || {}
+    }
+
     for (const entry of _config.feedback) {
         if (!entry.when.includes('run') && !entry.when.includes('test')) continue
         const p = entry.pattern
 
+        if (isCombinedPattern(p)) {
+            const r = await _evaluateCondition(p, runContext)
+            if (r) matches.push({ message: _formatMessage(entry.message, r.groups), id: entry.id, target: r.target || 'condition' })
+            continue
+        }
+
         if (p.type === 'regex' || p.type === 'string' || p.type === 'ast') {
             const target = p.target
             if (target === 'filename') {
@@ -550,15 +926,13 @@ async function evaluateFeedbackOnRun(ioCapture) {
     }
 
     _store.runMatches = matches
-    const combined = [].concat(_store.editMatches || [], _store.runMatches || [])
-    _store.matches = combined
-    emit('matches', combined)
+    _emitMatches()
     return matches
 }
 
 // Expose for other modules
-const Feedback = { resetFeedback, evaluateFeedbackOnEdit, evaluateFeedbackOnRun, evaluateFeedbackOnFileEvent, on, off, validateConfig }
+const Feedback = { resetFeedback, evaluateFeedbackOnEdit, evaluateFeedbackOnRun, evaluateFeedbackOnFileEvent, recordTestRun, on, off, validateConfig }
 
 if (typeof module !== 'undefined' && module.exports) module.exports = Feedback
 
-export { resetFeedback, evaluateFeedbackOnEdit, evaluateFeedbackOnRun, evaluateFeedbackOnFileEvent, on, off, validateConfig }
+export { resetFeedback, evaluateFeedbackOnEdit, evaluateFeedbackOnRun, evaluateFeedbackOnFileEvent, recordTestRun, on, off, validateConfig, isCombinedPattern, OUTPUT_TARGETS }
@@ -0,0 +1,318 @@
+/**
+ * Function Test Builder Module
+ *
+ * Builder for function-level tests that call a named function in the
+ * student's code and compare its return value with an expected value.
+ */
+
+import { getFunctionSpec, validateFunctionSpec, formatFunctionCall } from './function-test.js'
+import { createHiddenTestControls } from './hidden-tests.js'
+import { createFixtureControls } from './test-fixtures.js'
+import { normalizeSeed } from './test-seed.js'
+
+/**
+ * Create function test form builder
+ * @param {Object} existing - Existing test configuration
+ * @returns {Object} Form builder with root element and get() function
+ */
+export function buildFunctionTestForm(existing = {}) {
+    const root = document.createElement('div')
+    root.style.border = '1px solid #e0e0e0'
+    root.style.padding = '8px'
+    root.style.borderRadius = '6px'
+    root.style.background = '#f6fff4'  // Light green background to distinguish from other tests
+
+    // Helper function for labeled form elements
+    function labeled(labelText, el, helpText) {
+        const wr = document.createElement('div')
+        wr.style.marginBottom = '8px'
+        const l = document.createElement('div')
+        l.style.fontSize = '0.9em'
+        l.style.marginBottom = '4px'
+        l.style.display = 'flex'
+        l.style.alignItems = 'center'
+        l.style.gap = '8px'
+        const txt = document.createElement('span')
+        txt.textContent = labelText
+        l.appendChild(txt)
+        if (helpText) {
+            const info = document.createElement('span')
+            info.className = 'info-icon'
+            info.setAttribute('tabindex', '0')
+            info.setAttribute('role', 'img')
+            info.setAttribute('aria-label', labelText + ' help')
+            const infoSymbol = document.createElement('span')
+            infoSymbol.className = 'info-symbol'
+            infoSymbol.textContent = 'ℹ'
+            info.appendChild(infoSymbol)
+            const tip = document.createElement('span')
+            tip.className = 'info-tooltip'
+            tip.textContent = helpText
+            info.appendChild(tip)
+            l.appendChild(info)
+        }
+        wr.appendChild(l)
+        wr.appendChild(el)
+        return wr
+    }
+
+    const fn = (existing.function && typeof existing.function === 'object') ? existing.function : {}
+
+    // Test ID
+    const idIn = document.createElement('input')
+    idIn.style.width = '100%'
+    idIn.value = existing.id || ''
+
+    // Test description
+    const desc = document.createElement('input')
+    desc.style.width = '100%'
+    desc.value = existing.description || existing.name || ''
+    desc.placeholder = 'What is being tested, descriptive language'
+
+    // Function name
+    const nameIn = document.createElement('input')
+    nameIn.style.width = '100%'
+    nameIn.style.fontFamily = 'monospace'
+    nameIn.value = fn.name || ''
+    nameIn.placeholder = 'check_win'
+
+    // Module the function lives in
+    const moduleIn = document.createElement('input')
+    moduleIn.style.width = '100%'
+    moduleIn.style.fontFamily = 'monospace'
+    moduleIn.value = fn.module || 'main'
+    moduleIn.placeholder = 'main'
+
+    // Arguments (Python source)
+    const argsIn = document.createElement('input')
+    argsIn.style.width = '100%'
+    argsIn.style.fontFamily = 'monospace'
+    argsIn.value = fn.args || ''
+    argsIn.placeholder = '1, 3'
+
+    // Expected return value (Python expression)
+    const expectedIn = document.createElement('input')
+    expectedIn.style.width = '100%'
+    expectedIn.style.fontFamily = 'monospace'
+    expectedIn.value = (fn.expected == null) ? '' : String(fn.expected)
+    expectedIn.placeholder = "'win'"
+
+    // Live preview of the call being made
+    const preview = document.createElement('div')
+    preview.style.fontFamily = 'monospace'
+    preview.style.fontSize = '0.9em'
+    preview.style.color = '#555'
+    preview.style.marginBottom = '8px'
+
+    function currentSpec() {
+        return getFunctionSpec({
+            type: 'function',
+            function: { name: nameIn.value, module: moduleIn.value, args: argsIn.value, expected: expectedIn.value }
+        })
+    }
+
+    function updatePreview() {
+        const spec = currentSpec()
+        const v = validateFunctionSpec(spec)
+        if (!v.ok) {
+            preview.style.color = '#b00020'
+            preview.textContent = v.reason
+            return
+        }
+        preview.style.color = '#555'
+        preview.textContent = `${spec.module}.${formatFunctionCall(spec)} == ${spec.expected}`
+    }
+    for (const el of [nameIn, moduleIn, argsIn, expectedIn]) el.addEventListener('input', updatePreview)
+    updatePreview()
+
+    // Stdin for any input() calls made while importing the module
+    const stdin = document.createElement('textarea')
+    stdin.style.width = '100%'
+    stdin.rows = 2
+    stdin.value = existing.stdin || ''
+
+    // Failure message (what should be shown when test fails)
+    const failureMessage = document.createElement('textarea')
+    failureMessage.style.width = '100%'
+    failureMessage.rows = 2
+    failureMessage.value = existing.failureMessage || ''
+    failureMessage.placeholder = 'Message shown when test fails (optional)'
+
+    // Points (optional weight of this test in the score)
+    const points = document.createElement('input')
+    points.type = 'number'
+    points.min = '0'
+    points.step = 'any'
+    points.style.width = '120px'
+    points.value = (existing.points !== undefined && existing.points !== null) ? String(existing.points) : ''
+    points.placeholder = '1'
+
+    // Random seed (optional): makes programs using random repeatable
+    const seed = document.createElement('input')
+    seed.type = 'number'
+    seed.min = '0'
+    seed.step = '1'
+    seed.style.width = '120px'
+    seed.value = normalizeSeed(existing.seed) !== null ? String(existing.seed) : ''
+    seed.placeholder = 'default'
+
+    // Timeout (optional)
+    const timeout = document.createElement('input')
+    timeout.type = 'number'
+    timeout.style.width = '120px'
+    timeout.value = typeof existing.timeoutMs === 'number' ? String(existing.timeoutMs) : ''
+    timeout.placeholder = '5000'
+
+    // Hide actual/expected return values
+    const hideActualExpected = document.createElement('input')
+    hideActualExpected.type = 'checkbox'
+    hideActualExpected.checked = !!existing.hide_actual_expected
+    const hideActualExpectedWrap = document.createElement('div')
+    hideActualExpectedWrap.style.display = 'flex'
+    hideActualExpectedWrap.style.alignItems = 'center'
+    hideActualExpectedWrap.style.gap = '8px'
+    hideActualExpectedWrap.appendChild(hideActualExpected)
+    const hideActualExpectedLabel = document.createElement('span')
+    hideActualExpectedLabel.textContent = 'Hide actual vs expected return value (show only pass/fail status)'
+    hideActualExpectedWrap.appendChild(hideActualExpectedLabel)
+
+    // Add a header to distinguish this as a function test
+    const header = document.createElement('div')
+    header.style.background = '#e8f8e4'
+    header.style.padding = '8px'
+    header.style.borderRadius = '4px'
+    header.style.marginBottom = '12px'
+    header.style.border = '1px solid #b9e3ae'
+    const headerStrong = document.createElement('strong')
+    headerStrong.textContent = 'ƒ Function Test'
+    const headerBr = document.createElement('br')
+    const headerSpan = document.createElement('span')
+    headerSpan.style.fontSize = '0.9em'
+    headerSpan.style.color = '#666'
+    headerSpan.textContent = 'This test calls a function in the student\'s code and checks the value it returns.'
+    header.appendChild(headerStrong)
+    header.appendChild(headerBr)
+    header.appendChild(headerSpan)
+
+    // Build the form
+    root.appendChild(header)
+    root.appendChild(labeled('ID [optional]', idIn, 'Optional stable identifier for this test'))
+    root.appendChild(labeled('Description', desc, 'Short description of what this test checks'))
+    root.appendChild(labeled('Function name', nameIn, 'Name of the function to call'))
+    root.appendChild(labeled('Module', moduleIn, 'Module containing the function, without .py (default: main)'))
+    root.appendChild(labeled('Arguments', argsIn, 'Python argument list, e.g. 1, 3 or [1, 2], key="x"'))
+    root.appendChild(labeled('Expected return value', expectedIn, 'Python expression. Lists, tuples, dicts and sets are compared by value'))
+    root.appendChild(preview)
+    root.appendChild(labeled('Stdin [optional]', stdin, 'Input for any input() calls made when the module is imported'))
+    root.appendChild(labeled('Failure Message [optional]', failureMessage, 'Message displayed when the function does not return the expected value'))
+    root.appendChild(labeled('Timeout (ms) [optional]', timeout))
+    root.appendChild(labeled('Points [optional]', points, 'Weight of this test in the score (default: 1)'))
+    root.appendChild(labeled('Random seed [optional]', seed, 'Seeds the random module before the test runs (default: the suite\'s default seed)'))
+    root.appendChild(labeled('Display options', hideActualExpectedWrap))
+    const fixtureControls = createFixtureControls(existing)
+    root.appendChild(labeled('Workspace fixtures [optional]', fixtureControls.root, 'Files to create, replace or delete, and files the program cannot change, applied to a copy of the workspace for this test'))
+    const hiddenControls = createHiddenTestControls(existing)
+    root.appendChild(labeled('Visibility', hiddenControls.root, 'Hidden tests still run and count toward the score and verification'))
+
+    // Conditional execution controls (same semantics as regular tests)
+    const conditionalWrap = document.createElement('div')
+
+    const runIfSelect = document.createElement('select')
+    runIfSelect.className = 'form-input'
+    runIfSelect.style.marginBottom = '8px'
+
+    const runIfOptions = [
+        { value: 'previous_passed', text: 'Only run if previous test passed (default)' },
+        { value: 'always', text: 'Always run this test' }
+    ]
+    runIfOptions.forEach(opt => {
+        const option = document.createElement('option')
+        option.value = opt.value
+        option.textContent = opt.text
+        runIfSelect.appendChild(option)
+    })
+
+    conditionalWrap.appendChild(runIfSelect)
+
+    if (existing?.conditional) {
+        runIfSelect.value = existing.conditional.runIf || 'previous_passed'
+    } else {
+        runIfSelect.value = 'previous_passed'
+    }
+
+    root.appendChild(labeled('Run Conditions', conditionalWrap, 'Control when this test is executed'))
+
+    // Group assignment control (populated by caller modal using #group-selector)
+    const groupSelectWrap = document.createElement('div')
+    const groupSelect = document.createElement('select')
+    groupSelect.className = 'form-input'
+    groupSelect.id = 'group-selector'
+    groupSelectWrap.appendChild(groupSelect)
+    root.appendChild(labeled('Assign to Group', groupSelectWrap, 'Assign this test to a test group or leave ungrouped'))
+
+    return {
+        root,
+        get() {
+            const test = {
+                type: 'function',
+                function: {
+                    name: nameIn.value.trim(),
+                    module: moduleIn.value.trim() || 'main',
+                    args: argsIn.value.trim(),
+                    expected: expectedIn.value.trim() || 'None'
+                }
+            }
+
+            if (idIn.value.trim()) test.id = idIn.value.trim()
+            test.description = desc.value.trim() || `${test.function.name}(${test.function.args}) returns ${test.function.expected}`
+            if (stdin.value && stdin.value.trim() !== '') test.stdin = stdin.value
+            if (failureMessage.value.trim()) test.failureMessage = failureMessage.value.trim()
+            if (timeout.value) test.timeoutMs = Number(timeout.value)
+            if (points.value !== '') test.points = Number(points.value)
+            if (normalizeSeed(seed.value) !== null) test.seed = normalizeSeed(seed.value)
+            if (hideActualExpected.checked) test.hide_actual_expected = true
+            fixtureControls.apply(test)
+            hiddenControls.apply(test)
+
+            test.conditional = {
+                runIf: runIfSelect.value,
+                alwaysRun: false
+            }
+
+            // Group selector value will be consumed by the authoring UI
+            test._selectedGroupId = groupSelect.value
+
+            return test
+        }
+    }
+}
+
+/**
+ * Create default function test configuration
+ */
+export function createDefaultFunctionTest() {
+    return {
+        type: 'function',
+        id: genId(),
+        description: '',
+        function: {
+            name: '',
+            module: 'main',
+            args: '',
+            expected: ''
+        },
+        failureMessage: ''
+    }
+}
+
+/**
+ * Generate a unique ID for function tests
+ */
+function genId() {
+    return 'fn-test-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 7)
+}
+
+export default {
+    buildFunctionTestForm,
+    createDefaultFunctionTest
+}
@@ -0,0 +1,191 @@
+/*
+ * Function-level test helpers for Clipy
+ *
+ * A function test imports the student's module, calls a named function with
+ * author-specified arguments and compares the returned Python value with an
+ * expected value. Test shape:
+ *
+ *  {
+ *    id, description, type: 'function',
+ *    function: { name: 'check_win', module: 'main', args: '1, 3', expected: "'win'" },
+ *    stdin, timeoutMs, failureMessage, conditional
+ *  }
+ *
+ * `args` and `expected` are Python source (an argument list and an
+ * expression respectively) so authors can use tuples, dicts, None etc.
+ *
+ * The runtimes execute the harness built by `buildFunctionHarness`. The
+ * harness prints a single sentinel line carrying a tagged JSON encoding of
+ * both values, which `extractFunctionResult` strips back out of stdout.
+ * Comparison happens in `runTests` via `pyValuesEqual` so it stays testable
+ * without a runtime.
+ */
+
+export const FUNCTION_RESULT_SENTINEL = '__CLIPY_FN_RESULT__:'
+
+// Python source of `__clipy_enc`, the tagged JSON encoding of a value.
+// JSON has no tuples, sets or non-string dict keys, nor inf and nan (which
+// json.dumps would write as bare Infinity/NaN that JSON.parse rejects).
+export const PYTHON_VALUE_ENCODER = [
+    'def __clipy_enc(v):',
+    "    if isinstance(v, float) and (v != v or v in (float('inf'), float('-inf'))):",
+    "        return {'float': repr(v)}",
+    '    if v is None or isinstance(v, (bool, int, float, str)):',
+    '        return v',
+    '    if isinstance(v, list):',
+    '        return [__clipy_enc(x) for x in v]',
+    '    if isinstance(v, tuple):',
+    "        return {'tuple': [__clipy_enc(x) for x in v]}",
+    '    if isinstance(v, dict):',
+    "        return {'dict': [[__clipy_enc(k), __clipy_enc(x)] for k, x in v.items()]}",
+    '    if isinstance(v, set):',
+    "        return {'set': [__clipy_enc(x) for x in v]}",
+    "    return {'repr': repr(v)}"
+]
+
+const IDENTIFIER_RE = /^[A-Za-z_][A-Za-z0-9_]*$/
+const MODULE_RE = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/
+
+/**
+ * Return the normalized `function` spec of a test, or null when the test is
+ * not a function test.
+ * @param {Object} test
+ * @returns {{name: string, module: string, args: string, expected: string}|null}
+ */
+export function getFunctionSpec(test) {
+    if (!test || test.type !== 'function') return null
+    const fn = (test.function && typeof test.function === 'object') ? test.function : {}
+    return {
+        name: String(fn.name || '').trim(),
+        module: String(fn.module || 'main').trim().replace(/\.py$/, '').replace(/^\//, '').replace(/\//g, '.'),
+        args: String(fn.args == null ? '' : fn.args).trim(),
+        expected: String(fn.expected == null ? 'None' : fn.expected).trim() || 'None'
+    }
+}
+
+/**
+ * Validate a function spec. Returns { ok, reason }.
+ */
+export function validateFunctionSpec(spec) {
+    if (!spec) return { ok: false, reason: 'Missing function details' }
+    if (!IDENTIFIER_RE.test(spec.name)) return { ok: false, reason: 'Function name must be a valid Python identifier' }
+    if (!MODULE_RE.test(spec.module)) return { ok: false, reason: 'Module must be a valid Python module name (e.g. main)' }
+    if (/[\r\n]/.test(spec.args) || /[\r\n]/.test(spec.expected)) return { ok: false, reason: 'Arguments and expected value must be on a single line' }
+    return { ok: true, reason: null }
+}
+
+/**
+ * Human-readable call text, e.g. `check_win(1, 3)`.
+ */
+export function formatFunctionCall(spec) {
+    if (!spec) return ''
+    return `${spec.name}(${spec.args})`
+}
+
+/**
+ * Build the Python harness source for a function test. Importing the module
+ * runs its top-level code, so any `input()` calls there still consume the
+ * test's stdin.
+ * @param {Object} test - test with type 'function'
+ * @returns {string} Python source
+ */
+export function buildFunctionHarness(test) {
+    // Property tests send a prebuilt batch harness (see property-test.js)
+    if (test && test.function && typeof test.function.harness === 'string') return test.function.harness
+    const spec = getFunctionSpec(test)
+    const v = validateFunctionSpec(spec)
+    if (!v.ok) throw new Error(v.reason)
+
+    return [
+        'import json as __clipy_json',
+        `import ${spec.module} as __clipy_mod`,
+        '',
+        ...PYTHON_VALUE_ENCODER,
+        '',
+        `__clipy_actual = __clipy_mod.${spec.name}(${spec.args})`,
+        `__clipy_expected = (${spec.expected})`,
+        `print('\\n${FUNCTION_RESULT_SENTINEL}' + __clipy_json.dumps({'actual': __clipy_enc(__clipy_actual), 'actualRepr': repr(__clipy_actual), 'expected': __clipy_enc(__clipy_expected), 'expectedRepr': repr(__clipy_expected)}))`,
+        ''
+    ].join('\n')
+}
+
+/**
+ * Split harness output into the student's own stdout and the decoded result.
+ * @param {string} stdout
+ * @returns {{stdout: string, result: Object|null}}
+ */
+export function extractFunctionResult(stdout) {
+    const s = String(stdout || '')
+    const idx = s.lastIndexOf(FUNCTION_RESULT_SENTINEL)
+    if (idx === -1) return { stdout: s, result: null }
+
+    const lineEnd = s.indexOf('\n', idx)
+    const payload = s.slice(idx + FUNCTION_RESULT_SENTINEL.length, lineEnd === -1 ? s.length : lineEnd)
+    // Drop the newline the harness printed in front of the sentinel
+    let before = s.slice(0, idx)
+    if (before.endsWith('\n')) before = before.slice(0, -1)
+    const after = lineEnd === -1 ? '' : s.slice(lineEnd + 1)
+
+    let result = null
+    try { result = JSON.parse(payload) } catch (_e) { result = null }
+    return { stdout: before + after, result }
+}
+
+function isTagged(v, tag) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v) && Object.prototype.hasOwnProperty.call(v, tag)
+}
+
+// Order-insensitive matching used for sets and dict items
+function unorderedEqual(a, b, eq) {
+    if (a.length !== b.length) return false
+    const used = new Array(b.length).fill(false)
+    for (const x of a) {
+        let found = false
+        for (let i = 0; i < b.length; i++) {
+            if (!used[i] && eq(x, b[i])) { used[i] = true; found = true; break }
+        }
+        if (!found) return false
+    }
+    return true
+}
+
+/**
+ * Deep equality for values produced by the harness encoding. Mirrors Python
+ * `==` semantics closely enough for test purposes: lists and tuples are
+ * distinct, dicts and sets are order-insensitive, and bools compare equal to
+ * the matching ints (True == 1). Non-finite floats arrive tagged as
+ * { float: 'inf' | '-inf' | 'nan' }; unlike Python, nan equals nan here so a
+ * test can expect it.
+ */
+export function pyValuesEqual(a, b) {
+    if (a === b) return true
+    if (a === null || b === null) return false
+
+    const numLike = (v) => typeof v === 'number' || typeof v === 'boolean'
+    if (numLike(a) && numLike(b)) return Number(a) === Number(b)
+    if (typeof a !== 'object' || typeof b !== 'object') return false
+
+    if (Array.isArray(a) || Array.isArray(b)) {
+        if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return false
+        return a.every((x, i) => pyValuesEqual(x, b[i]))
+    }
+    if (isTagged(a, 'tuple') && isTagged(b, 'tuple')) return pyValuesEqual(a.tuple, b.tuple)
+    if (isTagged(a, 'set') && isTagged(b, 'set')) return unorderedEqual(a.set, b.set, pyValuesEqual)
+    if (isTagged(a, 'dict') && isTagged(b, 'dict')) {
+        return unorderedEqual(a.dict, b.dict, (p, q) => pyValuesEqual(p[0], q[0]) && pyValuesEqual(p[1], q[1]))
+    }
+    if (isTagged(a, 'float') && isTagged(b, 'float')) return a.float === b.float
+    if (isTagged(a, 'repr') && isTagged(b, 'repr')) return a.repr === b.repr
+    return false
+}
+
+export default {
+    FUNCTION_RESULT_SENTINEL,
+    PYTHON_VALUE_ENCODER,
+    getFunctionSpec,
+    validateFunctionSpec,
+    formatFunctionCall,
+    buildFunctionHarness,
+    extractFunctionResult,
+    pyValuesEqual
+}
@@ -0,0 +1,134 @@
+/*
+ * Hidden tests
+ *
+ * Tests (or whole groups) marked `hidden: true` still run and count toward
+ * pass/fail, scoring and verification, but students only see
+ * "Hidden test N passed/failed" plus an optional author-written
+ * `hiddenHint`. A group's `hiddenHint` is used for tests without their own.
+ *
+ * Redaction happens before results reach the feedback UI, so stdout,
+ * stderr, expected values and descriptions of hidden tests are never
+ * rendered.
+ */
+
+/**
+ * Map of test id -> { number, hint } for every hidden test, numbered in
+ * config order (groups first, then ungrouped) starting at 1.
+ * @param {Object|Array} testsConfig - the `tests` value from a config
+ * @returns {Map<string, {number: number, hint: string}>}
+ */
+export function buildHiddenTestIndex(testsConfig) {
+    const index = new Map()
+    if (!testsConfig || typeof testsConfig !== 'object') return index
+
+    const add = (test, group) => {
+        if (!test || !(test.hidden === true || (group && group.hidden === true))) return
+        const hint = String(test.hiddenHint || (group && group.hiddenHint) || '').trim()
+        index.set(String(test.id), { number: index.size + 1, hint })
+    }
+
+    if (Array.isArray(testsConfig)) {
+        for (const t of testsConfig) add(t, null)
+        return index
+    }
+    for (const g of testsConfig.groups || []) {
+        for (const t of g.tests || []) add(t, g)
+    }
+    for (const t of testsConfig.ungrouped || []) add(t, null)
+    return index
+}
+
+/**
+ * Title shown in place of a hidden test's description.
+ */
+export function hiddenTestTitle(result) {
+    return `Hidden test ${result && result.hiddenNumber ? result.hiddenNumber : ''}`.trim()
+}
+
+/**
+ * Replace hidden test results with copies that only carry what students may
+ * see. Other results are returned unchanged.
+ * @param {Array} results
+ * @param {Object|Array} testsConfig
+ * @returns {Array}
+ */
+export function redactHiddenResults(results, testsConfig) {
+    if (!Array.isArray(results)) return []
+    const index = buildHiddenTestIndex(testsConfig)
+    if (index.size === 0) return results
+    return results.map(r => {
+        const info = r ? index.get(String(r.id)) : null
+        if (!info || r.hidden) return r
+        const out = {
+            id: r.id,
+            passed: !!r.passed,
+            hidden: true,
+            hiddenNumber: info.number,
+            description: `Hidden test ${info.number}`,
+            durationMs: r.durationMs != null ? r.durationMs : null
+        }
+        if (r.skipped) out.skipped = r.skipped
+        if (info.hint) out.hint = info.hint
+        return out
+    })
+}
+
+/**
+ * Authoring controls for the hidden flag and hint, shared by the test and
+ * group editors.
+ * @param {Object} existing - test or group being edited
+ * @param {string} [subject] - 'test' or 'group', used in the labels
+ * @returns {{root: HTMLElement, apply: function(Object): Object}} apply()
+ *   writes hidden/hiddenHint onto the object being saved
+ */
+export function createHiddenTestControls(existing = {}, subject = 'test') {
+    const root = document.createElement('div')
+
+    const checkRow = document.createElement('label')
+    checkRow.style.display = 'flex'
+    checkRow.style.alignItems = 'center'
+    checkRow.style.gap = '8px'
+    const check = document.createElement('input')
+    check.type = 'checkbox'
+    check.checked = !!(existing && existing.hidden)
+    const checkText = document.createElement('span')
+    checkText.textContent = subject === 'group'
+        ? 'Hide the tests in this group (students only see "Hidden test N passed/failed")'
+        : 'Hidden test (students only see "Hidden test N passed/failed")'
+    checkRow.appendChild(check)
+    checkRow.appendChild(checkText)
+
+    const hint = document.createElement('input')
+    hint.type = 'text'
+    hint.style.width = '100%'
+    hint.style.marginTop = '4px'
+    hint.value = (existing && existing.hiddenHint) || ''
+    hint.placeholder = 'Hint shown to students when a hidden test fails (optional)'
+
+    const update = () => { hint.style.display = check.checked ? '' : 'none' }
+    check.addEventListener('change', update)
+    update()
+
+    root.appendChild(checkRow)
+    root.appendChild(hint)
+
+    return {
+        root,
+        apply(target) {
+            delete target.hidden
+            delete target.hiddenHint
+            if (check.checked) {
+                target.hidden = true
+                if (hint.value.trim()) target.hiddenHint = hint.value.trim()
+            }
+            return target
+        }
+    }
+}
+
+export default {
+    buildHiddenTestIndex,
+    hiddenTestTitle,
+    redactHiddenResults,
+    createHiddenTestControls
+}
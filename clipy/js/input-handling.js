@@ -226,8 +226,16 @@ export function createHostModule() {
     return {
         get_input: async function (promptText = '') {
             return new Promise((resolve) => {
-                // store resolver temporarily on the window so UI handler can find it
-                window.__ssg_pending_input = { resolve, promptText }
+                // store resolver temporarily on the window so UI handler can find it.
+                // Clear it once answered so the test stdin feeder (and transcript
+                // recording) sees each input request exactly once.
+                window.__ssg_pending_input = {
+                    resolve: (value) => {
+                        delete window.__ssg_pending_input
+                        resolve(value)
+                    },
+                    promptText
+                }
                 // enable and focus the terminal inline input for immediate typing
                 try { setTerminalInputEnabled(true, promptText || '') } catch (_e) { }
                 const stdinBox = $('stdin-box')
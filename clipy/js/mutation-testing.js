@@ -0,0 +1,228 @@
+/*
+ * Mutation testing of an author's test suite
+ *
+ * Small deliberate bugs ("mutants") are made in the reference solution and
+ * the suite is run against each one. A mutant is killed when at least one
+ * test fails (or times out); a mutant that passes every test has survived,
+ * which points at behaviour the suite does not check.
+ *
+ * Mutation sites are found with py-ast and applied to the source text, so a
+ * mutant differs from the solution only at that spot and keeps its layout
+ * and line numbers:
+ *
+ *  - comparison: `<` becomes `<=` (boundary) or `>=` (negated), etc.
+ *  - constant:   an integer literal `n` becomes `n + 1` or `n - 1`
+ *  - statement:  a one-line assignment, call, return, raise, break or
+ *                continue is replaced with `pass`
+ *
+ * Some survivors can be equivalent mutants that behave exactly like the
+ * solution (e.g. `i < len(xs)` vs `i != len(xs)` in a counting loop); they
+ * need no new test.
+ */
+
+import { getASTAnalyzer } from './ast-analyzer.js'
+import { runTests } from './test-runner.js'
+import { getSolutionFiles, buildSolutionSnapshot, getSolutionSuite } from './reference-solution.js'
+
+export const DEFAULT_MAX_MUTANTS = 30
+// Mutants can loop forever; tests without their own timeoutMs get a budget
+// based on how long the solution took
+const MIN_MUTANT_TIMEOUT_MS = 3000
+const MUTANT_TIMEOUT_FACTOR = 5
+
+const COMPARISON_TOKENS = { Lt: '<', LtE: '<=', Gt: '>', GtE: '>=', Eq: '==', NotEq: '!=' }
+// op -> [boundary change, negation]
+const COMPARISON_MUTATIONS = {
+    Lt: ['<=', '>='],
+    LtE: ['<', '>'],
+    Gt: ['>=', '<='],
+    GtE: ['>', '<'],
+    Eq: ['!='],
+    NotEq: ['==']
+}
+const DELETABLE_STATEMENTS = new Set(['Assign', 'AugAssign', 'AnnAssign', 'Expr', 'Return', 'Raise', 'Break', 'Continue', 'Delete'])
+
+// A rough check that a line holds a whole statement: no continuation,
+// no triple-quoted string and balanced brackets outside string literals
+function isCompleteLine(text) {
+    if (/\\\s*$/.test(text) || /'''|"""/.test(text)) return false
+    let depth = 0
+    let quote = null
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i]
+        if (quote) {
+            if (c === '\\') i++
+            else if (c === quote) quote = null
+        } else if (c === '#') {
+            break
+        } else if (c === '"' || c === "'") {
+            quote = c
+        } else if ('([{'.includes(c)) {
+            depth++
+        } else if (')]}'.includes(c)) {
+            depth--
+        }
+    }
+    return depth === 0 && !quote
+}
+
+function shorten(text, max = 50) {
+    const s = String(text).trim()
+    return s.length > max ? s.slice(0, max - 1) + '…' : s
+}
+
+/**
+ * Every mutant of one source file. Mutants that no longer parse are dropped.
+ * @param {string} source
+ * @param {string} path
+ * @returns {Promise<Array<{id: string, path: string, line: number, kind: string, description: string, source: string}>>}
+ */
+export async function generateMutants(source, path) {
+    const analyzer = await getASTAnalyzer()
+    const ast = await analyzer.parse(String(source || ''))
+    if (!ast) return []
+    const lines = String(source).split('\n')
+    // { line, start, end, replacement, kind, description }
+    const edits = []
+    const statementsPerLine = new Map()
+    const statements = []
+
+    const visit = (node, inStatementList) => {
+        if (Array.isArray(node)) {
+            node.forEach(n => visit(n, inStatementList))
+            return
+        }
+        // Positions inside f-strings are not reliable enough to edit
+        if (!node || typeof node !== 'object' || node.nodeType === 'JoinedStr') return
+        if (inStatementList && node.lineno > 0) {
+            statementsPerLine.set(node.lineno, (statementsPerLine.get(node.lineno) || 0) + 1)
+            statements.push(node)
+        }
+
+        if (node.nodeType === 'Compare' && Array.isArray(node.ops)) {
+            node.ops.forEach((op, i) => {
+                const cmp = node.comparators && node.comparators[i]
+                const token = op && COMPARISON_TOKENS[op.nodeType]
+                if (!token || !cmp || !(cmp.lineno > 0)) return
+                // The operator sits right before its right-hand operand
+                const text = lines[cmp.lineno - 1] || ''
+                const before = text.slice(0, cmp.col_offset).replace(/[\s(]*$/, '')
+                if (!before.endsWith(token) || (token.length === 1 && /[<>=!]$/.test(before.slice(0, -1)))) return
+                for (const replacement of COMPARISON_MUTATIONS[op.nodeType]) {
+                    edits.push({ line: cmp.lineno, start: before.length - token.length, end: before.length, replacement, kind: 'comparison', description: `\`${token}\` changed to \`${replacement}\`` })
+                }
+            })
+        }
+
+        if (node.nodeType === 'Constant' && typeof node.value !== 'boolean' && node.lineno > 0) {
+            const text = lines[node.lineno - 1] || ''
+            const m = /^\d+(?![\w.])/.exec(text.slice(node.col_offset))
+            if (m) {
+                const n = BigInt(m[0])
+                for (const v of [n + 1n, n - 1n]) {
+                    edits.push({ line: node.lineno, start: node.col_offset, end: node.col_offset + m[0].length, replacement: String(v), kind: 'constant', description: `\`${m[0]}\` changed to \`${v}\`` })
+                }
+            }
+        }
+
+        for (const [key, value] of Object.entries(node)) {
+            if (value && typeof value === 'object') visit(value, Array.isArray(value) && ['body', 'orelse', 'finalbody'].includes(key))
+        }
+    }
+    visit(ast.body, true)
+
+    for (const node of statements) {
+        if (!DELETABLE_STATEMENTS.has(node.nodeType)) continue
+        // Bare expressions are only worth deleting when they call something
+        if (node.nodeType === 'Expr' && !(node.value && node.value.nodeType === 'Call')) continue
+        if (statementsPerLine.get(node.lineno) !== 1) continue
+        const text = lines[node.lineno - 1] || ''
+        const indent = text.length - text.trimStart().length
+        if (Number(node.col_offset) !== indent || !isCompleteLine(text)) continue
+        edits.push({ line: node.lineno, start: indent, end: text.length, replacement: 'pass', kind: 'statement', description: `deleted \`${shorten(text)}\`` })
+    }
+
+    edits.sort((a, b) => a.line - b.line || a.start - b.start)
+    const mutants = []
+    for (const e of edits) {
+        const text = lines[e.line - 1]
+        const mutated = lines.slice()
+        mutated[e.line - 1] = text.slice(0, e.start) + e.replacement + text.slice(e.end)
+        const mutantSource = mutated.join('\n')
+        if (mutantSource === source || !(await analyzer.parse(mutantSource))) continue
+        mutants.push({ id: `${path}:${mutants.length + 1}`, path, line: e.line, kind: e.kind, description: e.description, source: mutantSource })
+    }
+    return mutants
+}
+
+/**
+ * At most `max` mutants, spread evenly over the list so every part of the
+ * solution is sampled.
+ */
+export function selectMutants(mutants, max = DEFAULT_MAX_MUTANTS) {
+    if (!(max > 0) || mutants.length <= max) return mutants.slice()
+    const step = mutants.length / max
+    return Array.from({ length: max }, (_, i) => mutants[Math.floor(i * step)])
+}
+
+/**
+ * Run the suite against mutants of the reference solution.
+ * @param {Object} options
+ * @param {Object|Array} options.testsConfig
+ * @param {Object} options.solution
+ * @param {Object} [options.workspace] - config files the solution is laid over
+ * @param {function(Object): function} options.createRunFn - files snapshot -> runFn
+ * @param {number} [options.maxMutants]
+ * @param {function({index: number, total: number, mutant: Object}): void} [options.onProgress]
+ * @param {function(): boolean} [options.shouldStop] - checked before each mutant
+ * @returns {Promise<Object>} { ok, baselineFailures, generated, results: [{ mutant, killed, killedBy, reason }], killed, survived, stopped }
+ */
+export async function runMutationTesting({ testsConfig, solution, workspace = {}, createRunFn, maxMutants = DEFAULT_MAX_MUTANTS, onProgress, shouldStop }) {
+    const report = { ok: false, baselineFailures: [], generated: 0, results: [], killed: 0, survived: [], stopped: false }
+
+    // Survivors only mean something when the solution passes every test
+    const baselineSuite = getSolutionSuite(testsConfig, solution)
+    const baseline = await runTests(baselineSuite, { runFn: createRunFn(buildSolutionSnapshot(workspace, solution)) })
+    report.baselineFailures = baseline.filter(r => !r.passed)
+    if (report.baselineFailures.length) return report
+    report.ok = true
+
+    const solutionFiles = getSolutionFiles(solution)
+    let mutants = []
+    for (const [p, content] of Object.entries(solutionFiles)) {
+        if (p.endsWith('.py')) mutants = mutants.concat(await generateMutants(content, p))
+    }
+    report.generated = mutants.length
+    const selected = selectMutants(mutants, maxMutants)
+
+    const timeouts = baseline.map(r => Math.max(MIN_MUTANT_TIMEOUT_MS, Math.ceil((Number(r.durationMs) || 0) * MUTANT_TIMEOUT_FACTOR)))
+    for (let i = 0; i < selected.length; i++) {
+        if (typeof shouldStop === 'function' && shouldStop()) {
+            report.stopped = true
+            break
+        }
+        const mutant = selected[i]
+        if (typeof onProgress === 'function') onProgress({ index: i, total: selected.length, mutant })
+        const mutantSolution = { ...solution, files: { ...solutionFiles, [mutant.path]: mutant.source } }
+        const runFn = createRunFn(buildSolutionSnapshot(workspace, mutantSolution))
+        const suite = getSolutionSuite(testsConfig, mutantSolution)
+        const outcome = { mutant, killed: false, killedBy: null, reason: null }
+        // One failing test is enough to kill a mutant
+        for (let t = 0; t < suite.length; t++) {
+            const test = suite[t] && typeof suite[t].timeoutMs !== 'number' ? { ...suite[t], timeoutMs: timeouts[t] } : suite[t]
+            const [r] = await runTests([test], { runFn })
+            if (r && !r.passed) {
+                outcome.killed = true
+                outcome.killedBy = r.id
+                outcome.reason = r.reason
+                break
+            }
+        }
+        report.results.push(outcome)
+        if (outcome.killed) report.killed++
+        else report.survived.push(mutant)
+    }
+    return report
+}
+
+export default { generateMutants, selectMutants, runMutationTesting, DEFAULT_MAX_MUTANTS }
@@ -1,6 +1,26 @@
 // Shared normalization utilities for test configurations.
 // Ensures deterministic, canonical output for hashing and comparisons.
 import { debug as logDebug } from './logger.js'
+import { resolveTolerances } from './test-runner.js'
+import { getTranscriptSteps } from './transcript-test.js'
+import { getPropertySpec } from './property-test.js'
+import { getBudgetSpec } from './budget-test.js'
+import { getExpectedFiles } from './output-files-test.js'
+import { normalizeSeed } from './test-seed.js'
+import { getFixtures } from './test-fixtures.js'
+
+const NORMALIZING_MATCHERS = ['ignore_whitespace', 'ignore_case', 'unordered_lines', 'float_tolerance']
+
+// Canonical shape for the normalizing matchers so UI-only differences (missing
+// vs default tolerances, numeric strings) don't change the hash. Plain strings,
+// regex and exact expectations are passed through unchanged.
+function cleanExpectation(v) {
+    if (v === undefined || v === null) return ''
+    if (typeof v !== 'object' || !NORMALIZING_MATCHERS.includes(v.type)) return v
+    const clean = { type: v.type, expression: String(v.expression || '') }
+    if (v.type === 'float_tolerance') Object.assign(clean, resolveTolerances(v))
+    return clean
+}
 
 function cleanTestObject(t) {
     if (!t || typeof t !== 'object') return {}
@@ -9,10 +29,33 @@ function cleanTestObject(t) {
     clean.id = t.id || ''
     clean.description = t.description || ''
     clean.stdin = t.stdin || ''
-    clean.expected_stdout = (t.expected_stdout === undefined || t.expected_stdout === null) ? '' : t.expected_stdout
-    clean.expected_stderr = (t.expected_stderr === undefined || t.expected_stderr === null) ? '' : t.expected_stderr
+    clean.expected_stdout = cleanExpectation(t.expected_stdout)
+    clean.expected_stderr = cleanExpectation(t.expected_stderr)
     clean.timeoutMs = t.timeoutMs || 5000
     clean.ast = t.ast || null
+    // Only add keys for newer test options so existing suites keep their hashes
+    if (t.points !== undefined && t.points !== null && t.points !== '') clean.points = Number(t.points)
+    if (normalizeSeed(t.seed) !== null) clean.seed = normalizeSeed(t.seed)
+    if (t.type === 'function') {
+        clean.type = 'function'
+        clean.function = t.function || null
+    }
+    if (t.type === 'transcript') {
+        clean.type = 'transcript'
+        clean.transcript = getTranscriptSteps(t)
+    }
+    if (t.type === 'property') {
+        clean.type = 'property'
+        clean.property = getPropertySpec(t)
+    }
+    if (t.type === 'budget') {
+        clean.type = 'budget'
+        clean.budget = getBudgetSpec(t)
+    }
+    const expectedFiles = getExpectedFiles(t)
+    if (expectedFiles.length) clean.expected_files = expectedFiles
+    const fixtures = getFixtures(t)
+    if (fixtures) clean.fixtures = fixtures
     return clean
 }
 
@@ -70,11 +113,17 @@ export function normalizeTestsForHash(testConfig) {
 
         // Grouped format
         if (rawTests && (rawTests.groups || rawTests.ungrouped)) {
-            const groups = (rawTests.groups || []).map(g => ({
-                id: g.id || '',
-                name: g.name || '',
-                tests: (g.tests || []).map(cleanTestObject)
-            }))
+            const groups = (rawTests.groups || []).map(g => {
+                const cg = {
+                    id: g.id || '',
+                    name: g.name || '',
+                    tests: (g.tests || []).map(cleanTestObject)
+                }
+                if (g.points !== undefined && g.points !== null && g.points !== '') cg.points = Number(g.points)
+                const fixtures = getFixtures(g)
+                if (fixtures) cg.fixtures = fixtures
+                return cg
+            })
             // Sort groups by id then name for determinism
             groups.sort((a, b) => (String(a.id) || a.name).localeCompare(String(b.id) || b.name))
             for (const g of groups) {
@@ -84,7 +133,12 @@ export function normalizeTestsForHash(testConfig) {
             const ungrouped = (rawTests.ungrouped || []).map(cleanTestObject)
             ungrouped.sort((a, b) => String(a.id).localeCompare(String(b.id)))
 
-            return { groups, ungrouped }
+            const out = { groups, ungrouped }
+            // Weighted scoring changes what earns a code, so it is part of the hash
+            if (rawTests.passThreshold !== undefined && rawTests.passThreshold !== null && rawTests.passThreshold !== '') out.passThreshold = Number(rawTests.passThreshold)
+            // The default seed changes program output, so it is hashed too
+            if (normalizeSeed(rawTests.seed) !== null) out.seed = normalizeSeed(rawTests.seed)
+            return out
         }
 
     } catch (e) {
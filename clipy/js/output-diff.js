@@ -0,0 +1,493 @@
+/**
+ * Expected vs actual output diff for failed tests
+ *
+ * Lines are aligned with a longest-common-subsequence diff; changed line
+ * pairs get a character-level diff so a single wrong letter or an extra
+ * space stands out. Invisible characters are drawn with visible marks:
+ * trailing spaces (·), tabs (→), carriage returns (␍), non-breaking and
+ * zero-width characters, and line ends (↵) where they differ. The view can
+ * switch between unified and side-by-side layouts.
+ *
+ * How lines are compared follows the test's matcher: 'exact' compares
+ * everything including the final newline, the default "contains" match
+ * hides extra output before and after the expected lines, and the
+ * normalizing matchers treat lines they consider equal as matching.
+ */
+
+import { TEXT_MATCHER_LABELS, resolveTolerances, floatsMatch, NUMBER_RE } from './test-runner.js'
+
+// Larger inputs fall back to a coarser diff to keep rendering quick
+const MAX_LINE_CELLS = 250000
+const MAX_CHAR_CELLS = 160000
+const MAX_PAIRINGS = 400
+// Lines sharing less than this are shown as removed + added, not changed
+const MIN_SIMILARITY = 0.4
+// Unchanged runs longer than this are collapsed, keeping CONTEXT lines
+const COLLAPSE_AFTER = 8
+const CONTEXT = 2
+
+const SPECIAL_CHARS = {
+    '\t': { mark: '→', title: 'tab' },
+    '\r': { mark: '␍', title: 'carriage return' },
+    '\u00a0': { mark: '⍽', title: 'non-breaking space' },
+    '\u200b': { mark: '∅', title: 'zero-width space' },
+    '\ufeff': { mark: '∅', title: 'byte order mark' }
+}
+
+// Layout chosen by the student, kept for the rest of the session
+let preferredLayout = 'unified'
+
+/**
+ * How a test's expected_stdout should be diffed, or null when it cannot be
+ * (regex expectations). float_tolerance expectations also carry their
+ * resolved tolerances.
+ * @param {string|Object} expected - expected_stdout
+ * @returns {{text: string, mode: string, tolerance?: {absTol: number, relTol: number}}|null}
+ */
+export function getDiffExpectation(expected) {
+    if (expected == null) return null
+    if (typeof expected === 'string') return { text: expected, mode: 'contains' }
+    if (typeof expected === 'object' && expected.type === 'float_tolerance') {
+        return { text: String(expected.expression || ''), mode: expected.type, tolerance: resolveTolerances(expected) }
+    }
+    if (typeof expected === 'object' && TEXT_MATCHER_LABELS[expected.type]) {
+        return { text: String(expected.expression || ''), mode: expected.type }
+    }
+    return null
+}
+
+/**
+ * Split text into lines, remembering which ones end with a newline.
+ * @param {string} text
+ * @returns {Array<{text: string, eol: boolean}>}
+ */
+export function splitLines(text) {
+    const s = String(text == null ? '' : text)
+    if (!s) return []
+    const parts = s.split('\n')
+    const lines = parts.map((t, i) => ({ text: t, eol: i < parts.length - 1 }))
+    if (lines[lines.length - 1].text === '') lines.pop()
+    return lines
+}
+
+/**
+ * Diff two sequences. Returns operations in order: 'equal' (both indexes),
+ * 'delete' (only in a) and 'insert' (only in b).
+ * @param {Array} a
+ * @param {Array} b
+ * @param {function(*, *): boolean} eq
+ * @param {number} maxCells - table size limit for the LCS step
+ * @returns {Array<{op: string, a?: number, b?: number}>}
+ */
+export function diffSequences(a, b, eq = (x, y) => x === y, maxCells = MAX_LINE_CELLS) {
+    let start = 0
+    while (start < a.length && start < b.length && eq(a[start], b[start])) start++
+    let endA = a.length
+    let endB = b.length
+    while (endA > start && endB > start && eq(a[endA - 1], b[endB - 1])) { endA--; endB-- }
+
+    const ops = []
+    for (let i = 0; i < start; i++) ops.push({ op: 'equal', a: i, b: i })
+
+    const n = endA - start
+    const m = endB - start
+    if (n * m > maxCells) {
+        for (let i = start; i < endA; i++) ops.push({ op: 'delete', a: i })
+        for (let j = start; j < endB; j++) ops.push({ op: 'insert', b: j })
+    } else if (n || m) {
+        // lcs[i][j] = LCS length of a[start+i..endA) and b[start+j..endB)
+        const w = m + 1
+        const lcs = new Uint32Array((n + 1) * w)
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i * w + j] = eq(a[start + i], b[start + j])
+                    ? lcs[(i + 1) * w + j + 1] + 1
+                    : Math.max(lcs[(i + 1) * w + j], lcs[i * w + j + 1])
+            }
+        }
+        let i = 0
+        let j = 0
+        while (i < n || j < m) {
+            if (i < n && j < m && eq(a[start + i], b[start + j])) {
+                ops.push({ op: 'equal', a: start + i, b: start + j })
+                i++; j++
+            } else if (j < m && (i === n || lcs[i * w + j + 1] >= lcs[(i + 1) * w + j])) {
+                ops.push({ op: 'insert', b: start + j })
+                j++
+            } else {
+                ops.push({ op: 'delete', a: start + i })
+                i++
+            }
+        }
+    }
+
+    for (let k = 0; k < a.length - endA; k++) ops.push({ op: 'equal', a: endA + k, b: endB + k })
+    return ops
+}
+
+// Split text into characters, keeping each number whole
+function numberTokens(s) {
+    const tokens = []
+    let last = 0
+    for (const m of s.matchAll(NUMBER_RE)) {
+        tokens.push(...Array.from(s.slice(last, m.index)))
+        tokens.push({ number: m[0] })
+        last = m.index + m[0].length
+    }
+    tokens.push(...Array.from(s.slice(last)))
+    return tokens
+}
+
+/**
+ * Character-level diff of two strings as runs of changed/unchanged text.
+ * With a tolerance, numbers are compared whole and ones the float_tolerance
+ * matcher accepts are left unmarked.
+ * @param {string} expected
+ * @param {string} actual
+ * @param {{absTol: number, relTol: number}} [tolerance]
+ * @returns {{expected: Array<{text: string, changed: boolean}>, actual: Array<{text: string, changed: boolean}>}}
+ */
+export function diffChars(expected, actual, tolerance) {
+    const split = tolerance ? numberTokens : Array.from
+    const eq = tolerance
+        ? (x, y) => x === y || (x.number !== undefined && y.number !== undefined && floatsMatch(y.number, x.number, tolerance.absTol, tolerance.relTol))
+        : undefined
+    const a = split(expected)
+    const b = split(actual)
+    const text = (t) => (typeof t === 'string' ? t : t.number)
+    const out = { expected: [], actual: [] }
+    const push = (side, text, changed) => {
+        const runs = out[side]
+        const last = runs[runs.length - 1]
+        if (last && last.changed === changed) last.text += text
+        else runs.push({ text, changed })
+    }
+    for (const o of diffSequences(a, b, eq, MAX_CHAR_CELLS)) {
+        if (o.op === 'equal') { push('expected', text(a[o.a]), false); push('actual', text(b[o.b]), false) }
+        else if (o.op === 'delete') push('expected', text(a[o.a]), true)
+        else push('actual', text(b[o.b]), true)
+    }
+    return out
+}
+
+function lineKey(mode) {
+    if (mode === 'ignore_case') return (l) => l.text.toLowerCase()
+    if (mode === 'ignore_whitespace') return (l) => l.text.replace(/\s+/g, ' ').trim()
+    if (mode === 'exact') return (l) => l.text + (l.eol ? '\n' : '')
+    return (l) => l.text
+}
+
+const withEol = (l) => l.text + (l.eol ? '\n' : '')
+
+// Share of characters two lines have in common (0..1)
+function similarity(x, y) {
+    const a = Array.from(x)
+    const b = Array.from(y)
+    if (!a.length && !b.length) return 1
+    const common = diffSequences(a, b, undefined, MAX_CHAR_CELLS).filter(o => o.op === 'equal').length
+    return (2 * common) / (a.length + b.length)
+}
+
+// Turn a run of removed expected lines and added output lines into rows.
+// Each expected line is paired, in order, with the most similar output
+// line so a prompt printed before it does not steal the char diff.
+function pairChangedLines(dels, ins, tolerance) {
+    const rows = []
+    const change = (d, i) => ({ type: 'change', expected: d, actual: i, chars: diffChars(withEol(d), withEol(i), tolerance) })
+    if (dels.length * ins.length > MAX_PAIRINGS) {
+        const pairs = Math.min(dels.length, ins.length)
+        for (let p = 0; p < pairs; p++) rows.push(change(dels[p], ins[p]))
+        for (let p = pairs; p < dels.length; p++) rows.push({ type: 'delete', expected: dels[p], actual: null })
+        for (let p = pairs; p < ins.length; p++) rows.push({ type: 'insert', expected: null, actual: ins[p] })
+        return rows
+    }
+    let from = 0
+    for (const d of dels) {
+        let best = -1
+        let bestScore = MIN_SIMILARITY
+        for (let q = from; q < ins.length; q++) {
+            const score = similarity(withEol(d), withEol(ins[q]))
+            if (score > bestScore || (best === -1 && score === bestScore)) { best = q; bestScore = score }
+        }
+        if (best === -1) { rows.push({ type: 'delete', expected: d, actual: null }); continue }
+        for (let q = from; q < best; q++) rows.push({ type: 'insert', expected: null, actual: ins[q] })
+        rows.push(change(d, ins[best]))
+        from = best + 1
+    }
+    for (let q = from; q < ins.length; q++) rows.push({ type: 'insert', expected: null, actual: ins[q] })
+    return rows
+}
+
+/**
+ * Build the rows of a diff between expected and actual output.
+ * @param {string} expected
+ * @param {string} actual
+ * @param {Object} [options]
+ * @param {string} [options.mode] - matcher type: 'exact', 'contains', or a TEXT_MATCHER_LABELS key
+ * @param {{absTol: number, relTol: number}} [options.tolerance] - for 'float_tolerance';
+ *   lines whose numbers are all within it count as equal
+ * @returns {{rows: Array<Object>, hiddenBefore: number, hiddenAfter: number, sorted: boolean, identical: boolean}}
+ *   rows have type 'equal' | 'change' | 'delete' | 'insert', the expected
+ *   and actual lines ({text, eol, number}) and, for changes, char runs
+ */
+export function buildOutputDiff(expected, actual, { mode = 'exact', tolerance } = {}) {
+    let e = splitLines(expected)
+    let a = splitLines(actual)
+    // Only exact matches care about the final newline
+    if (mode !== 'exact') {
+        e = e.map(l => ({ ...l, eol: false }))
+        a = a.map(l => ({ ...l, eol: false }))
+    }
+    const sorted = mode === 'unordered_lines'
+    if (sorted) {
+        const byText = (x, y) => (x.text < y.text ? -1 : x.text > y.text ? 1 : 0)
+        e = e.slice().sort(byText)
+        a = a.slice().sort(byText)
+    }
+    e.forEach((l, i) => { l.number = i + 1 })
+    a.forEach((l, i) => { l.number = i + 1 })
+
+    // float_tolerance lines are compared with the matcher's own check
+    const tol = mode === 'float_tolerance' ? (tolerance || resolveTolerances(null)) : undefined
+    const key = lineKey(mode)
+    const ops = tol
+        ? diffSequences(e, a, (x, y) => floatsMatch(y.text, x.text, tol.absTol, tol.relTol))
+        : diffSequences(e.map(key), a.map(key))
+
+    let rows = []
+    for (let k = 0; k < ops.length;) {
+        if (ops[k].op === 'equal') {
+            rows.push({ type: 'equal', expected: e[ops[k].a], actual: a[ops[k].b] })
+            k++
+            continue
+        }
+        // Pair a run of deletes with the following run of inserts
+        const dels = []
+        const ins = []
+        while (k < ops.length && ops[k].op === 'delete') dels.push(e[ops[k++].a])
+        while (k < ops.length && ops[k].op === 'insert') ins.push(a[ops[k++].b])
+        while (k < ops.length && ops[k].op === 'delete') dels.push(e[ops[k++].a])
+        rows.push(...pairChangedLines(dels, ins, tol))
+    }
+
+    // A "contains" expectation may appear anywhere in the output, so output
+    // before and after the expected lines is not a difference
+    let hiddenBefore = 0
+    let hiddenAfter = 0
+    if (mode === 'contains') {
+        while (rows.length && rows[0].type === 'insert') { rows.shift(); hiddenBefore++ }
+        while (rows.length && rows[rows.length - 1].type === 'insert') { rows.pop(); hiddenAfter++ }
+    }
+    return { rows, hiddenBefore, hiddenAfter, sorted, identical: rows.every(r => r.type === 'equal') }
+}
+
+function appendText(parent, text, { changed = false, trailingFrom = Infinity } = {}) {
+    const chars = Array.from(text)
+    let plain = ''
+    const flush = () => {
+        if (!plain) return
+        parent.appendChild(document.createTextNode(plain))
+        plain = ''
+    }
+    chars.forEach((ch, i) => {
+        const special = SPECIAL_CHARS[ch] ||
+            (ch === ' ' && (changed || i >= trailingFrom) ? { mark: '·', title: 'space' } : null) ||
+            (ch === '\n' ? { mark: '↵', title: 'newline' } : null) ||
+            (/[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f\u200c-\u200f\u2028\u2029]/.test(ch)
+                ? { mark: '\\u' + ch.charCodeAt(0).toString(16).padStart(4, '0'), title: 'invisible character' } : null)
+        if (!special) { plain += ch; return }
+        flush()
+        const span = document.createElement('span')
+        span.className = 'diff-invisible'
+        span.title = special.title
+        span.textContent = special.mark
+        parent.appendChild(span)
+    })
+    flush()
+}
+
+// Render one side of a line: char runs for changed lines, or the plain
+// text with trailing whitespace made visible
+function renderLine(line, runs, side) {
+    const code = document.createElement('span')
+    code.className = 'diff-text'
+    if (!line) return code
+    const full = line.text + (line.eol && runs ? '\n' : '')
+    const trailingFrom = line.text.replace(/[ \t]+$/, '').length
+    if (!runs) {
+        appendText(code, full, { trailingFrom })
+        return code
+    }
+    let pos = 0
+    for (const run of runs) {
+        const el = run.changed ? document.createElement('mark') : null
+        if (el) el.className = side === 'expected' ? 'diff-char-del' : 'diff-char-ins'
+        appendText(el || code, run.text, { changed: run.changed, trailingFrom: Math.max(0, trailingFrom - pos) })
+        if (el) code.appendChild(el)
+        pos += Array.from(run.text).length
+    }
+    return code
+}
+
+// Collapse long unchanged runs, keeping a little context around changes
+function collapseRows(rows) {
+    const out = []
+    for (let i = 0; i < rows.length;) {
+        if (rows[i].type !== 'equal') { out.push(rows[i++]); continue }
+        let j = i
+        while (j < rows.length && rows[j].type === 'equal') j++
+        const run = rows.slice(i, j)
+        const keepHead = i === 0 ? 0 : CONTEXT
+        const keepTail = j === rows.length ? 0 : CONTEXT
+        if (run.length > COLLAPSE_AFTER && run.length > keepHead + keepTail) {
+            out.push(...run.slice(0, keepHead))
+            out.push({ type: 'skip', count: run.length - keepHead - keepTail })
+            out.push(...run.slice(run.length - keepTail))
+        } else out.push(...run)
+        i = j
+    }
+    return out
+}
+
+function cell(tag, className, content) {
+    const el = document.createElement(tag)
+    el.className = className
+    if (typeof content === 'string') el.textContent = content
+    else if (content) el.appendChild(content)
+    return el
+}
+
+function skipRow(text, colSpan) {
+    const tr = document.createElement('tr')
+    tr.className = 'diff-skip'
+    const td = cell('td', '', text)
+    td.colSpan = colSpan
+    tr.appendChild(td)
+    return tr
+}
+
+function renderUnified(diff, table) {
+    const add = (cls, sign, number, content) => {
+        const tr = document.createElement('tr')
+        tr.className = cls
+        tr.appendChild(cell('td', 'diff-num', number == null ? '' : String(number)))
+        tr.appendChild(cell('td', 'diff-sign', sign))
+        tr.appendChild(cell('td', 'diff-line', content))
+        table.appendChild(tr)
+    }
+    for (const r of collapseRows(diff.rows)) {
+        if (r.type === 'skip') { table.appendChild(skipRow(`… ${r.count} matching lines`, 3)); continue }
+        if (r.type === 'equal') { add('diff-equal', ' ', r.actual.number, renderLine(r.actual, null)); continue }
+        if (r.expected) add('diff-del', '−', r.expected.number, renderLine(r.expected, r.chars ? r.chars.expected : null, 'expected'))
+        if (r.actual) add('diff-ins', '+', r.actual.number, renderLine(r.actual, r.chars ? r.chars.actual : null, 'actual'))
+    }
+}
+
+function renderSideBySide(diff, table) {
+    const head = document.createElement('tr')
+    head.className = 'diff-head'
+    const he = cell('th', '', 'Expected')
+    he.colSpan = 2
+    const ha = cell('th', '', 'Your output')
+    ha.colSpan = 2
+    head.appendChild(he)
+    head.appendChild(ha)
+    table.appendChild(head)
+    for (const r of collapseRows(diff.rows)) {
+        if (r.type === 'skip') { table.appendChild(skipRow(`… ${r.count} matching lines`, 4)); continue }
+        const tr = document.createElement('tr')
+        tr.className = 'diff-' + r.type
+        const sideCells = (line, runs, side) => {
+            const cls = r.type === 'equal' ? '' : (side === 'expected' ? ' diff-del' : ' diff-ins')
+            tr.appendChild(cell('td', 'diff-num' + (line ? cls : ''), line ? String(line.number) : ''))
+            tr.appendChild(cell('td', 'diff-line' + (line ? cls : ' diff-empty'), line ? renderLine(line, runs, side) : null))
+        }
+        sideCells(r.expected, r.chars ? r.chars.expected : null, 'expected')
+        sideCells(r.actual, r.chars ? r.chars.actual : null, 'actual')
+        table.appendChild(tr)
+    }
+}
+
+/**
+ * Create the diff view for a failed output test.
+ * @param {Object} options
+ * @param {string} options.expected - expected text (the matcher's expression)
+ * @param {string} options.actual - the program's stdout
+ * @param {string} [options.mode] - matcher type, see buildOutputDiff
+ * @param {{absTol: number, relTol: number}} [options.tolerance] - see buildOutputDiff
+ * @returns {{root: HTMLElement}}
+ */
+export function createOutputDiffView({ expected, actual, mode = 'exact', tolerance }) {
+    const diff = buildOutputDiff(expected, actual, { mode, tolerance })
+    const root = document.createElement('div')
+    root.className = 'test-diff'
+
+    const toolbar = document.createElement('div')
+    toolbar.className = 'test-diff-toolbar'
+    const title = document.createElement('span')
+    title.className = 'test-diff-title'
+    title.textContent = 'Differences' + (mode !== 'contains' && mode !== 'exact' && TEXT_MATCHER_LABELS[mode] ? ` (${TEXT_MATCHER_LABELS[mode]})` : '')
+    toolbar.appendChild(title)
+    const legend = document.createElement('span')
+    legend.className = 'test-diff-legend'
+    toolbar.appendChild(legend)
+    const toggle = document.createElement('span')
+    toggle.className = 'test-diff-toggle'
+    const buttons = {}
+    for (const [layout, text] of [['unified', 'Unified'], ['split', 'Side by side']]) {
+        const b = document.createElement('button')
+        b.type = 'button'
+        b.className = 'btn btn-small'
+        b.textContent = text
+        b.addEventListener('click', () => {
+            preferredLayout = layout
+            render()
+        })
+        buttons[layout] = b
+        toggle.appendChild(b)
+    }
+    toolbar.appendChild(toggle)
+    root.appendChild(toolbar)
+
+    const notes = []
+    if (diff.sorted) notes.push('Lines are compared in any order, so both sides are shown sorted.')
+    if (diff.identical) notes.push('The lines match; the difference is elsewhere (for example blank lines or line endings).')
+    if (diff.hiddenBefore || diff.hiddenAfter) {
+        notes.push(`${diff.hiddenBefore + diff.hiddenAfter} other line${diff.hiddenBefore + diff.hiddenAfter === 1 ? '' : 's'} of your output ${diff.hiddenBefore + diff.hiddenAfter === 1 ? 'is' : 'are'} not shown; the expected lines can appear anywhere in it.`)
+    }
+    for (const n of notes) {
+        const el = document.createElement('div')
+        el.className = 'test-diff-note'
+        el.textContent = n
+        root.appendChild(el)
+    }
+
+    const scroller = document.createElement('div')
+    scroller.className = 'test-diff-scroll'
+    root.appendChild(scroller)
+
+    function render() {
+        for (const [layout, b] of Object.entries(buttons)) b.classList.toggle('active', layout === preferredLayout)
+        legend.textContent = preferredLayout === 'unified'
+            ? '− expected   + your output   · space   → tab   ↵ newline'
+            : '· space   → tab   ↵ newline'
+        while (scroller.firstChild) scroller.removeChild(scroller.firstChild)
+        const table = document.createElement('table')
+        table.className = 'test-diff-table ' + (preferredLayout === 'unified' ? 'diff-unified' : 'diff-split')
+        if (preferredLayout === 'unified') renderUnified(diff, table)
+        else renderSideBySide(diff, table)
+        scroller.appendChild(table)
+    }
+    render()
+
+    return { root }
+}
+
+export default {
+    getDiffExpectation,
+    splitLines,
+    diffSequences,
+    diffChars,
+    buildOutputDiff,
+    createOutputDiffView
+}
@@ -0,0 +1,281 @@
+/*
+ * Expected output file assertions for Clipy tests
+ *
+ * Programs that write files through the workspace VFS can be checked after
+ * the run with an `expected_files` list on a regular test:
+ *
+ *  expected_files: [
+ *    { path: '/report.txt', check: 'exists' },
+ *    { path: '/report.txt', check: 'equals', value: 'Total: 3\n' },
+ *    { path: '/report.txt', check: 'contains', value: 'Total' },
+ *    { path: '/report.txt', check: 'regex', value: '^Total: \\d+$', flags: 'm' },
+ *    { path: '/scores.csv', check: 'csv', value: 'name,score\nBob,3\n', ignoreRowOrder: true },
+ *    { path: '/summary.json', check: 'json', value: '{"total": 3}' }
+ *  ]
+ *
+ * The runtimes read every listed path back from the workspace once the
+ * program has finished and return them as `files`: { '/report.txt': '...' },
+ * with null for files that do not exist. `checkExpectedFiles` then reports
+ * the first assertion that failed.
+ *
+ * equals ignores line ending style and trailing blank lines. csv compares
+ * cell by cell (cells trimmed, numbers compared by value) and json compares
+ * parsed values, ignoring key order and formatting.
+ */
+
+export const FILE_CHECKS = ['exists', 'equals', 'contains', 'regex', 'csv', 'json']
+
+const FILE_CHECK_LABELS = {
+    exists: 'exists',
+    equals: 'equals',
+    contains: 'contains',
+    regex: 'matches',
+    csv: 'has CSV data',
+    json: 'has JSON data'
+}
+
+/**
+ * Normalize a workspace path to the absolute form used by the VFS.
+ */
+export function normalizeFilePath(p) {
+    const s = String(p == null ? '' : p).trim()
+    if (!s) return ''
+    return s.startsWith('/') ? s : '/' + s
+}
+
+/**
+ * Return the normalized file assertions of a test (empty when none).
+ * Entries without a path or with an unknown check are dropped.
+ * @param {Object} test
+ * @returns {Array<{path: string, check: string, value?: string, flags?: string, ignoreRowOrder?: boolean}>}
+ */
+export function getExpectedFiles(test) {
+    const raw = test && Array.isArray(test.expected_files) ? test.expected_files : []
+    const out = []
+    for (const a of raw) {
+        if (!a || typeof a !== 'object') continue
+        const path = normalizeFilePath(a.path)
+        const check = FILE_CHECKS.includes(a.check) ? a.check : 'exists'
+        if (!path) continue
+        const entry = { path, check }
+        if (check !== 'exists') entry.value = a.value == null ? '' : String(a.value)
+        if (check === 'regex' && a.flags) entry.flags = String(a.flags)
+        if (check === 'csv' && a.ignoreRowOrder) entry.ignoreRowOrder = true
+        out.push(entry)
+    }
+    return out
+}
+
+/**
+ * Paths the runtime needs to read back after the run.
+ */
+export function getExpectedFilePaths(test) {
+    return [...new Set(getExpectedFiles(test).map(a => a.path))]
+}
+
+/**
+ * Validate file assertions. Returns { ok, reason }.
+ */
+export function validateExpectedFiles(assertions) {
+    for (let i = 0; i < (assertions || []).length; i++) {
+        const a = assertions[i]
+        const where = `Expected file ${i + 1}`
+        if (!a.path) return { ok: false, reason: `${where}: path is empty` }
+        if (a.check === 'regex') {
+            try { new RegExp(a.value, a.flags || '') } catch (e) {
+                return { ok: false, reason: `${where}: invalid regex (${e && e.message ? e.message : e})` }
+            }
+        }
+        if (a.check === 'json') {
+            try { JSON.parse(a.value) } catch (e) {
+                return { ok: false, reason: `${where}: expected value is not valid JSON` }
+            }
+        }
+    }
+    return { ok: true, reason: null }
+}
+
+/**
+ * Short text for an assertion, e.g. `/out.txt contains "Total"`.
+ */
+export function describeFileAssertion(a) {
+    if (!a) return ''
+    const label = FILE_CHECK_LABELS[a.check] || a.check
+    if (a.check === 'exists') return `${a.path} ${label}`
+    if (a.check === 'regex') return `${a.path} ${label} /${a.value}/${a.flags || ''}`
+    if (a.check === 'csv' || a.check === 'json') return `${a.path} ${label}${a.ignoreRowOrder ? ' (rows in any order)' : ''}`
+    return `${a.path} ${label} ${JSON.stringify(a.value)}`
+}
+
+function normalizeText(s) {
+    return String(s).replace(/\r\n?/g, '\n').replace(/\s+$/, '')
+}
+
+/**
+ * Parse CSV text into rows of cells. Handles quoted cells with embedded
+ * commas, quotes ("") and newlines. Blank lines are skipped.
+ */
+export function parseCsv(text) {
+    const rows = []
+    let row = []
+    let cell = ''
+    let quoted = false
+    const s = String(text == null ? '' : text).replace(/\r\n?/g, '\n')
+    for (let i = 0; i < s.length; i++) {
+        const ch = s[i]
+        if (quoted) {
+            if (ch === '"' && s[i + 1] === '"') {
+                cell += '"'
+                i++
+            } else if (ch === '"') {
+                quoted = false
+            } else {
+                cell += ch
+            }
+        } else if (ch === '"') {
+            quoted = true
+        } else if (ch === ',') {
+            row.push(cell)
+            cell = ''
+        } else if (ch === '\n') {
+            row.push(cell)
+            cell = ''
+            rows.push(row)
+            row = []
+        } else {
+            cell += ch
+        }
+    }
+    if (cell !== '' || row.length) {
+        row.push(cell)
+        rows.push(row)
+    }
+    return rows.filter(r => !(r.length === 1 && r[0].trim() === ''))
+}
+
+function cellsEqual(a, b) {
+    const x = String(a).trim()
+    const y = String(b).trim()
+    if (x === y) return true
+    return x !== '' && y !== '' && Number.isFinite(Number(x)) && Number.isFinite(Number(y)) && Number(x) === Number(y)
+}
+
+function rowKey(row) {
+    return JSON.stringify(row.map(c => {
+        const t = String(c).trim()
+        return t !== '' && Number.isFinite(Number(t)) ? Number(t) : t
+    }))
+}
+
+// Compare CSV text. Returns null when equal, otherwise a short reason.
+function compareCsv(actualText, expectedText, ignoreRowOrder) {
+    const actual = parseCsv(actualText)
+    const expected = parseCsv(expectedText)
+    if (actual.length !== expected.length) return `has ${actual.length} CSV row${actual.length === 1 ? '' : 's'}, expected ${expected.length}`
+    if (ignoreRowOrder && expected.length > 1) {
+        // Keep the header row in place; the data rows may come in any order
+        if (rowKey(actual[0]) !== rowKey(expected[0])) return 'has a different CSV header row'
+        const want = expected.slice(1).map(rowKey).sort()
+        const got = actual.slice(1).map(rowKey).sort()
+        const missing = want.find((k, i) => k !== got[i])
+        return missing === undefined ? null : `is missing the CSV row ${JSON.parse(missing).join(',')}`
+    }
+    for (let r = 0; r < expected.length; r++) {
+        if (actual[r].length !== expected[r].length) return `row ${r + 1} has ${actual[r].length} cell${actual[r].length === 1 ? '' : 's'}, expected ${expected[r].length}`
+        for (let c = 0; c < expected[r].length; c++) {
+            if (!cellsEqual(actual[r][c], expected[r][c])) {
+                return `row ${r + 1}, column ${c + 1} is ${JSON.stringify(String(actual[r][c]).trim())}, expected ${JSON.stringify(String(expected[r][c]).trim())}`
+            }
+        }
+    }
+    return null
+}
+
+// Deep-compare parsed JSON values. Returns the path of the first difference
+// (e.g. '$.items[2].name') or null when equal.
+function jsonDifference(actual, expected, path = '$') {
+    if (Array.isArray(expected)) {
+        if (!Array.isArray(actual)) return path
+        if (actual.length !== expected.length) return `${path} (length ${actual.length}, expected ${expected.length})`
+        for (let i = 0; i < expected.length; i++) {
+            const d = jsonDifference(actual[i], expected[i], `${path}[${i}]`)
+            if (d) return d
+        }
+        return null
+    }
+    if (expected && typeof expected === 'object') {
+        if (!actual || typeof actual !== 'object' || Array.isArray(actual)) return path
+        const keys = Object.keys(expected)
+        const extra = Object.keys(actual).find(k => !Object.prototype.hasOwnProperty.call(expected, k))
+        if (extra !== undefined) return `${path}.${extra} (unexpected key)`
+        for (const k of keys) {
+            if (!Object.prototype.hasOwnProperty.call(actual, k)) return `${path}.${k} (missing)`
+            const d = jsonDifference(actual[k], expected[k], `${path}.${k}`)
+            if (d) return d
+        }
+        return null
+    }
+    return actual === expected ? null : path
+}
+
+// Check one assertion against a file's content (null when missing).
+// Returns null on success, otherwise the reason without the path prefix.
+function checkOne(a, content) {
+    if (content == null) return 'was not created'
+    const text = String(content)
+    switch (a.check) {
+        case 'exists':
+            return null
+        case 'equals':
+            return normalizeText(text) === normalizeText(a.value) ? null : 'does not have the expected contents'
+        case 'contains':
+            return text.includes(a.value) ? null : `does not contain ${JSON.stringify(a.value)}`
+        case 'regex':
+            try {
+                return new RegExp(a.value, a.flags || '').test(text) ? null : `does not match /${a.value}/${a.flags || ''}`
+            } catch (_e) { return 'could not be checked (invalid regex)' }
+        case 'csv':
+            return compareCsv(text, a.value, !!a.ignoreRowOrder)
+        case 'json': {
+            let actual
+            let expected
+            try { expected = JSON.parse(a.value) } catch (_e) { return 'could not be checked (invalid expected JSON)' }
+            try { actual = JSON.parse(text) } catch (_e) { return 'is not valid JSON' }
+            const d = jsonDifference(actual, expected)
+            return d ? `has different JSON data at ${d}` : null
+        }
+        default:
+            return null
+    }
+}
+
+/**
+ * Check file assertions against the files a runtime read back after the run.
+ * @param {Array} assertions - from getExpectedFiles
+ * @param {Object<string, string|null>} files - path -> content (null when missing)
+ * @returns {{ok: boolean, reason: string|null, results: Array<{path: string, check: string, ok: boolean, reason: string|null}>}}
+ */
+export function checkExpectedFiles(assertions, files) {
+    const contents = files && typeof files === 'object' ? files : {}
+    const results = []
+    let firstFailure = null
+    for (const a of assertions || []) {
+        const content = Object.prototype.hasOwnProperty.call(contents, a.path) ? contents[a.path] : null
+        const why = checkOne(a, content)
+        const reason = why ? `File ${a.path} ${why}` : null
+        results.push({ path: a.path, check: a.check, ok: !why, reason })
+        if (why && !firstFailure) firstFailure = reason
+    }
+    return { ok: !firstFailure, reason: firstFailure, results }
+}
+
+export default {
+    FILE_CHECKS,
+    normalizeFilePath,
+    getExpectedFiles,
+    getExpectedFilePaths,
+    validateExpectedFiles,
+    describeFileAssertion,
+    parseCsv,
+    checkExpectedFiles
+}
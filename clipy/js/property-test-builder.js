@@ -0,0 +1,548 @@
+/**
+ * Property Test Builder Module
+ *
+ * Builder for property tests: input generators plus a reference solution,
+ * checked against the student's program or function on random cases.
+ */
+
+import { getPropertySpec, validatePropertySpec, generateExamples, PROPERTY_INPUT_TYPES } from './property-test.js'
+import { TEXT_MATCHER_LABELS } from './test-runner.js'
+import { createHiddenTestControls } from './hidden-tests.js'
+import { createFixtureControls } from './test-fixtures.js'
+import { normalizeSeed } from './test-seed.js'
+
+// Option fields shown for each generator type: [key, label, placeholder]
+const GENERATOR_FIELDS = {
+    int: [['min', 'min', '0'], ['max', 'max', '100']],
+    float: [['min', 'min', '0'], ['max', 'max', '100'], ['decimals', 'decimals', '2']],
+    bool: [],
+    choice: [['values', 'values', '"rock", "paper", "scissors"']],
+    str: [['pattern', 'pattern', '[a-z]{1,8}'], ['alphabet', 'or alphabet', 'abc...z'], ['minLength', 'min length', '0'], ['maxLength', 'max length', '10']],
+    list: [['minSize', 'min size', '0'], ['maxSize', 'max size', '10'], ['separator', 'stdin separator', 'space']]
+}
+const TEXT_FIELDS = ['pattern', 'alphabet', 'separator']
+
+const TYPE_LABELS = { int: 'Integer', float: 'Decimal', bool: 'Boolean', choice: 'One of', str: 'String', list: 'List' }
+
+// Parse the comma separated choice values as JSON where possible, so
+// numbers stay numbers and quoted strings may contain commas
+function parseChoiceValues(text) {
+    const t = String(text || '').trim()
+    if (!t) return []
+    try {
+        const parsed = JSON.parse('[' + t + ']')
+        if (Array.isArray(parsed)) return parsed
+    } catch (_e) { }
+    return t.split(',').map(v => v.trim()).filter(v => v !== '')
+}
+
+function formatChoiceValues(values) {
+    return (Array.isArray(values) ? values : []).map(v => JSON.stringify(v)).join(', ')
+}
+
+/**
+ * Editor for one generator. Lists nest an editor for their items.
+ * @param {Object} existing - generator spec
+ * @param {Object} options
+ * @param {boolean} [options.named=true] - show the name field
+ * @param {function} [options.onChange]
+ * @returns {{root: HTMLElement, get: function(): Object}}
+ */
+function buildGeneratorEditor(existing = {}, { named = true, onChange = () => { } } = {}) {
+    const root = document.createElement('div')
+    root.style.display = 'flex'
+    root.style.flexWrap = 'wrap'
+    root.style.gap = '6px'
+    root.style.alignItems = 'center'
+
+    const nameIn = document.createElement('input')
+    nameIn.type = 'text'
+    nameIn.style.width = '90px'
+    nameIn.style.fontFamily = 'monospace'
+    nameIn.placeholder = 'name'
+    nameIn.value = existing.name || ''
+
+    const typeSel = document.createElement('select')
+    for (const t of PROPERTY_INPUT_TYPES) {
+        const o = document.createElement('option')
+        o.value = t
+        o.textContent = TYPE_LABELS[t]
+        typeSel.appendChild(o)
+    }
+    typeSel.value = PROPERTY_INPUT_TYPES.includes(existing.type) ? existing.type : 'int'
+
+    const fieldsWrap = document.createElement('div')
+    fieldsWrap.style.display = 'contents'
+    let fieldInputs = {}
+    let itemsEditor = null
+    const itemsWrap = document.createElement('div')
+    itemsWrap.style.flexBasis = '100%'
+    itemsWrap.style.paddingLeft = '24px'
+    itemsWrap.style.display = 'flex'
+    itemsWrap.style.gap = '6px'
+    itemsWrap.style.alignItems = 'center'
+
+    function renderFields(source) {
+        while (fieldsWrap.firstChild) fieldsWrap.removeChild(fieldsWrap.firstChild)
+        while (itemsWrap.firstChild) itemsWrap.removeChild(itemsWrap.firstChild)
+        fieldInputs = {}
+        itemsEditor = null
+        for (const [key, label, placeholder] of GENERATOR_FIELDS[typeSel.value]) {
+            const lab = document.createElement('span')
+            lab.style.fontSize = '0.85em'
+            lab.style.color = '#666'
+            lab.textContent = label
+            const inp = document.createElement('input')
+            inp.type = 'text'
+            inp.style.width = key === 'values' || key === 'pattern' || key === 'alphabet' ? '160px' : '60px'
+            if (key === 'pattern' || key === 'values') inp.style.fontFamily = 'monospace'
+            inp.placeholder = placeholder
+            const v = source[key]
+            if (key === 'values') inp.value = formatChoiceValues(v)
+            else if (v !== undefined && v !== null) inp.value = String(v)
+            inp.addEventListener('input', onChange)
+            fieldInputs[key] = inp
+            fieldsWrap.appendChild(lab)
+            fieldsWrap.appendChild(inp)
+        }
+        if (typeSel.value === 'list') {
+            const lab = document.createElement('span')
+            lab.style.fontSize = '0.85em'
+            lab.style.color = '#666'
+            lab.textContent = 'items:'
+            itemsEditor = buildGeneratorEditor(source.items || { type: 'int' }, { named: false, onChange })
+            itemsWrap.appendChild(lab)
+            itemsWrap.appendChild(itemsEditor.root)
+        }
+        itemsWrap.style.display = itemsEditor ? 'flex' : 'none'
+    }
+    renderFields(existing)
+    typeSel.addEventListener('change', () => { renderFields({}); onChange() })
+    nameIn.addEventListener('input', onChange)
+
+    if (named) root.appendChild(nameIn)
+    root.appendChild(typeSel)
+    root.appendChild(fieldsWrap)
+    root.appendChild(itemsWrap)
+
+    return {
+        root,
+        get() {
+            const out = { type: typeSel.value }
+            if (named) out.name = nameIn.value.trim()
+            for (const [key, inp] of Object.entries(fieldInputs)) {
+                if (key === 'values') { out.values = parseChoiceValues(inp.value); continue }
+                if (TEXT_FIELDS.includes(key)) {
+                    if (inp.value !== '') out[key] = inp.value
+                    continue
+                }
+                if (inp.value.trim() !== '') out[key] = Number(inp.value)
+            }
+            if (itemsEditor) out.items = itemsEditor.get()
+            return out
+        }
+    }
+}
+
+/**
+ * Create property test form builder
+ * @param {Object} existing - Existing test configuration
+ * @returns {Object} Form builder with root element and get() function
+ */
+export function buildPropertyTestForm(existing = {}) {
+    const root = document.createElement('div')
+    root.style.border = '1px solid #e0e0e0'
+    root.style.padding = '8px'
+    root.style.borderRadius = '6px'
+    root.style.background = '#f8f5ff'  // Light purple background to distinguish from other tests
+
+    // Helper function for labeled form elements
+    function labeled(labelText, el, helpText) {
+        const wr = document.createElement('div')
+        wr.style.marginBottom = '8px'
+        const l = document.createElement('div')
+        l.style.fontSize = '0.9em'
+        l.style.marginBottom = '4px'
+        l.style.display = 'flex'
+        l.style.alignItems = 'center'
+        l.style.gap = '8px'
+        const txt = document.createElement('span')
+        txt.textContent = labelText
+        l.appendChild(txt)
+        if (helpText) {
+            const info = document.createElement('span')
+            info.className = 'info-icon'
+            info.setAttribute('tabindex', '0')
+            info.setAttribute('role', 'img')
+            info.setAttribute('aria-label', labelText + ' help')
+            const infoSymbol = document.createElement('span')
+            infoSymbol.className = 'info-symbol'
+            infoSymbol.textContent = 'ℹ'
+            info.appendChild(infoSymbol)
+            const tip = document.createElement('span')
+            tip.className = 'info-tooltip'
+            tip.textContent = helpText
+            info.appendChild(tip)
+            l.appendChild(info)
+        }
+        wr.appendChild(l)
+        wr.appendChild(el)
+        return wr
+    }
+
+    const prop = (existing.property && typeof existing.property === 'object') ? existing.property : {}
+    const fn = (existing.function && typeof existing.function === 'object') ? existing.function : {}
+
+    // Test ID
+    const idIn = document.createElement('input')
+    idIn.style.width = '100%'
+    idIn.value = existing.id || ''
+
+    // Test description
+    const desc = document.createElement('input')
+    desc.style.width = '100%'
+    desc.value = existing.description || existing.name || ''
+    desc.placeholder = 'What is being tested, descriptive language'
+
+    // What is compared: the whole program or one function
+    const modeSel = document.createElement('select')
+    modeSel.className = 'form-input'
+    for (const [value, text] of [['program', 'Whole program (inputs sent to stdin)'], ['function', 'Function (inputs passed as arguments)']]) {
+        const o = document.createElement('option')
+        o.value = value
+        o.textContent = text
+        modeSel.appendChild(o)
+    }
+    modeSel.value = fn.name ? 'function' : 'program'
+
+    // Function name and module
+    const nameIn = document.createElement('input')
+    nameIn.style.width = '100%'
+    nameIn.style.fontFamily = 'monospace'
+    nameIn.value = fn.name || ''
+    nameIn.placeholder = 'total'
+
+    const moduleIn = document.createElement('input')
+    moduleIn.style.width = '100%'
+    moduleIn.style.fontFamily = 'monospace'
+    moduleIn.value = fn.module || 'main'
+    moduleIn.placeholder = 'main'
+
+    // Reference solution (Python source)
+    const reference = document.createElement('textarea')
+    reference.style.width = '100%'
+    reference.style.fontFamily = 'monospace'
+    reference.rows = 6
+    reference.value = typeof prop.reference === 'string' ? prop.reference : ''
+
+    // Input generators: one row per input
+    const inputsWrap = document.createElement('div')
+    const inputsList = document.createElement('div')
+    inputsWrap.appendChild(inputsList)
+    const rows = []
+
+    function addInputRow(inp = { type: 'int' }) {
+        const row = document.createElement('div')
+        row.style.display = 'flex'
+        row.style.gap = '6px'
+        row.style.alignItems = 'flex-start'
+        row.style.marginBottom = '6px'
+        const editor = buildGeneratorEditor(inp, { onChange: updatePreview })
+        editor.root.style.flex = '1'
+        const removeBtn = document.createElement('button')
+        removeBtn.type = 'button'
+        removeBtn.className = 'btn'
+        removeBtn.textContent = '✕'
+        removeBtn.title = 'Remove input'
+        const entry = { get: editor.get }
+        removeBtn.addEventListener('click', () => {
+            const i = rows.indexOf(entry)
+            if (i !== -1) rows.splice(i, 1)
+            row.remove()
+            updatePreview()
+        })
+        row.appendChild(editor.root)
+        row.appendChild(removeBtn)
+        inputsList.appendChild(row)
+        rows.push(entry)
+    }
+
+    const addInputBtn = document.createElement('button')
+    addInputBtn.type = 'button'
+    addInputBtn.className = 'btn'
+    addInputBtn.textContent = 'Add input'
+    addInputBtn.addEventListener('click', () => { addInputRow({ name: 'arg' + (rows.length + 1), type: 'int' }); updatePreview() })
+    inputsWrap.appendChild(addInputBtn)
+
+    // Number of random cases
+    const cases = document.createElement('input')
+    cases.type = 'number'
+    cases.min = '1'
+    cases.step = '1'
+    cases.style.width = '120px'
+    cases.value = prop.cases ? String(prop.cases) : ''
+    cases.placeholder = 'default'
+
+    // Program tests: stdin template and output comparison
+    const stdinTemplate = document.createElement('textarea')
+    stdinTemplate.style.width = '100%'
+    stdinTemplate.style.fontFamily = 'monospace'
+    stdinTemplate.rows = 2
+    stdinTemplate.value = typeof prop.stdin === 'string' ? prop.stdin : ''
+    stdinTemplate.placeholder = 'Each input on its own line'
+
+    const matchSel = document.createElement('select')
+    matchSel.className = 'form-input'
+    for (const [value, text] of Object.entries(TEXT_MATCHER_LABELS)) {
+        const o = document.createElement('option')
+        o.value = value
+        o.textContent = text
+        matchSel.appendChild(o)
+    }
+    matchSel.value = prop.match && TEXT_MATCHER_LABELS[prop.match.type] ? prop.match.type : 'exact'
+
+    // Stdin for any input() calls made while importing the module
+    const stdin = document.createElement('textarea')
+    stdin.style.width = '100%'
+    stdin.rows = 2
+    stdin.value = existing.stdin || ''
+
+    // Validation message and sample cases
+    const preview = document.createElement('div')
+    preview.style.fontFamily = 'monospace'
+    preview.style.fontSize = '0.9em'
+    preview.style.color = '#555'
+    preview.style.marginBottom = '8px'
+    preview.style.whiteSpace = 'pre-wrap'
+
+    function currentTest() {
+        const test = {
+            type: 'property',
+            property: {
+                reference: reference.value,
+                inputs: rows.map(r => r.get())
+            }
+        }
+        if (cases.value !== '') test.property.cases = Number(cases.value)
+        if (modeSel.value === 'function') {
+            test.function = { name: nameIn.value.trim(), module: moduleIn.value.trim() || 'main' }
+        } else {
+            if (stdinTemplate.value.trim() !== '') test.property.stdin = stdinTemplate.value
+            if (matchSel.value !== 'exact') test.property.match = { ...(prop.match || {}), type: matchSel.value }
+        }
+        return test
+    }
+
+    function updatePreview() {
+        const spec = getPropertySpec(currentTest())
+        const v = validatePropertySpec(spec)
+        if (!v.ok) {
+            preview.style.color = '#b00020'
+            preview.textContent = v.reason
+            return
+        }
+        preview.style.color = '#555'
+        preview.textContent = 'Example cases:\n' + generateExamples(spec).join('\n')
+    }
+
+    const functionFields = document.createElement('div')
+    const programFields = document.createElement('div')
+    function updateMode() {
+        const isFunction = modeSel.value === 'function'
+        functionFields.style.display = isFunction ? '' : 'none'
+        programFields.style.display = isFunction ? 'none' : ''
+        reference.placeholder = isFunction ? 'def total(xs):\n    return sum(xs)' : 'n = int(input())\nprint(n * 2)'
+        updatePreview()
+    }
+    modeSel.addEventListener('change', updateMode)
+    for (const el of [nameIn, moduleIn, reference, cases, stdinTemplate]) el.addEventListener('input', updatePreview)
+
+    const initialInputs = Array.isArray(prop.inputs) ? prop.inputs : []
+    if (initialInputs.length) initialInputs.forEach(inp => addInputRow(inp))
+    else addInputRow({ name: 'n', type: 'int', min: 0, max: 100 })
+
+    // Failure message (what should be shown when test fails)
+    const failureMessage = document.createElement('textarea')
+    failureMessage.style.width = '100%'
+    failureMessage.rows = 2
+    failureMessage.value = existing.failureMessage || ''
+    failureMessage.placeholder = 'Message shown when test fails (optional)'
+
+    // Points (optional weight of this test in the score)
+    const points = document.createElement('input')
+    points.type = 'number'
+    points.min = '0'
+    points.step = 'any'
+    points.style.width = '120px'
+    points.value = (existing.points !== undefined && existing.points !== null) ? String(existing.points) : ''
+    points.placeholder = '1'
+
+    // Random seed (optional): fixes the generated cases as well as Python's random
+    const seed = document.createElement('input')
+    seed.type = 'number'
+    seed.min = '0'
+    seed.step = '1'
+    seed.style.width = '120px'
+    seed.value = normalizeSeed(existing.seed) !== null ? String(existing.seed) : ''
+    seed.placeholder = 'random'
+
+    // Timeout (optional)
+    const timeout = document.createElement('input')
+    timeout.type = 'number'
+    timeout.style.width = '120px'
+    timeout.value = typeof existing.timeoutMs === 'number' ? String(existing.timeoutMs) : ''
+    timeout.placeholder = '5000'
+
+    // Hide actual/expected results of the failing case
+    const hideActualExpected = document.createElement('input')
+    hideActualExpected.type = 'checkbox'
+    hideActualExpected.checked = !!existing.hide_actual_expected
+    const hideActualExpectedWrap = document.createElement('div')
+    hideActualExpectedWrap.style.display = 'flex'
+    hideActualExpectedWrap.style.alignItems = 'center'
+    hideActualExpectedWrap.style.gap = '8px'
+    hideActualExpectedWrap.appendChild(hideActualExpected)
+    const hideActualExpectedLabel = document.createElement('span')
+    hideActualExpectedLabel.textContent = 'Hide the reference solution\'s result (show only the failing input)'
+    hideActualExpectedWrap.appendChild(hideActualExpectedLabel)
+
+    // Add a header to distinguish this as a property test
+    const header = document.createElement('div')
+    header.style.background = '#efe8fc'
+    header.style.padding = '8px'
+    header.style.borderRadius = '4px'
+    header.style.marginBottom = '12px'
+    header.style.border = '1px solid #d3c4f0'
+    const headerStrong = document.createElement('strong')
+    headerStrong.textContent = '⚄ Property Test'
+    const headerBr = document.createElement('br')
+    const headerSpan = document.createElement('span')
+    headerSpan.style.fontSize = '0.9em'
+    headerSpan.style.color = '#666'
+    headerSpan.textContent = 'This test runs the student\'s code and a reference solution on random inputs and reports the smallest input where they differ.'
+    header.appendChild(headerStrong)
+    header.appendChild(headerBr)
+    header.appendChild(headerSpan)
+
+    functionFields.appendChild(labeled('Function name', nameIn, 'Name of the function to call, in both the student\'s code and the reference'))
+    functionFields.appendChild(labeled('Module', moduleIn, 'Module containing the function, without .py (default: main)'))
+    functionFields.appendChild(labeled('Stdin [optional]', stdin, 'Input for any input() calls made when the module is imported'))
+    programFields.appendChild(labeled('Stdin template [optional]', stdinTemplate, 'Stdin for each case, with {name} replaced by the input\'s value. Lists are joined by their separator'))
+    programFields.appendChild(labeled('Compare output', matchSel, 'How the student\'s output is compared with the reference solution\'s output'))
+
+    // Build the form
+    root.appendChild(header)
+    root.appendChild(labeled('ID [optional]', idIn, 'Optional stable identifier for this test'))
+    root.appendChild(labeled('Description', desc, 'Short description of what this test checks'))
+    root.appendChild(labeled('Test', modeSel))
+    root.appendChild(functionFields)
+    root.appendChild(labeled('Reference solution', reference, 'Correct Python code. For function tests it must define the function'))
+    root.appendChild(labeled('Inputs', inputsWrap, 'Generators for each input. Patterns support literals, [a-z] classes, \\d \\w \\s, (a|b) and the quantifiers ? * + {n,m}. Choice values are comma separated JSON, e.g. "a", 2'))
+    root.appendChild(programFields)
+    root.appendChild(labeled('Random cases [optional]', cases, 'Number of cases to generate (default: 100 for functions, 20 for programs)'))
+    root.appendChild(preview)
+    root.appendChild(labeled('Failure Message [optional]', failureMessage, 'Message displayed when a case does not match the reference solution'))
+    root.appendChild(labeled('Timeout (ms) [optional]', timeout, 'For function tests this covers all cases in one run'))
+    root.appendChild(labeled('Points [optional]', points, 'Weight of this test in the score (default: 1)'))
+    root.appendChild(labeled('Random seed [optional]', seed, 'Fixes the generated cases and seeds the random module (default: the suite\'s default seed, else different cases every run)'))
+    root.appendChild(labeled('Display options', hideActualExpectedWrap))
+    const fixtureControls = createFixtureControls(existing)
+    root.appendChild(labeled('Workspace fixtures [optional]', fixtureControls.root, 'Files to create, replace or delete, and files the program cannot change, applied to a copy of the workspace for this test'))
+    const hiddenControls = createHiddenTestControls(existing)
+    root.appendChild(labeled('Visibility', hiddenControls.root, 'Hidden tests still run and count toward the score and verification'))
+    updateMode()
+
+    // Conditional execution controls (same semantics as regular tests)
+    const conditionalWrap = document.createElement('div')
+
+    const runIfSelect = document.createElement('select')
+    runIfSelect.className = 'form-input'
+    runIfSelect.style.marginBottom = '8px'
+
+    const runIfOptions = [
+        { value: 'previous_passed', text: 'Only run if previous test passed (default)' },
+        { value: 'always', text: 'Always run this test' }
+    ]
+    runIfOptions.forEach(opt => {
+        const option = document.createElement('option')
+        option.value = opt.value
+        option.textContent = opt.text
+        runIfSelect.appendChild(option)
+    })
+
+    conditionalWrap.appendChild(runIfSelect)
+
+    if (existing?.conditional) {
+        runIfSelect.value = existing.conditional.runIf || 'previous_passed'
+    } else {
+        runIfSelect.value = 'previous_passed'
+    }
+
+    root.appendChild(labeled('Run Conditions', conditionalWrap, 'Control when this test is executed'))
+
+    // Group assignment control (populated by caller modal using #group-selector)
+    const groupSelectWrap = document.createElement('div')
+    const groupSelect = document.createElement('select')
+    groupSelect.className = 'form-input'
+    groupSelect.id = 'group-selector'
+    groupSelectWrap.appendChild(groupSelect)
+    root.appendChild(labeled('Assign to Group', groupSelectWrap, 'Assign this test to a test group or leave ungrouped'))
+
+    return {
+        root,
+        get() {
+            const test = currentTest()
+
+            if (idIn.value.trim()) test.id = idIn.value.trim()
+            test.description = desc.value.trim() || (test.function
+                ? `${test.function.name}() matches the reference solution on random inputs`
+                : 'Program matches the reference solution on random inputs')
+            if (test.function && stdin.value && stdin.value.trim() !== '') test.stdin = stdin.value
+            if (failureMessage.value.trim()) test.failureMessage = failureMessage.value.trim()
+            if (timeout.value) test.timeoutMs = Number(timeout.value)
+            if (points.value !== '') test.points = Number(points.value)
+            if (normalizeSeed(seed.value) !== null) test.seed = normalizeSeed(seed.value)
+            if (hideActualExpected.checked) test.hide_actual_expected = true
+            fixtureControls.apply(test)
+            hiddenControls.apply(test)
+
+            test.conditional = {
+                runIf: runIfSelect.value,
+                alwaysRun: false
+            }
+
+            // Group selector value will be consumed by the authoring UI
+            test._selectedGroupId = groupSelect.value
+
+            return test
+        }
+    }
+}
+
+/**
+ * Create default property test configuration
+ */
+export function createDefaultPropertyTest() {
+    return {
+        type: 'property',
+        id: genId(),
+        description: '',
+        property: {
+            reference: '',
+            inputs: [{ name: 'n', type: 'int', min: 0, max: 100 }]
+        },
+        failureMessage: ''
+    }
+}
+
+/**
+ * Generate a unique ID for property tests
+ */
+function genId() {
+    return 'prop-test-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 7)
+}
+
+export default {
+    buildPropertyTestForm,
+    createDefaultPropertyTest
+}
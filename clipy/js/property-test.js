@@ -0,0 +1,786 @@
+/*
+ * Property-based (randomized input) tests for Clipy
+ *
+ * Instead of fixed cases, a property test declares how to generate inputs and
+ * a reference solution. The runner generates random cases, runs the
+ * student's code and the reference on each one and compares the results.
+ * When a case disagrees it is shrunk to the smallest failing input it can
+ * find, which is what gets reported. Test shape:
+ *
+ *  {
+ *    id, description, type: 'property',
+ *    function: { name: 'total', module: 'main' },   // omit for program tests
+ *    property: {
+ *      reference: 'def total(xs):\n    return sum(xs)\n',
+ *      inputs: [
+ *        { name: 'xs', type: 'list', minSize: 0, maxSize: 8, items: { type: 'int', min: -50, max: 50 } }
+ *      ],
+ *      cases: 50,
+ *      stdin: '{xs}',                  // program tests: stdin template
+ *      match: { type: 'exact' }        // program tests: how outputs are compared
+ *    },
+ *    seed, timeoutMs, failureMessage, conditional
+ *  }
+ *
+ * Input types: int { min, max }, float { min, max, decimals }, bool,
+ * choice { values }, str { pattern } or str { alphabet, minLength, maxLength },
+ * and list { items, minSize, maxSize }. `pattern` is a small regex subset:
+ * literals, `.`, classes like [a-z0-9_], \d \w \s, groups with `|`, and the
+ * quantifiers ? * + {n} {n,m}.
+ *
+ * Function tests call the function with the generated values as arguments
+ * and compare the returned values (or the exception types raised). Every
+ * case of a batch runs in one harness so only one runtime start is needed.
+ * Program tests run the student's program and the reference program once per
+ * case with the inputs written to stdin (each input on its own line unless
+ * `stdin` is given) and compare stdout using the output matchers.
+ *
+ * Generation draws a sequence of bounded integer choices from a seeded PRNG.
+ * Shrinking edits that choice sequence (deleting chunks, lowering values)
+ * and regenerates, so every shrunk input still satisfies the generators.
+ * Lower choices map to smaller values: ints move toward 0, lists and strings
+ * get shorter, pattern characters move to the first in their class.
+ */
+
+import { FUNCTION_RESULT_SENTINEL, PYTHON_VALUE_ENCODER, extractFunctionResult, pyValuesEqual, validateFunctionSpec } from './function-test.js'
+import { matchExpectation } from './test-runner.js'
+import { normalizeSeed } from './test-seed.js'
+
+export const PROPERTY_INPUT_TYPES = ['int', 'float', 'bool', 'choice', 'str', 'list']
+
+const PROPERTY_LIMITS = { maxCases: 500, maxListSize: 1000, maxStringLength: 1000 }
+const PROPERTY_DEFAULTS = { functionCases: 100, programCases: 20 }
+
+// Shrinking budgets: harness runs for function tests (each tries a batch of
+// candidates), candidate programs for program tests (two runs each).
+const SHRINK_ROUNDS = 20
+const SHRINK_BATCH_SIZE = 50
+const SHRINK_PROGRAM_CANDIDATES = 40
+
+// Unbounded pattern quantifiers (*, +, {n,}) repeat at most this many extra times
+const PATTERN_UNBOUNDED_EXTRA = 8
+const PRINTABLE = Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i))
+const DIGITS = '0123456789'.split('')
+const WORD = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789_'.split('')
+const IDENTIFIER_RE = /^[A-Za-z_][A-Za-z0-9_]*$/
+
+/**
+ * Return the normalized property spec of a test, or null when the test is not
+ * a property test.
+ * @param {Object} test
+ * @returns {{mode: string, function: Object|null, reference: string, inputs: Array, cases: number, stdin: string, match: Object}|null}
+ */
+export function getPropertySpec(test) {
+    if (!test || test.type !== 'property') return null
+    const p = (test.property && typeof test.property === 'object') ? test.property : {}
+    const fn = (test.function && typeof test.function === 'object') ? test.function : null
+    const isFunction = !!(fn && String(fn.name || '').trim())
+    const inputs = (Array.isArray(p.inputs) ? p.inputs : []).map((inp, i) => normalizeInput(inp, 'arg' + (i + 1)))
+    const dflt = isFunction ? PROPERTY_DEFAULTS.functionCases : PROPERTY_DEFAULTS.programCases
+    const n = Number(p.cases)
+    return {
+        mode: isFunction ? 'function' : 'program',
+        function: isFunction ? {
+            name: String(fn.name).trim(),
+            module: String(fn.module || 'main').trim().replace(/\.py$/, '').replace(/^\//, '').replace(/\//g, '.')
+        } : null,
+        reference: typeof p.reference === 'string' ? p.reference : '',
+        inputs,
+        cases: Number.isInteger(n) && n > 0 ? Math.min(n, PROPERTY_LIMITS.maxCases) : dflt,
+        stdin: typeof p.stdin === 'string' ? p.stdin : '',
+        match: (p.match && typeof p.match === 'object' && p.match.type) ? { ...p.match } : { type: 'exact' }
+    }
+}
+
+function normalizeInput(inp, fallbackName) {
+    const src = (inp && typeof inp === 'object') ? inp : {}
+    const type = PROPERTY_INPUT_TYPES.includes(src.type) ? src.type : (src.type ? String(src.type) : 'int')
+    const num = (v, d) => (v === undefined || v === null || v === '' || !Number.isFinite(Number(v))) ? d : Number(v)
+    const out = { name: String(src.name || '').trim() || fallbackName, type }
+    if (type === 'int') {
+        out.min = num(src.min, 0)
+        out.max = num(src.max, 100)
+    } else if (type === 'float') {
+        out.min = num(src.min, 0)
+        out.max = num(src.max, 100)
+        out.decimals = Math.max(0, Math.min(6, Math.round(num(src.decimals, 2))))
+    } else if (type === 'choice') {
+        out.values = Array.isArray(src.values) ? src.values.slice() : []
+    } else if (type === 'str') {
+        if (typeof src.pattern === 'string' && src.pattern !== '') out.pattern = src.pattern
+        out.alphabet = typeof src.alphabet === 'string' && src.alphabet !== '' ? src.alphabet : 'abcdefghijklmnopqrstuvwxyz'
+        out.minLength = num(src.minLength, 0)
+        out.maxLength = num(src.maxLength, 10)
+    } else if (type === 'list') {
+        out.minSize = num(src.minSize, 0)
+        out.maxSize = num(src.maxSize, 10)
+        out.items = normalizeInput(src.items, 'item')
+        out.separator = typeof src.separator === 'string' ? src.separator : ' '
+    }
+    return out
+}
+
+function validateInput(inp, where) {
+    if (!PROPERTY_INPUT_TYPES.includes(inp.type)) return `${where}: unknown type "${inp.type}"`
+    if (inp.type === 'int' || inp.type === 'float') {
+        if (!Number.isSafeInteger(Math.round(inp.min * 10 ** (inp.decimals || 0))) || !Number.isSafeInteger(Math.round(inp.max * 10 ** (inp.decimals || 0)))) return `${where}: min and max are too large`
+        if (inp.type === 'int' && (!Number.isInteger(inp.min) || !Number.isInteger(inp.max))) return `${where}: min and max must be whole numbers`
+        if (inp.min > inp.max) return `${where}: min must not be greater than max`
+    }
+    if (inp.type === 'choice' && !inp.values.length) return `${where}: list at least one value to choose from`
+    if (inp.type === 'str') {
+        if (inp.pattern !== undefined) {
+            try { parsePattern(inp.pattern) } catch (e) { return `${where}: ${e.message}` }
+        } else if (!Number.isInteger(inp.minLength) || !Number.isInteger(inp.maxLength) || inp.minLength < 0 || inp.minLength > inp.maxLength || inp.maxLength > PROPERTY_LIMITS.maxStringLength) {
+            return `${where}: string lengths must be whole numbers with 0 <= minLength <= maxLength <= ${PROPERTY_LIMITS.maxStringLength}`
+        }
+    }
+    if (inp.type === 'list') {
+        if (!Number.isInteger(inp.minSize) || !Number.isInteger(inp.maxSize) || inp.minSize < 0 || inp.minSize > inp.maxSize || inp.maxSize > PROPERTY_LIMITS.maxListSize) {
+            return `${where}: list sizes must be whole numbers with 0 <= minSize <= maxSize <= ${PROPERTY_LIMITS.maxListSize}`
+        }
+        return validateInput(inp.items, `${where} items`)
+    }
+    return null
+}
+
+/**
+ * Validate a property spec. Returns { ok, reason }.
+ */
+export function validatePropertySpec(spec) {
+    if (!spec) return { ok: false, reason: 'Missing property test details' }
+    if (spec.mode === 'function') {
+        const v = validateFunctionSpec({ ...spec.function, args: '', expected: 'None' })
+        if (!v.ok) return v
+    }
+    if (!spec.reference.trim()) return { ok: false, reason: 'A reference solution is required' }
+    if (!spec.inputs.length) return { ok: false, reason: 'Add at least one input generator' }
+    const names = new Set()
+    for (let i = 0; i < spec.inputs.length; i++) {
+        const inp = spec.inputs[i]
+        if (!IDENTIFIER_RE.test(inp.name)) return { ok: false, reason: `Input ${i + 1}: name must be a valid identifier` }
+        if (names.has(inp.name)) return { ok: false, reason: `Input ${i + 1}: name "${inp.name}" is used twice` }
+        names.add(inp.name)
+        const err = validateInput(inp, `Input ${inp.name}`)
+        if (err) return { ok: false, reason: err }
+    }
+    if (spec.mode === 'program' && spec.stdin) {
+        const unknown = (spec.stdin.match(/\{([A-Za-z_][A-Za-z0-9_]*)\}/g) || []).map(m => m.slice(1, -1)).find(n => !names.has(n))
+        if (unknown) return { ok: false, reason: `Stdin template uses {${unknown}}, which is not an input` }
+    }
+    return { ok: true, reason: null }
+}
+
+// --- Regex subset used for string patterns ---
+
+function parsePattern(src) {
+    let i = 0
+    const peek = () => src[i]
+    const fail = (msg) => { throw new Error(`pattern ${msg} at position ${i + 1}`) }
+
+    function range(a, b) {
+        const lo = a.charCodeAt(0), hi = b.charCodeAt(0)
+        if (lo > hi) fail(`has a backwards range ${a}-${b}`)
+        return Array.from({ length: hi - lo + 1 }, (_, k) => String.fromCharCode(lo + k))
+    }
+
+    function escape() {
+        const c = src[i++]
+        if (c === undefined) fail('ends with \\')
+        if (c === 'd') return DIGITS
+        if (c === 'w') return WORD
+        if (c === 's') return [' ']
+        if (c === 'n') return ['\n']
+        if (c === 't') return ['\t']
+        return [c]
+    }
+
+    function charClass() {
+        if (peek() === '^') fail('uses a negated class, which is not supported')
+        const set = []
+        while (i < src.length && peek() !== ']') {
+            let c = src[i++]
+            if (c === '\\') { set.push(...escape()); continue }
+            if (peek() === '-' && src[i + 1] !== undefined && src[i + 1] !== ']') {
+                i++
+                let end = src[i++]
+                if (end === '\\') end = escape()[0]
+                set.push(...range(c, end))
+            } else {
+                set.push(c)
+            }
+        }
+        if (peek() !== ']') fail('has an unclosed [')
+        i++
+        if (!set.length) fail('has an empty class')
+        return { type: 'chars', set: [...new Set(set)] }
+    }
+
+    function atom() {
+        const c = src[i++]
+        if (c === '(') {
+            if (src.startsWith('?:', i)) i += 2
+            const node = alternation()
+            if (peek() !== ')') fail('has an unclosed (')
+            i++
+            return node
+        }
+        if (c === '[') return charClass()
+        if (c === '\\') return { type: 'chars', set: escape() }
+        if (c === '.') return { type: 'chars', set: PRINTABLE }
+        if ('*+?{'.includes(c)) fail(`has a quantifier ${c} with nothing to repeat`)
+        return { type: 'chars', set: [c] }
+    }
+
+    function quantified() {
+        const node = atom()
+        const c = peek()
+        let min = null, max = null
+        if (c === '?') { min = 0; max = 1 }
+        else if (c === '*') { min = 0; max = PATTERN_UNBOUNDED_EXTRA }
+        else if (c === '+') { min = 1; max = 1 + PATTERN_UNBOUNDED_EXTRA }
+        else if (c === '{') {
+            const m = /^\{(\d+)(,(\d*))?\}/.exec(src.slice(i))
+            if (!m) fail('has a malformed {n,m} quantifier')
+            min = Number(m[1])
+            max = m[2] === undefined ? min : (m[3] === '' ? min + PATTERN_UNBOUNDED_EXTRA : Number(m[3]))
+            if (min > max) fail('has a {n,m} quantifier with n > m')
+            if (max > PROPERTY_LIMITS.maxStringLength) fail('repeats too many times')
+            i += m[0].length - 1
+        }
+        if (min === null) return node
+        i++
+        return { type: 'repeat', node, min, max }
+    }
+
+    function sequence() {
+        const items = []
+        while (i < src.length && peek() !== '|' && peek() !== ')') {
+            // Anchors are implied: the whole generated string matches
+            if ((peek() === '^' && i === 0) || (peek() === '$' && i === src.length - 1)) { i++; continue }
+            items.push(quantified())
+        }
+        return { type: 'seq', items }
+    }
+
+    function alternation() {
+        const options = [sequence()]
+        while (peek() === '|') { i++; options.push(sequence()) }
+        return options.length === 1 ? options[0] : { type: 'alt', options }
+    }
+
+    const tree = alternation()
+    if (i < src.length) fail('has an unmatched )')
+    return tree
+}
+
+function generateFromPattern(node, draw) {
+    if (node.type === 'chars') return node.set[draw(node.set.length - 1)]
+    if (node.type === 'seq') return node.items.map(n => generateFromPattern(n, draw)).join('')
+    if (node.type === 'alt') return generateFromPattern(node.options[draw(node.options.length - 1)], draw)
+    const count = node.min + draw(node.max - node.min)
+    let s = ''
+    for (let k = 0; k < count; k++) s += generateFromPattern(node.node, draw)
+    return s
+}
+
+// --- Choice sequences ---
+
+// mulberry32: small seeded PRNG so generated cases are reproducible
+function createRng(seed) {
+    let a = seed >>> 0
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0
+        let t = a
+        t = Math.imul(t ^ (t >>> 15), t | 1)
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+}
+
+// A source of choices: random when `rng` is given, otherwise replaying
+// `prefix` (missing or out of range choices become the smallest allowed).
+// Choices with a single option are not recorded.
+function createChoiceSource({ rng = null, prefix = null } = {}) {
+    const used = []
+    function draw(max) {
+        if (max <= 0) return 0
+        let c
+        if (rng) c = Math.floor(rng() * (max + 1))
+        else c = used.length < prefix.length ? Math.min(prefix[used.length], max) : 0
+        used.push(c)
+        return c
+    }
+    return { draw, used }
+}
+
+// The c-th integer in [min, max] ordered by distance from the value closest
+// to 0, so choice 0 is the "simplest" number and larger choices move away.
+function nthFromTarget(c, min, max) {
+    const target = Math.min(Math.max(0, min), max)
+    const up = max - target
+    const down = target - min
+    const paired = 2 * Math.min(up, down)
+    if (c <= paired) {
+        const k = Math.ceil(c / 2)
+        return c % 2 === 1 ? target + k : target - k
+    }
+    const rest = c - paired
+    return up > down ? target + down + rest : target - up - rest
+}
+
+function generateValue(inp, draw) {
+    switch (inp.type) {
+        case 'int':
+            return nthFromTarget(draw(inp.max - inp.min), inp.min, inp.max)
+        case 'float': {
+            const scale = 10 ** inp.decimals
+            const lo = Math.round(inp.min * scale)
+            const hi = Math.round(inp.max * scale)
+            return nthFromTarget(draw(hi - lo), lo, hi) / scale
+        }
+        case 'bool':
+            return draw(1) === 1
+        case 'choice':
+            return inp.values[draw(inp.values.length - 1)]
+        case 'str': {
+            if (inp.pattern !== undefined) return generateFromPattern(parsePattern(inp.pattern), draw)
+            const len = inp.minLength + draw(inp.maxLength - inp.minLength)
+            let s = ''
+            for (let k = 0; k < len; k++) s += inp.alphabet[draw(inp.alphabet.length - 1)]
+            return s
+        }
+        case 'list': {
+            const size = inp.minSize + draw(inp.maxSize - inp.minSize)
+            const out = []
+            for (let k = 0; k < size; k++) out.push(generateValue(inp.items, draw))
+            return out
+        }
+    }
+    return null
+}
+
+// Generate one case's values from a choice source
+function generateCase(spec, source) {
+    return spec.inputs.map(inp => generateValue(inp, source.draw))
+}
+
+function replayCase(spec, choices) {
+    const source = createChoiceSource({ prefix: choices })
+    const values = generateCase(spec, source)
+    return { values, choices: source.used }
+}
+
+// Shortlex order on choice sequences: shorter first, then smaller choices
+function choicesLess(a, b) {
+    if (a.length !== b.length) return a.length < b.length
+    for (let k = 0; k < a.length; k++) {
+        if (a[k] !== b[k]) return a[k] < b[k]
+    }
+    return false
+}
+
+// Candidate edits of a choice sequence, roughly most-shrinking first:
+// delete chunks, then zero, halve and decrement single choices. A deletion
+// is also tried with the nearest earlier non-zero choice decremented, which
+// removes a list element together with its size choice. Decrementing by 2
+// keeps an int on the same side of 0 (see nthFromTarget).
+function shrinkCandidates(choices) {
+    const out = []
+    for (const size of [8, 4, 2, 1]) {
+        for (let k = 0; k + size <= choices.length; k++) {
+            const rest = choices.slice(0, k).concat(choices.slice(k + size))
+            let j = k - 1
+            while (j >= 0 && choices[j] === 0) j--
+            if (j >= 0) {
+                const paired = rest.slice()
+                paired[j] -= 1
+                out.push(paired)
+            }
+            out.push(rest)
+        }
+    }
+    for (let k = 0; k < choices.length; k++) {
+        const c = choices[k]
+        for (const v of new Set([0, Math.floor(c / 2), c - 1, c - 2])) {
+            if (v >= 0 && v < c) {
+                const next = choices.slice()
+                next[k] = v
+                out.push(next)
+            }
+        }
+    }
+    return out
+}
+
+// --- Rendering values ---
+
+/**
+ * Python literal for a string, using repr-style quoting.
+ */
+export function pyStringLiteral(s) {
+    const str = String(s)
+    const quote = str.includes("'") && !str.includes('"') ? '"' : "'"
+    const body = str.replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\t/g, '\\t')
+        .replace(new RegExp(quote, 'g'), '\\' + quote)
+    return quote + body + quote
+}
+
+function pyLiteral(inp, v) {
+    if (inp.type === 'float') return Number.isInteger(v) ? v.toFixed(1) : String(v)
+    if (inp.type === 'list') return '[' + v.map(x => pyLiteral(inp.items, x)).join(', ') + ']'
+    return jsonToPy(v)
+}
+
+// Choice values come straight from the config's JSON
+function jsonToPy(v) {
+    if (v === null || v === undefined) return 'None'
+    if (v === true) return 'True'
+    if (v === false) return 'False'
+    if (typeof v === 'number') return String(v)
+    if (typeof v === 'string') return pyStringLiteral(v)
+    if (Array.isArray(v)) return '[' + v.map(jsonToPy).join(', ') + ']'
+    return pyStringLiteral(JSON.stringify(v))
+}
+
+// Text written to stdin for a value: strings as-is, lists joined by the
+// input's separator, everything else as Python would print it
+function stdinText(inp, v) {
+    if (inp.type === 'list') return v.map(x => stdinText(inp.items, x)).join(inp.separator)
+    if (typeof v === 'string') return v
+    if (inp.type === 'float') return pyLiteral(inp, v)
+    if (typeof v === 'boolean' || v === null || v === undefined) return jsonToPy(v)
+    return String(v)
+}
+
+/**
+ * The stdin for a program test case: the template with {name} placeholders
+ * filled in, or each input on its own line.
+ * @param {Object} spec - from getPropertySpec
+ * @param {Array} values - one value per input
+ * @returns {string}
+ */
+export function buildCaseStdin(spec, values) {
+    const byName = {}
+    spec.inputs.forEach((inp, k) => { byName[inp.name] = stdinText(inp, values[k]) })
+    if (!spec.stdin) return spec.inputs.map(inp => byName[inp.name]).join('\n')
+    return spec.stdin.replace(/\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (m, name) => Object.prototype.hasOwnProperty.call(byName, name) ? byName[name] : m)
+}
+
+/**
+ * Human-readable description of a case, e.g. `total([3, -1])` for function
+ * tests or `a = 3, b = 'x'` for program tests.
+ */
+export function describeCase(spec, values) {
+    const args = spec.inputs.map((inp, k) => pyLiteral(inp, values[k]))
+    if (spec.mode === 'function') return `${spec.function.name}(${args.join(', ')})`
+    return spec.inputs.map((inp, k) => `${inp.name} = ${args[k]}`).join(', ')
+}
+
+/**
+ * A few generated cases described for display, starting with the simplest.
+ * Used by the authoring form to preview what the generators produce.
+ * @param {Object} spec - a valid spec from getPropertySpec
+ * @param {number} [count=3]
+ * @param {number} [seed=1]
+ * @returns {string[]}
+ */
+export function generateExamples(spec, count = 3, seed = 1) {
+    const rng = createRng(seed)
+    const out = [describeCase(spec, replayCase(spec, []).values)]
+    while (out.length < count) out.push(describeCase(spec, generateCase(spec, createChoiceSource({ rng }))))
+    return out
+}
+
+// --- Function tests ---
+
+/**
+ * Build the Python harness for a batch of function test cases. Imports the
+ * student's module once, then calls both the student's function and the
+ * reference for every case with freshly built arguments (so mutation by one
+ * cannot leak into the other). Prints a single sentinel line like the
+ * function test harness.
+ * @param {Object} spec - from getPropertySpec, mode 'function'
+ * @param {Array<Array>} cases - argument values per case
+ * @returns {string} Python source
+ */
+export function buildPropertyHarness(spec, cases) {
+    const name = spec.function.name
+    return [
+        'import json as __clipy_json',
+        '',
+        ...PYTHON_VALUE_ENCODER,
+        '',
+        'def __clipy_call(f, make):',
+        '    try:',
+        '        v = f(*make())',
+        "        return {'value': __clipy_enc(v), 'repr': repr(v)}",
+        '    except Exception as e:',
+        "        return {'error': type(e).__name__, 'message': str(e)}",
+        '',
+        "__clipy_ref = {'__name__': '__clipy_reference__'}",
+        '__clipy_ref_error = None',
+        'try:',
+        `    exec(${pyStringLiteral(spec.reference)}, __clipy_ref)`,
+        `    if '${name}' not in __clipy_ref:`,
+        `        __clipy_ref_error = 'it does not define ${name}()'`,
+        'except Exception as e:',
+        "    __clipy_ref_error = type(e).__name__ + ': ' + str(e)",
+        'if __clipy_ref_error:',
+        `    print('\\n${FUNCTION_RESULT_SENTINEL}' + __clipy_json.dumps({'referenceError': __clipy_ref_error}))`,
+        '    raise SystemExit',
+        `__clipy_ref_fn = __clipy_ref['${name}']`,
+        '',
+        `import ${spec.function.module} as __clipy_mod`,
+        `__clipy_fn = __clipy_mod.${name}`,
+        '__clipy_cases = [',
+        ...cases.map(values => `    lambda: (${spec.inputs.map((inp, k) => pyLiteral(inp, values[k])).join(', ')}${spec.inputs.length === 1 ? ',' : ''}),`),
+        ']',
+        '__clipy_out = [[__clipy_call(__clipy_fn, m), __clipy_call(__clipy_ref_fn, m)] for m in __clipy_cases]',
+        `print('\\n${FUNCTION_RESULT_SENTINEL}' + __clipy_json.dumps({'cases': __clipy_out}))`,
+        ''
+    ].join('\n')
+}
+
+function outcomesAgree(student, reference) {
+    if (student.error || reference.error) return !!student.error && student.error === reference.error
+    return pyValuesEqual(student.value, reference.value)
+}
+
+function describeOutcome(o) {
+    return o.error ? `raised ${o.error}${o.message ? ': ' + o.message : ''}` : `returned ${o.repr}`
+}
+
+// --- Running ---
+
+class PropertyRunError extends Error {
+    constructor(message, result = {}) {
+        super(message)
+        this.name = 'PropertyRunError'
+        this.result = result
+    }
+}
+
+function isTimeout(test, runResult, duration) {
+    return (runResult && runResult.reason === 'timeout') || (typeof test.timeoutMs === 'number' && duration > test.timeoutMs)
+}
+
+async function timedRun(runFn, test) {
+    const start = Date.now()
+    const r = (await runFn(test)) || {}
+    const duration = typeof r.durationMs === 'number' ? r.durationMs : (Date.now() - start)
+    return { stdout: String(r.stdout || ''), stderr: String(r.stderr || ''), durationMs: duration, timedOut: isTimeout(test, r, duration) }
+}
+
+// The test as the runtimes see it: a plain program or function test with
+// the generated stdin / harness and no property details
+function baseTest(test) {
+    const base = { ...test }
+    delete base.property
+    delete base.type
+    delete base.function
+    delete base.expected_stdout
+    delete base.expected_stderr
+    delete base.expected_files
+    return base
+}
+
+function createFunctionChecker(test, spec, runFn) {
+    // Runs one harness per batch; returns a verdict per case
+    return async function checkBatch(cases) {
+        const harnessTest = { ...baseTest(test), type: 'function', function: { name: spec.function.name, module: spec.function.module, harness: buildPropertyHarness(spec, cases) } }
+        const r = await timedRun(runFn, harnessTest)
+        if (r.timedOut) throw new PropertyRunError('timeout', { ...r, reason: 'timeout' })
+        const extracted = extractFunctionResult(r.stdout)
+        const payload = extracted.result
+        r.stdout = extracted.stdout
+        if (payload && payload.referenceError) {
+            throw new PropertyRunError(`The reference solution could not be loaded: ${payload.referenceError}`, r)
+        }
+        if (!payload || !Array.isArray(payload.cases)) {
+            throw new PropertyRunError(r.stderr
+                ? `Calling ${spec.function.name} raised an error`
+                : `Could not call ${spec.function.name} - check the function is defined`, r)
+        }
+        return payload.cases.map(([student, reference]) => ({
+            failed: !outcomesAgree(student, reference),
+            student,
+            reference,
+            run: r
+        }))
+    }
+}
+
+function createProgramChecker(test, spec, runFn) {
+    const referenceCache = new Map()
+    const matcher = { ...spec.match }
+
+    async function runReference(stdin) {
+        if (!referenceCache.has(stdin)) {
+            referenceCache.set(stdin, await timedRun(runFn, { ...baseTest(test), stdin, main: spec.reference }))
+        }
+        return referenceCache.get(stdin)
+    }
+
+    // Runs each case in turn; stops at the first failure because every case
+    // costs two program runs
+    return async function checkBatch(cases) {
+        const verdicts = []
+        for (const values of cases) {
+            const stdin = buildCaseStdin(spec, values)
+            const reference = await runReference(stdin)
+            if (reference.timedOut || reference.stderr.trim()) {
+                const lastLine = reference.timedOut ? 'timed out' : reference.stderr.trim().split('\n').pop()
+                throw new PropertyRunError(`The reference solution failed for input ${describeCase(spec, values)}: ${lastLine}`, reference)
+            }
+            const student = await timedRun(runFn, { ...baseTest(test), stdin })
+            let failed = false
+            let problem = null
+            if (student.timedOut) { failed = true; problem = 'timeout' }
+            else if (student.stderr.trim()) { failed = true; problem = 'error' }
+            else if (!matchExpectation(student.stdout, { ...matcher, expression: reference.stdout }).matched) { failed = true; problem = 'mismatch' }
+            verdicts.push({ failed, problem, student, reference, stdin })
+            if (failed) break
+        }
+        return verdicts
+    }
+}
+
+function failureReason(test, spec, failure) {
+    const input = describeCase(spec, failure.values)
+    if (spec.mode === 'function') {
+        const { student, reference } = failure.verdict
+        if (test.hide_actual_expected) return `${input} does not behave like the reference solution`
+        return `${input} ${describeOutcome(student)} but the reference solution ${describeOutcome(reference)}`
+    }
+    const problem = failure.verdict.problem
+    if (problem === 'timeout') return `Your program timed out for input ${input}`
+    if (problem === 'error') return `Your program produced an error for input ${input}`
+    return `Your program's output differs from the reference solution for input ${input}`
+}
+
+/**
+ * Run a property test: generate cases, compare against the reference and
+ * shrink the first failure. Returns the fields runTests copies onto the
+ * test's result.
+ * The generator is seeded with the test's seed (random when unset); the
+ * seed used is reported in details so a failure can be reproduced.
+ * @param {Object} test - test with type 'property'
+ * @param {function} runFn - the runner's runFn
+ * @returns {Promise<{passed: boolean, reason: string|null, stdout: string, stderr: string, durationMs: number, expected_stdout?: string, details: Object}>}
+ */
+export async function runPropertyTest(test, runFn) {
+    const spec = getPropertySpec(test)
+    const v = validatePropertySpec(spec)
+    const started = Date.now()
+    if (!v.ok) return { passed: false, reason: v.reason, stdout: '', stderr: '', durationMs: 0, details: { property: { error: v.reason } } }
+
+    const seed = normalizeSeed(test.seed) ?? Math.floor(Math.random() * 2 ** 31)
+    const rng = createRng(seed)
+    const check = spec.mode === 'function' ? createFunctionChecker(test, spec, runFn) : createProgramChecker(test, spec, runFn)
+    const info = { mode: spec.mode, seed, cases: spec.cases, casesRun: 0, shrinks: 0 }
+
+    try {
+        // The first case is the simplest input (all choices 0): empty lists,
+        // short strings and numbers near 0 catch many edge-case bugs
+        const generated = [replayCase(spec, [])]
+        while (generated.length < spec.cases) {
+            const source = createChoiceSource({ rng })
+            const values = generateCase(spec, source)
+            generated.push({ values, choices: source.used })
+        }
+
+        const verdicts = await check(generated.map(c => c.values))
+        info.casesRun = verdicts.length
+        const firstFailed = verdicts.findIndex(x => x.failed)
+        if (firstFailed === -1) {
+            const last = verdicts[verdicts.length - 1]
+            return {
+                passed: true,
+                reason: null,
+                stdout: spec.mode === 'program' && last ? last.student.stdout : '',
+                stderr: '',
+                durationMs: Date.now() - started,
+                details: { property: info }
+            }
+        }
+
+        let best = { ...generated[firstFailed], verdict: verdicts[firstFailed] }
+        best = await shrinkFailure(spec, check, best, info)
+
+        const run = spec.mode === 'function' ? best.verdict.run : best.verdict.student
+        const result = {
+            passed: false,
+            reason: failureReason(test, spec, best),
+            stdout: run.stdout,
+            stderr: run.stderr,
+            durationMs: Date.now() - started,
+            details: { property: { ...info, input: describeCase(spec, best.values) } }
+        }
+        if (spec.mode === 'program') {
+            result.details.property.stdin = best.verdict.stdin
+            if (!test.hide_actual_expected) result.expected_stdout = best.verdict.reference.stdout
+        } else if (!test.hide_actual_expected) {
+            result.details.property.actual = describeOutcome(best.verdict.student)
+            result.details.property.expected = describeOutcome(best.verdict.reference)
+        }
+        return result
+    } catch (e) {
+        if (!(e instanceof PropertyRunError)) throw e
+        const r = e.result || {}
+        return {
+            passed: false,
+            reason: r.reason === 'timeout' ? 'timeout' : e.message,
+            stdout: r.stdout || '',
+            stderr: r.stderr || '',
+            durationMs: Date.now() - started,
+            details: { property: { ...info, error: e.message } }
+        }
+    }
+}
+
+// Repeatedly try smaller edits of the failing choice sequence and keep any
+// that still fail, until no edit helps or the budget runs out
+async function shrinkFailure(spec, check, failing, info) {
+    let best = failing
+    const tried = new Set([best.choices.join(',')])
+    const maxRounds = spec.mode === 'function' ? SHRINK_ROUNDS : SHRINK_PROGRAM_CANDIDATES
+
+    for (let round = 0; round < maxRounds; round++) {
+        const candidates = []
+        for (const choices of shrinkCandidates(best.choices)) {
+            const c = replayCase(spec, choices)
+            const key = c.choices.join(',')
+            if (tried.has(key) || !choicesLess(c.choices, best.choices)) continue
+            tried.add(key)
+            candidates.push(c)
+            if (candidates.length >= (spec.mode === 'function' ? SHRINK_BATCH_SIZE : 1)) break
+        }
+        if (!candidates.length) break
+        const verdicts = await check(candidates.map(c => c.values))
+        let improved = null
+        verdicts.forEach((verdict, k) => {
+            if (verdict.failed && (!improved || choicesLess(candidates[k].choices, improved.choices))) {
+                improved = { ...candidates[k], verdict }
+            }
+        })
+        if (improved) {
+            best = improved
+            info.shrinks++
+        }
+    }
+    return best
+}
+
+export default {
+    PROPERTY_INPUT_TYPES,
+    getPropertySpec,
+    validatePropertySpec,
+    buildCaseStdin,
+    describeCase,
+    generateExamples,
+    buildPropertyHarness,
+    pyStringLiteral,
+    runPropertyTest
+}
@@ -0,0 +1,205 @@
+/*
+ * Reference solutions for authored configs
+ *
+ * An author can attach a reference solution to a config:
+ *
+ *  solution: { files: { '/main.py': 'name = input()\nprint("Hi", name)\n' } }
+ *
+ * Solution files are never written to the student's workspace. When the
+ * author runs the suite against the solution they are laid over the config's
+ * workspace files (so data files and helpers are still available) and every
+ * test runs, ignoring run conditions.
+ *
+ * `generateExpectations` fills expected values from the solution's results
+ * and `summarizeValidation` reports the tests the solution does not pass.
+ */
+import { runTests } from './test-runner.js'
+import { getFunctionSpec } from './function-test.js'
+import { applyDefaultSeed } from './test-seed.js'
+
+// Same path as MAIN_FILE in vfs-client.js, kept local so this module has no
+// browser-only imports.
+const MAIN_FILE = '/main.py'
+
+/**
+ * Return the solution's files as path -> text, or {} when there is none.
+ * @param {Object} solution - the `solution` value from a config
+ * @returns {Object<string, string>}
+ */
+export function getSolutionFiles(solution) {
+    const out = {}
+    const files = solution && typeof solution === 'object' && solution.files && typeof solution.files === 'object' ? solution.files : {}
+    for (const [p, c] of Object.entries(files)) {
+        const path = String(p || '').trim()
+        if (!path || typeof c !== 'string') continue
+        out[path.startsWith('/') ? path : '/' + path] = c
+    }
+    return out
+}
+
+/**
+ * Whether a config carries a usable reference solution.
+ */
+export function hasSolution(solution) {
+    const files = getSolutionFiles(solution)
+    return typeof files[MAIN_FILE] === 'string' && files[MAIN_FILE].trim() !== ''
+}
+
+/**
+ * Build the files snapshot a runner starts from: the config's workspace
+ * files with the solution files laid over them. Binary workspace entries
+ * ({ content, binary }) are skipped.
+ * @param {Object} workspaceFiles - config.files
+ * @param {Object} solution - config.solution
+ * @returns {Object<string, string>}
+ */
+export function buildSolutionSnapshot(workspaceFiles, solution) {
+    const snapshot = {}
+    for (const [p, c] of Object.entries(workspaceFiles || {})) {
+        if (typeof c === 'string') snapshot[p] = c
+        else if (c && typeof c === 'object' && typeof c.content === 'string' && !c.binary) snapshot[p] = c.content
+    }
+    return Object.assign(snapshot, getSolutionFiles(solution))
+}
+
+/**
+ * Every test in a tests config, groups first, in config order.
+ * @param {Object|Array} testsConfig
+ * @returns {Array}
+ */
+export function flattenTests(testsConfig) {
+    if (Array.isArray(testsConfig)) return testsConfig.slice()
+    if (!testsConfig || typeof testsConfig !== 'object') return []
+    return [
+        ...(testsConfig.groups || []).flatMap(g => g.tests || []),
+        ...(testsConfig.ungrouped || [])
+    ]
+}
+
+/**
+ * The tests to run against the solution, in flattenTests order, with the
+ * config's default seed applied.
+ * @param {Object|Array} testsConfig
+ * @param {Object} solution
+ * @returns {Array}
+ */
+export function getSolutionSuite(testsConfig, solution) {
+    const solutionMain = getSolutionFiles(solution)[MAIN_FILE] || ''
+    // AST tests analyse test.main (or the student's editor) rather than
+    // running code, so point them at the solution explicitly.
+    return flattenTests(applyDefaultSeed(testsConfig)).map(t => {
+        if (!t || typeof t.main === 'string') return t
+        if (t.type === 'ast' || t.astRule) return { ...t, main: solutionMain }
+        return t
+    })
+}
+
+/**
+ * Run every test against the solution.
+ * @param {Object} options
+ * @param {Object|Array} options.testsConfig
+ * @param {Object} options.solution
+ * @param {function} options.runFn - runFn whose files snapshot came from buildSolutionSnapshot
+ * @param {Object} [options.coverage] - collector from createCoverageCollector()
+ * @returns {Promise<Array>} results from runTests, in flattenTests order
+ */
+export async function runSuiteAgainstSolution({ testsConfig, solution, runFn, coverage = null }) {
+    return runTests(getSolutionSuite(testsConfig, solution), { runFn, coverage })
+}
+
+// What kind of expectation can be filled in for a test, or why it cannot.
+// Transcript and AST tests describe behaviour rather than a single value.
+function expectationKind(test) {
+    if (!test) return { skip: 'the test is empty' }
+    if (test.type === 'ast' || test.astRule) return { skip: 'AST tests check code structure, not output' }
+    if (test.type === 'transcript') return { skip: 'transcript steps are not generated' }
+    if (test.type === 'property') return { skip: 'property tests compare against their own reference' }
+    if (test.type === 'budget') return { skip: 'budget tests check work done, not output' }
+    if (getFunctionSpec(test)) return { kind: 'function' }
+    if (test.expected_stdout && typeof test.expected_stdout === 'object' && test.expected_stdout.type === 'regex') return { skip: 'regex expectations are not generated' }
+    // Tests that only check stderr or files should not gain a stdout check
+    if (test.expected_stdout == null && (test.expected_stderr != null || (Array.isArray(test.expected_files) && test.expected_files.length))) {
+        return { skip: 'the test only checks stderr or files' }
+    }
+    return { kind: 'stdout' }
+}
+
+/**
+ * Fill expected values in a tests config from the solution's results.
+ * Plain and normalizing stdout expectations get the solution's output (the
+ * matcher type is kept), function tests get the returned value. Regex,
+ * transcript and AST tests, tests that only check stderr or files, and
+ * tests where the solution produced an error are skipped.
+ * @param {Object|Array} testsConfig
+ * @param {Array} results - from runSuiteAgainstSolution
+ * @returns {{tests: Object|Array, updated: string[], skipped: Array<{id: string, reason: string}>}}
+ */
+export function generateExpectations(testsConfig, results) {
+    const byId = new Map((results || []).map(r => [String(r && r.id), r]))
+    const tests = JSON.parse(JSON.stringify(testsConfig || []))
+    const updated = []
+    const skipped = []
+
+    for (const t of flattenTests(tests)) {
+        const id = String(t && t.id)
+        const { kind, skip } = expectationKind(t)
+        if (!kind) {
+            skipped.push({ id, reason: skip })
+            continue
+        }
+        const r = byId.get(id)
+        if (!r) {
+            skipped.push({ id, reason: 'the test did not run' })
+            continue
+        }
+        if (r.stderr && String(r.stderr).trim()) {
+            skipped.push({ id, reason: 'the reference solution produced an error' })
+            continue
+        }
+
+        if (kind === 'function') {
+            const actual = r.details && r.details.function ? r.details.function.actual : null
+            if (actual == null) {
+                skipped.push({ id, reason: 'the function did not return a value' })
+                continue
+            }
+            t.function = { ...(t.function || {}), expected: actual }
+            updated.push(id)
+            continue
+        }
+
+        const stdout = String(r.stdout || '')
+        const current = t.expected_stdout
+        if (current && typeof current === 'object') t.expected_stdout = { ...current, expression: stdout }
+        else t.expected_stdout = stdout
+        updated.push(id)
+    }
+
+    return { tests, updated, skipped }
+}
+
+/**
+ * Summarize a validation run: which tests the solution fails and why.
+ * @param {Array} results - from runSuiteAgainstSolution
+ * @returns {{ok: boolean, total: number, passed: number, failures: Array<{id: string, description: string, reason: string}>}}
+ */
+export function summarizeValidation(results) {
+    const list = Array.isArray(results) ? results : []
+    const failures = list.filter(r => r && !r.passed).map(r => ({
+        id: String(r.id),
+        description: r.description || '',
+        reason: r.reason || (r.stderr ? String(r.stderr).split('\n').filter(Boolean).pop() : 'failed')
+    }))
+    return { ok: failures.length === 0 && list.length > 0, total: list.length, passed: list.length - failures.length, failures }
+}
+
+export default {
+    getSolutionFiles,
+    hasSolution,
+    buildSolutionSnapshot,
+    flattenTests,
+    getSolutionSuite,
+    runSuiteAgainstSolution,
+    generateExpectations,
+    summarizeValidation
+}
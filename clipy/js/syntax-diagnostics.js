@@ -0,0 +1,231 @@
+/**
+ * Syntax diagnostics while typing
+ *
+ * The py-ast parser stops at the first syntax error with a terse message
+ * ("Expected ':' after if condition at line 1, column 8"). This module turns
+ * that error into a plain-language diagnostic with a position to mark in the
+ * editor. A light scan of the source finds the causes the parser reports
+ * late or without a position: strings that are never closed, brackets that
+ * are never closed or do not match, and indentation mixing tabs and spaces.
+ *
+ * A diagnostic is { line, column, endLine, endColumn, message, detail }:
+ * lines are 1-based, columns 0-based, `message` may contain `code` spans and
+ * `detail` is the parser's own message.
+ */
+import { getASTAnalyzer } from './ast-analyzer.js'
+
+const OPENERS = { '(': ')', '[': ']', '{': '}' }
+const CLOSERS = { ')': '(', ']': '[', '}': '{' }
+const BLOCK_KEYWORDS = ['if', 'elif', 'else', 'for', 'while', 'def', 'class', 'try', 'except', 'finally', 'with', 'async']
+
+/**
+ * Scan source for string and bracket problems, ignoring comments and the
+ * contents of string literals.
+ * @param {string} code
+ * @returns {{unterminated: ?Object, unexpected: ?Object, mismatched: ?Object, unclosed: Array<Object>}}
+ *   positions are { char, line, column }; `unterminated` also has `quote`
+ */
+export function scanSource(code) {
+    const result = { unterminated: null, unexpected: null, mismatched: null, unclosed: [] }
+    const text = String(code || '')
+    const stack = []
+    let line = 1
+    let column = 0
+    let i = 0
+    const advance = () => {
+        if (text[i] === '\n') {
+            line++
+            column = 0
+        } else {
+            column++
+        }
+        i++
+    }
+    while (i < text.length) {
+        const c = text[i]
+        if (c === '#') {
+            while (i < text.length && text[i] !== '\n') advance()
+            continue
+        }
+        if (c === '"' || c === "'") {
+            const quote = text.startsWith(c.repeat(3), i) ? c.repeat(3) : c
+            const start = { line, column, quote }
+            for (let k = 0; k < quote.length; k++) advance()
+            let closed = false
+            while (i < text.length) {
+                if (text[i] === '\\') {
+                    advance()
+                    if (i < text.length) advance()
+                    continue
+                }
+                if (text.startsWith(quote, i)) {
+                    for (let k = 0; k < quote.length; k++) advance()
+                    closed = true
+                    break
+                }
+                // Single-quoted strings end at the line break
+                if (text[i] === '\n' && quote.length === 1) break
+                advance()
+            }
+            if (!closed && !result.unterminated) result.unterminated = start
+            continue
+        }
+        if (OPENERS[c]) {
+            stack.push({ char: c, line, column })
+        } else if (CLOSERS[c]) {
+            const top = stack[stack.length - 1]
+            if (!top) {
+                if (!result.unexpected) result.unexpected = { char: c, line, column }
+            } else if (top.char !== CLOSERS[c]) {
+                if (!result.mismatched) result.mismatched = { char: c, line, column, opener: top }
+                stack.pop()
+            } else {
+                stack.pop()
+            }
+        }
+        advance()
+    }
+    result.unclosed = stack
+    return result
+}
+
+/**
+ * The first line whose indentation uses tabs where earlier lines use spaces,
+ * or the other way round.
+ * @param {string} code
+ * @returns {?{line: number, uses: string, other: string, otherLine: number}}
+ */
+export function findMixedIndentation(code) {
+    const lines = String(code || '').split('\n')
+    let first = null
+    for (let n = 0; n < lines.length; n++) {
+        const indent = /^[ \t]*/.exec(lines[n])[0]
+        if (!indent || !lines[n].trim()) continue
+        const uses = indent.includes('\t') ? (indent.includes(' ') ? 'tabs and spaces' : 'tabs') : 'spaces'
+        if (uses === 'tabs and spaces') return { line: n + 1, uses, other: first ? first.uses : 'spaces', otherLine: first ? first.line : n + 1 }
+        if (!first) first = { line: n + 1, uses }
+        else if (first.uses !== uses) return { line: n + 1, uses, other: first.uses, otherLine: first.line }
+    }
+    return null
+}
+
+function blockKeyword(lineText) {
+    const m = /^\s*([A-Za-z_]+)/.exec(lineText || '')
+    return m && BLOCK_KEYWORDS.includes(m[1]) ? m[1] : null
+}
+
+// Position of a lone `=` (not part of ==, <=, >=, != or :=) in a line
+function findLoneEquals(lineText) {
+    const m = /(^|[^=<>!:])=(?!=)/.exec(lineText || '')
+    return m ? m.index + m[1].length : -1
+}
+
+function previousCodeLine(lines, lineNo) {
+    for (let n = lineNo - 2; n >= 0; n--) {
+        const t = lines[n] || ''
+        if (t.trim() && !t.trim().startsWith('#')) return n + 1
+    }
+    return null
+}
+
+/**
+ * Build a diagnostic from a parser error for the given source.
+ * @param {string} code
+ * @param {{message: string, lineno: ?number, col_offset: ?number}} error
+ * @returns {Object} diagnostic
+ */
+export function describeSyntaxError(code, error) {
+    const text = String(code || '')
+    const lines = text.split('\n')
+    const detail = String((error && error.message) || 'Syntax error')
+    const raw = detail.replace(/ at line \d+(, column \d+)?$/, '')
+    const posMatch = / at line (\d+)(?:, column (\d+))?$/.exec(detail)
+    let line = error && error.lineno ? error.lineno : (posMatch ? Number(posMatch[1]) : 1)
+    let column = error && typeof error.col_offset === 'number' ? error.col_offset : (posMatch && posMatch[2] ? Number(posMatch[2]) : 0)
+    line = Math.min(Math.max(1, line), lines.length)
+    const lineText = lines[line - 1] || ''
+    const at = (l, c, message, width = 1) => ({ line: l, column: c, endLine: l, endColumn: c + width, message, detail })
+
+    const scan = scanSource(text)
+    if (scan.unterminated) {
+        const u = scan.unterminated
+        const rest = (lines[u.line - 1] || '').length - u.column
+        return at(u.line, u.column, `string started on line ${u.line} is never closed: end it with \`${u.quote}\``, Math.max(1, rest))
+    }
+    if (scan.mismatched && scan.mismatched.line <= line) {
+        const m = scan.mismatched
+        return at(m.line, m.column, `\`${m.char}\` does not match the \`${m.opener.char}\` opened on line ${m.opener.line}: close it with \`${OPENERS[m.opener.char]}\``)
+    }
+    if (scan.unexpected && scan.unexpected.line <= line) {
+        const u = scan.unexpected
+        return at(u.line, u.column, `\`${u.char}\` has no matching opening bracket`)
+    }
+    if (scan.unclosed.length) {
+        const open = scan.unclosed[scan.unclosed.length - 1]
+        if (open.line <= line) return at(open.line, open.column, `unclosed bracket: the \`${open.char}\` opened on line ${open.line} is never closed with \`${OPENERS[open.char]}\``)
+    }
+
+    if (/indent/i.test(raw)) {
+        const mixed = findMixedIndentation(text)
+        if (mixed) {
+            const width = /^[ \t]*/.exec(lines[mixed.line - 1] || '')[0].length
+            const message = mixed.uses === 'tabs and spaces'
+                ? 'inconsistent indentation: this line is indented with both tabs and spaces'
+                : `inconsistent indentation: this line is indented with ${mixed.uses} but line ${mixed.otherLine} uses ${mixed.other}`
+            return at(mixed.line, 0, message, Math.max(1, width))
+        }
+    }
+
+    const indentWidth = Math.max(1, /^[ \t]*/.exec(lineText)[0].length)
+    if (/^Expected ':' after/.test(raw)) {
+        const kw = blockKeyword(lineText) || (/function/.test(raw) ? 'def' : (/class/.test(raw) ? 'class' : null))
+        const eq = ['if', 'elif', 'while'].includes(kw) ? findLoneEquals(lineText) : -1
+        if (eq >= 0) return at(line, eq, `use \`==\` to compare values in an \`${kw}\`: a single \`=\` assigns`)
+        const end = lineText.replace(/\s*(#.*)?$/, '').length
+        return at(line, Math.max(0, end - 1), kw ? `missing colon at end of \`${kw}\`` : 'missing colon at the end of this line')
+    }
+    if (/^Expected indented block/.test(raw)) {
+        const prev = previousCodeLine(lines, line) || line
+        const kw = blockKeyword(lines[prev - 1])
+        const what = kw ? `the \`${kw}\` on line ${prev}` : `line ${prev}`
+        if (!lineText.trim()) return at(prev, 0, `expected an indented block after ${what}`, Math.max(1, (lines[prev - 1] || '').length))
+        return at(line, 0, `expected an indented block after ${what}: indent this line`, Math.max(1, lineText.trim().length + indentWidth - 1))
+    }
+    if (/^unexpected indent/i.test(raw)) {
+        return at(line, 0, 'unexpected indent: this line is indented more than the code around it', indentWidth)
+    }
+    if (/^Indentation error/i.test(raw)) {
+        return at(line, 0, 'inconsistent indentation: this line does not line up with any earlier line', indentWidth)
+    }
+    if (/^Unexpected token in expression/.test(raw)) {
+        const kw = blockKeyword(lineText)
+        if (['elif', 'else', 'except', 'finally'].includes(kw) && column <= lineText.length - lineText.trimStart().length) {
+            const partner = kw === 'except' || kw === 'finally' ? 'try' : 'if'
+            return at(line, column, `\`${kw}\` without a matching \`${partner}\`: check that it lines up with its \`${partner}\``, kw.length)
+        }
+        if (!lineText.slice(column).trim()) {
+            const end = lineText.replace(/\s*(#.*)?$/, '').length
+            return at(line, Math.max(0, end - 1), 'this line ends before the expression is complete')
+        }
+    }
+    if (/^cannot assign to/.test(raw)) {
+        const eq = findLoneEquals(lineText)
+        return at(line, eq >= 0 ? eq : column, 'cannot assign here: the left of `=` must be a name (use `==` to compare)')
+    }
+
+    const token = /^\S*/.exec(lineText.slice(column))[0]
+    return at(line, column, `syntax error: ${raw.charAt(0).toLowerCase()}${raw.slice(1)}`, Math.max(1, Math.min(token.length, 20)))
+}
+
+/**
+ * Check Python source for a syntax error.
+ * @param {string} code
+ * @returns {Promise<Object|null>} a diagnostic, or null when the code parses
+ */
+export async function diagnoseSyntax(code) {
+    const analyzer = await getASTAnalyzer()
+    const error = await analyzer.getParseError(String(code || ''))
+    return error ? describeSyntaxError(code, error) : null
+}
+
+export default { diagnoseSyntax, describeSyntaxError, scanSource, findMixedIndentation }
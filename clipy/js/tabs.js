@@ -343,6 +343,11 @@ export async function selectTab(path) {
         }
     } catch (_e) { }
 
+    // Show the test coverage overlay for this file, if any
+    try {
+        if (window.applyEditorCoverage && typeof window.applyEditorCoverage === 'function') window.applyEditorCoverage(n)
+    } catch (_e) { }
+
     // Set read-only mode based on file status
     try {
         const isReadOnly = isFileReadOnly(n)
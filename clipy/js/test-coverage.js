@@ -0,0 +1,390 @@
+/*
+ * Line and branch coverage for test runs
+ *
+ * In coverage mode every test runs against an instrumented copy of the
+ * student's Python files and reports which lines ran; runTests adds the
+ * reports of the whole suite together (see createCoverageCollector) and the
+ * result is shown in the editor gutter.
+ *
+ * Two sources are combined because MicroPython's sys.settrace attributes
+ * some jumps to the last line of a block: a `while` (or `for ... in range`)
+ * condition and a function's implicit `return None` are reported as 'line'
+ * events on the block's last statement, so a statement that was skipped can
+ * look as if it ran (see the KAN-14 workarounds in execution-recorder.js).
+ *
+ *  - Simple statements that start a line get a probe call on the same line:
+ *      total += n   ->   __clipy_cov_hit('/main.py', 7); total += n
+ *    Probes run only when the statement does, and keep line numbers intact.
+ *  - Compound statement headers (if, while, for, def, class, try, with...)
+ *    cannot take a probe, so they are counted from settrace 'line' events.
+ *    The tracer records arcs (previous line -> line, per frame) so a branch
+ *    can tell entries into its body from the phantom events above.
+ *
+ * Branches: an `if`/`elif` has two outcomes (its body ran; its condition was
+ * false at least once) and a loop has one (its body ran at least once).
+ */
+
+import { getASTAnalyzer } from './ast-analyzer.js'
+
+export const COVERAGE_PROBE = '__clipy_cov_hit'
+export const COVERAGE_RESULT_NAME = '__clipy_cov_result'
+
+// Harness files run by the runtimes rather than imported by the student
+const EXCLUDED_FILES = new Set(['/__pre.py', '/__post.py'])
+
+const COMPOUND_STATEMENTS = new Set(['If', 'For', 'AsyncFor', 'While', 'Try', 'TryStar', 'With', 'AsyncWith', 'FunctionDef', 'AsyncFunctionDef', 'ClassDef', 'Match'])
+const LOOP_STATEMENTS = new Set(['For', 'AsyncFor', 'While'])
+const SCOPE_STATEMENTS = new Set(['FunctionDef', 'AsyncFunctionDef', 'ClassDef'])
+
+function normalizePath(p) {
+    const s = String(p || '')
+    return s.startsWith('/') ? s : '/' + s
+}
+
+function isDocstring(node) {
+    return node && node.nodeType === 'Expr' && node.value && node.value.nodeType === 'Constant' && typeof node.value.value === 'string'
+}
+
+// The line settrace reports for a statement: decorated definitions start at
+// their first decorator
+function headerLine(node) {
+    const decorators = Array.isArray(node.decorator_list) ? node.decorator_list : []
+    const lines = decorators.map(d => Number(d && d.lineno)).filter(n => n > 0)
+    return lines.length ? Math.min(...lines) : Number(node.lineno)
+}
+
+/**
+ * The executable lines and branches of a parsed module.
+ * Lines map to { line, probe, indent }: `probe` is true for simple statements
+ * that start their line (they are instrumented); headers have probe false.
+ * Branches are { line, type: 'if'|'loop', body, orelse } with the first line
+ * of the body and of the else/elif part (null when there is none).
+ * @param {Object} ast - py-ast Module
+ * @param {string} source
+ * @returns {{lines: Map<number, Object>, branches: Array}}
+ */
+export function collectCoverageLines(ast, source) {
+    const sourceLines = String(source || '').split('\n')
+    const lines = new Map()
+    const branches = []
+
+    const visit = (list, inScope) => {
+        if (!Array.isArray(list)) return
+        list.forEach((node, i) => {
+            if (!node || typeof node !== 'object' || !(node.lineno > 0)) return
+            // Docstrings, declarations and __future__ imports run no code
+            if (i === 0 && inScope && isDocstring(node)) return
+            if (node.nodeType === 'Global' || node.nodeType === 'Nonlocal') return
+            if (node.nodeType === 'ImportFrom' && node.module === '__future__') return
+
+            const line = headerLine(node)
+            if (!COMPOUND_STATEMENTS.has(node.nodeType)) {
+                // Statements after `;` or on a header's line share that line
+                const text = sourceLines[line - 1] || ''
+                const indent = text.length - text.trimStart().length
+                if (Number(node.col_offset) === indent && !lines.has(line)) lines.set(line, { line, probe: true, indent })
+                return
+            }
+            if (!lines.has(line)) lines.set(line, { line, probe: false, indent: 0 })
+
+            const body = Array.isArray(node.body) ? node.body : []
+            const orelse = Array.isArray(node.orelse) ? node.orelse : []
+            const bodyLine = body.length ? headerLine(body[0]) : null
+            // A body written on the header's line cannot be told apart from it
+            if (bodyLine && bodyLine !== line) {
+                if (node.nodeType === 'If') branches.push({ line, type: 'if', body: bodyLine, orelse: orelse.length ? headerLine(orelse[0]) : null })
+                else if (LOOP_STATEMENTS.has(node.nodeType)) branches.push({ line, type: 'loop', body: bodyLine, orelse: null })
+            }
+
+            visit(body, SCOPE_STATEMENTS.has(node.nodeType))
+            visit(orelse, false)
+            visit(node.finalbody, false)
+            for (const h of (node.handlers || [])) visit(h && h.body, false)
+            for (const c of (node.cases || [])) visit(c && c.body, false)
+        })
+    }
+    visit(ast && ast.body, true)
+    return { lines, branches }
+}
+
+async function parseSource(source) {
+    const analyzer = await getASTAnalyzer()
+    return analyzer.parse(String(source || ''))
+}
+
+/**
+ * Add a probe call in front of every simple statement that starts a line.
+ * Returns the source unchanged when it does not parse (the import then
+ * fails with the student's syntax error as usual).
+ * @param {string} source
+ * @param {string} path - workspace path reported by the probes
+ * @returns {Promise<string>}
+ */
+export async function instrumentSource(source, path) {
+    const ast = await parseSource(source)
+    if (!ast) return source
+    const { lines } = collectCoverageLines(ast, source)
+    const out = String(source).split('\n')
+    const target = JSON.stringify(normalizePath(path))
+    for (const { line, probe, indent } of lines.values()) {
+        if (!probe) continue
+        const text = out[line - 1]
+        out[line - 1] = text.slice(0, indent) + `${COVERAGE_PROBE}(${target}, ${line}); ` + text.slice(indent)
+    }
+    return out.join('\n')
+}
+
+/**
+ * The student files a coverage run measures: Python files in the workspace
+ * snapshot that the test does not replace with its own `main`, `setup`,
+ * `files` or fixtures.
+ * @param {Object} files - workspace snapshot { path: content }
+ * @param {Object} [test]
+ * @returns {Object} { path: content }
+ */
+export function getCoverageFiles(files, test = {}) {
+    const replaced = new Set()
+    const t = test || {}
+    if (typeof t.main === 'string' && t.main) replaced.add('/main.py')
+    for (const m of [t.setup, t.files, t.fixtures && t.fixtures.files]) {
+        if (m && typeof m === 'object') for (const p of Object.keys(m)) replaced.add(normalizePath(p))
+    }
+    for (const p of ((t.fixtures && t.fixtures.delete) || [])) replaced.add(normalizePath(p))
+
+    const out = {}
+    for (const [p, content] of Object.entries(files || {})) {
+        const path = normalizePath(p)
+        if (typeof content !== 'string' || !path.endsWith('.py')) continue
+        if (EXCLUDED_FILES.has(path) || replaced.has(path)) continue
+        out[path] = content
+    }
+    return out
+}
+
+/**
+ * Instrumented copies of the given files.
+ * @param {Object} files - { path: content }
+ * @returns {Promise<Object>} { path: instrumented content }
+ */
+export async function instrumentFiles(files) {
+    const out = {}
+    for (const [p, content] of Object.entries(files || {})) out[p] = await instrumentSource(content, p)
+    return out
+}
+
+/**
+ * Python that installs the probe function and the arc tracer for the given
+ * workspace paths. Run it before __pre.py and the program.
+ * @param {Array<string>} paths
+ * @returns {string}
+ */
+export function buildCoveragePrelude(paths) {
+    // settrace reports module filenames without the leading slash
+    const names = {}
+    for (const p of (paths || [])) {
+        const path = normalizePath(p)
+        names[path] = path
+        names[path.slice(1)] = path
+    }
+    return [
+        'import sys as __clipy_cov_sys',
+        'import builtins as __clipy_cov_builtins',
+        `__clipy_cov_paths = ${JSON.stringify(names)}`,
+        '__clipy_cov_arcs = {}',
+        '__clipy_cov_probes = {}',
+        '__clipy_cov_last = {}',
+        `def ${COVERAGE_PROBE}(path, line):`,
+        '    k = (path, line)',
+        '    __clipy_cov_probes[k] = __clipy_cov_probes.get(k, 0) + 1',
+        'def __clipy_cov_trace(frame, event, arg):',
+        '    path = __clipy_cov_paths.get(frame.f_code.co_filename)',
+        '    if path is None:',
+        '        return None',
+        '    f = id(frame)',
+        "    if event == 'call':",
+        '        __clipy_cov_last[f] = 0',
+        "    elif event == 'line':",
+        '        line = frame.f_lineno',
+        '        k = (path, __clipy_cov_last.get(f, 0), line)',
+        '        __clipy_cov_arcs[k] = __clipy_cov_arcs.get(k, 0) + 1',
+        '        __clipy_cov_last[f] = line',
+        "    elif event == 'return':",
+        '        __clipy_cov_last.pop(f, None)',
+        '    return __clipy_cov_trace',
+        `__clipy_cov_builtins.${COVERAGE_PROBE} = ${COVERAGE_PROBE}`,
+        '__clipy_cov_sys.settrace(__clipy_cov_trace)',
+        ''
+    ].join('\n')
+}
+
+// Stops tracing and leaves the counts as JSON in COVERAGE_RESULT_NAME
+const COVERAGE_POSTLUDE = [
+    '__clipy_cov_sys.settrace(None)',
+    'import json as __clipy_cov_json',
+    `${COVERAGE_RESULT_NAME} = __clipy_cov_json.dumps({'arcs': [[k[0], k[1], k[2], n] for k, n in __clipy_cov_arcs.items()], 'probes': [[k[0], k[1], n] for k, n in __clipy_cov_probes.items()]})`,
+    ''
+].join('\n')
+
+/**
+ * Stop tracing and read the run's counts back from the runtime.
+ * @param {function(string): Promise} run - runs Python in the test's runtime
+ * @param {Object} mp - the MicroPython instance (for globals.get)
+ * @returns {Promise<{arcs: Array, probes: Array}|null>}
+ */
+export async function collectCoverage(run, mp) {
+    try {
+        await run(COVERAGE_POSTLUDE)
+        const raw = mp && mp.globals && typeof mp.globals.get === 'function' ? mp.globals.get(COVERAGE_RESULT_NAME) : null
+        const data = JSON.parse(String(raw || ''))
+        return { arcs: Array.isArray(data.arcs) ? data.arcs : [], probes: Array.isArray(data.probes) ? data.probes : [] }
+    } catch (_e) {
+        return null
+    }
+}
+
+/**
+ * Accumulates the coverage of every run in a test suite.
+ *
+ *  const coverage = createCoverageCollector()
+ *  await runTests(tests, { runFn, coverage })
+ *  const report = await coverage.report(workspaceFiles)
+ */
+export function createCoverageCollector() {
+    const arcs = new Map()
+    const probes = new Map()
+    let runs = 0
+
+    function add(data) {
+        if (!data) return
+        runs++
+        for (const [path, from, to, n] of (data.arcs || [])) {
+            const k = `${path}\n${from}\n${to}`
+            arcs.set(k, (arcs.get(k) || 0) + Number(n || 0))
+        }
+        for (const [path, line, n] of (data.probes || [])) {
+            const k = `${path}\n${line}`
+            probes.set(k, (probes.get(k) || 0) + Number(n || 0))
+        }
+    }
+
+    function data() {
+        return {
+            arcs: Array.from(arcs, ([k, n]) => { const [p, a, b] = k.split('\n'); return [p, Number(a), Number(b), n] }),
+            probes: Array.from(probes, ([k, n]) => { const [p, l] = k.split('\n'); return [p, Number(l), n] })
+        }
+    }
+
+    return {
+        add,
+        get runs() { return runs },
+        /**
+         * A runFn that runs each test in coverage mode and keeps its counts
+         * (the result's `coverage` field is removed).
+         */
+        wrapRunFn(runFn) {
+            return async function coverageRunFn(test) {
+                const result = await runFn({ ...test, coverage: true })
+                if (result && result.coverage) {
+                    add(result.coverage)
+                    delete result.coverage
+                }
+                return result
+            }
+        },
+        data,
+        report(sources) { return buildCoverageReport(data(), sources) }
+    }
+}
+
+function percent(part, total) {
+    return total ? Math.round(part * 100 / total) : 100
+}
+
+/**
+ * Turn suite counts into a per-file report. Each line entry is
+ * { count, status: 'run'|'partial'|'missed', note }.
+ * @param {{arcs: Array, probes: Array}} data
+ * @param {Object} sources - { path: content } of the measured files
+ * @returns {Promise<Object>} { files: { path: { lines, linesTotal, linesRun, branchesTotal, branchesTaken } }, linesTotal, linesRun, branchesTotal, branchesTaken }
+ */
+export async function buildCoverageReport(data, sources) {
+    const report = { files: {}, linesTotal: 0, linesRun: 0, branchesTotal: 0, branchesTaken: 0 }
+    for (const [p, source] of Object.entries(getCoverageFiles(sources))) {
+        const ast = await parseSource(source)
+        if (!ast) continue
+        const { lines, branches } = collectCoverageLines(ast, source)
+
+        const probeCounts = new Map()
+        const arcCounts = new Map()
+        const lineEvents = new Map()
+        for (const [path, line, n] of (data && data.probes) || []) {
+            if (normalizePath(path) === p) probeCounts.set(line, (probeCounts.get(line) || 0) + n)
+        }
+        for (const [path, from, to, n] of (data && data.arcs) || []) {
+            if (normalizePath(path) !== p) continue
+            arcCounts.set(`${from}>${to}`, (arcCounts.get(`${from}>${to}`) || 0) + n)
+            lineEvents.set(to, (lineEvents.get(to) || 0) + n)
+        }
+        const probed = (line) => lines.has(line) && lines.get(line).probe
+        const count = (line) => (probed(line) ? probeCounts.get(line) : lineEvents.get(line)) || 0
+        // How often a branch went from its header into its body
+        const entries = (from, to) => (probed(to) ? count(to) : (arcCounts.get(`${from}>${to}`) || 0))
+
+        const notes = new Map()
+        const file = { lines: {}, linesTotal: lines.size, linesRun: 0, branchesTotal: 0, branchesTaken: 0 }
+        for (const b of branches) {
+            const outcomes = b.type === 'if'
+                ? [
+                    { taken: count(b.body) > 0, note: 'The condition was never true' },
+                    { taken: b.orelse ? count(b.orelse) > 0 : count(b.line) > entries(b.line, b.body), note: 'The condition was never false' }
+                ]
+                : [{ taken: count(b.body) > 0, note: 'The loop body never ran' }]
+            file.branchesTotal += outcomes.length
+            for (const o of outcomes) {
+                if (o.taken) file.branchesTaken++
+                else if (count(b.line) > 0) notes.set(b.line, (notes.has(b.line) ? notes.get(b.line) + '; ' : '') + o.note)
+            }
+        }
+        for (const line of Array.from(lines.keys()).sort((a, b) => a - b)) {
+            const n = count(line)
+            if (n > 0) file.linesRun++
+            const status = n === 0 ? 'missed' : (notes.has(line) ? 'partial' : 'run')
+            file.lines[line] = { count: n, status, note: status === 'missed' ? 'Never ran during the tests' : (notes.get(line) || null) }
+        }
+        report.files[p] = file
+        report.linesTotal += file.linesTotal
+        report.linesRun += file.linesRun
+        report.branchesTotal += file.branchesTotal
+        report.branchesTaken += file.branchesTaken
+    }
+    return report
+}
+
+/**
+ * One-line summary, e.g. "18 of 20 lines ran (90%), 5 of 6 branches taken (83%)".
+ * @param {Object} report - from buildCoverageReport (or one of its files)
+ * @returns {string}
+ */
+export function formatCoverageSummary(report) {
+    const r = report || {}
+    let s = `${r.linesRun || 0} of ${r.linesTotal || 0} lines ran (${percent(r.linesRun, r.linesTotal)}%)`
+    if (r.branchesTotal) s += `, ${r.branchesTaken} of ${r.branchesTotal} branches taken (${percent(r.branchesTaken, r.branchesTotal)}%)`
+    return s
+}
+
+/**
+ * Lines that never ran or have an untaken branch, in file and line order.
+ * @param {Object} report - from buildCoverageReport
+ * @returns {Array<{path: string, line: number, status: string, note: string}>}
+ */
+export function listCoverageGaps(report) {
+    const gaps = []
+    for (const [path, file] of Object.entries((report && report.files) || {})) {
+        for (const [line, entry] of Object.entries(file.lines)) {
+            if (entry.status !== 'run') gaps.push({ path, line: Number(line), status: entry.status, note: entry.note })
+        }
+    }
+    return gaps
+}
+
+export default { createCoverageCollector, buildCoverageReport, formatCoverageSummary, listCoverageGaps }
@@ -0,0 +1,356 @@
+/**
+ * Workspace fixtures for tests and groups
+ *
+ * A fixture declares how the workspace should look before a test runs:
+ *
+ *   fixtures: {
+ *     files: { '/data.txt': 'a,b\n1,2\n' },   // created, or replaced if present
+ *     delete: ['/out.txt'],                      // removed if present
+ *     readOnly: ['/data.txt']                    // user code cannot change these
+ *   }
+ *
+ * Group fixtures apply to every test in the group, followed by the test's
+ * own. Fixtures are applied to the copy of the workspace each test runs in
+ * (the runner iframe or the Node worker), so the student's workspace is
+ * never changed; the in-page adapter runner fails fixture tests instead of
+ * touching the live workspace. Read-only paths become a
+ * fileReadOnlyStatus map, merged with the config's own read-only files.
+ */
+
+// Files a fixture may not delete: the program being tested
+const PROTECTED_PATHS = ['/main.py']
+
+/**
+ * Normalize a workspace path: leading slash, no repeated slashes.
+ * @param {string} p
+ * @returns {string}
+ */
+export function normalizeFixturePath(p) {
+    const s = String(p == null ? '' : p).trim().replace(/\/+/g, '/')
+    return s.startsWith('/') ? s : '/' + s
+}
+
+function pathList(v) {
+    const list = Array.isArray(v) ? v : (typeof v === 'string' && v.trim() ? [v] : [])
+    return [...new Set(list.map(p => String(p || '').trim()).filter(Boolean).map(normalizeFixturePath))]
+}
+
+/**
+ * Return the normalized fixtures of a test or group, or null when it has none.
+ * @param {Object} holder - test or group
+ * @returns {{files: Object<string, string>, delete: string[], readOnly: string[]}|null}
+ */
+export function getFixtures(holder) {
+    const fx = holder && holder.fixtures
+    if (!fx || typeof fx !== 'object') return null
+    const files = {}
+    if (fx.files && typeof fx.files === 'object' && !Array.isArray(fx.files)) {
+        for (const [p, content] of Object.entries(fx.files)) {
+            if (!String(p).trim()) continue
+            files[normalizeFixturePath(p)] = content == null ? '' : String(content)
+        }
+    }
+    const out = { files, delete: pathList(fx.delete), readOnly: pathList(fx.readOnly) }
+    return hasFixtures(out) ? out : null
+}
+
+/**
+ * Whether normalized fixtures change anything.
+ */
+export function hasFixtures(fx) {
+    return !!fx && (Object.keys(fx.files || {}).length > 0 || (fx.delete || []).length > 0 || (fx.readOnly || []).length > 0)
+}
+
+/**
+ * Validate fixtures. Returns { ok, reason }.
+ */
+export function validateFixtures(fx) {
+    if (!fx) return { ok: true, reason: null }
+    const all = [...Object.keys(fx.files), ...fx.delete, ...fx.readOnly]
+    for (const p of all) {
+        if (p === '/' || p.endsWith('/')) return { ok: false, reason: `Fixture path ${p} must name a file` }
+        if (p.split('/').includes('..')) return { ok: false, reason: `Fixture path ${p} cannot contain ..` }
+    }
+    for (const p of fx.delete) {
+        if (PROTECTED_PATHS.includes(p)) return { ok: false, reason: `Fixtures cannot delete ${p}` }
+        if (Object.prototype.hasOwnProperty.call(fx.files, p)) return { ok: false, reason: `${p} is both created and deleted` }
+    }
+    return { ok: true, reason: null }
+}
+
+/**
+ * Combine fixtures in order (group first, then test). A later layer that
+ * creates a file cancels an earlier delete of it, and vice versa.
+ * @param {...Object} layers - normalized fixtures (null entries are skipped)
+ * @returns {{files: Object<string, string>, delete: string[], readOnly: string[]}|null}
+ */
+export function mergeFixtures(...layers) {
+    const files = {}
+    const deleted = new Set()
+    const readOnly = new Set()
+    for (const fx of layers) {
+        if (!fx) continue
+        for (const p of fx.delete || []) {
+            delete files[p]
+            deleted.add(p)
+        }
+        for (const [p, content] of Object.entries(fx.files || {})) {
+            files[p] = content
+            deleted.delete(p)
+        }
+        for (const p of fx.readOnly || []) readOnly.add(p)
+    }
+    const out = { files, delete: [...deleted], readOnly: [...readOnly] }
+    return hasFixtures(out) ? out : null
+}
+
+/**
+ * Return a copy of a group's test carrying the group's fixtures merged with
+ * its own, so runFn sees a single fixtures object. Returns the test itself
+ * when the group has no fixtures.
+ * @param {Object} test
+ * @param {Object} group
+ * @returns {Object}
+ */
+export function withGroupFixtures(test, group) {
+    const groupFx = getFixtures(group)
+    if (!groupFx) return test
+    return { ...test, fixtures: mergeFixtures(groupFx, getFixtures(test)) }
+}
+
+/**
+ * The read-only part of fixtures as a fileReadOnlyStatus map, merged over
+ * an existing map (e.g. the config's fileReadOnlyStatus).
+ * @param {Object|null} fx - normalized fixtures
+ * @param {Object<string, boolean>} [base]
+ * @returns {Object<string, boolean>}
+ */
+export function fixtureReadOnlyStatus(fx, base = {}) {
+    const out = { ...(base || {}) }
+    for (const p of (fx && fx.readOnly) || []) out[p] = true
+    return out
+}
+
+/**
+ * Apply fixtures to a runtime's Emscripten FS: write the fixture files,
+ * unlink deleted ones and guard the read-only paths. Used by the test
+ * runners, whose FS is already a throwaway copy of the workspace.
+ * @param {Object} fs - runtime FS (mpInstance.FS)
+ * @param {Object|null} fx - normalized fixtures
+ */
+export function applyFixturesToFS(fs, fx) {
+    if (!fs || !fx) return
+    for (const p of fx.delete) {
+        try { fs.unlink(p) } catch (_e) { /* already absent */ }
+    }
+    withHostWrites(fs, () => {
+        for (const [p, content] of Object.entries(fx.files)) {
+            const dir = p.split('/').slice(0, -1).join('/') || '/'
+            try { fs.mkdirTree(dir) } catch (_e) { }
+            try { fs.writeFile(p, content) } catch (_e) { }
+        }
+    })
+    if (fx.readOnly.length) guardReadOnlyPaths(fs, fixtureReadOnlyStatus(fx))
+}
+
+// Write-mode open flags: O_WRONLY | O_RDWR | O_CREAT | O_TRUNC | O_APPEND
+const WRITE_FLAGS = 0o1 | 0o2 | 0o100 | 0o1000 | 0o2000
+
+/**
+ * Make the paths in a fileReadOnlyStatus map read-only for user code by
+ * wrapping the FS calls that change files. Runners writing test files
+ * wrap those writes in withHostWrites(). Raises the same EACCES OSError as
+ * the app's runtime guard in micropython.js.
+ * @param {Object} fs - runtime FS
+ * @param {Object<string, boolean>} readOnlyStatus
+ */
+export function guardReadOnlyPaths(fs, readOnlyStatus) {
+    if (!fs || fs.__ssg_fixture_guard) return
+    fs.__ssg_fixture_guard = true
+    const isReadOnly = (p) => {
+        if (typeof p !== 'string') return false
+        const n = normalizeFixturePath(p)
+        return !!(readOnlyStatus[n] || readOnlyStatus[n.slice(1)])
+    }
+    const deny = () => { throw new fs.ErrnoError(13) }
+    const wrap = (name, check) => {
+        if (typeof fs[name] !== 'function') return
+        const orig = fs[name].bind(fs)
+        fs[name] = function (...args) {
+            if (!fs.__ssg_host_write && check(...args)) deny()
+            return orig(...args)
+        }
+    }
+    wrap('open', (p, flags) => isReadOnly(p) && (typeof flags === 'string' ? /[wa+]/.test(flags) : (Number(flags) & WRITE_FLAGS) !== 0))
+    wrap('unlink', (p) => isReadOnly(p))
+    wrap('rename', (from, to) => isReadOnly(from) || isReadOnly(to))
+    wrap('truncate', (p) => isReadOnly(p))
+}
+
+/**
+ * Run fn with the read-only guard lifted, for host writes such as the
+ * runner writing a test's main.py (the counterpart of the app's system
+ * write mode).
+ * @param {Object} fs - runtime FS
+ * @param {function} fn
+ */
+export function withHostWrites(fs, fn) {
+    if (!fs) return fn()
+    const prev = fs.__ssg_host_write
+    fs.__ssg_host_write = true
+    try { return fn() } finally { fs.__ssg_host_write = prev }
+}
+
+/**
+ * Author controls for a test's or group's fixtures.
+ * @param {Object} existing - test or group
+ * @param {string} [subject] - 'test' or 'group', used in the labels
+ * @returns {{root: HTMLElement, validate: function(): {ok: boolean, reason: string|null}, apply: function(Object): Object}}
+ *   apply() writes fixtures onto the object being saved
+ */
+export function createFixtureControls(existing = {}, subject = 'test') {
+    const current = getFixtures(existing) || { files: {}, delete: [], readOnly: [] }
+    const root = document.createElement('div')
+
+    const help = document.createElement('div')
+    help.style.fontSize = '0.85em'
+    help.style.color = '#666'
+    help.style.marginBottom = '6px'
+    help.textContent = subject === 'group'
+        ? 'Applied before every test in this group, in a copy of the workspace. Tests can add their own fixtures.'
+        : 'Applied before this test runs, in a copy of the workspace. The student\'s files are not changed.'
+    root.appendChild(help)
+
+    const list = document.createElement('div')
+    root.appendChild(list)
+    const rows = []
+
+    function addRow(path = '', action = 'create', content = '', readOnly = false) {
+        const row = document.createElement('div')
+        row.style.display = 'flex'
+        row.style.flexWrap = 'wrap'
+        row.style.gap = '6px'
+        row.style.alignItems = 'flex-start'
+        row.style.marginBottom = '6px'
+
+        const pathIn = document.createElement('input')
+        pathIn.type = 'text'
+        pathIn.style.width = '160px'
+        pathIn.style.fontFamily = 'monospace'
+        pathIn.placeholder = '/data.txt'
+        pathIn.value = path
+
+        const actionSel = document.createElement('select')
+        for (const [value, text] of [['create', 'Create or replace'], ['delete', 'Delete'], ['keep', 'Leave as is']]) {
+            const o = document.createElement('option')
+            o.value = value
+            o.textContent = text
+            actionSel.appendChild(o)
+        }
+        actionSel.value = action
+
+        const roLabel = document.createElement('label')
+        roLabel.style.display = 'flex'
+        roLabel.style.alignItems = 'center'
+        roLabel.style.gap = '4px'
+        roLabel.style.fontSize = '0.85em'
+        const roCheck = document.createElement('input')
+        roCheck.type = 'checkbox'
+        roCheck.checked = readOnly
+        roLabel.appendChild(roCheck)
+        roLabel.appendChild(document.createTextNode('read-only'))
+
+        const removeBtn = document.createElement('button')
+        removeBtn.type = 'button'
+        removeBtn.className = 'btn'
+        removeBtn.textContent = '✕'
+        removeBtn.title = 'Remove fixture'
+
+        const contentIn = document.createElement('textarea')
+        contentIn.style.flexBasis = '100%'
+        contentIn.style.fontFamily = 'monospace'
+        contentIn.rows = 3
+        contentIn.placeholder = 'File content'
+        contentIn.value = content
+
+        const update = () => {
+            contentIn.style.display = actionSel.value === 'create' ? '' : 'none'
+            roLabel.style.display = actionSel.value === 'delete' ? 'none' : 'flex'
+        }
+        actionSel.addEventListener('change', update)
+        update()
+
+        const entry = {
+            get: () => ({ path: pathIn.value.trim(), action: actionSel.value, content: contentIn.value, readOnly: roCheck.checked })
+        }
+        removeBtn.addEventListener('click', () => {
+            const i = rows.indexOf(entry)
+            if (i !== -1) rows.splice(i, 1)
+            row.remove()
+        })
+
+        row.appendChild(pathIn)
+        row.appendChild(actionSel)
+        row.appendChild(roLabel)
+        row.appendChild(removeBtn)
+        row.appendChild(contentIn)
+        list.appendChild(row)
+        rows.push(entry)
+    }
+
+    for (const [p, content] of Object.entries(current.files)) addRow(p, 'create', content, current.readOnly.includes(p))
+    for (const p of current.delete) addRow(p, 'delete')
+    for (const p of current.readOnly) {
+        if (!Object.prototype.hasOwnProperty.call(current.files, p)) addRow(p, 'keep', '', true)
+    }
+
+    const addBtn = document.createElement('button')
+    addBtn.type = 'button'
+    addBtn.className = 'btn'
+    addBtn.textContent = 'Add fixture'
+    addBtn.addEventListener('click', () => addRow())
+    root.appendChild(addBtn)
+
+    function read() {
+        const fx = { files: {}, delete: [], readOnly: [] }
+        for (const r of rows.map(e => e.get())) {
+            if (!r.path) continue
+            if (r.action === 'create') fx.files[r.path] = r.content
+            else if (r.action === 'delete') fx.delete.push(r.path)
+            if (r.readOnly && r.action !== 'delete') fx.readOnly.push(r.path)
+        }
+        return getFixtures({ fixtures: fx })
+    }
+
+    return {
+        root,
+        validate() {
+            return validateFixtures(read())
+        },
+        apply(target) {
+            delete target.fixtures
+            const fx = read()
+            if (fx) {
+                target.fixtures = {}
+                if (Object.keys(fx.files).length) target.fixtures.files = fx.files
+                if (fx.delete.length) target.fixtures.delete = fx.delete
+                if (fx.readOnly.length) target.fixtures.readOnly = fx.readOnly
+            }
+            return target
+        }
+    }
+}
+
+export default {
+    normalizeFixturePath,
+    getFixtures,
+    hasFixtures,
+    validateFixtures,
+    mergeFixtures,
+    withGroupFixtures,
+    fixtureReadOnlyStatus,
+    applyFixturesToFS,
+    guardReadOnlyPaths,
+    withHostWrites,
+    createFixtureControls
+}
@@ -0,0 +1,318 @@
+/*
+ * Export of a test run as JSON, JUnit XML or TAP
+ *
+ * `buildResultsReport` turns the results of runTests / runGroupedTests into a
+ * report which the serializers below write out. The JSON export is the report
+ * itself and follows RESULTS_REPORT_SCHEMA:
+ *
+ *  {
+ *    format: 'clipy-test-results',
+ *    version: 1,
+ *    generatedAt: '2026-10-19T09:30:00.000Z',
+ *    config: { id: 'greeting', version: '1.0', title: 'Greeting' },
+ *    submission: 'alice',          // set by the headless runner, otherwise null
+ *    error: null,                  // why the submission could not be run
+ *    summary: { total: 3, passed: 2, failed: 1, skipped: 0,
+ *               earned: 2, possible: 3, percentage: 66.7, threshold: null, meetsThreshold: false },
+ *    tests: [{
+ *      id: 't-1', description: 'Prints a greeting', group: 'Output',
+ *      status: 'failed',             // 'passed' | 'failed' | 'skipped'
+ *      reason: 'Line 1 is different', durationMs: 42,
+ *      points: { earned: 0, possible: 1 },
+ *      stdout: 'Hello', stderr: '',  // excerpts, see OUTPUT_EXCERPT_LENGTH
+ *      hidden: false
+ *    }]
+ *  }
+ *
+ * Exporting several reports (a marked class) writes a JSON array of them.
+ *
+ * Hidden tests (already redacted by redactHiddenResults) keep their "Hidden
+ * test N" title and hint but never carry output.
+ */
+
+import { computeScore } from './test-scoring.js'
+
+export const RESULTS_EXPORT_FORMATS = ['json', 'junit', 'tap']
+
+// Longest stdout/stderr excerpt kept per test
+export const OUTPUT_EXCERPT_LENGTH = 2000
+
+/**
+ * JSON Schema (draft-07) for the JSON export: one report, or an array of
+ * reports when several submissions are exported together.
+ */
+export const RESULTS_REPORT_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Clipy test results',
+    oneOf: [
+        { $ref: '#/definitions/report' },
+        { type: 'array', items: { $ref: '#/definitions/report' } }
+    ],
+    definitions: {
+        report: {
+            type: 'object',
+            required: ['format', 'version', 'generatedAt', 'config', 'summary', 'tests'],
+            properties: {
+                format: { const: 'clipy-test-results' },
+                version: { const: 1 },
+                generatedAt: { type: 'string', format: 'date-time' },
+                config: {
+                    type: 'object',
+                    properties: {
+                        id: { type: ['string', 'null'] },
+                        version: { type: ['string', 'null'] },
+                        title: { type: ['string', 'null'] }
+                    }
+                },
+                submission: { type: ['string', 'null'], description: 'Submission name when marked by the headless runner' },
+                error: { type: ['string', 'null'], description: 'Why the submission could not be run' },
+                summary: {
+                    type: 'object',
+                    required: ['total', 'passed', 'failed', 'skipped'],
+                    properties: {
+                        total: { type: 'integer' },
+                        passed: { type: 'integer' },
+                        failed: { type: 'integer' },
+                        skipped: { type: 'integer' },
+                        earned: { type: 'number' },
+                        possible: { type: 'number' },
+                        percentage: { type: 'number' },
+                        threshold: { type: ['number', 'null'] },
+                        meetsThreshold: { type: 'boolean' }
+                    }
+                },
+                tests: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['id', 'status'],
+                        properties: {
+                            id: { type: ['string', 'null'] },
+                            description: { type: 'string' },
+                            group: { type: ['string', 'null'] },
+                            status: { enum: ['passed', 'failed', 'skipped'] },
+                            reason: { type: ['string', 'null'], description: 'Failure reason, hint for hidden tests, or why the test was skipped' },
+                            durationMs: { type: ['number', 'null'] },
+                            points: {
+                                type: ['object', 'null'],
+                                properties: { earned: { type: 'number' }, possible: { type: 'number' } }
+                            },
+                            stdout: { type: 'string', description: 'Excerpt of the program output' },
+                            stderr: { type: 'string', description: 'Excerpt of the error output' },
+                            hidden: { type: 'boolean' }
+                        }
+                    }
+                }
+            }
+        }
+    }
+}
+
+function excerpt(text) {
+    const s = text == null ? '' : String(text)
+    return s.length > OUTPUT_EXCERPT_LENGTH ? s.slice(0, OUTPUT_EXCERPT_LENGTH) + '\n… (truncated)' : s
+}
+
+function statusOf(r) {
+    if (r && r.skipped) return 'skipped'
+    return r && r.passed === true ? 'passed' : 'failed'
+}
+
+function groupNames(testsConfig) {
+    const names = new Map()
+    if (testsConfig && !Array.isArray(testsConfig) && Array.isArray(testsConfig.groups)) {
+        testsConfig.groups.forEach((g, i) => {
+            for (const t of g.tests || []) names.set(String(t.id), g.name || `Group ${i + 1}`)
+        })
+    }
+    return names
+}
+
+/**
+ * Build the report for a test run.
+ * @param {Object} config - the config the tests came from ({ id, version, title, tests })
+ * @param {Array} results - from runTests / runGroupedTests().flatResults
+ * @param {Object} [options]
+ * @param {string} [options.submission] - submission name (headless runner)
+ * @param {string} [options.error] - why the submission could not be run
+ * @param {Date} [options.generatedAt]
+ * @returns {Object} report following RESULTS_REPORT_SCHEMA
+ */
+export function buildResultsReport(config, results, { submission = null, error = null, generatedAt = new Date() } = {}) {
+    const cfg = config || {}
+    const list = Array.isArray(results) ? results.filter(Boolean) : []
+    const groups = groupNames(cfg.tests)
+    const score = computeScore(cfg.tests, list)
+
+    const tests = list.map(r => {
+        const status = statusOf(r)
+        let reason = null
+        if (status === 'skipped') reason = r.skipReason || null
+        else if (status === 'failed') reason = r.hidden ? (r.hint || null) : (r.reason || null)
+        return {
+            id: r.id == null ? null : String(r.id),
+            description: r.description || '',
+            group: groups.get(String(r.id)) || null,
+            status,
+            reason: reason == null ? null : String(reason),
+            durationMs: typeof r.durationMs === 'number' ? r.durationMs : null,
+            points: score.tests.get(String(r.id)) || null,
+            stdout: r.hidden ? '' : excerpt(r.stdout),
+            stderr: r.hidden ? '' : excerpt(r.stderr),
+            hidden: !!r.hidden
+        }
+    })
+
+    return {
+        format: 'clipy-test-results',
+        version: 1,
+        generatedAt: generatedAt.toISOString(),
+        config: { id: cfg.id || null, version: cfg.version || null, title: cfg.title || null },
+        submission,
+        error,
+        summary: {
+            total: tests.length,
+            passed: tests.filter(t => t.status === 'passed').length,
+            failed: tests.filter(t => t.status === 'failed').length,
+            skipped: tests.filter(t => t.status === 'skipped').length,
+            earned: score.earned,
+            possible: score.possible,
+            percentage: score.percentage,
+            threshold: score.threshold,
+            meetsThreshold: score.meetsThreshold
+        },
+        tests
+    }
+}
+
+function xmlEscape(s) {
+    return String(s == null ? '' : s)
+        // Characters XML 1.0 does not allow at all
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+}
+
+function seconds(ms) {
+    return ((typeof ms === 'number' ? ms : 0) / 1000).toFixed(3)
+}
+
+function suiteName(report) {
+    return report.submission || report.config.title || report.config.id || 'clipy'
+}
+
+function junitSuite(report) {
+    const time = report.tests.reduce((sum, t) => sum + (t.durationMs || 0), 0)
+    const errors = report.error ? 1 : 0
+    const lines = [`  <testsuite name="${xmlEscape(suiteName(report))}" tests="${report.summary.total}" failures="${report.summary.failed}" errors="${errors}" skipped="${report.summary.skipped}" time="${seconds(time)}" timestamp="${xmlEscape(report.generatedAt)}">`]
+    if (report.error) lines.push(`    <system-err>${xmlEscape(report.error)}</system-err>`)
+    for (const t of report.tests) {
+        const classname = [report.config.id || 'clipy', t.group].filter(Boolean).join('.')
+        const name = t.description ? `${t.id}: ${t.description}` : String(t.id)
+        const open = `    <testcase classname="${xmlEscape(classname)}" name="${xmlEscape(name)}" time="${seconds(t.durationMs)}"`
+        const body = []
+        if (t.status === 'failed') body.push(`      <failure message="${xmlEscape(t.reason || 'failed')}"/>`)
+        if (t.status === 'skipped') body.push(`      <skipped message="${xmlEscape(t.reason || 'skipped')}"/>`)
+        if (t.stdout) body.push(`      <system-out>${xmlEscape(t.stdout)}</system-out>`)
+        if (t.stderr) body.push(`      <system-err>${xmlEscape(t.stderr)}</system-err>`)
+        if (body.length) lines.push(open + '>', ...body, '    </testcase>')
+        else lines.push(open + '/>')
+    }
+    lines.push('  </testsuite>')
+    return lines
+}
+
+/**
+ * JUnit XML for one or more reports (one <testsuite> each).
+ * @param {Object|Array<Object>} reports
+ * @returns {string}
+ */
+export function toJUnitXml(reports) {
+    const list = Array.isArray(reports) ? reports : [reports]
+    const sum = (key) => list.reduce((n, r) => n + r.summary[key], 0)
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites tests="${sum('total')}" failures="${sum('failed')}" skipped="${sum('skipped')}">`,
+        ...list.flatMap(junitSuite),
+        '</testsuites>',
+        ''
+    ].join('\n')
+}
+
+// YAML block for TAP diagnostics; strings are JSON-quoted which is valid YAML
+function tapDiagnostics(t, indent) {
+    const pad = ' '.repeat(indent)
+    const lines = [`${pad}  ---`]
+    if (t.group) lines.push(`${pad}  group: ${JSON.stringify(t.group)}`)
+    if (t.reason) lines.push(`${pad}  message: ${JSON.stringify(t.reason)}`)
+    if (t.durationMs != null) lines.push(`${pad}  duration_ms: ${t.durationMs}`)
+    if (t.points) lines.push(`${pad}  points: ${JSON.stringify(`${t.points.earned}/${t.points.possible}`)}`)
+    if (t.stdout) lines.push(`${pad}  stdout: ${JSON.stringify(t.stdout)}`)
+    if (t.stderr) lines.push(`${pad}  stderr: ${JSON.stringify(t.stderr)}`)
+    lines.push(`${pad}  ...`)
+    return lines
+}
+
+// TAP descriptions and directives are single lines
+function tapText(text) {
+    return String(text == null ? '' : text).replace(/\s*[\r\n]+\s*/g, ' ').trim()
+}
+
+function tapLines(report, indent) {
+    const pad = ' '.repeat(indent)
+    const lines = [`${pad}1..${report.tests.length}`]
+    report.tests.forEach((t, i) => {
+        const title = tapText(`${t.id}${t.description ? ' - ' + t.description : ''}`).replace(/#/g, '\\#')
+        const ok = t.status === 'failed' ? 'not ok' : 'ok'
+        const directive = t.status === 'skipped' ? ` # SKIP ${tapText(t.reason)}`.trimEnd() : ''
+        lines.push(`${pad}${ok} ${i + 1} ${title}${directive}`)
+        if (t.status !== 'skipped') lines.push(...tapDiagnostics(t, indent))
+    })
+    return lines
+}
+
+/**
+ * TAP version 14 for one or more reports. Several reports (e.g. a marked
+ * class) become one subtest each.
+ * @param {Object|Array<Object>} reports
+ * @returns {string}
+ */
+export function toTap(reports) {
+    if (!Array.isArray(reports)) return ['TAP version 14', ...tapLines(reports, 0), ''].join('\n')
+    const lines = ['TAP version 14', `1..${reports.length}`]
+    reports.forEach((r, i) => {
+        const name = tapText(suiteName(r))
+        lines.push(`# Subtest: ${name}`)
+        if (r.error) lines.push(`    1..0 # ${tapText(r.error)}`)
+        else lines.push(...tapLines(r, 4))
+        const ok = !r.error && r.summary.failed === 0
+        lines.push(`${ok ? 'ok' : 'not ok'} ${i + 1} ${name.replace(/#/g, '\\#')}`)
+    })
+    lines.push('')
+    return lines.join('\n')
+}
+
+/**
+ * Serialize reports in one of RESULTS_EXPORT_FORMATS.
+ * @param {string} format - 'json', 'junit' or 'tap'
+ * @param {Object|Array<Object>} reports
+ * @returns {{text: string, mimeType: string, extension: string}}
+ */
+export function exportResults(format, reports) {
+    if (format === 'junit') return { text: toJUnitXml(reports), mimeType: 'application/xml', extension: 'xml' }
+    if (format === 'tap') return { text: toTap(reports), mimeType: 'text/plain', extension: 'tap' }
+    if (format === 'json') return { text: JSON.stringify(reports, null, 2) + '\n', mimeType: 'application/json', extension: 'json' }
+    throw new Error(`Unknown export format ${format}`)
+}
+
+export default {
+    RESULTS_EXPORT_FORMATS,
+    OUTPUT_EXCERPT_LENGTH,
+    RESULTS_REPORT_SCHEMA,
+    buildResultsReport,
+    toJUnitXml,
+    toTap,
+    exportResults
+}
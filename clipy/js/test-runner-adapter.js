@@ -5,11 +5,15 @@
 import { debug as logDebug, info as logInfo, warn as logWarn, error as logError } from './logger.js'
 import { setSystemWriteMode } from './vfs-client.js'
 import { appendTerminal } from './terminal.js'
+import { getFixtures } from './test-fixtures.js'
 
 export function createRunFn({ getFileManager, MAIN_FILE, runPythonCode, getConfig }) {
     if (!getFileManager) throw new Error('getFileManager required')
 
     return async function runFn(t) {
+        // This runner uses the student's live workspace, so fixtures could
+        // overwrite or delete their files; only the sandbox gives a copy
+        if (getFixtures(t)) throw new Error('Workspace fixtures need the sandboxed test runner')
         try {
             // Short-circuit AST tests: if the test has an `astRule` object,
             // evaluate it against the MAIN_FILE (or test.main if provided)
@@ -39,6 +43,14 @@ export function createRunFn({ getFileManager, MAIN_FILE, runPythonCode, getConfi
                     return { stdout: '', stderr: String(e || ''), durationMs: 0, astPassed: false }
                 }
             }
+            // Function tests run a harness that imports the student's module.
+            // Build it before touching the filesystem so a bad spec fails cleanly.
+            let fnHarness = null
+            if (t && t.type === 'function') {
+                const { buildFunctionHarness } = await import('./function-test.js')
+                fnHarness = buildFunctionHarness(t)
+            }
+
             const FileManager = getFileManager()
 
             // Snapshot current files
@@ -73,23 +85,38 @@ export function createRunFn({ getFileManager, MAIN_FILE, runPythonCode, getConfi
             // Read code and clear runtime globals
             let code = ''
             try { code = (await FileManager.read(MAIN_FILE)) || '' } catch (_e) { code = '' }
+            if (fnHarness) code = fnHarness
             try { if (typeof window.clearMicroPythonState === 'function') window.clearMicroPythonState() } catch (_e) { }
 
             // Setup stdin queue
             const stdinQueue = []
-            if (typeof t.stdin === 'string') {
+            const isTranscript = !!(t && t.type === 'transcript')
+            if (isTranscript) {
+                const { getTranscriptInputs } = await import('./transcript-test.js')
+                for (const p of getTranscriptInputs(t)) stdinQueue.push(p)
+            } else if (typeof t.stdin === 'string') {
                 const parts = t.stdin.split(/\r?\n/)
                 for (const p of parts) stdinQueue.push(p)
             } else if (Array.isArray(t.stdin)) {
                 for (const p of t.stdin) stdinQueue.push(String(p))
             }
 
+            // Transcript tests record the terminal output printed before each
+            // input request (see transcript-test.js for the segment shape).
+            const transcript = isTranscript ? [] : null
+            const terminalText = () => {
+                const el = document.getElementById('terminal-output')
+                return el ? (el.textContent || '') : ''
+            }
+            let transcriptFrom = terminalText().length
+
             // Run program and concurrently feed stdin if runtime requests it.
             let runError = null
             const cfgLocal = (getConfig && typeof getConfig === 'function') ? getConfig() : {}
+            const runStartedAt = Date.now()
             const runPromise = (async () => {
                 try {
-                    await runPythonCode(code, cfgLocal)
+                    await runPythonCode(code, cfgLocal, { seed: t.seed })
                 } catch (err) {
                     runError = err
                 }
@@ -105,6 +132,14 @@ export function createRunFn({ getFileManager, MAIN_FILE, runPythonCode, getConfi
                         try {
                             if (window.__ssg_pending_input && typeof window.__ssg_pending_input.resolve === 'function') {
                                 const next = stdinQueue.length ? stdinQueue.shift() : ''
+                                if (transcript) {
+                                    // host.get_input does not print its prompt, so add it
+                                    // when the terminal does not already end with it.
+                                    let segment = terminalText().slice(transcriptFrom)
+                                    const promptText = String(window.__ssg_pending_input.promptText || '')
+                                    if (promptText && !segment.endsWith(promptText)) segment += promptText
+                                    transcript.push({ output: segment, input: next })
+                                }
                                 try {
                                     window.__ssg_pending_input.resolve(next)
                                 } catch (_e) { }
@@ -125,6 +160,7 @@ export function createRunFn({ getFileManager, MAIN_FILE, runPythonCode, getConfi
                                         }
                                     }
                                 } catch (_e) { }
+                                if (transcript) transcriptFrom = terminalText().length
                             }
                         } catch (_e) { }
                         if (Date.now() - start > timeout) break
@@ -134,6 +170,7 @@ export function createRunFn({ getFileManager, MAIN_FILE, runPythonCode, getConfi
             })()
 
             try { await runPromise } catch (_e) { }
+            const durationMs = Date.now() - runStartedAt
             feederStopped = true
             try { await Promise.race([feeder, new Promise(r => setTimeout(r, 60))]) } catch (_e) { }
 
@@ -141,6 +178,22 @@ export function createRunFn({ getFileManager, MAIN_FILE, runPythonCode, getConfi
             const outEl = document.getElementById('terminal-output')
             const stdoutFull = outEl ? (outEl.textContent || '') : ''
             const stderrFull = (typeof window.__ssg_last_mapped === 'string' && window.__ssg_last_mapped) ? window.__ssg_last_mapped : ''
+            if (transcript) transcript.push({ output: stdoutFull.slice(transcriptFrom), input: null })
+
+            // Expected output files: runPythonCode has already synced the
+            // runtime FS back into the workspace (syncVFSAfterRun), so read
+            // them before the snapshot below is restored.
+            let outputFiles = null
+            if (Array.isArray(t.expected_files) && t.expected_files.length) {
+                const { getExpectedFilePaths } = await import('./output-files-test.js')
+                outputFiles = {}
+                for (const p of getExpectedFilePaths(t)) {
+                    try {
+                        const c = await FileManager.read(p)
+                        outputFiles[p] = c == null ? null : c
+                    } catch (_e) { outputFiles[p] = null }
+                }
+            }
 
             // Restore files
             try {
@@ -172,8 +225,10 @@ export function createRunFn({ getFileManager, MAIN_FILE, runPythonCode, getConfi
             try { window.__ssg_suppress_notifier = false } catch (_e) { }
             try { if (typeof window.clearMicroPythonState === 'function') window.clearMicroPythonState() } catch (_e) { }
 
-            if (runError) return { stdout: stdoutFull, stderr: String(runError || stderrFull), durationMs: 0, filename: (FileManager && typeof FileManager.list === 'function') ? ((await FileManager.list()) || []) : [] }
-            return { stdout: stdoutFull, stderr: stderrFull, durationMs: 0, filename: (FileManager && typeof FileManager.list === 'function') ? ((await FileManager.list()) || []) : [] }
+            const extraResult = transcript ? { transcript } : {}
+            if (outputFiles) extraResult.files = outputFiles
+            if (runError) return { stdout: stdoutFull, stderr: String(runError || stderrFull), durationMs, filename: (FileManager && typeof FileManager.list === 'function') ? ((await FileManager.list()) || []) : [], ...extraResult }
+            return { stdout: stdoutFull, stderr: stderrFull, durationMs, filename: (FileManager && typeof FileManager.list === 'function') ? ((await FileManager.list()) || []) : [], ...extraResult }
         } catch (e) {
             try { window.__ssg_suppress_notifier = false } catch (_e) { }
             return { stdout: '', stderr: String(e || ''), durationMs: 0 }
@@ -1,4 +1,6 @@
 // Parent-side helper to create a sandboxed runFn that uses per-test iframes.
+import { getTranscriptInputs } from './transcript-test.js'
+
 export function createSandboxedRunFn({ runtimeUrl = './vendor/micropython.mjs', filesSnapshot = {}, iframeSrc = './tests/runner.html', timeoutMsDefault = 20000 } = {}) {
     return function runFn(test) {
         return new Promise(async (resolve) => {
@@ -101,7 +103,10 @@ export function createSandboxedRunFn({ runtimeUrl = './vendor/micropython.mjs',
             // string for each stdinRequest. If the author supplied an array,
             // copy it so we don't mutate their object.
             let stdinQueue = null
-            if (Array.isArray(test && test.stdin)) {
+            if (test && test.type === 'transcript') {
+                // Transcript tests answer each input request with the next `send` step
+                stdinQueue = getTranscriptInputs(test)
+            } else if (Array.isArray(test && test.stdin)) {
                 stdinQueue = (test.stdin || []).slice()
             } else if (test && typeof test.stdin === 'string') {
                 // split on LF; preserve empty strings for trailing/newline cases
@@ -15,8 +15,66 @@
 // Lightweight matcher for expected outputs. `expected` may be:
 //  - a string -> we check `actual` includes the string
 //  - an object { type: 'regex', expression: '...' } -> RegExp test
+//  - an object { type: 'exact', expression: '...' } -> whole output equal
+//  - an object { type: 'ignore_whitespace' | 'ignore_case' | 'unordered_lines', expression }
+//    -> whole output equal after normalizing whitespace, case or line order
+//  - an object { type: 'float_tolerance', expression, absTol, relTol } -> text
+//    equal and every number within max(absTol, relTol * |expected|)
 //  - a RegExp instance
 import { debug as logDebug } from './logger.js'
+import { getFunctionSpec, extractFunctionResult, pyValuesEqual, formatFunctionCall } from './function-test.js'
+import { getTranscriptSteps, checkTranscript } from './transcript-test.js'
+import { getExpectedFiles, checkExpectedFiles } from './output-files-test.js'
+import { getPropertySpec, runPropertyTest } from './property-test.js'
+import { getBudgetSpec, runBudgetTest } from './budget-test.js'
+import { withGroupFixtures } from './test-fixtures.js'
+
+// Defaults for float_tolerance matchers. Also used when normalizing tests for
+// hashing so omitted and explicit defaults produce the same verification code.
+const FLOAT_TOLERANCE_DEFAULTS = { absTol: 1e-6, relTol: 0 }
+
+// Matcher types that compare the whole output against `expression` after
+// some normalization. Used by the UI to decide how to render expectations.
+const TEXT_MATCHER_LABELS = {
+    exact: 'exact',
+    ignore_whitespace: 'ignoring whitespace',
+    ignore_case: 'ignoring case',
+    unordered_lines: 'lines in any order',
+    float_tolerance: 'numbers within tolerance'
+}
+
+// Resolve the effective tolerances of a float_tolerance expectation, falling
+// back to the defaults for missing, blank or non-numeric values.
+function resolveTolerances(expected) {
+    const pick = (v, dflt) => (v === undefined || v === null || v === '' || !Number.isFinite(Number(v))) ? dflt : Math.abs(Number(v))
+    return {
+        absTol: pick(expected && expected.absTol, FLOAT_TOLERANCE_DEFAULTS.absTol),
+        relTol: pick(expected && expected.relTol, FLOAT_TOLERANCE_DEFAULTS.relTol)
+    }
+}
+
+// A leading - or + is only a sign at the start of the text or after
+// whitespace or punctuation, so `3-4` and `a-1` keep their hyphens
+const NUMBER_RE = /(?:(?<![\w.])[-+])?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g
+
+function splitNumbers(s) {
+    const nums = []
+    const text = s.replace(NUMBER_RE, (m) => { nums.push(Number(m)); return '\u0000' })
+    return { text, nums }
+}
+
+// True when two texts are equal apart from numbers, and every number in
+// `actual` is within tolerance of the one in `expected`.
+function floatsMatch(actual, expected, absTol, relTol) {
+    const a = splitNumbers(actual.replace(/\s+$/, ''))
+    const e = splitNumbers(expected.replace(/\s+$/, ''))
+    if (a.text !== e.text || a.nums.length !== e.nums.length) return false
+    return e.nums.every((ev, i) => Math.abs(a.nums[i] - ev) <= Math.max(absTol, relTol * Math.abs(ev)))
+}
+
+function sortedLines(s) {
+    return s.split(/\r?\n/).map(l => l.replace(/\s+$/, '')).filter(l => l !== '').sort()
+}
 
 function matchExpectation(actual, expected) {
     const s = String(actual || '')
@@ -38,6 +96,22 @@ function matchExpectation(actual, expected) {
         const expectedText = String(expected.expression || '')
         return { matched: s === expectedText, detail: null }
     }
+    if (typeof expected === 'object' && expected.type === 'ignore_whitespace') {
+        const norm = (v) => v.replace(/\s+/g, ' ').trim()
+        return { matched: norm(s) === norm(String(expected.expression || '')), detail: null }
+    }
+    if (typeof expected === 'object' && expected.type === 'ignore_case') {
+        return { matched: s.toLowerCase() === String(expected.expression || '').toLowerCase(), detail: null }
+    }
+    if (typeof expected === 'object' && expected.type === 'unordered_lines') {
+        const a = sortedLines(s)
+        const e = sortedLines(String(expected.expression || ''))
+        return { matched: a.length === e.length && a.every((l, i) => l === e[i]), detail: null }
+    }
+    if (typeof expected === 'object' && expected.type === 'float_tolerance') {
+        const { absTol, relTol } = resolveTolerances(expected)
+        return { matched: floatsMatch(s, String(expected.expression || ''), absTol, relTol), detail: null }
+    }
     // string compare - contains (default behavior)
     if (typeof expected === 'string') {
         return { matched: s.indexOf(expected) !== -1 }
@@ -45,6 +119,21 @@ function matchExpectation(actual, expected) {
     return { matched: false }
 }
 
+// Render an expectation for display, e.g. `/a+/i` or `[ignoring case: Hello]`.
+function describeExpectation(expected) {
+    if (expected == null) return ''
+    if (typeof expected === 'string') return expected
+    try {
+        if (typeof expected === 'object' && expected.type === 'regex') return `/${expected.expression}/${expected.flags || ''}`
+        if (typeof expected === 'object' && expected.type === 'float_tolerance') {
+            const { absTol, relTol } = resolveTolerances(expected)
+            return `[numbers within ±${absTol}${relTol ? ` or ${relTol * 100}%` : ''}: ${expected.expression}]`
+        }
+        if (typeof expected === 'object' && TEXT_MATCHER_LABELS[expected.type]) return `[${TEXT_MATCHER_LABELS[expected.type]}: ${expected.expression}]`
+    } catch (_e) { }
+    try { return JSON.stringify(expected) } catch (_e) { return String(expected) }
+}
+
 // Produce a human-readable mismatch reason for simple string expectations.
 function computeMismatchReason(actual, expected) {
     try {
@@ -111,18 +200,51 @@ function computeMismatchReason(actual, expected) {
     }
 }
 
+// Pick the most helpful mismatch reason for an expectation. Plain strings and
+// the normalizing matchers get the case/spacing/punctuation hints; regex and
+// exact keep the generic message.
+function mismatchReasonFor(actual, expected) {
+    if (typeof expected === 'string') return computeMismatchReason(actual, expected)
+    if (expected && typeof expected === 'object' && expected.type === 'float_tolerance') {
+        const a = splitNumbers(String(actual || '').replace(/\s+$/, ''))
+        const e = splitNumbers(String(expected.expression || '').replace(/\s+$/, ''))
+        if (a.text === e.text && a.nums.length === e.nums.length) return 'Some numbers in your program\'s output are not close enough to the expected values'
+        return computeMismatchReason(actual, expected.expression)
+    }
+    if (expected && typeof expected === 'object' && expected.type !== 'exact' && TEXT_MATCHER_LABELS[expected.type]) {
+        return computeMismatchReason(actual, expected.expression)
+    }
+    return 'Your program\'s output does not match the expected output'
+}
+
 /**
  * Run an array of tests.
  * Each test shape (minimal):
  *  { id, description, stdin, expected_stdout, expected_stderr, timeoutMs, setup }
+ * Function tests (type: 'function') carry a `function` spec instead of
+ * expected output; see function-test.js. Transcript tests (type: 'transcript')
+ * carry ordered expect/send steps; see transcript-test.js. Any regular test may
+ * also list `expected_files` checked against the files the runtime read back
+ * after the run; see output-files-test.js. Property tests (type: 'property')
+ * generate random cases and compare against a reference solution, calling
+ * runFn once per batch or case; see property-test.js. Budget tests
+ * (type: 'budget') measure steps and time for inputs of known sizes; see
+ * budget-test.js. Tests may declare `fixtures` (files to create, replace or
+ * delete, and read-only paths) that runFn applies to the test's copy of the
+ * workspace; runGroupedTests merges in the group's fixtures first. See
+ * test-fixtures.js.
  * options:
  *  - runFn: async function(test) -> { stdout, stderr, filename, durationMs }
  *  - setupFn: async function(setup) optional
+ *  - coverage: optional collector from createCoverageCollector() that records
+ *    which lines of the student's files ran across the suite (budget tests
+ *    install their own tracer and are not measured); see test-coverage.js
  */
 async function runTests(tests, options = {}) {
     if (!Array.isArray(tests)) throw new Error('tests must be an array')
     const runFn = typeof options.runFn === 'function' ? options.runFn : async () => { throw new Error('no runFn provided') }
     const setupFn = typeof options.setupFn === 'function' ? options.setupFn : null
+    const testRunFn = options.coverage && typeof options.coverage.wrapRunFn === 'function' ? options.coverage.wrapRunFn(runFn) : runFn
 
     const results = []
     // Helper: sanitize stack-like text for storage so vendor JS frames are removed
@@ -145,8 +267,23 @@ async function runTests(tests, options = {}) {
                 try { await setupFn(t.setup) } catch (e) { /* continue but record */ res.reason = 'setup_failed' }
             }
 
+            // Property tests drive runFn themselves: many cases plus shrinking
+            if (getPropertySpec(t)) {
+                const pr = await runPropertyTest(t, testRunFn)
+                Object.assign(res, pr)
+                results.push(res)
+                continue
+            }
+
+            // Budget tests run once per case (program) or once for all cases (function)
+            if (getBudgetSpec(t)) {
+                Object.assign(res, await runBudgetTest(t, runFn))
+                results.push(res)
+                continue
+            }
+
             const start = Date.now()
-            const runResult = await runFn(t)
+            const runResult = await testRunFn(t)
             const end = Date.now()
             // Debug: log the raw runFn result so we can diagnose empty stdout/stderr
             try { logDebug('[runTests] raw runResult for', String(t.id || ''), runResult) } catch (_e) { }
@@ -189,6 +326,54 @@ async function runTests(tests, options = {}) {
                 continue
             }
 
+            // Function tests: the runtime printed a sentinel line carrying the
+            // returned and expected values. Strip it from stdout and compare.
+            const fnSpec = getFunctionSpec(t)
+            if (fnSpec) {
+                const extracted = extractFunctionResult(res.stdout)
+                res.stdout = extracted.stdout
+                const call = formatFunctionCall(fnSpec)
+                const fr = extracted.result
+                if (!fr) {
+                    res.passed = false
+                    res.reason = res.stderr
+                        ? `Calling ${call} raised an error`
+                        : `Could not call ${call} - check the function is defined`
+                    results.push(res)
+                    continue
+                }
+                res.passed = pyValuesEqual(fr.actual, fr.expected)
+                res.details = { function: { call, actual: fr.actualRepr, expected: fr.expectedRepr } }
+                if (!res.passed) {
+                    res.reason = t.hide_actual_expected
+                        ? `${call} did not return the expected value`
+                        : `${call} returned ${fr.actualRepr}, expected ${fr.expectedRepr}`
+                }
+                results.push(res)
+                continue
+            }
+
+            // Transcript tests: the runtime recorded the output printed before
+            // each input request. Report the first step that diverged.
+            const transcriptSteps = getTranscriptSteps(t)
+            if (transcriptSteps) {
+                const tr = checkTranscript(transcriptSteps, runResult.transcript)
+                if (!tr.ok) {
+                    res.passed = false
+                    res.reason = t.hide_actual_expected
+                        ? `Step ${tr.step}: the conversation with your program did not go as expected`
+                        : tr.reason
+                    res.details = { transcript: { step: tr.step, expected: tr.expected, actual: tr.actual } }
+                } else if (res.stderr) {
+                    res.passed = false
+                    res.reason = 'Your program produced an error after the last transcript step'
+                } else {
+                    res.passed = true
+                }
+                results.push(res)
+                continue
+            }
+
             // If the program produced stderr but we expected stdout, this is a failure
             if (res.stderr && t.expected_stdout != null) {
                 ok = false
@@ -207,11 +392,7 @@ async function runTests(tests, options = {}) {
                 }
                 // Provide a more informative reason for plain-string mismatches
                 if (!m.matched && (!res.reason || res.reason === 'mismatch')) {
-                    if (typeof t.expected_stdout === 'string') {
-                        res.reason = computeMismatchReason(res.stdout, t.expected_stdout)
-                    } else {
-                        res.reason = 'Your program\'s output does not match the expected output'
-                    }
+                    res.reason = mismatchReasonFor(res.stdout, t.expected_stdout)
                 }
             }
             if (t.expected_stderr != null) {
@@ -223,10 +404,25 @@ async function runTests(tests, options = {}) {
                     details.stderr = m.detail || null
                 }
                 if (!m.matched && (!res.reason || res.reason === 'mismatch')) {
-                    if (typeof t.expected_stderr === 'string') {
-                        res.reason = computeMismatchReason(res.stderr, t.expected_stderr)
-                    } else {
-                        res.reason = 'Your program\'s output does not match the expected output'
+                    res.reason = mismatchReasonFor(res.stderr, t.expected_stderr)
+                }
+            }
+
+            // Files written by the program, read back by the runtime after the run
+            const fileAssertions = getExpectedFiles(t)
+            if (fileAssertions.length) {
+                const fr = checkExpectedFiles(fileAssertions, runResult.files)
+                details.files = fr.results
+                if (res.stderr && t.expected_stderr == null && t.expected_stdout == null) {
+                    ok = false
+                    res.reason = 'Your program produced an error before it finished writing its files'
+                } else if (!fr.ok) {
+                    ok = false
+                    if (!res.reason) {
+                        const failed = fr.results.find(r => !r.ok)
+                        res.reason = t.hide_actual_expected
+                            ? `File ${failed.path} is not as expected`
+                            : fr.reason
                     }
                 }
             }
@@ -247,8 +443,8 @@ async function runTests(tests, options = {}) {
 }
 
 // Expose for Node require and ES imports
-if (typeof module !== 'undefined' && module.exports) module.exports = { runTests, matchExpectation, runGroupedTests, computeMismatchReason }
-export { runTests, matchExpectation, runGroupedTests, computeMismatchReason }
+if (typeof module !== 'undefined' && module.exports) module.exports = { runTests, matchExpectation, runGroupedTests, computeMismatchReason, describeExpectation, resolveTolerances, floatsMatch, NUMBER_RE, FLOAT_TOLERANCE_DEFAULTS, TEXT_MATCHER_LABELS }
+export { runTests, matchExpectation, runGroupedTests, computeMismatchReason, describeExpectation, resolveTolerances, floatsMatch, NUMBER_RE, FLOAT_TOLERANCE_DEFAULTS, TEXT_MATCHER_LABELS }
 
 /**
  * Run grouped tests with conditional execution support
@@ -392,7 +588,7 @@ async function runGroupedTests(testConfig, options = {}) {
                     // its result immediately so subsequent tests can see its outcome.
                     try { queuedIds.push(test.id) } catch (_e) { }
                     try { logDebug('[test-runner] executing 1 test for group', group.name, test.id) } catch (_e) { }
-                    const testResults = await runTests([test], options)
+                    const testResults = await runTests([withGroupFixtures(test, group)], options)
                     for (const result of testResults) {
                         groupResult.testResults.push(result)
                         flatResults.push(result)
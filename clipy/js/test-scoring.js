@@ -0,0 +1,147 @@
+/*
+ * Weighted scoring for test results
+ *
+ * Every test is worth `points` (default 1). A group may set its own `points`
+ * to fix the group's total; its tests then share those points in proportion
+ * to their weights. Grouped test configs may also set `passThreshold`, a
+ * percentage the score must reach before a verification code is issued.
+ *
+ *  {
+ *    groups: [{ id, name, points: 10, tests: [{ id, points: 2 }, { id }] }],
+ *    ungrouped: [{ id, points: 5 }],
+ *    passThreshold: 70
+ *  }
+ *
+ * Failed and skipped tests earn nothing.
+ */
+
+export const DEFAULT_TEST_POINTS = 1
+
+function validPoints(v) {
+    if (v === undefined || v === null || v === '') return null
+    const n = Number(v)
+    return Number.isFinite(n) && n >= 0 ? n : null
+}
+
+/**
+ * Points a single test is worth (its weight within a weighted group).
+ * @param {Object} test
+ * @returns {number}
+ */
+export function getTestPoints(test) {
+    const p = validPoints(test && test.points)
+    return p === null ? DEFAULT_TEST_POINTS : p
+}
+
+/**
+ * Explicit points total for a group, or null when the group total is simply
+ * the sum of its tests.
+ * @param {Object} group
+ * @returns {number|null}
+ */
+export function getGroupPoints(group) {
+    return validPoints(group && group.points)
+}
+
+/**
+ * Pass threshold (0-100) configured on the tests config, or null.
+ * @param {Object|Array} testsConfig - the `tests` value from a config
+ * @returns {number|null}
+ */
+export function getPassThreshold(testsConfig) {
+    if (!testsConfig || Array.isArray(testsConfig) || typeof testsConfig !== 'object') return null
+    const t = validPoints(testsConfig.passThreshold)
+    return t === null ? null : Math.min(t, 100)
+}
+
+/**
+ * Whether a tests config uses any weights or a threshold. The UI only shows
+ * per-test points when this is true.
+ */
+export function isWeightedScoring(testsConfig) {
+    if (!testsConfig || typeof testsConfig !== 'object') return false
+    const tests = Array.isArray(testsConfig) ? testsConfig : [
+        ...((testsConfig.groups || []).flatMap(g => g.tests || [])),
+        ...(testsConfig.ungrouped || [])
+    ]
+    if (tests.some(t => validPoints(t && t.points) !== null)) return true
+    if (!Array.isArray(testsConfig) && (testsConfig.groups || []).some(g => getGroupPoints(g) !== null)) return true
+    return getPassThreshold(testsConfig) !== null
+}
+
+function roundPoints(n) {
+    return Math.round(n * 100) / 100
+}
+
+/**
+ * Compute the score for a set of results.
+ * @param {Object|Array} testsConfig - the `tests` value from a config
+ * @param {Array} results - results from runTests / runGroupedTests
+ * @returns {{earned: number, possible: number, percentage: number, threshold: number|null,
+ *   meetsThreshold: boolean, groups: Array, tests: Map<string, {earned: number, possible: number}>}}
+ */
+export function computeScore(testsConfig, results) {
+    const passed = new Set()
+    for (const r of (Array.isArray(results) ? results : [])) {
+        if (r && r.passed === true && !r.skipped) passed.add(String(r.id))
+    }
+
+    const perTest = new Map()
+    const scoreTests = (tests, scale) => {
+        let earned = 0
+        let possible = 0
+        for (const t of tests || []) {
+            const pts = getTestPoints(t) * scale
+            const got = passed.has(String(t && t.id)) ? pts : 0
+            perTest.set(String(t && t.id), { earned: roundPoints(got), possible: roundPoints(pts) })
+            earned += got
+            possible += pts
+        }
+        return { earned, possible }
+    }
+
+    let earned = 0
+    let possible = 0
+    const groups = []
+
+    if (Array.isArray(testsConfig)) {
+        const s = scoreTests(testsConfig, 1)
+        earned = s.earned
+        possible = s.possible
+    } else if (testsConfig && typeof testsConfig === 'object') {
+        for (const g of testsConfig.groups || []) {
+            const weights = (g.tests || []).reduce((sum, t) => sum + getTestPoints(t), 0)
+            const groupPoints = getGroupPoints(g)
+            const scale = (groupPoints !== null && weights > 0) ? groupPoints / weights : 1
+            const s = scoreTests(g.tests, scale)
+            groups.push({ id: g.id, name: g.name, earned: roundPoints(s.earned), possible: roundPoints(s.possible) })
+            earned += s.earned
+            possible += s.possible
+        }
+        const s = scoreTests(testsConfig.ungrouped, 1)
+        earned += s.earned
+        possible += s.possible
+    }
+
+    const percentage = possible > 0 ? (earned / possible) * 100 : 0
+    const threshold = getPassThreshold(testsConfig)
+    return {
+        earned: roundPoints(earned),
+        possible: roundPoints(possible),
+        percentage: Math.round(percentage * 10) / 10,
+        threshold,
+        // Compare unrounded values so 69.95% does not pass a 70% threshold
+        meetsThreshold: threshold !== null && possible > 0 && percentage + 1e-9 >= threshold,
+        groups,
+        tests: perTest
+    }
+}
+
+export default {
+    DEFAULT_TEST_POINTS,
+    getTestPoints,
+    getGroupPoints,
+    getPassThreshold,
+    isWeightedScoring,
+    computeScore
+}
@@ -0,0 +1,62 @@
+/*
+ * Deterministic random seeding for tests
+ *
+ * A test may set `seed` (a non-negative integer). Grouped test configs may
+ * also set a default for every test that does not have its own:
+ *
+ *  { groups: [...], ungrouped: [...], seed: 42 }
+ *  { id: 't1', seed: 7, stdin: 'roll', expected_stdout: 'You rolled 3' }
+ *
+ * Before the test's program runs, the runtime executes the seed prelude so
+ * MicroPython's `random` module produces the same sequence on every run.
+ */
+
+/**
+ * Parse a seed value; returns a non-negative integer or null.
+ */
+export function normalizeSeed(v) {
+    if (v === undefined || v === null || v === '') return null
+    const n = Number(v)
+    return Number.isSafeInteger(n) && n >= 0 ? n : null
+}
+
+/**
+ * The seed a test runs with: its own `seed`, else the tests config default.
+ * @param {Object} test
+ * @param {Object|Array} [testsConfig] - the `tests` value from a config
+ * @returns {number|null}
+ */
+export function getTestSeed(test, testsConfig) {
+    const own = normalizeSeed(test && test.seed)
+    if (own !== null) return own
+    if (testsConfig && !Array.isArray(testsConfig) && typeof testsConfig === 'object') return normalizeSeed(testsConfig.seed)
+    return null
+}
+
+/**
+ * Copy of a tests config where every test carries the seed it runs with, so
+ * runners that only see individual tests apply the config default too.
+ * Returned unchanged when there is no default seed.
+ * @param {Object|Array} testsConfig
+ * @returns {Object|Array}
+ */
+export function applyDefaultSeed(testsConfig) {
+    if (!testsConfig || Array.isArray(testsConfig) || normalizeSeed(testsConfig.seed) === null) return testsConfig
+    const withSeed = (t) => (t && normalizeSeed(t.seed) === null ? { ...t, seed: normalizeSeed(testsConfig.seed) } : t)
+    return {
+        ...testsConfig,
+        groups: (testsConfig.groups || []).map(g => ({ ...g, tests: (g.tests || []).map(withSeed) })),
+        ungrouped: (testsConfig.ungrouped || []).map(withSeed)
+    }
+}
+
+/**
+ * Python statements that seed the `random` module, or '' when seed is null.
+ * Kept to a single line so prepending it shifts tracebacks by one line.
+ */
+export function buildSeedPrelude(seed) {
+    const n = normalizeSeed(seed)
+    return n === null ? '' : `import random; random.seed(${n})`
+}
+
+export default { normalizeSeed, getTestSeed, applyDefaultSeed, buildSeedPrelude }
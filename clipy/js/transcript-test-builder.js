@@ -0,0 +1,377 @@
+/**
+ * Transcript Test Builder Module
+ *
+ * Builder for interactive transcript tests: an ordered list of
+ * expect-output / send-input steps checked as the program runs.
+ */
+
+import { getTranscriptSteps, validateTranscript } from './transcript-test.js'
+import { createHiddenTestControls } from './hidden-tests.js'
+import { createFixtureControls } from './test-fixtures.js'
+import { normalizeSeed } from './test-seed.js'
+
+/**
+ * Create transcript test form builder
+ * @param {Object} existing - Existing test configuration
+ * @returns {Object} Form builder with root element and get() function
+ */
+export function buildTranscriptTestForm(existing = {}) {
+    const root = document.createElement('div')
+    root.style.border = '1px solid #e0e0e0'
+    root.style.padding = '8px'
+    root.style.borderRadius = '6px'
+    root.style.background = '#fffaf2'  // Light orange background to distinguish from other tests
+
+    // Helper function for labeled form elements
+    function labeled(labelText, el, helpText) {
+        const wr = document.createElement('div')
+        wr.style.marginBottom = '8px'
+        const l = document.createElement('div')
+        l.style.fontSize = '0.9em'
+        l.style.marginBottom = '4px'
+        l.style.display = 'flex'
+        l.style.alignItems = 'center'
+        l.style.gap = '8px'
+        const txt = document.createElement('span')
+        txt.textContent = labelText
+        l.appendChild(txt)
+        if (helpText) {
+            const info = document.createElement('span')
+            info.className = 'info-icon'
+            info.setAttribute('tabindex', '0')
+            info.setAttribute('role', 'img')
+            info.setAttribute('aria-label', labelText + ' help')
+            const infoSymbol = document.createElement('span')
+            infoSymbol.className = 'info-symbol'
+            infoSymbol.textContent = 'ℹ'
+            info.appendChild(infoSymbol)
+            const tip = document.createElement('span')
+            tip.className = 'info-tooltip'
+            tip.textContent = helpText
+            info.appendChild(tip)
+            l.appendChild(info)
+        }
+        wr.appendChild(l)
+        wr.appendChild(el)
+        return wr
+    }
+
+    // Test ID
+    const idIn = document.createElement('input')
+    idIn.style.width = '100%'
+    idIn.value = existing.id || ''
+
+    // Test description
+    const desc = document.createElement('input')
+    desc.style.width = '100%'
+    desc.value = existing.description || existing.name || ''
+    desc.placeholder = 'What is being tested, descriptive language'
+
+    // Steps editor: one row per step with kind, match mode and text
+    const stepsWrap = document.createElement('div')
+    const stepsList = document.createElement('div')
+    stepsWrap.appendChild(stepsList)
+    const rows = []
+
+    const status = document.createElement('div')
+    status.style.fontSize = '0.9em'
+    status.style.color = '#b00020'
+    status.style.marginBottom = '8px'
+
+    function updateStatus() {
+        const v = validateTranscript(collectSteps())
+        status.textContent = v.ok ? '' : v.reason
+    }
+
+    function renumber() {
+        rows.forEach((r, i) => { r.num.textContent = (i + 1) + '.' })
+    }
+
+    function addStepRow(step = { expect: '' }) {
+        const row = document.createElement('div')
+        row.style.display = 'flex'
+        row.style.gap = '6px'
+        row.style.alignItems = 'center'
+        row.style.marginBottom = '4px'
+
+        const num = document.createElement('span')
+        num.style.minWidth = '24px'
+        num.style.fontSize = '0.9em'
+        num.style.color = '#666'
+
+        const kind = document.createElement('select')
+        const optExpect = document.createElement('option'); optExpect.value = 'expect'; optExpect.textContent = 'Expect output'
+        const optSend = document.createElement('option'); optSend.value = 'send'; optSend.textContent = 'Send input'
+        kind.appendChild(optExpect); kind.appendChild(optSend)
+
+        const mode = document.createElement('select')
+        const optContains = document.createElement('option'); optContains.value = 'contains'; optContains.textContent = 'contains'
+        const optRegex = document.createElement('option'); optRegex.value = 'regex'; optRegex.textContent = 'regex'
+        mode.appendChild(optContains); mode.appendChild(optRegex)
+
+        const text = document.createElement('input')
+        text.type = 'text'
+        text.style.flex = '1'
+        text.style.fontFamily = 'monospace'
+
+        const flags = document.createElement('input')
+        flags.type = 'text'
+        flags.style.width = '50px'
+        flags.placeholder = 'flags'
+
+        const removeBtn = document.createElement('button')
+        removeBtn.type = 'button'
+        removeBtn.className = 'btn'
+        removeBtn.textContent = '✕'
+        removeBtn.title = 'Remove step'
+
+        if (Object.prototype.hasOwnProperty.call(step, 'send')) {
+            kind.value = 'send'
+            text.value = step.send == null ? '' : String(step.send)
+        } else if (step.expect && typeof step.expect === 'object') {
+            kind.value = 'expect'
+            mode.value = 'regex'
+            text.value = step.expect.expression || ''
+            flags.value = step.expect.flags || ''
+        } else {
+            kind.value = 'expect'
+            mode.value = 'contains'
+            text.value = step.expect == null ? '' : String(step.expect)
+        }
+
+        function updateRow() {
+            const isExpect = kind.value === 'expect'
+            mode.style.display = isExpect ? '' : 'none'
+            flags.style.display = (isExpect && mode.value === 'regex') ? '' : 'none'
+            text.placeholder = isExpect ? (mode.value === 'regex' ? 'regex expression (no slashes)' : 'What is your move? ') : 'value typed at the prompt'
+        }
+        updateRow()
+        kind.addEventListener('change', () => { updateRow(); updateStatus() })
+        mode.addEventListener('change', () => { updateRow(); updateStatus() })
+        text.addEventListener('input', updateStatus)
+        flags.addEventListener('input', updateStatus)
+
+        const entry = {
+            num,
+            get() {
+                if (kind.value === 'send') return { send: text.value }
+                if (mode.value === 'regex') return { expect: { type: 'regex', expression: text.value, flags: flags.value.trim() } }
+                return { expect: text.value }
+            }
+        }
+        removeBtn.addEventListener('click', () => {
+            const i = rows.indexOf(entry)
+            if (i !== -1) rows.splice(i, 1)
+            row.remove()
+            renumber()
+            updateStatus()
+        })
+
+        row.appendChild(num)
+        row.appendChild(kind)
+        row.appendChild(mode)
+        row.appendChild(text)
+        row.appendChild(flags)
+        row.appendChild(removeBtn)
+        stepsList.appendChild(row)
+        rows.push(entry)
+        renumber()
+    }
+
+    function collectSteps() {
+        return getTranscriptSteps({ type: 'transcript', transcript: rows.map(r => r.get()) }) || []
+    }
+
+    const initialSteps = getTranscriptSteps({ type: 'transcript', transcript: existing.transcript }) || []
+    if (initialSteps.length) initialSteps.forEach(s => addStepRow(s))
+    else { addStepRow({ expect: '' }); addStepRow({ send: '' }) }
+
+    const stepButtons = document.createElement('div')
+    stepButtons.style.display = 'flex'
+    stepButtons.style.gap = '8px'
+    stepButtons.style.marginTop = '4px'
+    const addExpectBtn = document.createElement('button')
+    addExpectBtn.type = 'button'
+    addExpectBtn.className = 'btn'
+    addExpectBtn.textContent = 'Add expected output'
+    addExpectBtn.addEventListener('click', () => { addStepRow({ expect: '' }); updateStatus() })
+    const addSendBtn = document.createElement('button')
+    addSendBtn.type = 'button'
+    addSendBtn.className = 'btn'
+    addSendBtn.textContent = 'Add input'
+    addSendBtn.addEventListener('click', () => { addStepRow({ send: '' }); updateStatus() })
+    stepButtons.appendChild(addExpectBtn)
+    stepButtons.appendChild(addSendBtn)
+    stepsWrap.appendChild(stepButtons)
+    updateStatus()
+
+    // Failure message (what should be shown when test fails)
+    const failureMessage = document.createElement('textarea')
+    failureMessage.style.width = '100%'
+    failureMessage.rows = 2
+    failureMessage.value = existing.failureMessage || ''
+    failureMessage.placeholder = 'Message shown when test fails (optional)'
+
+    // Points (optional weight of this test in the score)
+    const points = document.createElement('input')
+    points.type = 'number'
+    points.min = '0'
+    points.step = 'any'
+    points.style.width = '120px'
+    points.value = (existing.points !== undefined && existing.points !== null) ? String(existing.points) : ''
+    points.placeholder = '1'
+
+    // Random seed (optional): makes programs using random repeatable
+    const seed = document.createElement('input')
+    seed.type = 'number'
+    seed.min = '0'
+    seed.step = '1'
+    seed.style.width = '120px'
+    seed.value = normalizeSeed(existing.seed) !== null ? String(existing.seed) : ''
+    seed.placeholder = 'default'
+
+    // Timeout (optional)
+    const timeout = document.createElement('input')
+    timeout.type = 'number'
+    timeout.style.width = '120px'
+    timeout.value = typeof existing.timeoutMs === 'number' ? String(existing.timeoutMs) : ''
+    timeout.placeholder = '5000'
+
+    // Hide the expected text of the diverging step
+    const hideActualExpected = document.createElement('input')
+    hideActualExpected.type = 'checkbox'
+    hideActualExpected.checked = !!existing.hide_actual_expected
+    const hideActualExpectedWrap = document.createElement('div')
+    hideActualExpectedWrap.style.display = 'flex'
+    hideActualExpectedWrap.style.alignItems = 'center'
+    hideActualExpectedWrap.style.gap = '8px'
+    hideActualExpectedWrap.appendChild(hideActualExpected)
+    const hideActualExpectedLabel = document.createElement('span')
+    hideActualExpectedLabel.textContent = 'Hide expected output (show only which step failed)'
+    hideActualExpectedWrap.appendChild(hideActualExpectedLabel)
+
+    // Add a header to distinguish this as a transcript test
+    const header = document.createElement('div')
+    header.style.background = '#fdf0dc'
+    header.style.padding = '8px'
+    header.style.borderRadius = '4px'
+    header.style.marginBottom = '12px'
+    header.style.border = '1px solid #f0d2a4'
+    const headerStrong = document.createElement('strong')
+    headerStrong.textContent = '⇄ Transcript Test'
+    const headerBr = document.createElement('br')
+    const headerSpan = document.createElement('span')
+    headerSpan.style.fontSize = '0.9em'
+    headerSpan.style.color = '#666'
+    headerSpan.textContent = 'This test checks that the expected output appears before each input is sent to the program.'
+    header.appendChild(headerStrong)
+    header.appendChild(headerBr)
+    header.appendChild(headerSpan)
+
+    // Build the form
+    root.appendChild(header)
+    root.appendChild(labeled('ID [optional]', idIn, 'Optional stable identifier for this test'))
+    root.appendChild(labeled('Description', desc, 'Short description of what this test checks'))
+    root.appendChild(labeled('Steps', stepsWrap, 'Expected output must appear, in order, before the program asks for the next input. Inputs are sent one per input() call'))
+    root.appendChild(status)
+    root.appendChild(labeled('Failure Message [optional]', failureMessage, 'Message displayed when the conversation does not match the transcript'))
+    root.appendChild(labeled('Timeout (ms) [optional]', timeout))
+    root.appendChild(labeled('Points [optional]', points, 'Weight of this test in the score (default: 1)'))
+    root.appendChild(labeled('Random seed [optional]', seed, 'Seeds the random module before the test runs (default: the suite\'s default seed)'))
+    root.appendChild(labeled('Display options', hideActualExpectedWrap))
+    const fixtureControls = createFixtureControls(existing)
+    root.appendChild(labeled('Workspace fixtures [optional]', fixtureControls.root, 'Files to create, replace or delete, and files the program cannot change, applied to a copy of the workspace for this test'))
+    const hiddenControls = createHiddenTestControls(existing)
+    root.appendChild(labeled('Visibility', hiddenControls.root, 'Hidden tests still run and count toward the score and verification'))
+
+    // Conditional execution controls (same semantics as regular tests)
+    const conditionalWrap = document.createElement('div')
+
+    const runIfSelect = document.createElement('select')
+    runIfSelect.className = 'form-input'
+    runIfSelect.style.marginBottom = '8px'
+
+    const runIfOptions = [
+        { value: 'previous_passed', text: 'Only run if previous test passed (default)' },
+        { value: 'always', text: 'Always run this test' }
+    ]
+    runIfOptions.forEach(opt => {
+        const option = document.createElement('option')
+        option.value = opt.value
+        option.textContent = opt.text
+        runIfSelect.appendChild(option)
+    })
+
+    conditionalWrap.appendChild(runIfSelect)
+
+    if (existing?.conditional) {
+        runIfSelect.value = existing.conditional.runIf || 'previous_passed'
+    } else {
+        runIfSelect.value = 'previous_passed'
+    }
+
+    root.appendChild(labeled('Run Conditions', conditionalWrap, 'Control when this test is executed'))
+
+    // Group assignment control (populated by caller modal using #group-selector)
+    const groupSelectWrap = document.createElement('div')
+    const groupSelect = document.createElement('select')
+    groupSelect.className = 'form-input'
+    groupSelect.id = 'group-selector'
+    groupSelectWrap.appendChild(groupSelect)
+    root.appendChild(labeled('Assign to Group', groupSelectWrap, 'Assign this test to a test group or leave ungrouped'))
+
+    return {
+        root,
+        get() {
+            const test = {
+                type: 'transcript',
+                transcript: collectSteps()
+            }
+
+            if (idIn.value.trim()) test.id = idIn.value.trim()
+            test.description = desc.value.trim() || 'Transcript test'
+            if (failureMessage.value.trim()) test.failureMessage = failureMessage.value.trim()
+            if (timeout.value) test.timeoutMs = Number(timeout.value)
+            if (points.value !== '') test.points = Number(points.value)
+            if (normalizeSeed(seed.value) !== null) test.seed = normalizeSeed(seed.value)
+            if (hideActualExpected.checked) test.hide_actual_expected = true
+            fixtureControls.apply(test)
+            hiddenControls.apply(test)
+
+            test.conditional = {
+                runIf: runIfSelect.value,
+                alwaysRun: false
+            }
+
+            // Group selector value will be consumed by the authoring UI
+            test._selectedGroupId = groupSelect.value
+
+            return test
+        }
+    }
+}
+
+/**
+ * Create default transcript test configuration
+ */
+export function createDefaultTranscriptTest() {
+    return {
+        type: 'transcript',
+        id: genId(),
+        description: '',
+        transcript: [],
+        failureMessage: ''
+    }
+}
+
+/**
+ * Generate a unique ID for transcript tests
+ */
+function genId() {
+    return 'transcript-test-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 7)
+}
+
+export default {
+    buildTranscriptTestForm,
+    createDefaultTranscriptTest
+}
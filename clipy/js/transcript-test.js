@@ -0,0 +1,170 @@
+/*
+ * Interactive transcript test helpers for Clipy
+ *
+ * A transcript test describes a conversation with the program as an ordered
+ * list of steps. Each step either expects some output or sends a line of
+ * input when the program asks for it. Test shape:
+ *
+ *  {
+ *    id, description, type: 'transcript',
+ *    transcript: [
+ *      { expect: 'What is your move? ' },
+ *      { send: '1' },
+ *      { expect: { type: 'regex', expression: 'You (win|lose|draw)' } }
+ *    ],
+ *    timeoutMs, failureMessage, conditional
+ *  }
+ *
+ * `expect` is a substring (or a { type: 'regex', expression, flags } object)
+ * that must appear, in order, in the output printed before the program's
+ * next input request. The runtimes feed the `send` values to `input()` and
+ * record a list of segments, one per input request plus a final one for the
+ * output after the last input:
+ *
+ *  [{ output: 'Moves are: ... What is your move? ', input: '1' }, { output: 'You win', input: null }]
+ *
+ * `checkTranscript` walks the steps against those segments and reports the
+ * first step that diverged.
+ */
+
+/**
+ * Return the normalized steps of a transcript test, or null when the test is
+ * not a transcript test. Steps without a usable expect/send are dropped.
+ * @param {Object} test
+ * @returns {Array<{expect: string|Object}|{send: string}>|null}
+ */
+export function getTranscriptSteps(test) {
+    if (!test || test.type !== 'transcript') return null
+    const raw = Array.isArray(test.transcript) ? test.transcript : []
+    const steps = []
+    for (const s of raw) {
+        if (!s || typeof s !== 'object') continue
+        if (Object.prototype.hasOwnProperty.call(s, 'send')) {
+            steps.push({ send: s.send == null ? '' : String(s.send) })
+        } else if (s.expect && typeof s.expect === 'object' && s.expect.type === 'regex') {
+            steps.push({ expect: { type: 'regex', expression: String(s.expect.expression || ''), flags: String(s.expect.flags || '') } })
+        } else if (s.expect != null && String(s.expect) !== '') {
+            steps.push({ expect: String(s.expect) })
+        }
+    }
+    return steps
+}
+
+/**
+ * The input lines a transcript test sends, in order.
+ * @param {Object} test
+ * @returns {string[]}
+ */
+export function getTranscriptInputs(test) {
+    const steps = getTranscriptSteps(test) || []
+    return steps.filter(s => Object.prototype.hasOwnProperty.call(s, 'send')).map(s => s.send)
+}
+
+/**
+ * Validate transcript steps. Returns { ok, reason }.
+ */
+export function validateTranscript(steps) {
+    if (!Array.isArray(steps) || steps.length === 0) return { ok: false, reason: 'Add at least one transcript step' }
+    for (let i = 0; i < steps.length; i++) {
+        const s = steps[i]
+        if (Object.prototype.hasOwnProperty.call(s, 'send')) {
+            if (/[\r\n]/.test(s.send)) return { ok: false, reason: `Step ${i + 1}: input must be a single line` }
+            continue
+        }
+        if (s.expect && typeof s.expect === 'object') {
+            if (!s.expect.expression) return { ok: false, reason: `Step ${i + 1}: regex expression is empty` }
+            try { new RegExp(s.expect.expression, s.expect.flags || '') } catch (e) {
+                return { ok: false, reason: `Step ${i + 1}: invalid regex (${e && e.message ? e.message : e})` }
+            }
+        }
+    }
+    return { ok: true, reason: null }
+}
+
+/**
+ * Short text for a step, e.g. `expect "Name? "`, `expect /\d+/`, `send "Bob"`.
+ */
+export function describeTranscriptStep(step) {
+    if (!step) return ''
+    if (Object.prototype.hasOwnProperty.call(step, 'send')) return `send ${JSON.stringify(step.send)}`
+    if (step.expect && typeof step.expect === 'object') return `expect /${step.expect.expression}/${step.expect.flags || ''}`
+    return `expect ${JSON.stringify(String(step.expect))}`
+}
+
+// Find `expect` in `text` starting at `from`. Returns the index just past the
+// match, or -1 when it does not appear.
+function findExpected(text, from, expect) {
+    const rest = text.slice(from)
+    if (expect && typeof expect === 'object') {
+        try {
+            const m = new RegExp(expect.expression, expect.flags || '').exec(rest)
+            return m ? from + m.index + m[0].length : -1
+        } catch (_e) { return -1 }
+    }
+    const idx = rest.indexOf(expect)
+    return idx === -1 ? -1 : from + idx + expect.length
+}
+
+/**
+ * Check transcript steps against the segments recorded by a runtime.
+ * @param {Array} steps - from getTranscriptSteps
+ * @param {Array<{output: string, input: string|null}>} segments
+ * @returns {{ok: boolean, step: number|null, reason: string|null, expected: string|null, actual: string|null}}
+ */
+export function checkTranscript(steps, segments) {
+    const segs = Array.isArray(segments) && segments.length ? segments : [{ output: '', input: null }]
+    let seg = 0
+    let cursor = 0
+
+    const fail = (i, reason, expected) => ({
+        ok: false,
+        step: i + 1,
+        reason: `Step ${i + 1}: ${reason}`,
+        expected: expected || null,
+        actual: String(segs[seg] && segs[seg].output != null ? segs[seg].output : '').slice(cursor)
+    })
+
+    for (let i = 0; i < steps.length; i++) {
+        const step = steps[i]
+        const current = segs[seg] || { output: '', input: null }
+        const askedForInput = current.input !== null && current.input !== undefined
+
+        if (Object.prototype.hasOwnProperty.call(step, 'send')) {
+            if (!askedForInput) {
+                return fail(i, `the program finished before asking for input ${JSON.stringify(step.send)}`, describeTranscriptStep(step))
+            }
+            seg++
+            cursor = 0
+            continue
+        }
+
+        const end = findExpected(String(current.output || ''), cursor, step.expect)
+        if (end === -1) {
+            const what = (step.expect && typeof step.expect === 'object') ? `output matching /${step.expect.expression}/` : `output ${JSON.stringify(step.expect)}`
+            return fail(i, askedForInput
+                ? `expected ${what} before the program asked for input`
+                : `expected ${what} but the program finished without printing it`, describeTranscriptStep(step))
+        }
+        cursor = end
+    }
+
+    const last = segs[seg]
+    if (last && last.input !== null && last.input !== undefined) {
+        return {
+            ok: false,
+            step: steps.length + 1,
+            reason: 'After the last step: the program asked for more input than the transcript provides',
+            expected: null,
+            actual: String(last.output || '').slice(cursor)
+        }
+    }
+    return { ok: true, step: null, reason: null, expected: null, actual: null }
+}
+
+export default {
+    getTranscriptSteps,
+    getTranscriptInputs,
+    validateTranscript,
+    describeTranscriptStep,
+    checkTranscript
+}
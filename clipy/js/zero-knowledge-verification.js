@@ -3,6 +3,7 @@
 
 import { debug as logDebug } from './logger.js'
 import { normalizeTestsForHash, canonicalizeForHash } from './normalize-tests.js'
+import { computeScore, getPassThreshold } from './test-scoring.js'
 
 // Simple word list for human-readable codes (BIP39-inspired but shorter)
 const WORD_LIST = [
@@ -200,13 +201,19 @@ export async function verifyStudentCode(providedCode, testConfig, studentId) {
 /**
  * Check if verification code should be shown
  * @param {Array} testResults - Array of test results
- * @returns {boolean} True if all tests passed
+ * @param {Object|Array} [testsConfig] - The `tests` config; when it sets a
+ *   passThreshold the code is issued once the weighted score reaches it
+ * @returns {boolean} True if all tests passed (or the pass threshold is met)
  */
-export function shouldShowVerificationCode(testResults) {
+export function shouldShowVerificationCode(testResults, testsConfig) {
     if (!Array.isArray(testResults) || testResults.length === 0) {
         return false
     }
 
+    if (getPassThreshold(testsConfig) !== null) {
+        return computeScore(testsConfig, testResults).meetsThreshold
+    }
+
     // Filter out skipped tests and check if all remaining tests passed
     const executedTests = testResults.filter(r => !r.skipped)
     return executedTests.length > 0 && executedTests.every(r => r.passed === true)
@@ -15,6 +15,9 @@ try {
     // resolver callbacks; stdinRequested prevents duplicate requests.
     let pendingStdinResolves = []
     let stdinRequested = false
+    // Transcript tests: one mark per answered input request recording where
+    // the request fell in stdoutBuf and which value was sent.
+    let transcriptMarks = []
 
     function post(o) {
         try { window.parent.postMessage(o, location.origin) } catch (e) { try { window.parent.postMessage(o, '*') } catch (_) { } }
@@ -155,11 +158,15 @@ try {
                     const dir = p.split('/').slice(0, -1).join('/') || '/'
                     try { mpInstance.FS.mkdirTree(dir) } catch (e) { }
                     const data = files[p]
-                    if (typeof data === 'string') {
-                        mpInstance.FS.writeFile(p, data)
-                    } else if (data instanceof Uint8Array) {
-                        mpInstance.FS.writeFile(p, data)
-                    }
+                    // Host write: lift any fixture read-only guard (see js/test-fixtures.js)
+                    mpInstance.FS.__ssg_host_write = true
+                    try {
+                        if (typeof data === 'string') {
+                            mpInstance.FS.writeFile(p, data)
+                        } else if (data instanceof Uint8Array) {
+                            mpInstance.FS.writeFile(p, data)
+                        }
+                    } finally { mpInstance.FS.__ssg_host_write = false }
                 } catch (e) {
                     log('writeFilesToFS error', p, e)
                 }
@@ -167,6 +174,26 @@ try {
         } catch (e) { log('writeFilesToFS outer error', e) }
     }
 
+    // Read back the files listed in test.expected_files after the run so the
+    // host can check them (see js/output-files-test.js). Missing files are null.
+    function readExpectedFilesFromFS(test) {
+        const files = {}
+        try {
+            const list = Array.isArray(test && test.expected_files) ? test.expected_files : []
+            for (const a of list) {
+                let p = String((a && a.path) || '').trim()
+                if (!p) continue
+                if (!p.startsWith('/')) p = '/' + p
+                if (Object.prototype.hasOwnProperty.call(files, p)) continue
+                files[p] = null
+                try {
+                    if (mpInstance && mpInstance.FS) files[p] = mpInstance.FS.readFile(p, { encoding: 'utf8' })
+                } catch (e) { /* missing file */ }
+            }
+        } catch (e) { log('readExpectedFilesFromFS error', e) }
+        return files
+    }
+
     // Helper to detect if we're in author/test-authoring mode vs user/student mode.
     // Author mode shows detailed error messages for __pre.py and __post.py failures.
     // User mode shows generic "contact instructor" messages to protect test integrity.
@@ -206,17 +233,36 @@ try {
         stderrBuf = []
         pendingStdinResolves = []
         stdinRequested = false
+        transcriptMarks = []
         const start = Date.now()
         const authorMode = isAuthorMode()
         post({ type: 'debug', text: 'handleRunTest: authorMode = ' + authorMode })
 
         try {
+            // Coverage mode: replace the student's files with instrumented
+            // copies before the test's own files are written
+            let coverageMod = null
+            let coverageFiles = null
+            if (test.coverage) {
+                try {
+                    coverageMod = await import('../js/test-coverage.js')
+                    coverageFiles = await coverageMod.instrumentFiles(coverageMod.getCoverageFiles(initialFilesSnapshot, test))
+                    writeFilesToFS(coverageFiles)
+                } catch (e) { log('instrumenting for coverage failed', e); coverageMod = null }
+            }
             if (test.setup && typeof test.setup === 'object') {
                 writeFilesToFS(test.setup)
             }
             if (test.files && typeof test.files === 'object') {
                 writeFilesToFS(test.files)
             }
+            // Declarative fixtures (merged with the group's by the host)
+            if (test.fixtures) {
+                try {
+                    const fixturesMod = await import('../js/test-fixtures.js')
+                    fixturesMod.applyFixturesToFS(mpInstance && mpInstance.FS, fixturesMod.getFixtures(test))
+                } catch (e) { log('applying fixtures failed', e) }
+            }
             const mainToRun = (test.main && typeof test.main === 'string') ? test.main : null
 
             // Helper to run an import expression directly. Previously we executed
@@ -270,6 +316,20 @@ try {
             let mainError = null
             let postError = null
 
+            if (coverageMod) {
+                try { await runtimeAdapter.run(coverageMod.buildCoveragePrelude(Object.keys(coverageFiles))) } catch (e) { log('starting coverage failed', e); coverageMod = null }
+            }
+
+            // Seed the random module first so seeded tests are deterministic
+            // (__pre.py may reseed it)
+            if (typeof test.seed === 'number') {
+                try {
+                    const seedMod = await import('../js/test-seed.js')
+                    const seedPrelude = seedMod.buildSeedPrelude(test.seed)
+                    if (seedPrelude) await runtimeAdapter.run(seedPrelude)
+                } catch (e) { log('seeding random failed', e) }
+            }
+
             // STEP 1: Execute __pre.py if present
             if (hasPrePy) {
                 post({ type: 'debug', text: '__pre.py detected, executing pre-setup' })
@@ -313,7 +373,29 @@ try {
             }
 
             // STEP 2: Execute main.py
-            if (mainToRun) {
+            if (test.type === 'function') {
+                // Function tests import the student's module from a harness
+                // which calls the named function and prints the result.
+                if (mainToRun) { try { writeFilesToFS({ '/main.py': mainToRun }) } catch (e) { } }
+                let harness = null
+                try {
+                    const fnMod = await import('../js/function-test.js')
+                    harness = fnMod.buildFunctionHarness(test)
+                } catch (e) {
+                    mainError = e
+                    stderrBuf.push(String(e && e.message ? e.message : e))
+                }
+                if (harness) {
+                    post({ type: 'debug', text: 'executing function test harness' })
+                    const result = await runImport(harness)
+                    if (result.error) {
+                        mainError = result.error
+                        post({ type: 'debug', text: 'function test harness failed' })
+                    } else {
+                        post({ type: 'debug', text: 'function test harness completed' })
+                    }
+                }
+            } else if (mainToRun) {
                 // Write the inline main to /main.py inside the runtime FS so the
                 // traceback filename will point to /main.py when printed.
                 try { writeFilesToFS({ '/main.py': mainToRun }) } catch (e) { }
@@ -370,6 +452,14 @@ try {
             // removed verbose afterRun debug posts
 
             const duration = Date.now() - start
+            let coverage = null
+            if (coverageMod) coverage = await coverageMod.collectCoverage(runtimeAdapter.run, mpInstance)
+            const coverageResult = coverage ? { coverage } : {}
+
+            // Keep the raw chunks for transcript segments; the traceback
+            // heuristic below replaces stdoutBuf.
+            const rawStdoutChunks = stdoutBuf
+            const outputFiles = Array.isArray(test.expected_files) && test.expected_files.length ? { files: readExpectedFilesFromFS(test) } : {}
 
             // Heuristic: some MicroPython runtimes emit exception tracebacks
             // through the stdout callback. If stderr is empty but stdout
@@ -417,6 +507,19 @@ try {
                 return out
             }
 
+            // Transcript tests: split stdout into the output printed before
+            // each input request (excluding the echoed input) plus the rest.
+            let transcript = null
+            if (test.type === 'transcript') {
+                transcript = []
+                let from = 0
+                for (const mark of transcriptMarks) {
+                    transcript.push({ output: assemble(rawStdoutChunks.slice(from, mark.at)), input: mark.input })
+                    from = mark.at + (mark.echoed ? 1 : 0)
+                }
+                transcript.push({ output: assemble(rawStdoutChunks.slice(from)), input: null })
+            }
+
             // Determine test result based on execution errors
             // Priority: postError > mainError (if no post) > success
             if (postError) {
@@ -460,7 +563,8 @@ try {
                     durationMs: duration,
                     reason: 'postConfigError',
                     postConfigError: true,
-                    mainAlsoFailed: !!mainError
+                    mainAlsoFailed: !!mainError,
+                    ...coverageResult
                 }
             } else if (mainError) {
                 // main.py failed but __post.py succeeded (or wasn't present)
@@ -496,12 +600,15 @@ try {
                     stdout: assemble(stdoutBuf),
                     stderr: errorMsg,
                     durationMs: duration,
-                    reason: String(mainError)
+                    reason: String(mainError),
+                    ...(transcript ? { transcript } : {}),
+                    ...outputFiles,
+                    ...coverageResult
                 }
             }
 
             // All steps succeeded (or no errors encountered)
-            return { id: test.id, passed: true, stdout: assemble(stdoutBuf), stderr: assemble(stderrBuf), durationMs: duration }
+            return { id: test.id, passed: true, stdout: assemble(stdoutBuf), stderr: assemble(stderrBuf), durationMs: duration, ...(transcript ? { transcript } : {}), ...outputFiles, ...coverageResult }
         } catch (err) {
             const duration = Date.now() - start
             const assemble = (buf) => {
@@ -622,6 +729,7 @@ try {
                         pendingStdinResolves.forEach(r => { try { r(v) } catch (_) { } })
                         pendingStdinResolves = []
                         stdinRequested = false
+                        transcriptMarks.push({ at: stdoutBuf.length, input: v, echoed: v !== '' })
                         // Echo the input back into stdoutBuf once so the host
                         // can match prompt+input sequences. Mirror terminal: add newline.
                         try {